@@ -6,6 +6,18 @@ import InputArea from './InputArea';
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:10051';
 
+const EMPTY_STATS = {
+  tokenCount: 0,
+  inputTokens: 0,
+  outputTokens: 0,
+  cacheReadTokens: 0,
+  cacheWriteTokens: 0,
+  messageCount: 0,
+  toolCount: 0,
+  estimatedCost: 0,
+  limits: null
+};
+
 const ChatPanel = ({ wsManager, workspace, onGenerateTemplate }) => {
   // Layout state - Three column layout: Conversations | Workspace | Chat
   const [conversationSidebarWidth, setConversationSidebarWidth] = useState(250);
@@ -15,25 +27,31 @@ const ChatPanel = ({ wsManager, workspace, onGenerateTemplate }) => {
 
   // Conversation state
   const [conversations, setConversations] = useState([]);
+  const [conversationsCursor, setConversationsCursor] = useState(null); // Next page of the list (null = all loaded)
   const [currentConversationId, setCurrentConversationId] = useState(null);
   const [messages, setMessages] = useState([]);
+  const [messagesCursor, setMessagesCursor] = useState(null); // Older messages of the branch (null = all loaded)
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [highlightMessageId, setHighlightMessageId] = useState(null); // Search hit to scroll to
 
   // Chat state
   const [isGenerating, setIsGenerating] = useState(false);
-  const [conversationStats, setConversationStats] = useState({
-    tokenCount: 0,
-    messageCount: 0,
-    toolCount: 0,
-    estimatedCost: 0
-  });
+  const [conversationStats, setConversationStats] = useState(EMPTY_STATS);
   const [warnings, setWarnings] = useState([]);
 
+  // Tool state
+  const [availableTools, setAvailableTools] = useState([]);
+  const [toolSettings, setToolSettings] = useState({ enabledTools: null, toolChoice: { type: 'auto' } });
+
   // Refs
   const messageMapRef = useRef(new Map()); // messageId -> accumulated text
+  const olderRequestRef = useRef(null); // Page of older messages being fetched
+  const conversationsRequestRef = useRef(false); // Whether the next page of conversations is being fetched
 
-  // Load conversations on mount
+  // Load conversations and tools on mount
   useEffect(() => {
     loadConversations();
+    loadTools();
   }, []);
 
   // Set up WebSocket message handlers
@@ -51,6 +69,9 @@ const ChatPanel = ({ wsManager, workspace, onGenerateTemplate }) => {
         case 'llm_tool_result':
           handleToolResult(data);
           break;
+        case 'llm_tool_approval_request':
+          handleToolApprovalRequest(data);
+          break;
         case 'llm_stopped':
           handleStopped(data);
           break;
@@ -69,6 +90,13 @@ const ChatPanel = ({ wsManager, workspace, onGenerateTemplate }) => {
         case 'llm_token_count':
           handleTokenCount(data);
           break;
+        case 'llm_context_compaction':
+          handleCompaction(data);
+          break;
+        case 'tools_changed':
+          // Tool plugins were reloaded on the server
+          loadTools();
+          break;
         default:
           // Ignore other message types
           break;
@@ -88,6 +116,7 @@ const ChatPanel = ({ wsManager, workspace, onGenerateTemplate }) => {
       const response = await fetch(`${API_BASE_URL}/api/conversations`);
       const data = await response.json();
       setConversations(data.conversations || []);
+      setConversationsCursor(data.nextCursor || null);
 
       // Auto-load latest conversation
       if (data.conversations && data.conversations.length > 0) {
@@ -99,26 +128,180 @@ const ChatPanel = ({ wsManager, workspace, onGenerateTemplate }) => {
     }
   };
 
-  // Load a specific conversation
+  // Load the next page of the conversation list (when the sidebar is scrolled to its end)
+  const loadMoreConversations = async () => {
+    if (!conversationsCursor || conversationsRequestRef.current) return;
+
+    conversationsRequestRef.current = true;
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/conversations?cursor=${encodeURIComponent(conversationsCursor)}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+      // A conversation updated since the first page may be listed already
+      setConversations(prev => [
+        ...prev,
+        ...data.conversations.filter(conv => !prev.some(shown => shown.id === conv.id))
+      ]);
+      setConversationsCursor(data.nextCursor);
+    } catch (error) {
+      console.error('Failed to load more conversations:', error);
+    } finally {
+      conversationsRequestRef.current = false;
+    }
+  };
+
+  // Load registered tools from REST API
+  const loadTools = async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/tools`);
+      const data = await response.json();
+      setAvailableTools(data.tools || []);
+    } catch (error) {
+      console.error('Failed to load tools:', error);
+    }
+  };
+
+  // Tool settings stored in conversation metadata (no enabledTools = every tool)
+  const getToolSettings = (metadata = {}) => ({
+    enabledTools: metadata.enabledTools || null,
+    toolChoice: metadata.toolChoice || { type: 'auto' }
+  });
+
+  // Header stats from a conversation record
+  const getConversationStats = (conversation) => ({
+    tokenCount: conversation.token_count || 0,
+    inputTokens: conversation.input_token_count || 0,
+    outputTokens: conversation.output_token_count || 0,
+    cacheReadTokens: conversation.cache_read_token_count || 0,
+    cacheWriteTokens: conversation.cache_write_token_count || 0,
+    messageCount: conversation.message_count || 0,
+    toolCount: conversation.tool_execution_count || 0,
+    estimatedCost: conversation.estimated_cost || 0,
+    limits: conversation.limits || null
+  });
+
+  // Load a specific conversation with its newest messages (returns { messages, nextCursor })
   const loadConversation = async (conversationId) => {
     try {
       const response = await fetch(`${API_BASE_URL}/api/conversations/${conversationId}`);
       const data = await response.json();
 
       if (data.conversation) {
+        olderRequestRef.current = null; // Drop pages still coming for the previous conversation
+        setLoadingOlder(false);
         setCurrentConversationId(conversationId);
         setMessages(data.messages || []);
-        setConversationStats({
-          tokenCount: data.conversation.token_count || 0,
-          messageCount: data.conversation.message_count || 0,
-          toolCount: data.conversation.tool_execution_count || 0,
-          estimatedCost: data.conversation.estimated_cost || 0
-        });
+        setMessagesCursor(data.nextCursor || null);
+        setConversationStats(getConversationStats(data.conversation));
+        setToolSettings(getToolSettings(data.conversation.metadata));
         setWarnings([]);
+        setHighlightMessageId(null);
+        return { messages: data.messages || [], nextCursor: data.nextCursor || null };
       }
     } catch (error) {
       console.error('Failed to load conversation:', error);
     }
+    return null;
+  };
+
+  // Page of the active branch before a message
+  const fetchOlderMessages = async (conversationId, before, limit = 50) => {
+    const response = await fetch(
+      `${API_BASE_URL}/api/conversations/${conversationId}/messages?before=${encodeURIComponent(before)}&limit=${limit}`
+    );
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || `HTTP ${response.status}`);
+    }
+    return data;
+  };
+
+  // Add the page before the oldest shown message (when the list is scrolled to its top)
+  const loadOlderMessages = async () => {
+    if (!messagesCursor || olderRequestRef.current) return;
+
+    const request = olderRequestRef.current = {};
+    setLoadingOlder(true);
+    try {
+      const data = await fetchOlderMessages(currentConversationId, messagesCursor);
+      if (olderRequestRef.current !== request) return; // Another conversation or branch is shown now
+
+      setMessages(prev => [...data.messages, ...prev]);
+      setMessagesCursor(data.nextCursor);
+    } catch (error) {
+      console.error('Failed to load older messages:', error);
+    } finally {
+      if (olderRequestRef.current === request) {
+        olderRequestRef.current = null;
+        setLoadingOlder(false);
+      }
+    }
+  };
+
+  // Show a branch page and the pages before it, back to a message (returns whether it is there)
+  const showBranchUntil = async (conversationId, messageId, page) => {
+    let shown = page.messages;
+    let cursor = page.nextCursor;
+    while (!shown.some(msg => msg.id === messageId) && cursor) {
+      const older = await fetchOlderMessages(conversationId, cursor, 200);
+      shown = [...older.messages, ...shown];
+      cursor = older.nextCursor;
+    }
+
+    setMessages(shown);
+    setMessagesCursor(cursor);
+    return shown.some(msg => msg.id === messageId);
+  };
+
+  // Search messages, titles and tool calls in every conversation
+  const searchConversations = async (query) => {
+    const response = await fetch(`${API_BASE_URL}/api/search?q=${encodeURIComponent(query)}`);
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || `HTTP ${response.status}`);
+    }
+    return data.results || [];
+  };
+
+  // Open a search hit: its conversation, on the branch with the message, scrolled to it
+  const openSearchResult = async (result) => {
+    const page = await loadConversation(result.conversationId);
+    if (!page || !result.messageId) return;
+
+    try {
+      if (!(await showBranchUntil(result.conversationId, result.messageId, page))) {
+        const switched = await switchBranch(result.messageId, result.conversationId);
+        if (switched) await showBranchUntil(result.conversationId, result.messageId, switched);
+      }
+    } catch (error) {
+      console.error('Failed to open search result:', error);
+    }
+    setHighlightMessageId(result.messageId);
+  };
+
+  // Import the conversations in a JSON file and open the first one; returns the server's report
+  const importConversations = async (file) => {
+    const response = await fetch(`${API_BASE_URL}/api/conversations/import`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: await file.text()
+    });
+    const data = await response.json();
+
+    if (!data.conversations) {
+      throw new Error(data.error || `HTTP ${response.status}`);
+    }
+    const first = data.conversations.find(entry => entry.conversationId);
+    if (first) {
+      await loadConversations(); // Refresh list
+      await loadConversation(first.conversationId);
+    }
+    return data;
   };
 
   // Create new conversation
@@ -153,7 +336,8 @@ const ChatPanel = ({ wsManager, workspace, onGenerateTemplate }) => {
       if (conversationId === currentConversationId) {
         setCurrentConversationId(null);
         setMessages([]);
-        setConversationStats({ tokenCount: 0, messageCount: 0, toolCount: 0, estimatedCost: 0 });
+        setMessagesCursor(null);
+        setConversationStats({ ...EMPTY_STATS });
       }
     } catch (error) {
       console.error('Failed to delete conversation:', error);
@@ -175,6 +359,25 @@ const ChatPanel = ({ wsManager, workspace, onGenerateTemplate }) => {
     }
   };
 
+  // Update enabled tools and/or tool choice
+  const updateToolSettings = async (conversationId, settings) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/conversations/${conversationId}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(settings)
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+      setToolSettings(getToolSettings(data.conversation.metadata));
+    } catch (error) {
+      console.error('Failed to update tool settings:', error);
+    }
+  };
+
   // Export conversation
   const exportConversation = async (conversationId, format) => {
     try {
@@ -209,6 +412,7 @@ const ChatPanel = ({ wsManager, workspace, onGenerateTemplate }) => {
       timestamp: new Date().toISOString()
     };
     setMessages(prev => [...prev, userMessage]);
+    setHighlightMessageId(null);
 
     // Send to server
     wsManager.sendMessage({
@@ -220,6 +424,120 @@ const ChatPanel = ({ wsManager, workspace, onGenerateTemplate }) => {
     setIsGenerating(true);
   };
 
+  // Call a branch endpoint and show the newest messages of the active branch it returns
+  const changeBranch = async (path, method, body, conversationId = currentConversationId) => {
+    const response = await fetch(`${API_BASE_URL}/api/conversations/${conversationId}/${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || `HTTP ${response.status}`);
+    }
+    olderRequestRef.current = null;
+    setLoadingOlder(false);
+    setMessages(data.messages || []);
+    setMessagesCursor(data.nextCursor || null);
+    setConversationStats(getConversationStats(data.conversation));
+    setWarnings([]);
+    return data;
+  };
+
+  // Ask the server for the reply at the end of the active branch
+  const generateReply = () => {
+    wsManager.sendMessage({
+      type: 'llm_generate',
+      conversationId: currentConversationId
+    });
+    setIsGenerating(true);
+  };
+
+  // Edit a user message: the new text becomes another version, with a new reply
+  const editMessage = async (messageId, content) => {
+    if (!wsManager) return;
+
+    try {
+      await changeBranch(`messages/${messageId}/edit`, 'POST', { content });
+      generateReply();
+    } catch (error) {
+      console.error('Failed to edit message:', error);
+    }
+  };
+
+  // Regenerate a reply; the old one stays as another version
+  const regenerateMessage = async (messageId) => {
+    if (!wsManager) return;
+
+    try {
+      await changeBranch(`messages/${messageId}/regenerate`, 'POST', {});
+      generateReply();
+    } catch (error) {
+      console.error('Failed to regenerate message:', error);
+    }
+  };
+
+  // Show another version of a message (and the conversation that followed it)
+  const switchBranch = async (messageId, conversationId = currentConversationId) => {
+    try {
+      return await changeBranch('branch', 'PUT', { messageId }, conversationId);
+    } catch (error) {
+      console.error('Failed to switch branch:', error);
+      return null;
+    }
+  };
+
+  // Copy the conversation up to a message into a new conversation, and open it
+  const forkConversation = async (messageId) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/conversations/${currentConversationId}/fork`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ atMessageId: messageId })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+      await loadConversations(); // Refresh list
+      await loadConversation(data.conversation.id);
+    } catch (error) {
+      console.error('Failed to fork conversation:', error);
+    }
+  };
+
+  // After a turn is saved, give the streamed messages their saved ids and versions
+  const loadSavedBranch = async (conversationId) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/conversations/${conversationId}`);
+      const data = await response.json();
+      if (!data.messages) return;
+
+      const saved = data.messages.filter(msg => !msg.is_summary);
+      const savedUsers = saved.filter(msg => msg.role === 'user');
+
+      setMessages(prev => {
+        // User messages are matched in order from the newest (the saved page is the newest
+        // messages only), replies by the id they were streamed with
+        let userIndex = savedUsers.length - prev.filter(msg => !msg.is_summary && msg.role === 'user').length;
+
+        return prev.map(msg => {
+          if (msg.is_summary) return msg;
+
+          const match = msg.role === 'user'
+            ? savedUsers[userIndex++]
+            : msg.role === 'assistant' && saved.find(s => s.message_id === msg.id || s.id === msg.id);
+
+          return match && match.role === msg.role ? { ...msg, dbId: match.id, branch: match.branch } : msg;
+        });
+      });
+    } catch (error) {
+      console.error('Failed to load saved messages:', error);
+    }
+  };
+
   // Stop generation
   const stopGeneration = () => {
     if (!wsManager) return;
@@ -229,6 +547,29 @@ const ChatPanel = ({ wsManager, workspace, onGenerateTemplate }) => {
     });
   };
 
+  // Answer a tool call that is waiting for approval
+  const respondToToolApproval = (approvalId, decision, input) => {
+    if (!wsManager) return;
+
+    wsManager.sendMessage({
+      type: 'tool_approval',
+      approvalId,
+      decision,
+      input: decision === 'edit' ? input : undefined
+    });
+
+    setMessages(prev => prev.map(msg => {
+      if (msg.role === 'tool' && msg.approval?.approvalId === approvalId) {
+        return {
+          ...msg,
+          toolInput: decision === 'edit' ? input : msg.toolInput,
+          approval: { ...msg.approval, status: decision === 'deny' ? 'denied' : 'approved' }
+        };
+      }
+      return msg;
+    }));
+  };
+
   // WebSocket message handlers
   const handleAssistantResponse = (data) => {
     if (data.conversationId !== currentConversationId) return;
@@ -302,7 +643,29 @@ const ChatPanel = ({ wsManager, workspace, onGenerateTemplate }) => {
     setMessages(prev => prev.map(msg => {
       // Match by toolUseId instead of toolName to avoid duplicates
       if (msg.role === 'tool' && msg.toolUseId === data.toolUseId && !msg.toolOutput) {
-        return { ...msg, toolOutput: data.toolOutput };
+        return {
+          ...msg,
+          toolOutput: data.toolOutput,
+          // A request that timed out or was cancelled is no longer pending
+          approval: msg.approval?.status === 'pending'
+            ? { ...msg.approval, status: data.status === 'denied' ? 'denied' : 'expired' }
+            : msg.approval
+        };
+      }
+      return msg;
+    }));
+  };
+
+  const handleToolApprovalRequest = (data) => {
+    if (data.conversationId !== currentConversationId) return;
+
+    setMessages(prev => prev.map(msg => {
+      if (msg.role === 'tool' && msg.toolUseId === data.toolUseId) {
+        return {
+          ...msg,
+          collapsed: false,
+          approval: { approvalId: data.approvalId, status: 'pending' }
+        };
       }
       return msg;
     }));
@@ -336,7 +699,8 @@ const ChatPanel = ({ wsManager, workspace, onGenerateTemplate }) => {
   const handleConversationCreated = (data) => {
     setCurrentConversationId(data.conversation.id);
     setMessages([]);
-    setConversationStats({ tokenCount: 0, messageCount: 0, toolCount: 0, estimatedCost: 0 });
+    setMessagesCursor(null);
+    setConversationStats({ ...EMPTY_STATS });
     loadConversations(); // Refresh list
   };
 
@@ -357,15 +721,45 @@ const ChatPanel = ({ wsManager, workspace, onGenerateTemplate }) => {
     }]);
   };
 
+  const handleCompaction = (data) => {
+    if (data.conversationId !== currentConversationId) return;
+
+    if (data.status === 'failed') {
+      setMessages(prev => [...prev, {
+        id: `compaction_${Date.now()}`,
+        role: 'system',
+        content: `⚠️ Could not compact the conversation: ${data.error}`,
+        timestamp: data.timestamp,
+        error: true
+      }]);
+      return;
+    }
+
+    setMessages(prev => [...prev, {
+      id: `compaction_${Date.now()}`,
+      role: 'system',
+      content: `🗜️ Conversation compacted: ${data.messagesSummarized} older messages summarized, ${data.messagesKept} recent kept (${data.tokensBefore.toLocaleString()} → ${data.tokensAfter.toLocaleString()} tokens)`,
+      timestamp: data.timestamp,
+      hint: true
+    }]);
+    setConversationStats(prev => ({ ...prev, tokenCount: data.tokensAfter }));
+  };
+
   const handleTokenCount = (data) => {
     if (data.conversationId !== currentConversationId) return;
 
     setConversationStats({
       tokenCount: data.tokenCount || 0,
+      inputTokens: data.inputTokens || 0,
+      outputTokens: data.outputTokens || 0,
+      cacheReadTokens: data.cacheReadTokens || 0,
+      cacheWriteTokens: data.cacheWriteTokens || 0,
       messageCount: data.messageCount || 0,
       toolCount: data.toolCount || 0,
-      estimatedCost: data.estimatedCost || 0
+      estimatedCost: data.estimatedCost || 0,
+      limits: data.limits || null
     });
+    loadSavedBranch(data.conversationId);
   };
 
   // Resize handling for conversation sidebar
@@ -435,10 +829,15 @@ const ChatPanel = ({ wsManager, workspace, onGenerateTemplate }) => {
       >
         <ConversationSidebar
           conversations={conversations}
+          hasMoreConversations={Boolean(conversationsCursor)}
+          onLoadMoreConversations={loadMoreConversations}
           currentConversationId={currentConversationId}
           onSelectConversation={loadConversation}
           onCreateConversation={createConversation}
           onDeleteConversation={deleteConversation}
+          onSearch={searchConversations}
+          onOpenSearchResult={openSearchResult}
+          onImport={importConversations}
         />
       </div>
 
@@ -475,11 +874,23 @@ const ChatPanel = ({ wsManager, workspace, onGenerateTemplate }) => {
               onUpdateTitle={updateConversationTitle}
               onExport={exportConversation}
               onGenerateTemplate={onGenerateTemplate}
+              tools={availableTools}
+              toolSettings={toolSettings}
+              onUpdateToolSettings={updateToolSettings}
             />
 
             <MessageList
               messages={messages}
               isGenerating={isGenerating}
+              highlightMessageId={highlightMessageId}
+              hasOlder={Boolean(messagesCursor)}
+              loadingOlder={loadingOlder}
+              onLoadOlder={loadOlderMessages}
+              onToolApproval={respondToToolApproval}
+              onEditMessage={editMessage}
+              onRegenerate={regenerateMessage}
+              onSwitchBranch={switchBranch}
+              onFork={forkConversation}
             />
 
             <InputArea
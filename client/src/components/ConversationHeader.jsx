@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import { DEFAULT_LIMITS, getLimitColor, getLimitPercentage, formatLimit } from '../lib/limits';
 
 const ConversationHeader = ({
   conversationId,
@@ -6,11 +7,15 @@ const ConversationHeader = ({
   warnings,
   onUpdateTitle,
   onExport,
-  onGenerateTemplate
+  onGenerateTemplate,
+  tools = [],
+  toolSettings = { enabledTools: null, toolChoice: { type: 'auto' } },
+  onUpdateToolSettings
 }) => {
   const [isEditingTitle, setIsEditingTitle] = useState(false);
   const [title, setTitle] = useState('Conversation');
   const [showExportMenu, setShowExportMenu] = useState(false);
+  const [showToolsMenu, setShowToolsMenu] = useState(false);
   const [version, setVersion] = useState(null);
 
   // Load version info
@@ -21,17 +26,6 @@ const ConversationHeader = ({
       .catch(err => console.warn('Could not load version info:', err));
   }, []);
 
-  const getProgressColor = (current, limit) => {
-    const percentage = (current / limit) * 100;
-    if (percentage >= 100) return '#ef4444'; // red
-    if (percentage >= 80) return '#f59e0b'; // orange
-    return '#10b981'; // green
-  };
-
-  const getProgressPercentage = (current, limit) => {
-    return Math.min(100, (current / limit) * 100);
-  };
-
   const handleTitleBlur = () => {
     setIsEditingTitle(false);
     if (title.trim() && title !== 'Conversation') {
@@ -54,13 +48,41 @@ const ConversationHeader = ({
     setShowExportMenu(false);
   };
 
-  const tokenPercentage = getProgressPercentage(stats.tokenCount, 20480);
-  const messagePercentage = getProgressPercentage(stats.messageCount, 150);
-  const toolPercentage = getProgressPercentage(stats.toolCount, 100);
+  // No enabledTools list means every tool is enabled
+  const enabledTools = toolSettings.enabledTools || tools.map(tool => tool.name);
+  const toolChoice = toolSettings.toolChoice || { type: 'auto' };
+  const toolChoiceValue = toolChoice.type === 'tool' ? `tool:${toolChoice.name}` : toolChoice.type;
 
-  const tokenColor = getProgressColor(stats.tokenCount, 20480);
-  const messageColor = getProgressColor(stats.messageCount, 150);
-  const toolColor = getProgressColor(stats.toolCount, 100);
+  const handleToggleTool = (name) => {
+    const next = enabledTools.includes(name)
+      ? enabledTools.filter(toolName => toolName !== name)
+      : [...enabledTools, name];
+    const allEnabled = tools.every(tool => next.includes(tool.name));
+
+    const settings = { enabledTools: allEnabled ? null : next };
+    // A forced tool must stay enabled
+    if (toolChoice.type === 'tool' && !next.includes(toolChoice.name)) {
+      settings.toolChoice = 'auto';
+    }
+    onUpdateToolSettings(conversationId, settings);
+  };
+
+  const handleToolChoiceChange = (value) => {
+    const choice = value.startsWith('tool:')
+      ? { type: 'tool', name: value.slice('tool:'.length) }
+      : { type: value };
+    onUpdateToolSettings(conversationId, { toolChoice: choice });
+  };
+
+  const limits = stats.limits || DEFAULT_LIMITS;
+
+  const tokenPercentage = getLimitPercentage(stats.tokenCount, limits.tokens);
+  const messagePercentage = getLimitPercentage(stats.messageCount, limits.messages);
+  const toolPercentage = getLimitPercentage(stats.toolCount, limits.toolExecutions);
+
+  const tokenColor = getLimitColor(stats.tokenCount, limits.tokens, limits.warningThreshold);
+  const messageColor = getLimitColor(stats.messageCount, limits.messages, limits.warningThreshold);
+  const toolColor = getLimitColor(stats.toolCount, limits.toolExecutions, limits.warningThreshold);
 
   const hasWarnings = warnings && warnings.length > 0;
 
@@ -119,6 +141,47 @@ const ConversationHeader = ({
               📋 Templates
             </button>
           )}
+          {onUpdateToolSettings && (
+            <div className="tools-menu-container">
+              <button
+                onClick={() => setShowToolsMenu(!showToolsMenu)}
+                className="button-secondary"
+                title="Choose the tools this conversation can use"
+                style={{ marginRight: '8px' }}
+              >
+                🔧 Tools ({enabledTools.length}/{tools.length})
+              </button>
+              {showToolsMenu && (
+                <div className="tools-menu">
+                  <label className="tools-menu-choice">
+                    <span>Tool choice</span>
+                    <select
+                      value={toolChoiceValue}
+                      onChange={(e) => handleToolChoiceChange(e.target.value)}
+                    >
+                      <option value="auto">Auto</option>
+                      <option value="none">None</option>
+                      {enabledTools.map(name => (
+                        <option key={name} value={`tool:${name}`}>Force {name}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <div className="tools-menu-list">
+                    {tools.map(tool => (
+                      <label key={tool.name} className="tools-menu-item" title={tool.description}>
+                        <input
+                          type="checkbox"
+                          checked={enabledTools.includes(tool.name)}
+                          onChange={() => handleToggleTool(tool.name)}
+                        />
+                        <span>{tool.name}</span>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
           <div className="export-menu-container">
             <button
               onClick={() => setShowExportMenu(!showExportMenu)}
@@ -152,10 +215,19 @@ const ConversationHeader = ({
       )}
 
       <div className="conversation-header-stats">
-        <div className="stat-item">
+        <div
+          className="stat-item"
+          title={
+            `Context: ${stats.tokenCount.toLocaleString()} tokens\n` +
+            `Input: ${(stats.inputTokens || 0).toLocaleString()}\n` +
+            `Output: ${(stats.outputTokens || 0).toLocaleString()}\n` +
+            `Cache read: ${(stats.cacheReadTokens || 0).toLocaleString()}\n` +
+            `Cache write: ${(stats.cacheWriteTokens || 0).toLocaleString()}`
+          }
+        >
           <div className="stat-label">Tokens</div>
           <div className="stat-value">
-            {stats.tokenCount.toLocaleString()} / 20,480
+            {stats.tokenCount.toLocaleString()} / {formatLimit(limits.tokens)}
           </div>
           <div className="stat-progress-bar">
             <div
@@ -171,7 +243,7 @@ const ConversationHeader = ({
         <div className="stat-item">
           <div className="stat-label">Messages</div>
           <div className="stat-value">
-            {stats.messageCount} / 150
+            {stats.messageCount} / {formatLimit(limits.messages)}
           </div>
           <div className="stat-progress-bar">
             <div
@@ -187,7 +259,7 @@ const ConversationHeader = ({
         <div className="stat-item">
           <div className="stat-label">Tools</div>
           <div className="stat-value">
-            {stats.toolCount} / 100
+            {stats.toolCount} / {formatLimit(limits.toolExecutions)}
           </div>
           <div className="stat-progress-bar">
             <div
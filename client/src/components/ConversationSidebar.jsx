@@ -1,12 +1,57 @@
-import React from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import { DEFAULT_LIMITS, getLimitColor, formatLimit } from '../lib/limits';
 
 const ConversationSidebar = ({
   conversations,
+  hasMoreConversations,
+  onLoadMoreConversations,
   currentConversationId,
   onSelectConversation,
   onCreateConversation,
-  onDeleteConversation
+  onDeleteConversation,
+  onSearch,
+  onOpenSearchResult,
+  onImport
 }) => {
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState(null); // null = not searching
+  const onSearchRef = useRef(onSearch); // Latest handler, without searching again on every render
+  onSearchRef.current = onSearch;
+  const importInputRef = useRef(null);
+  const [importReport, setImportReport] = useState(null); // Result of the last import
+
+  // Search as the user types (after a short pause)
+  useEffect(() => {
+    if (!searchQuery.trim()) {
+      setSearchResults(null);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const results = await onSearchRef.current(searchQuery);
+        if (!cancelled) setSearchResults(results);
+      } catch (error) {
+        console.error('Search failed:', error);
+        if (!cancelled) setSearchResults([]);
+      }
+    }, 250);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [searchQuery]);
+
+  // Load the next page of conversations when scrolled near the end of the list
+  const handleScroll = (e) => {
+    const list = e.currentTarget;
+    if (!searchResults && hasMoreConversations && list.scrollHeight - list.scrollTop - list.clientHeight < 100) {
+      onLoadMoreConversations();
+    }
+  };
+
   const formatDate = (dateString) => {
     const date = new Date(dateString);
     const now = new Date();
@@ -29,11 +74,86 @@ const ConversationSidebar = ({
     return count.toString();
   };
 
-  const getWarningColor = (current, limit) => {
-    const percentage = (current / limit) * 100;
-    if (percentage >= 100) return '#ef4444'; // red
-    if (percentage >= 80) return '#f59e0b'; // orange
-    return '#10b981'; // green
+
+  // Snippet with its matches in <mark>
+  const renderSnippet = ({ snippet, highlights }) => {
+    const parts = [];
+    let position = 0;
+    highlights.forEach(([start, end], i) => {
+      parts.push(snippet.slice(position, start));
+      parts.push(<mark key={i}>{snippet.slice(start, end)}</mark>);
+      position = end;
+    });
+    parts.push(snippet.slice(position));
+    return parts;
+  };
+
+  const SEARCH_RESULT_LABELS = { message: '💬', title: '📁', tool: '🔧' };
+
+  const renderSearchResults = () => {
+    if (searchResults.length === 0) {
+      return (
+        <div className="conversation-list-empty">
+          <p>No matches.</p>
+        </div>
+      );
+    }
+
+    return searchResults.map((result, i) => (
+      <div
+        key={`${result.type}_${result.toolExecutionId || result.messageId || result.conversationId}_${i}`}
+        className={`conversation-item search-result ${result.conversationId === currentConversationId ? 'active' : ''}`}
+        onClick={() => onOpenSearchResult(result)}
+      >
+        <div className="conversation-item-title">{result.conversationTitle || 'Untitled Conversation'}</div>
+        <div className="search-result-snippet">
+          <span title={result.type}>{SEARCH_RESULT_LABELS[result.type]}</span> {renderSnippet(result)}
+        </div>
+        {result.timestamp && (
+          <div className="conversation-item-meta">{formatDate(`${result.timestamp.replace(' ', 'T')}Z`)}</div>
+        )}
+      </div>
+    ));
+  };
+
+  // Import the conversations in a JSON file (our export, ChatGPT or Anthropic)
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // So the same file can be picked again
+    if (!file) return;
+
+    try {
+      setImportReport(await onImport(file));
+    } catch (error) {
+      console.error('Import failed:', error);
+      setImportReport({ error: error.message, imported: 0, conversations: [] });
+    }
+  };
+
+  const renderImportReport = () => (
+    <div className="import-report">
+      <div className="import-report-header">
+        <span>
+          {importReport.conversations.length > 0
+            ? `Imported ${importReport.imported} of ${importReport.conversations.length}`
+            : importReport.error}
+        </span>
+        <button onClick={() => setImportReport(null)} title="Dismiss">×</button>
+      </div>
+      {importReport.conversations.map((entry, i) => (
+        <div key={`${entry.sourceId}_${i}`} className={`import-report-item ${entry.conversationId ? '' : 'skipped'}`}>
+          {entry.conversationId ? '✓' : '✗'} {entry.title || 'Untitled Conversation'}
+          {[...entry.errors, ...entry.warnings].map(note => (
+            <div key={note} className="import-report-note">{note}</div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+
+  const handleSelectSource = (e, conversationId) => {
+    e.stopPropagation();
+    onSelectConversation(conversationId);
   };
 
   const handleDelete = (e, conversationId) => {
@@ -53,10 +173,31 @@ const ConversationSidebar = ({
         >
           + New Conversation
         </button>
+        <input
+          type="search"
+          className="conversation-search"
+          placeholder="Search all conversations…"
+          value={searchQuery}
+          onChange={(e) => setSearchQuery(e.target.value)}
+          onKeyDown={(e) => e.key === 'Escape' && setSearchQuery('')}
+        />
+        <button className="conversation-import" onClick={() => importInputRef.current.click()}>
+          Import conversations…
+        </button>
+        <input
+          type="file"
+          accept=".json,application/json"
+          ref={importInputRef}
+          style={{ display: 'none' }}
+          onChange={handleImportFile}
+        />
+        {importReport && renderImportReport()}
       </div>
 
-      <div className="conversation-list">
-        {!conversations || conversations.length === 0 ? (
+      <div className="conversation-list" onScroll={handleScroll}>
+        {searchResults ? (
+          renderSearchResults()
+        ) : !conversations || conversations.length === 0 ? (
           <div className="conversation-list-empty">
             <p>No conversations yet.</p>
             <p style={{ fontSize: '12px', color: '#888' }}>
@@ -66,9 +207,11 @@ const ConversationSidebar = ({
         ) : (
           conversations.map(conv => {
             const isActive = conv.id === currentConversationId;
-            const tokenWarning = getWarningColor(conv.token_count, 20480);
-            const messageWarning = getWarningColor(conv.message_count, 150);
-            const toolWarning = getWarningColor(conv.tool_execution_count, 100);
+            const limits = conv.limits || DEFAULT_LIMITS;
+            const tokenWarning = getLimitColor(conv.token_count, limits.tokens, limits.warningThreshold);
+            const messageWarning = getLimitColor(conv.message_count, limits.messages, limits.warningThreshold);
+            const toolWarning = getLimitColor(conv.tool_execution_count, limits.toolExecutions, limits.warningThreshold);
+            const forkedFrom = conv.metadata?.forkedFrom;
 
             return (
               <div
@@ -95,24 +238,33 @@ const ConversationSidebar = ({
                   </span>
                 </div>
 
+                {forkedFrom && (
+                  <div className="conversation-item-fork" title={`Forked ${new Date(forkedFrom.forkedAt).toLocaleString()}`}>
+                    ⑂ from{' '}
+                    <button onClick={(e) => handleSelectSource(e, forkedFrom.conversationId)}>
+                      {forkedFrom.title}
+                    </button>
+                  </div>
+                )}
+
                 <div className="conversation-item-stats">
                   <span
                     className="conversation-item-stat"
-                    title={`${conv.token_count} / 20,480 tokens`}
+                    title={`${conv.token_count} / ${formatLimit(limits.tokens)} tokens`}
                     style={{ color: tokenWarning }}
                   >
                     💬 {formatTokenCount(conv.token_count)}
                   </span>
                   <span
                     className="conversation-item-stat"
-                    title={`${conv.message_count} / 150 messages`}
+                    title={`${conv.message_count} / ${formatLimit(limits.messages)} messages`}
                     style={{ color: messageWarning }}
                   >
                     📝 {conv.message_count}
                   </span>
                   <span
                     className="conversation-item-stat"
-                    title={`${conv.tool_execution_count} / 100 tool executions`}
+                    title={`${conv.tool_execution_count} / ${formatLimit(limits.toolExecutions)} tool executions`}
                     style={{ color: toolWarning }}
                   >
                     🔧 {conv.tool_execution_count}
@@ -128,6 +280,12 @@ const ConversationSidebar = ({
             );
           })
         )}
+
+        {!searchResults && hasMoreConversations && (
+          <button className="conversation-list-more" onClick={onLoadMoreConversations}>
+            Load more conversations
+          </button>
+        )}
       </div>
     </div>
   );
@@ -1,9 +1,24 @@
-import React, { useEffect, useRef, useMemo } from 'react';
+import React, { useLayoutEffect, useRef, useMemo, useState } from 'react';
 import { marked } from 'marked';
 import ToolExecutionSection from './ToolExecutionSection';
 
-const MessageList = ({ messages, isGenerating }) => {
+const MessageList = ({
+  messages,
+  isGenerating,
+  highlightMessageId,
+  hasOlder,
+  loadingOlder,
+  onLoadOlder,
+  onToolApproval,
+  onEditMessage,
+  onRegenerate,
+  onSwitchBranch,
+  onFork
+}) => {
   const messagesEndRef = useRef(null);
+  const listRef = useRef(null);
+  const olderScrollRef = useRef(null); // Scroll position when older messages were requested
+  const [editing, setEditing] = useState(null); // { id, text } of the user message being edited
 
   // Configure marked options
   useMemo(() => {
@@ -15,10 +30,36 @@ const MessageList = ({ messages, isGenerating }) => {
     });
   }, []);
 
-  // Auto-scroll to bottom when new messages arrive
-  useEffect(() => {
+  // Auto-scroll to bottom when new messages arrive, or to the search hit being shown
+  useLayoutEffect(() => {
+    const older = olderScrollRef.current;
+    const list = listRef.current;
+    if (older && list && messages[0]?.id !== older.firstId) {
+      // Older messages were added above: keep the ones on screen where they were
+      list.scrollTop = list.scrollHeight - older.scrollHeight + older.scrollTop;
+      olderScrollRef.current = null;
+      return;
+    }
+    if (highlightMessageId) {
+      const element = listRef.current?.querySelector(`[data-message-id="${CSS.escape(highlightMessageId)}"]`);
+      element?.scrollIntoView({ block: 'center' });
+      return;
+    }
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-  }, [messages]);
+  }, [messages, highlightMessageId]);
+
+  const loadOlder = () => {
+    const list = listRef.current;
+    if (!hasOlder || loadingOlder || !list) return;
+
+    olderScrollRef.current = { scrollHeight: list.scrollHeight, scrollTop: list.scrollTop, firstId: messages[0]?.id };
+    onLoadOlder();
+  };
+
+  // Load older messages when scrolled near the top
+  const handleScroll = () => {
+    if (listRef.current?.scrollTop < 100) loadOlder();
+  };
 
   const formatTime = (timestamp) => {
     const date = new Date(timestamp);
@@ -38,16 +79,102 @@ const MessageList = ({ messages, isGenerating }) => {
     }
   };
 
+  // Saved id of a message (streamed ones get theirs once the turn is saved)
+  const savedId = (message) => message.dbId || message.id;
+
+  const saveEdit = () => {
+    if (!editing.text.trim()) return;
+    onEditMessage(editing.id, editing.text);
+    setEditing(null);
+  };
+
+  // ‹ 2/3 › between the alternatives of a message (edits of a user message, regenerated replies)
+  const renderBranchNav = (message) => {
+    const { index, count, siblingIds } = message.branch;
+    if (count < 2) return null;
+
+    return (
+      <span className="branch-nav">
+        <button
+          onClick={() => onSwitchBranch(siblingIds[index - 2])}
+          disabled={isGenerating || index === 1}
+          title="Previous version"
+        >
+          ‹
+        </button>
+        <span>{index}/{count}</span>
+        <button
+          onClick={() => onSwitchBranch(siblingIds[index])}
+          disabled={isGenerating || index === count}
+          title="Next version"
+        >
+          ›
+        </button>
+      </span>
+    );
+  };
+
+  const renderForkButton = (message) => (
+    <button
+      onClick={() => onFork(savedId(message))}
+      disabled={isGenerating}
+      title="Fork into a new conversation up to here"
+    >
+      ⑂
+    </button>
+  );
+
+  // Attributes of a message's row: its saved id (to find search hits) and the highlight
+  const rowProps = (message, className) => ({
+    'data-message-id': savedId(message),
+    className: `${className}${highlightMessageId && savedId(message) === highlightMessageId ? ' message-highlight' : ''}`
+  });
+
   const renderMessage = (message) => {
     switch (message.role) {
       case 'user':
+        if (editing && editing.id === savedId(message)) {
+          return (
+            <div key={message.id} {...rowProps(message, 'message message-user')}>
+              <div className="message-content message-editing">
+                <textarea
+                  value={editing.text}
+                  onChange={(e) => setEditing({ ...editing, text: e.target.value })}
+                  rows={3}
+                  autoFocus
+                />
+                <div className="message-actions">
+                  <button onClick={() => setEditing(null)}>Cancel</button>
+                  <button onClick={saveEdit} disabled={!editing.text.trim()} className="button-primary">
+                    Save & submit
+                  </button>
+                </div>
+              </div>
+              <div className="message-avatar">👤</div>
+            </div>
+          );
+        }
+
         return (
-          <div key={message.id} className="message message-user">
+          <div key={message.id} {...rowProps(message, 'message message-user')}>
             <div className="message-content">
               <div className="message-text">
                 {renderMarkdown(message.content)}
               </div>
               <div className="message-time">{formatTime(message.timestamp)}</div>
+              {message.branch && !message.is_summary && (
+                <div className="message-actions">
+                  {renderBranchNav(message)}
+                  <button
+                    onClick={() => setEditing({ id: savedId(message), text: message.content })}
+                    disabled={isGenerating}
+                    title="Edit (starts a new branch)"
+                  >
+                    ✏️
+                  </button>
+                  {renderForkButton(message)}
+                </div>
+              )}
             </div>
             <div className="message-avatar">👤</div>
           </div>
@@ -55,7 +182,7 @@ const MessageList = ({ messages, isGenerating }) => {
 
       case 'assistant':
         return (
-          <div key={message.id} className="message message-assistant">
+          <div key={message.id} {...rowProps(message, 'message message-assistant')}>
             <div className="message-avatar">🤖</div>
             <div className="message-content">
               <div className="message-text">
@@ -63,6 +190,19 @@ const MessageList = ({ messages, isGenerating }) => {
                 {!message.done && <span className="message-cursor">▊</span>}
               </div>
               <div className="message-time">{formatTime(message.timestamp)}</div>
+              {message.branch && !message.is_summary && (
+                <div className="message-actions">
+                  {renderBranchNav(message)}
+                  <button
+                    onClick={() => onRegenerate(savedId(message))}
+                    disabled={isGenerating}
+                    title="Regenerate (keeps this reply as another version)"
+                  >
+                    🔄
+                  </button>
+                  {renderForkButton(message)}
+                </div>
+              )}
             </div>
           </div>
         );
@@ -78,6 +218,8 @@ const MessageList = ({ messages, isGenerating }) => {
                 toolOutput={message.toolOutput}
                 collapsed={message.collapsed}
                 timestamp={message.timestamp}
+                approval={message.approval}
+                onApproval={onToolApproval}
               />
             </div>
           </div>
@@ -85,7 +227,7 @@ const MessageList = ({ messages, isGenerating }) => {
 
       case 'system':
         return (
-          <div key={message.id} className={`message message-system ${message.error ? 'error' : ''} ${message.hint ? 'hint' : ''}`}>
+          <div key={message.id} {...rowProps(message, `message message-system ${message.error ? 'error' : ''} ${message.hint ? 'hint' : ''}`)}>
             <div className="message-content">
               <div className="message-text">{message.content}</div>
               <div className="message-time">{formatTime(message.timestamp)}</div>
@@ -99,8 +241,18 @@ const MessageList = ({ messages, isGenerating }) => {
   };
 
   return (
-    <div className="message-list">
+    <div className="message-list" ref={listRef} onScroll={handleScroll}>
       <div className="message-list-inner">
+        {hasOlder && (
+          <div className="message-list-older">
+            {loadingOlder ? (
+              'Loading older messages…'
+            ) : (
+              <button onClick={loadOlder}>Load older messages</button>
+            )}
+          </div>
+        )}
+
         {messages.length === 0 ? (
           <div className="message-list-empty">
             <p>No messages yet.</p>
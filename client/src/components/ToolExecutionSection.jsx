@@ -1,13 +1,27 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 
 const ToolExecutionSection = ({
   toolName,
   toolInput,
   toolOutput,
   collapsed = true,
-  timestamp
+  timestamp,
+  approval = null,
+  onApproval
 }) => {
   const [isExpanded, setIsExpanded] = useState(!collapsed);
+  const [isEditing, setIsEditing] = useState(false);
+  const [editedInput, setEditedInput] = useState('');
+  const [editError, setEditError] = useState(null);
+
+  const isAwaitingApproval = approval?.status === 'pending';
+
+  // Open the section so the user sees what they are approving
+  useEffect(() => {
+    if (isAwaitingApproval) {
+      setIsExpanded(true);
+    }
+  }, [isAwaitingApproval]);
 
   const formatJson = (obj) => {
     if (!obj) return 'null';
@@ -39,8 +53,30 @@ const ToolExecutionSection = ({
       .join(' ');
   };
 
+  const startEditing = () => {
+    setEditedInput(formatJson(toolInput || {}));
+    setEditError(null);
+    setIsEditing(true);
+  };
+
+  const submitEdit = () => {
+    let input;
+    try {
+      input = JSON.parse(editedInput);
+    } catch (e) {
+      setEditError(`Invalid JSON: ${e.message}`);
+      return;
+    }
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      setEditError('Input must be a JSON object');
+      return;
+    }
+    setIsEditing(false);
+    onApproval?.(approval.approvalId, 'edit', input);
+  };
+
   const hasOutput = toolOutput !== null && toolOutput !== undefined;
-  const isExecuting = !hasOutput;
+  const isExecuting = !hasOutput && !isAwaitingApproval;
   const hasError = hasOutput && toolOutput && (toolOutput.error || (typeof toolOutput === 'object' && 'error' in toolOutput));
 
   return (
@@ -52,6 +88,11 @@ const ToolExecutionSection = ({
         <div className="tool-execution-header-left">
           <span className="tool-execution-icon">{getToolIcon(toolName)}</span>
           <span className="tool-execution-name">{getToolDisplayName(toolName)}</span>
+          {isAwaitingApproval && (
+            <span className="tool-execution-status awaiting-approval">
+              ⏸ Awaiting approval
+            </span>
+          )}
           {isExecuting && (
             <span className="tool-execution-status executing">
               <span className="spinner"></span> Executing...
@@ -64,7 +105,7 @@ const ToolExecutionSection = ({
           )}
           {hasError && (
             <span className="tool-execution-status error">
-              ✗ Error
+              {approval?.status === 'denied' ? '✗ Denied' : '✗ Error'}
             </span>
           )}
         </div>
@@ -77,7 +118,23 @@ const ToolExecutionSection = ({
 
       {isExpanded && (
         <div className="tool-execution-body">
-          {toolInput && Object.keys(toolInput).length > 0 && (
+          {isAwaitingApproval && isEditing && (
+            <div className="tool-execution-section">
+              <div className="tool-execution-section-title">Edit input:</div>
+              <textarea
+                className="tool-approval-editor"
+                value={editedInput}
+                onChange={(e) => setEditedInput(e.target.value)}
+                rows={Math.min(12, editedInput.split('\n').length + 1)}
+                spellCheck={false}
+              />
+              {editError && (
+                <div className="tool-approval-edit-error">{editError}</div>
+              )}
+            </div>
+          )}
+
+          {!isEditing && toolInput && Object.keys(toolInput).length > 0 && (
             <div className="tool-execution-section">
               <div className="tool-execution-section-title">Input:</div>
               <pre className="tool-execution-code">
@@ -97,7 +154,40 @@ const ToolExecutionSection = ({
             </div>
           )}
 
-          {!hasOutput && (
+          {isAwaitingApproval && (
+            <div className="tool-approval-actions">
+              {isEditing ? (
+                <>
+                  <button className="tool-approval-button approve" onClick={submitEdit}>
+                    Run with edits
+                  </button>
+                  <button className="tool-approval-button" onClick={() => setIsEditing(false)}>
+                    Cancel edit
+                  </button>
+                </>
+              ) : (
+                <>
+                  <button
+                    className="tool-approval-button approve"
+                    onClick={() => onApproval?.(approval.approvalId, 'approve')}
+                  >
+                    Approve
+                  </button>
+                  <button className="tool-approval-button" onClick={startEditing}>
+                    Edit
+                  </button>
+                  <button
+                    className="tool-approval-button deny"
+                    onClick={() => onApproval?.(approval.approvalId, 'deny')}
+                  >
+                    Deny
+                  </button>
+                </>
+              )}
+            </div>
+          )}
+
+          {isExecuting && (
             <div className="tool-execution-section">
               <div className="tool-execution-loading">
                 <div className="typing-indicator">
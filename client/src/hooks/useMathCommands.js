@@ -5,6 +5,15 @@
  * Each command receives parameters and returns a result.
  */
 
+/**
+ * Commands implemented by executeCommand
+ * Sent to the server in the `register_executor` handshake.
+ */
+export const SUPPORTED_COMMANDS = [
+  'add', 'subtract', 'multiply', 'divide', 'power', 'sqrt', 'modulo',
+  'absolute', 'round', 'floor', 'ceil', 'min', 'max', 'sum', 'average'
+];
+
 export function useMathCommands() {
   /**
    * Execute a math command
@@ -118,6 +127,7 @@ export function useMathCommands() {
   };
 
   return {
-    executeCommand
+    executeCommand,
+    supportedCommands: SUPPORTED_COMMANDS
   };
 }
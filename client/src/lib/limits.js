@@ -0,0 +1,26 @@
+// Conversation limits as sent by the server (conversation.limits / llm_token_count.limits).
+// The defaults only apply until the server's values arrive; a limit of 0 is turned off.
+export const DEFAULT_LIMITS = {
+  tokens: 20480,
+  messages: 150,
+  toolExecutions: 100,
+  ageHours: 24,
+  warningThreshold: 0.8
+};
+
+export function getLimitColor(current, limit, warningThreshold = DEFAULT_LIMITS.warningThreshold) {
+  if (!limit) return '#10b981'; // green
+  const percentage = (current / limit) * 100;
+  if (percentage >= 100) return '#ef4444'; // red
+  if (percentage >= warningThreshold * 100) return '#f59e0b'; // orange
+  return '#10b981'; // green
+}
+
+export function getLimitPercentage(current, limit) {
+  if (!limit) return 0;
+  return Math.min(100, (current / limit) * 100);
+}
+
+export function formatLimit(limit) {
+  return limit ? limit.toLocaleString() : '∞';
+}
@@ -10,7 +10,7 @@ const MainChatPage = () => {
   // Enable WebSocket support - you can configure the URL here
   const webSocketUrl = import.meta.env.VITE_WEBSOCKET_URL || 'ws://localhost:10052';
 
-  const { executeCommand } = useMathCommands();
+  const { executeCommand, supportedCommands } = useMathCommands();
 
   const {
     isConnected: webSocketConnected,
@@ -20,9 +20,24 @@ const MainChatPage = () => {
     disconnect: disconnectWebSocket,
     onRecvMessageRef,
   } = useWebSocket(webSocketUrl, async (message) => {
+    // Declare which commands this client can execute
+    if (message.type === 'welcome') {
+      sendWebSocketMessage({
+        type: 'register_executor',
+        commands: supportedCommands
+      });
+    }
+
+    // The server gave up waiting (llm_stop, disconnect or timeout): don't answer
+    if (message.type === 'command_cancel') {
+      pendingCommandsRef.current.delete(message.correlationId);
+    }
+
     // Handle math commands
     if (message.type === 'command' && message.command) {
+      pendingCommandsRef.current.add(message.correlationId);
       const result = await executeCommand(message.command, message.params);
+      if (!pendingCommandsRef.current.delete(message.correlationId)) return;
       const resp = {
         type: 'response',
         correlationId: message.correlationId,
@@ -33,7 +48,9 @@ const MainChatPage = () => {
       onRecvMessageDebugRef.current && onRecvMessageDebugRef.current("Command result", JSON.stringify(resp, null, 2), 'out');
       sendWebSocketMessage(resp);
     } else if (message.type === 'query' && message.command) {
+      pendingCommandsRef.current.add(message.correlationId);
       const result = await executeCommand(message.command, message.params);
+      if (!pendingCommandsRef.current.delete(message.correlationId)) return;
       const resp = {
         type: 'response',
         correlationId: message.correlationId,
@@ -55,6 +72,9 @@ const MainChatPage = () => {
 
   const onRecvMessageDebugRef = useRef(null);
 
+  // Correlation IDs of commands being executed (a cancel removes its ID, so we don't answer)
+  const pendingCommandsRef = useRef(new Set());
+
 
   useEffect(() => {
     // Automatically connect to WebSocket on mount
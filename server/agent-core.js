@@ -0,0 +1,1488 @@
+/**
+ * Agent Core - provider-independent chat orchestration
+ *
+ * Features:
+ * - Per-client stream tracking
+ * - Stop generation on user request or client disconnect
+ * - Multi-factor limit tracking (Option B)
+ * - Conversation persistence to SQLite
+ * - Token counting and cost estimation
+ * - Tool execution loop (independent calls from one turn run concurrently)
+ * - Provider and model chosen per conversation (metadata.provider / metadata.model)
+ *
+ * Provider adapters (see providers/index.js) only translate between the core's
+ * neutral message/stream format and each SDK.
+ */
+
+const { getToolDefinitions, getToolDefinition } = require('./tools');
+const { toNeutralTools, validateToolInput } = require('./tool-schema');
+const providers = require('./providers');
+const mcpClient = require('./mcp-client');
+const executorRegistry = require('./executor-registry');
+const toolPolicy = require('./tool-policy');
+const toolApproval = require('./tool-approval');
+const toolAccess = require('./tool-access');
+const pricing = require('./pricing');
+const conversationLimits = require('./conversation-limits');
+const compaction = require('./context-compaction');
+const contextBuilder = require('./context-builder');
+const conversationBranches = require('./conversation-branches');
+const conversationImport = require('./conversation-import');
+const WebSocket = require('ws');
+const db = require('./database/db');
+
+// Load environment variables
+require('dotenv').config();
+
+// Provider used when a conversation doesn't choose one
+const DEFAULT_PROVIDER = process.env.AGENT_TYPE || 'claude';
+
+// Maximum number of parallel-safe tool calls from one turn running at once
+const TOOL_CONCURRENCY = Math.max(1, parseInt(process.env.TOOL_CONCURRENCY) || 4);
+
+// WebSocket server and clients
+let wss;
+let clients = new Set();
+
+// Map to store pending tool requests: correlationId -> { resolve, reject, timeout, executor }
+const pendingRequests = new Map();
+
+// Track active streams per WebSocket connection
+// Map: WebSocket -> { abortController, conversationId, messageId, startTime }
+const activeStreams = new Map();
+
+const SYSTEM_PROMPT = `You are AnyMCP Assistant, an advanced AI assistant with access to mathematical tools. You can perform calculations and provide accurate responses to user queries. Always ensure your responses are relevant to the user's questions and utilize the available tools effectively.
+
+When responding, follow these guidelines:
+- Use the provided math tools to perform calculations as needed.
+- Always provide clear and concise answers.
+- If you encounter an error while using a tool, handle it gracefully and inform the user.
+- Available tools include: add, subtract, multiply, divide, power, sqrt, modulo, absolute, round, floor, ceil, min, max, sum, and average.
+- When asked to perform calculations, use the appropriate tools to ensure accuracy.`;
+
+/**
+ * Initialize the database and every registered provider
+ * Providers that are not configured are skipped with a warning.
+ * @returns {Promise<Array>} - Names of initialized providers
+ */
+async function initializeClient() {
+  await db.initializeDatabase();
+
+  const initialized = [];
+  for (const { name } of providers.listProviders()) {
+    const provider = providers.getProvider(name);
+    try {
+      await provider.initialize();
+      initialized.push(name);
+    } catch (error) {
+      console.warn(`Warning: ${provider.displayName} provider could not be initialized:`, error.message);
+      console.warn(provider.setupHint);
+    }
+  }
+
+  return initialized;
+}
+
+/**
+ * Set WebSocket server instance from main server
+ */
+function setWebSocketServer(webSocketServer, clientSet) {
+  wss = webSocketServer;
+  clients = clientSet;
+  console.log('Agent connected to WebSocket server');
+}
+
+/**
+ * Resolve provider and model for a conversation
+ * @returns {{ provider: Object, model: string }}
+ */
+function resolveProvider(conversation) {
+  const metadata = (conversation && conversation.metadata) || {};
+  const provider = providers.getProvider(metadata.provider || DEFAULT_PROVIDER);
+  const model = metadata.model || provider.defaultModel;
+  return { provider, model };
+}
+
+/**
+ * Make sure a provider's SDK client exists
+ */
+async function ensureProviderInitialized(provider) {
+  if (!provider.isInitialized()) {
+    await provider.initialize();
+  }
+}
+
+/**
+ * Generate unique correlation ID for tool execution
+ */
+function generateCorrelationId() {
+  return `agent_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Handle responses from WebSocket clients (for tool execution)
+ * @param {Object} data - Response message
+ * @param {WebSocket} ws - Socket the response came from (must be the chosen executor)
+ */
+function handleWebSocketResponse(data, ws = null) {
+  if (data.type === 'response' && data.correlationId) {
+    const pending = pendingRequests.get(data.correlationId);
+    if (pending && (!ws || !pending.executor || pending.executor === ws)) {
+      pending.resolve(data);
+    }
+  }
+}
+
+/**
+ * Send to a single capable executor and wait for response (for tool execution)
+ * On timeout or cancellation the executor is sent `command_cancel` so it can
+ * abort long-running work.
+ * @param {Object} message - command/query message
+ * @param {WebSocket} preferredWs - Socket that owns the conversation (preferred executor)
+ * @param {Object} options - { timeoutMs, signal }
+ */
+async function dispatchAndWaitForResponse(message, preferredWs = null, { timeoutMs = toolPolicy.DEFAULT_TIMEOUT_MS, signal = null } = {}) {
+  const correlationId = generateCorrelationId();
+  const messageWithId = { ...message, correlationId };
+
+  return new Promise((resolve, reject) => {
+    const pending = { resolve: null, reject: null, timeout: null, executor: null };
+
+    const cleanup = () => {
+      clearTimeout(pending.timeout);
+      pendingRequests.delete(correlationId);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    };
+
+    const cancel = (error, reason) => {
+      cleanup();
+      sendCommandCancel(pending.executor, message, correlationId, reason);
+      reject(error);
+    };
+
+    const onAbort = () => cancel(toolPolicy.createCancelledError(message.command), 'cancelled');
+
+    pending.resolve = (data) => { cleanup(); resolve(data); };
+    pending.reject = (error) => { cleanup(); reject(error); };
+    pending.timeout = setTimeout(() => cancel(
+      toolPolicy.createToolError(`Timeout waiting for response to ${message.command} after ${timeoutMs}ms`, 'TOOL_TIMEOUT'),
+      'timeout'
+    ), timeoutMs);
+
+    if (signal && signal.aborted) {
+      clearTimeout(pending.timeout);
+      reject(toolPolicy.createCancelledError(message.command));
+      return;
+    }
+
+    pendingRequests.set(correlationId, pending);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      pending.executor = executorRegistry.sendToExecutor(messageWithId, preferredWs);
+    } catch (error) {
+      cleanup();
+      error.code = 'NO_EXECUTOR';
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Tell an executor to abandon a command it is still working on
+ */
+function sendCommandCancel(executor, message, correlationId, reason) {
+  if (executor && executor.readyState === WebSocket.OPEN) {
+    executor.send(JSON.stringify({
+      type: 'command_cancel',
+      correlationId,
+      command: message.command,
+      reason,
+      timestamp: new Date().toISOString()
+    }));
+  }
+}
+
+/**
+ * Fail pending commands sent to an executor that went away
+ */
+function failPendingForExecutor(ws) {
+  for (const pending of pendingRequests.values()) {
+    if (pending.executor === ws) {
+      pending.reject(toolPolicy.createToolError('Executor disconnected before responding', 'EXECUTOR_DISCONNECTED'));
+    }
+  }
+}
+
+/**
+ * Run one attempt of a tool call
+ * @param {Object} context - { conversationId, messageId, toolUseId, ws, source, signal, timeoutMs }
+ */
+async function invokeTool(toolDef, toolInput, context) {
+  const { conversationId, messageId, toolUseId, ws, source, signal, timeoutMs } = context;
+  const toolName = toolDef.name;
+
+  // Check if tool has a server-side executable function
+  if (typeof toolDef.function === 'function') {
+    // Execute server-side function with context
+    const result = await toolPolicy.withTimeout(toolDef.function({
+      toolName,
+      toolInput,
+      conversationId,
+      messageId,
+      toolCallId: toolUseId,
+      agent: module.exports, // Pass the agent module itself
+      db,
+      ws: ws || null,
+      signal
+    }), { timeoutMs, signal, toolName });
+
+    if (result.success === false) {
+      throw toolPolicy.createToolError(result.error || 'Tool execution failed', 'TOOL_FAILED');
+    }
+    return result;
+  }
+
+  if (toolDef.mcpServer) {
+    // Forward to the external MCP server that owns this tool
+    // (the SDK's own timeout is a backstop; ours reports TOOL_TIMEOUT first)
+    return toolPolicy.withTimeout(
+      mcpClient.callTool(toolDef.mcpServer, toolDef.mcpToolName, toolInput, { signal, timeoutMs: timeoutMs + 1000 }),
+      { timeoutMs, signal, toolName }
+    );
+  }
+
+  // Handle WebSocket-based tools (client-side execution)
+  const message = {
+    type: toolDef.messageType,
+    command: toolDef.command,
+    params: toolInput,
+    timestamp: new Date().toISOString(),
+    source: source || 'agent'
+  };
+
+  const response = await dispatchAndWaitForResponse(message, ws, { timeoutMs, signal });
+
+  if (response.success === false) {
+    throw toolPolicy.createToolError(response.error || 'Tool execution failed', 'TOOL_FAILED');
+  }
+
+  return response.result || "Success";
+}
+
+/**
+ * Execute a tool call
+ * Validates the input, asks for approval if the tool requires it (see tool-approval.js),
+ * then runs it under the tool's timeout/retry policy (see tool-policy.js).
+ * @param {Object} options - Extra options
+ * @param {string} options.source - Who requested the call (provider name, or 'mcp' for MCP clients)
+ * @param {WebSocket} options.ws - Socket that owns the conversation (preferred executor)
+ * @param {AbortSignal} options.signal - Cancels the call (llm_stop / disconnect)
+ * @param {string} options.messageId - Streaming message ID shown to the client (for approval requests)
+ * @param {Array|null} options.enabledTools - The conversation's enabled tools (null = all, see tool-access.js)
+ */
+async function executeTool(toolName, toolInput, conversationId, messageId, toolUseId = null, options = {}) {
+  const startTime = Date.now();
+  const toolDef = getToolDefinition(toolName);
+  const { signal = null } = options;
+
+  let result;
+  let success = true;
+  let error = null;
+  let status = 'success';
+  let issues = null;
+  let attempts = 0;
+
+  if (!toolDef) {
+    // Not registered (or removed by a plugin reload mid-turn): still recorded so the call gets a result
+    success = false;
+    status = 'error';
+    error = `Unknown tool: ${toolName}`;
+    result = { error };
+  } else if (!toolAccess.isToolEnabled(options.enabledTools, toolName)) {
+    // Disabled tools aren't offered, but the model may still name one
+    success = false;
+    status = 'disabled';
+    error = `${toolName} is disabled in this conversation`;
+    result = { error };
+  } else {
+    // Validate and coerce the input before it reaches any executor
+    const validation = validateToolInput(toolDef, toolInput);
+
+    if (!validation.success) {
+      success = false;
+      status = 'validation_error';
+      issues = validation.issues;
+      error = validation.message;
+      result = { error, issues };
+    } else {
+      toolInput = validation.data;
+
+      // Tools with side effects may need the user's approval first
+      const needsApproval = toolApproval.requiresApproval(toolDef, toolInput);
+
+      if (needsApproval && !options.ws) {
+        // No client to ask (e.g. an MCP call): nobody can approve it
+        success = false;
+        status = 'denied';
+        error = `${toolName} needs the user's approval, and there is no client to ask`;
+        result = { error };
+      } else if (needsApproval) {
+        try {
+          const approval = await toolApproval.requestApproval(options.ws, {
+            conversationId,
+            messageId: options.messageId,
+            toolUseId,
+            toolName,
+            toolInput
+          }, { signal });
+
+          if (approval.decision === 'deny') {
+            success = false;
+            status = 'denied';
+            error = `The user denied this ${toolName} call` + (approval.reason ? `: ${approval.reason}` : '');
+            result = { error };
+          } else if (approval.decision === 'edit') {
+            // The edited input must satisfy the schema too
+            const edited = validateToolInput(toolDef, approval.input);
+            if (edited.success) {
+              toolInput = edited.data;
+            } else {
+              success = false;
+              status = 'validation_error';
+              issues = edited.issues;
+              error = edited.message;
+              result = { error, issues };
+            }
+          }
+        } catch (err) {
+          success = false;
+          status = 'cancelled';
+          error = err.message;
+          result = { error };
+        }
+      }
+    }
+  }
+
+  if (success) {
+    const policy = toolPolicy.getToolPolicy(toolDef);
+
+    while (true) {
+      attempts++;
+      try {
+        result = await invokeTool(toolDef, toolInput, {
+          conversationId,
+          messageId,
+          toolUseId,
+          ws: options.ws,
+          source: options.source,
+          signal,
+          timeoutMs: policy.timeoutMs
+        });
+        break;
+      } catch (err) {
+        const retry = attempts <= policy.retries && toolPolicy.isRetryable(err, policy) && !(signal && signal.aborted);
+
+        if (retry) {
+          console.warn(`Retrying ${toolName} (attempt ${attempts + 1}/${policy.retries + 1}): ${err.message}`);
+          try {
+            await toolPolicy.sleep(toolPolicy.getBackoffDelay(policy.backoff, attempts), signal, toolName);
+            continue;
+          } catch (sleepError) {
+            err = sleepError;
+          }
+        }
+
+        success = false;
+        status = err.code === 'TOOL_CANCELLED' ? 'cancelled' :
+                 err.code === 'TOOL_TIMEOUT' ? 'timeout' : 'error';
+        error = attempts > 1 ? `${err.message} (after ${attempts} attempts)` : err.message;
+        result = { error };
+        break;
+      }
+    }
+  }
+
+  const durationMs = Date.now() - startTime;
+
+  // Store tool execution in database
+  if (conversationId && messageId) {
+    try {
+      await db.addToolExecution(
+        messageId,
+        conversationId,
+        toolName,
+        toolInput,
+        result,
+        { toolUseId, durationMs, success, status, error }  // Include the provider's tool call ID
+      );
+    } catch (dbError) {
+      console.error('Error saving tool execution to database:', dbError);
+    }
+  }
+
+  if (!success) {
+    const toolError = new Error(status === 'validation_error' ? error : `Error executing ${toolName}: ${error}`);
+    toolError.status = status;
+    toolError.issues = issues;
+    throw toolError;
+  }
+
+  return result;
+}
+
+/**
+ * Split a turn's tool calls into batches
+ * Consecutive parallel-safe calls share a batch; any other call runs alone,
+ * after everything before it has finished.
+ */
+function planToolBatches(toolCalls) {
+  const batches = [];
+
+  for (const toolCall of toolCalls) {
+    const toolDef = getToolDefinition(toolCall.name);
+    const parallel = !!(toolDef && toolDef.parallelSafe);
+    const last = batches[batches.length - 1];
+
+    if (parallel && last && last.parallel) {
+      last.calls.push(toolCall);
+    } else {
+      batches.push({ parallel, calls: [toolCall] });
+    }
+  }
+
+  return batches;
+}
+
+/**
+ * Map items with at most `limit` calls in flight; results keep the input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Execute the tool calls of one assistant turn
+ * Each call sends llm_tool_use when it starts and llm_tool_result when it ends,
+ * so concurrent calls show up as running at the same time.
+ * @param {Array} toolCalls - [{ id, name, input }] in the model's order
+ * @param {Object} context - { ws, conversationId, messageDbId, messageId, source, signal, enabledTools }
+ * @returns {Promise<Array>} - [{ toolCall, success, result, error }] in the model's order
+ */
+async function executeToolCalls(toolCalls, { ws, conversationId, messageDbId, messageId, source, signal, enabledTools = null }) {
+  const runToolCall = async (toolCall) => {
+    // Notify client that tool is being executed
+    ws.send(JSON.stringify({
+      type: 'llm_tool_use',
+      conversationId,
+      toolUseId: toolCall.id, // Unique tool call ID from the provider
+      toolName: toolCall.name,
+      toolInput: toolCall.input,
+      timestamp: new Date().toISOString(),
+      messageId,
+      collapsed: true
+    }));
+
+    try {
+      const result = await executeTool(
+        toolCall.name,
+        toolCall.input,
+        conversationId,
+        messageDbId,
+        toolCall.id,
+        { ws, source, signal, messageId, enabledTools }
+      );
+
+      // Send tool result to client
+      ws.send(JSON.stringify({
+        type: 'llm_tool_result',
+        conversationId,
+        toolUseId: toolCall.id, // Match with tool use ID
+        toolName: toolCall.name,
+        toolOutput: result,
+        timestamp: new Date().toISOString(),
+        messageId
+      }));
+
+      return { toolCall, success: true, result };
+    } catch (error) {
+      // Send tool error to client
+      ws.send(JSON.stringify({
+        type: 'llm_tool_result',
+        conversationId,
+        toolUseId: toolCall.id,
+        toolName: toolCall.name,
+        toolOutput: error.issues ? { error: error.message, issues: error.issues } : { error: error.message },
+        error: error.message,
+        status: error.status || 'error',
+        timestamp: new Date().toISOString(),
+        messageId
+      }));
+
+      return { toolCall, success: false, error };
+    }
+  };
+
+  const results = [];
+  for (const batch of planToolBatches(toolCalls)) {
+    results.push(...await mapWithConcurrency(batch.calls, batch.parallel ? TOOL_CONCURRENCY : 1, runToolCall));
+  }
+
+  return results;
+}
+
+/**
+ * Stop generation for a specific WebSocket connection
+ */
+async function stopGeneration(ws, reason = 'user_requested') {
+  const stream = activeStreams.get(ws);
+
+  if (stream) {
+    console.log(`Stopping generation for conversation ${stream.conversationId}, reason: ${reason}`);
+
+    // Abort the stream
+    stream.abortController.abort();
+
+    // Mark message as stopped in database
+    if (stream.messageId) {
+      try {
+        await db.updateMessage(stream.messageId, {
+          stopped: true,
+          metadata: { stopReason: reason, stoppedAt: new Date().toISOString() }
+        });
+      } catch (error) {
+        console.error('Error updating stopped message in database:', error);
+      }
+    }
+
+    // Send stopped notification to client
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({
+        type: 'llm_stopped',
+        conversationId: stream.conversationId,
+        messageId: stream.messageId,
+        reason,
+        message: reason === 'user_requested' ? 'Generation stopped' : 'Client disconnected',
+        timestamp: new Date().toISOString()
+      }));
+    }
+
+    // Clean up
+    activeStreams.delete(ws);
+
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Handle client disconnect - stop any active generation
+ */
+async function handleClientDisconnect(ws) {
+  // Calls waiting on this socket as executor or approver will never get a response
+  failPendingForExecutor(ws);
+  toolApproval.denyApprovalsForSocket(ws);
+
+  const stopped = await stopGeneration(ws, 'client_disconnect');
+
+  if (stopped) {
+    console.log('Stopped active generation due to client disconnect');
+  }
+}
+
+/**
+ * Check conversation limits and send warnings
+ * Limits are the server defaults with the conversation's metadata.customLimits applied.
+ */
+async function checkConversationLimits(conversationId, ws) {
+  const conversation = await db.getConversation(conversationId);
+
+  if (!conversation) return;
+
+  const { warnings, shouldSummarize, reason } = conversationLimits.evaluateLimits(conversation);
+
+  // Send warnings to client
+  if (warnings.length > 0 && ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({
+      type: 'llm_conversation_warning',
+      conversationId,
+      warnings,
+      timestamp: new Date().toISOString()
+    }));
+  }
+
+  // Check if should summarize
+  if (shouldSummarize && ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({
+      type: 'llm_should_summarize',
+      conversationId,
+      reason,
+      timestamp: new Date().toISOString()
+    }));
+  }
+}
+
+/**
+ * Handle streaming chat with tool use and database persistence
+ * @param {string} userMessage - User prompt ('' when continuing after tool results)
+ * @param {WebSocket} ws - Client socket
+ * @param {string} conversationId - Conversation ID (created if missing)
+ * @param {Object} options - { provider, model, newTurn }
+ *   provider, model: Switch the conversation's provider/model
+ *   newTurn: No user message, but not a continuation either (a reply generated for an edit or regenerate)
+ */
+async function handleStreamingChat(userMessage, ws, conversationId, options = {}) {
+  // Get or create conversation
+  let conversation = await db.getConversation(conversationId);
+  if (!conversation) {
+    const metadata = {};
+    if (options.provider) metadata.provider = options.provider;
+    if (options.model) metadata.model = options.model;
+
+    conversation = await createConversation('New Conversation', metadata);
+    conversationId = conversation.id;
+
+    // Send conversation created event
+    ws.send(JSON.stringify({
+      type: 'llm_conversation_created',
+      conversation: {
+        id: conversation.id,
+        title: conversation.title,
+        createdAt: conversation.created_at,
+        updatedAt: conversation.updated_at
+      },
+      timestamp: new Date().toISOString()
+    }));
+  } else if (options.provider || options.model) {
+    // Switch provider/model for this conversation
+    conversation = await setConversationProvider(conversationId, options);
+  }
+
+  const { provider, model } = resolveProvider(conversation);
+  await ensureProviderInitialized(provider);
+
+  // Add user message to database
+  if (userMessage && userMessage.trim()) {
+    await db.addMessage(conversationId, 'user', userMessage);
+
+    // Compact before the turn if the context has reached its budget
+    await maybeCompactConversation(conversationId, ws);
+  }
+
+  // Only the conversation's enabled tools are offered; a forced tool applies to the first request of a turn
+  const { enabledTools = null } = conversation.metadata || {};
+  const tools = getConversationTools(conversation);
+  const toolChoice = toolAccess.resolveToolChoice(conversation.metadata, tools, !userMessage && !options.newTurn);
+
+  // History after the latest summary, newest first within the token budget; the summary goes in the system prompt
+  const dbMessages = await db.getMessagesForContext(conversationId);
+  const { system, messages } = contextBuilder.buildContext(dbMessages, {
+    system: SYSTEM_PROMPT,
+    tools,
+    tokenBudget: getCompactionSettings(conversation).tokenBudget
+  });
+
+  // Create abort controller for this stream
+  const abortController = new AbortController();
+  let currentMessageId = `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  let assistantMessageDbId = null;
+
+  // Track this stream
+  activeStreams.set(ws, {
+    abortController,
+    conversationId,
+    messageId: null, // Will be set when we start receiving content
+    startTime: Date.now()
+  });
+
+  let currentText = '';
+  // Token usage reported by the provider for this request (null if it reports none)
+  let usage = null;
+
+  // Priced now, at the current rates for this model, and stored with the message
+  const getTurnCost = () => pricing.calculateCost(usage, pricing.getModelPricing(provider.name, model));
+
+  /**
+   * Keep whatever was streamed before the stop, marked as stopped
+   */
+  const handleAbort = async () => {
+    if (currentText) {
+      await db.addMessage(conversationId, 'assistant', currentText.trim(), {
+        messageId: currentMessageId,
+        stopped: true,
+        usage,
+        cost: getTurnCost(),
+        metadata: { provider: provider.name, model, stopReason: 'aborted' }
+      });
+    }
+    console.log(`Generation aborted for conversation ${conversationId}`);
+    activeStreams.delete(ws);
+    return {
+      success: false,
+      aborted: true,
+      conversationId
+    };
+  };
+
+  try {
+    const stream = provider.streamChat({
+      model,
+      system,
+      messages,
+      tools,
+      toolChoice,
+      signal: abortController.signal
+    });
+
+    const toolCalls = [];
+    let stopReason = null;
+
+    // Process stream
+    for await (const event of stream) {
+      // Check if aborted
+      if (abortController.signal.aborted) {
+        break;
+      }
+
+      if (event.type === 'text') {
+        currentText += event.text;
+
+        // Send streaming response to client
+        ws.send(JSON.stringify({
+          type: 'llm_assistant_response',
+          conversationId,
+          text: event.text,
+          done: false,
+          timestamp: new Date().toISOString(),
+          messageId: currentMessageId,
+        }));
+
+        // Update stream tracking with messageId on first text
+        const streamInfo = activeStreams.get(ws);
+        if (streamInfo && !streamInfo.messageId) {
+          streamInfo.messageId = currentMessageId;
+        }
+      } else if (event.type === 'tool_call') {
+        toolCalls.push(event);
+      } else if (event.type === 'usage') {
+        usage = event.usage;
+      } else if (event.type === 'done') {
+        stopReason = event.stopReason;
+      }
+    }
+
+    if (abortController.signal.aborted) {
+      return handleAbort();
+    }
+
+    if (stopReason === 'tool_use' && toolCalls.length > 0) {
+      // The model wants to use tools: save assistant message with tool use
+      const assistantMsg = await db.addMessage(
+        conversationId,
+        'assistant',
+        (currentText || '[Tool use only]').trim(),
+        {
+          messageId: currentMessageId,
+          usage,
+          cost: getTurnCost(),
+          // Tool calls may finish in any order; this keeps the model's order for replay
+          metadata: { provider: provider.name, model, toolCallIds: toolCalls.map(toolCall => toolCall.id) }
+        }
+      );
+      assistantMessageDbId = assistantMsg.id;
+
+      // Execute tools (independent calls run concurrently)
+      await executeToolCalls(toolCalls, {
+        ws,
+        conversationId,
+        messageDbId: assistantMessageDbId,
+        messageId: currentMessageId,
+        source: provider.name,
+        signal: abortController.signal,
+        enabledTools
+      });
+
+      // Stopped while tools were running: in-flight calls were cancelled, don't continue
+      if (abortController.signal.aborted) {
+        console.log(`Tool execution cancelled for conversation ${conversationId}`);
+        activeStreams.delete(ws);
+        return {
+          success: false,
+          aborted: true,
+          conversationId
+        };
+      }
+
+      // Check conversation limits
+      await checkConversationLimits(conversationId, ws);
+
+      // Remove stream tracking (will be re-added in recursive call)
+      activeStreams.delete(ws);
+
+      // Continue conversation with tool results (recursive)
+      return handleStreamingChat('', ws, conversationId);
+    }
+
+    // Save final assistant message to database
+    if (currentText) {
+      const assistantMsg = await db.addMessage(
+        conversationId,
+        'assistant',
+        currentText.trim(),
+        {
+          messageId: currentMessageId,
+          usage,
+          cost: getTurnCost(),
+          metadata: { provider: provider.name, model, stopReason }
+        }
+      );
+      assistantMessageDbId = assistantMsg.id;
+    }
+
+    // Send final done message
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({
+        type: 'llm_assistant_response',
+        conversationId,
+        text: '',
+        done: true,
+        timestamp: new Date().toISOString(),
+        messageId: currentMessageId,
+      }));
+
+      // Send updated conversation stats
+      const updatedConversation = await db.getConversation(conversationId);
+      ws.send(JSON.stringify({
+        type: 'llm_token_count',
+        conversationId,
+        tokenCount: updatedConversation.token_count,
+        inputTokens: updatedConversation.input_token_count,
+        outputTokens: updatedConversation.output_token_count,
+        cacheReadTokens: updatedConversation.cache_read_token_count,
+        cacheWriteTokens: updatedConversation.cache_write_token_count,
+        usage,
+        messageCount: updatedConversation.message_count,
+        toolCount: updatedConversation.tool_execution_count,
+        estimatedCost: updatedConversation.estimated_cost,
+        limit: updatedConversation.limits.tokens,
+        limits: updatedConversation.limits,
+        timestamp: new Date().toISOString()
+      }));
+
+      // Check conversation limits
+      await checkConversationLimits(conversationId, ws);
+    }
+
+    // Clean up stream tracking
+    activeStreams.delete(ws);
+
+    return {
+      success: true,
+      conversationId,
+      messageId: assistantMessageDbId
+    };
+
+  } catch (error) {
+    // Handle abort (SDKs throw an AbortError from the pending read)
+    if (error.name === 'AbortError' || abortController.signal.aborted) {
+      return handleAbort();
+    }
+
+    // Send error to client
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({
+        type: 'llm_error',
+        conversationId,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+        messageId: currentMessageId,
+      }));
+    }
+
+    // Clean up
+    activeStreams.delete(ws);
+
+    throw error;
+  }
+}
+
+/**
+ * Set the provider and/or model of a conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} selection - { provider, model }
+ * @returns {Promise<Object>} - Updated conversation
+ */
+async function setConversationProvider(conversationId, { provider, model } = {}) {
+  const patch = {};
+
+  if (provider) {
+    // Validate before persisting
+    providers.getProvider(provider);
+    patch.provider = provider;
+    // A model from another provider makes no sense after switching
+    patch.model = model || null;
+  } else if (model) {
+    patch.model = model;
+  }
+
+  return db.updateConversationMetadata(conversationId, patch);
+}
+
+/**
+ * A conversation's limits and where it stands against them
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Object|null>} - { limits, customLimits, defaults, warnings, shouldSummarize, reason } (null if not found)
+ */
+async function getConversationLimits(conversationId) {
+  const conversation = await db.getConversation(conversationId);
+  if (!conversation) return null;
+
+  return {
+    ...conversationLimits.evaluateLimits(conversation),
+    customLimits: (conversation.metadata && conversation.metadata.customLimits) || {},
+    defaults: conversationLimits.getDefaultLimits()
+  };
+}
+
+/**
+ * Change a conversation's limits
+ * Given keys override the server defaults; a null value goes back to the default.
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} patch - { tokens, messages, toolExecutions, ageHours, warningThreshold }
+ * @returns {Promise<Object|null>} - Updated conversation (null if not found)
+ * @throws {Error} - If a limit is unknown or out of range
+ */
+async function setConversationLimits(conversationId, patch) {
+  const changes = conversationLimits.normalizeCustomLimits(patch);
+
+  const conversation = await db.getConversation(conversationId);
+  if (!conversation) return null;
+
+  const customLimits = { ...((conversation.metadata && conversation.metadata.customLimits) || {}) };
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === null) {
+      delete customLimits[key];
+    } else {
+      customLimits[key] = value;
+    }
+  }
+
+  return db.updateConversationMetadata(conversationId, {
+    customLimits: Object.keys(customLimits).length > 0 ? customLimits : null
+  });
+}
+
+/**
+ * Metadata of a new conversation: the server's default tool settings, unless `metadata` has its own
+ */
+function withDefaultToolSettings(metadata = {}) {
+  const defaults = toolAccess.getDefaultToolSettings();
+  const enabledTools = metadata.enabledTools !== undefined ? metadata.enabledTools : defaults.enabledTools;
+  const toolChoice = metadata.toolChoice !== undefined ? metadata.toolChoice : defaults.toolChoice;
+
+  const settings = {
+    ...metadata,
+    enabledTools: toolAccess.normalizeEnabledTools(enabledTools),
+    toolChoice: toolAccess.normalizeToolChoice(toolChoice) || toolAccess.TOOL_CHOICE_AUTO
+  };
+  if (!settings.enabledTools) {
+    // No list means every tool, including ones registered later
+    delete settings.enabledTools;
+  }
+
+  return settings;
+}
+
+/**
+ * Create a conversation with the server's default tool settings
+ * Settings given in `metadata` win over the defaults.
+ * @param {string} title - Conversation title
+ * @param {Object} metadata - Initial metadata (provider, model, enabledTools, toolChoice, ...)
+ * @returns {Promise<Object>} - Created conversation
+ */
+async function createConversation(title, metadata = {}) {
+  return db.createConversation(title, withDefaultToolSettings(metadata));
+}
+
+/**
+ * Set the enabled tools and/or tool choice of a conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} settings - { enabledTools: Array|null, toolChoice: 'auto' | 'none' | name | { type, name } }
+ * @returns {Promise<Object>} - Updated conversation (null if not found)
+ * @throws {Error} - If a setting is invalid or forces a disabled tool
+ */
+async function setConversationTools(conversationId, { enabledTools, toolChoice } = {}) {
+  const conversation = await db.getConversation(conversationId);
+  if (!conversation) return null;
+
+  const current = conversation.metadata || {};
+  const patch = {};
+
+  if (enabledTools !== undefined) {
+    patch.enabledTools = toolAccess.normalizeEnabledTools(enabledTools);
+  }
+  if (toolChoice !== undefined) {
+    patch.toolChoice = toolAccess.normalizeToolChoice(toolChoice) || toolAccess.TOOL_CHOICE_AUTO;
+  }
+
+  const nextEnabledTools = enabledTools !== undefined ? patch.enabledTools : (current.enabledTools || null);
+  const nextToolChoice = patch.toolChoice || toolAccess.normalizeToolChoice(current.toolChoice);
+
+  if (nextToolChoice && nextToolChoice.type === 'tool') {
+    if (!getToolDefinition(nextToolChoice.name)) {
+      throw new Error(`Unknown tool: ${nextToolChoice.name}`);
+    }
+    if (!toolAccess.isToolEnabled(nextEnabledTools, nextToolChoice.name)) {
+      throw new Error(`Cannot force ${nextToolChoice.name}: it is disabled in this conversation`);
+    }
+  }
+
+  return db.updateConversationMetadata(conversationId, patch);
+}
+
+/**
+ * List registered tools with the server's default tool settings
+ */
+function listTools() {
+  return {
+    tools: getToolDefinitions().map(toolDef => ({
+      name: toolDef.name,
+      description: toolDef.description,
+      mcpServer: toolDef.mcpServer || null
+    })),
+    defaults: toolAccess.getDefaultToolSettings()
+  };
+}
+
+/**
+ * Rough context size of database messages (content plus tool inputs and outputs)
+ */
+function estimateContextTokens(dbMessages) {
+  let tokens = 0;
+  for (const msg of dbMessages) {
+    tokens += db.estimateTokens(msg.content);
+    for (const tool of msg.tool_executions || []) {
+      tokens += db.estimateTokens(JSON.stringify(tool.tool_input || {}) + JSON.stringify(tool.tool_output || {}));
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Replace all but the most recent messages with a rolling summary
+ * The new summary covers the previous one plus the messages since; see context-compaction.js.
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} options
+ * @param {WebSocket} options.ws - Socket to notify (llm_context_compaction)
+ * @param {number} options.keepRecentMessages - Messages to keep (default: the conversation's setting)
+ * @param {string} options.trigger - 'auto' (before a turn) or 'tool' (summarize_conversation)
+ * @returns {Promise<Object>} - { compacted, summaryMessageId, summary, messagesSummarized, totalSummarized,
+ *   messagesKept, tokensBefore, tokensAfter }, or { compacted: false, reason, messageCount }
+ */
+async function compactConversation(conversationId, { ws = null, keepRecentMessages = null, trigger = 'auto' } = {}) {
+  const conversation = await db.getConversation(conversationId);
+  if (!conversation) {
+    throw new Error(`Conversation not found: ${conversationId}`);
+  }
+
+  const settings = getCompactionSettings(conversation);
+  const contextMessages = await db.getMessagesForContext(conversationId);
+  const previousSummary = contextMessages.length > 0 && contextMessages[0].is_summary ? contextMessages[0] : null;
+  const candidates = previousSummary ? contextMessages.slice(1) : contextMessages;
+
+  const cut = compaction.findCompactionCut(candidates, keepRecentMessages || settings.keepRecentMessages);
+  if (cut === -1) {
+    return { compacted: false, reason: 'Not enough messages to summarize', messageCount: candidates.length };
+  }
+
+  const toSummarize = candidates.slice(0, cut);
+  const kept = candidates.slice(cut);
+  const prompt = compaction.buildSummaryPrompt(
+    toSummarize,
+    previousSummary ? compaction.getSummaryText(previousSummary) : null
+  );
+  const summary = await generateSummary(prompt, conversationId);
+
+  const totalSummarized = (previousSummary ? previousSummary.summarizes_count || 0 : 0) + toSummarize.length;
+  const { summaryMessageId } = await db.addConversationSummary(conversationId, summary, totalSummarized, kept.length, {
+    firstKeptMessageId: kept.length > 0 ? kept[0].id : null,
+    previousSummaryId: previousSummary ? previousSummary.id : null,
+    trigger
+  });
+
+  // Estimated until the next turn reports usage
+  const tokensAfter = estimateContextTokens([await db.getMessage(summaryMessageId), ...kept]);
+  await db.updateConversationTokenCount(conversationId, tokensAfter);
+
+  const result = {
+    compacted: true,
+    summaryMessageId,
+    summary,
+    messagesSummarized: toSummarize.length,
+    totalSummarized,
+    messagesKept: kept.length,
+    tokensBefore: conversation.token_count,
+    tokensAfter
+  };
+
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({
+      type: 'llm_context_compaction',
+      conversationId,
+      status: 'completed',
+      trigger,
+      summaryMessageId,
+      messagesSummarized: result.messagesSummarized,
+      totalSummarized,
+      messagesKept: result.messagesKept,
+      tokensBefore: result.tokensBefore,
+      tokensAfter,
+      timestamp: new Date().toISOString()
+    }));
+  }
+
+  console.log(`Compacted conversation ${conversationId} (${trigger}): ${toSummarize.length} messages summarized, ${kept.length} kept`);
+  return result;
+}
+
+/**
+ * Tools a conversation's requests offer (its enabled tools)
+ */
+function getConversationTools(conversation) {
+  const { enabledTools = null } = conversation.metadata || {};
+  return toNeutralTools(toolAccess.filterEnabledTools(getToolDefinitions(), enabledTools));
+}
+
+/**
+ * A conversation's compaction settings; their token budget is also the budget its requests are built in
+ */
+function getCompactionSettings(conversation) {
+  return compaction.resolveCompactionSettings(conversation.metadata, contextBuilder.getDefaultContextBudget());
+}
+
+/**
+ * Estimated size of the next request with nothing left out: the system prompt with the
+ * summary, the tools and all of the history after the summary (see context-builder.js)
+ */
+async function estimateNextRequestTokens(conversation) {
+  const dbMessages = await db.getMessagesForContext(conversation.id);
+  const { estimatedTokens } = contextBuilder.buildContext(dbMessages, {
+    system: SYSTEM_PROMPT,
+    tools: getConversationTools(conversation),
+    tokenBudget: Infinity
+  });
+  return estimatedTokens;
+}
+
+/**
+ * Compact the conversation if automatic compaction is on and the next request would reach the budget
+ * A failed summary is reported to the client; the turn goes ahead uncompacted.
+ */
+async function maybeCompactConversation(conversationId, ws) {
+  const conversation = await db.getConversation(conversationId);
+  const settings = getCompactionSettings(conversation);
+
+  if (!settings.enabled || !compaction.shouldCompact(await estimateNextRequestTokens(conversation), settings)) {
+    return null;
+  }
+
+  try {
+    return await compactConversation(conversationId, { ws, trigger: 'auto' });
+  } catch (error) {
+    console.error(`Error compacting conversation ${conversationId}:`, error.message);
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({
+        type: 'llm_context_compaction',
+        conversationId,
+        status: 'failed',
+        trigger: 'auto',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }));
+    }
+    return null;
+  }
+}
+
+/**
+ * Change a conversation's compaction settings
+ * Given keys override the server defaults; a null value goes back to the default.
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} patch - { enabled, tokenBudget, keepRecentMessages }
+ * @returns {Promise<Object|null>} - Updated conversation (null if not found)
+ * @throws {Error} - If a setting is unknown or invalid
+ */
+async function setConversationCompaction(conversationId, patch) {
+  const changes = compaction.normalizeCompactionSettings(patch);
+
+  const conversation = await db.getConversation(conversationId);
+  if (!conversation) return null;
+
+  const settings = { ...((conversation.metadata && conversation.metadata.compaction) || {}) };
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === null) {
+      delete settings[key];
+    } else {
+      settings[key] = value;
+    }
+  }
+
+  return db.updateConversationMetadata(conversationId, {
+    compaction: Object.keys(settings).length > 0 ? settings : null
+  });
+}
+
+/**
+ * Re-estimate the context size after the active branch changed (until the next measured turn)
+ */
+async function updateBranchTokenCount(conversationId) {
+  const tokens = estimateContextTokens(await db.getMessagesForContext(conversationId));
+  await db.updateConversationTokenCount(conversationId, tokens);
+}
+
+/**
+ * A message of the conversation, or null
+ */
+async function findConversationMessage(conversationId, messageId) {
+  const message = await db.getMessage(messageId);
+  return message && message.conversation_id === conversationId ? message : null;
+}
+
+/**
+ * Edit a user message: adds the new text as a sibling, on a new active branch
+ * The reply is generated separately (llm_generate), so it streams to the client.
+ * @param {string} conversationId - Conversation ID
+ * @param {string} messageId - User message to edit
+ * @param {string} content - New text
+ * @returns {Promise<Object|null>} - { conversation, message, messages, nextCursor } (null if not found)
+ *   messages: newest page of the active branch (see db.getBranchPage)
+ * @throws {Error} - If the message isn't a user message or the text is empty
+ */
+async function editMessage(conversationId, messageId, content) {
+  const original = await findConversationMessage(conversationId, messageId);
+  if (!original) return null;
+
+  if (original.role !== 'user') {
+    throw new Error('Only user messages can be edited');
+  }
+  if (typeof content !== 'string' || !content.trim()) {
+    throw new Error('content must be a non-empty string');
+  }
+
+  const message = await db.addMessage(conversationId, 'user', content, {
+    parentId: original.parent_id || null,
+    metadata: { editedFrom: original.id }
+  });
+  await updateBranchTokenCount(conversationId);
+
+  return {
+    conversation: await db.getConversation(conversationId),
+    message,
+    ...await db.getBranchPage(conversationId)
+  };
+}
+
+/**
+ * Regenerate a reply: the active branch goes back to the user message that started the turn,
+ * and the next generated reply (llm_generate) becomes a sibling of the old one
+ * @param {string} conversationId - Conversation ID
+ * @param {string} messageId - Any message of the reply, or the user message it answers
+ * @returns {Promise<Object|null>} - { conversation, replyTo, messages, nextCursor } (null if not found)
+ * @throws {Error} - If there is no user message before it
+ */
+async function regenerateMessage(conversationId, messageId) {
+  const message = await findConversationMessage(conversationId, messageId);
+  if (!message) return null;
+
+  const allMessages = await db.getMessages(conversationId, -1);
+  const branch = conversationBranches.getBranch(allMessages, conversationBranches.findLatestLeaf(allMessages, messageId));
+  const replyTo = conversationBranches.findReplyParent(branch, messageId);
+  if (!replyTo) {
+    throw new Error('There is no user message to reply to');
+  }
+
+  await db.setActiveLeaf(conversationId, replyTo);
+  await updateBranchTokenCount(conversationId);
+
+  return {
+    conversation: await db.getConversation(conversationId),
+    replyTo,
+    ...await db.getBranchPage(conversationId)
+  };
+}
+
+/**
+ * Switch to the branch through a message (its newest continuation)
+ * @param {string} conversationId - Conversation ID
+ * @param {string} messageId - Message to show, usually a sibling from `branch.siblingIds`
+ * @returns {Promise<Object|null>} - { conversation, messages, nextCursor } (null if not found)
+ */
+async function switchBranch(conversationId, messageId) {
+  const message = await findConversationMessage(conversationId, messageId);
+  if (!message) return null;
+
+  const allMessages = await db.getMessages(conversationId, -1);
+  await db.setActiveLeaf(conversationId, conversationBranches.findLatestLeaf(allMessages, messageId));
+  await updateBranchTokenCount(conversationId);
+
+  return {
+    conversation: await db.getConversation(conversationId),
+    ...await db.getBranchPage(conversationId)
+  };
+}
+
+/**
+ * Fork a conversation into a new one, up to a message (see db.forkConversation)
+ * The new conversation keeps the source's provider, tool and limit settings.
+ * @param {string} conversationId - Conversation to fork
+ * @param {Object} options - { atMessageId, title }
+ * @returns {Promise<Object|null>} - { conversation, messages, nextCursor } (null if not found)
+ * @throws {Error} - If atMessageId isn't a message of the conversation
+ */
+async function forkConversation(conversationId, options = {}) {
+  const fork = await db.forkConversation(conversationId, options);
+  if (!fork) return null;
+
+  await updateBranchTokenCount(fork.id);
+
+  return {
+    conversation: await db.getConversation(fork.id),
+    ...await db.getBranchPage(fork.id)
+  };
+}
+
+/**
+ * Import conversations (see conversation-import.js): each is saved under new ids, or skipped
+ * with the errors that kept it out
+ * Conversations from this server's export keep their settings; others get the defaults of a
+ * new conversation.
+ * @param {*} data - Parsed upload: one conversation, or an array of them
+ * @returns {Promise<Object>} - Report: { imported, skipped, conversations: [{ format, sourceId,
+ *   title, conversationId, messageCount, toolExecutionCount, summaryCount, warnings, errors }] }
+ * @throws {Error} - If there are no conversations in it
+ */
+async function importConversations(data) {
+  const report = { imported: 0, skipped: 0, conversations: [] };
+
+  for (const record of conversationImport.parseImport(data)) {
+    const entry = {
+      format: record.format,
+      sourceId: record.sourceId,
+      title: record.title,
+      conversationId: null,
+      messageCount: record.messages.length,
+      toolExecutionCount: record.messages.reduce((count, message) => count + message.toolExecutions.length, 0),
+      summaryCount: record.messages.filter(message => message.isSummary).length,
+      warnings: record.warnings,
+      errors: record.errors
+    };
+
+    if (record.errors.length === 0) {
+      try {
+        if (record.format !== 'export') {
+          record.metadata = withDefaultToolSettings(record.metadata);
+        }
+        const conversation = await db.importConversation(record);
+        if (record.tokenCount === null) {
+          await updateBranchTokenCount(conversation.id);
+        }
+        entry.conversationId = conversation.id;
+      } catch (error) {
+        entry.errors.push(error.message);
+      }
+    }
+
+    report[entry.conversationId ? 'imported' : 'skipped']++;
+    report.conversations.push(entry);
+  }
+
+  return report;
+}
+
+/**
+ * Generate the reply to the end of the active branch (after editMessage or regenerateMessage)
+ * @param {WebSocket} ws - Client socket
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} options - { provider, model }
+ * @throws {Error} - If the conversation doesn't exist or its active branch already ends with a reply
+ */
+async function generateReply(ws, conversationId, options = {}) {
+  const conversation = await db.getConversation(conversationId);
+  if (!conversation) {
+    throw new Error(`Conversation not found: ${conversationId}`);
+  }
+
+  const branch = await db.getBranchMessages(conversationId);
+  const leaf = branch[branch.length - 1];
+  if (!leaf || conversationBranches.findReplyParent(branch, leaf.id) !== leaf.id) {
+    throw new Error('The active branch already ends with a reply; edit or regenerate a message first');
+  }
+
+  await maybeCompactConversation(conversationId, ws);
+
+  return handleStreamingChat('', ws, conversationId, { ...options, newTurn: true });
+}
+
+/**
+ * Generate a summary with the conversation's provider
+ * Used for compaction and the summarize_conversation tool
+ */
+async function generateSummary(prompt, conversationId) {
+  const conversation = await db.getConversation(conversationId);
+  const { provider, model } = resolveProvider(conversation);
+  await ensureProviderInitialized(provider);
+
+  try {
+    return await provider.complete({
+      model: provider.summaryModel || model,
+      prompt,
+      maxTokens: 1024
+    });
+  } catch (error) {
+    console.error(`Error generating summary with ${provider.displayName}:`, error);
+    throw new Error(`Failed to generate summary: ${error.message}`);
+  }
+}
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  initializeClient,
+  setWebSocketServer,
+  handleStreamingChat,
+  handleWebSocketResponse,
+  stopGeneration,
+  handleClientDisconnect,
+  generateSummary,
+  executeTool,
+  setConversationProvider,
+  createConversation,
+  setConversationTools,
+  getConversationLimits,
+  setConversationLimits,
+  compactConversation,
+  estimateNextRequestTokens,
+  setConversationCompaction,
+  editMessage,
+  regenerateMessage,
+  switchBranch,
+  forkConversation,
+  importConversations,
+  generateReply,
+  listTools,
+  buildContextMessages: contextBuilder.buildContextMessages,
+  handleToolApproval: toolApproval.handleApprovalResponse,
+  listProviders: providers.listProviders
+};
@@ -0,0 +1,172 @@
+/**
+ * Context builder - turns stored messages into the system prompt and messages of a request
+ *
+ * The history is filled newest-first into a token budget (CONTEXT_TOKEN_BUDGET, default
+ * 100000, minus the system prompt and tool definitions), a whole unit at a time:
+ * - A user message
+ * - An assistant message with its tool calls and their results (stored on the same row,
+ *   see buildContextMessages), so a tool call is never sent without its result or the reverse
+ *
+ * The window then starts at a user message, as both providers expect after a tool
+ * result and Anthropic requires first. If the current turn alone is over the budget,
+ * it is still sent whole: a valid request that may be too long beats a broken one.
+ *
+ * Summaries (system rows, see context-compaction.js) are not messages: they are
+ * appended to the system prompt.
+ */
+
+const { estimateTokens } = require('./database/db');
+const { getSummaryText } = require('./context-compaction');
+
+// Load environment variables
+require('dotenv').config();
+
+/**
+ * Token budget for a request's system prompt, tools and messages, from server config
+ */
+function getDefaultContextBudget() {
+  return parseInt(process.env.CONTEXT_TOKEN_BUDGET) || 100000;
+}
+
+/**
+ * Convert one database row to neutral messages (an assistant row is followed by its tool results)
+ */
+function toNeutralMessages(msg) {
+  if (msg.role === 'user') {
+    return [{ role: 'user', content: msg.content.trim() }];
+  }
+
+  if (msg.role !== 'assistant') {
+    return [];
+  }
+
+  // Only tool executions with a provider tool call ID can be replayed
+  const tools = (msg.tool_executions || []).filter(tool => tool.tool_use_id);
+
+  // Concurrent calls are stored as they finish; replay them in the model's order
+  const toolCallIds = (msg.metadata && msg.metadata.toolCallIds) || [];
+  if (toolCallIds.length > 0) {
+    const position = id => {
+      const index = toolCallIds.indexOf(id);
+      return index === -1 ? toolCallIds.length : index;
+    };
+    tools.sort((a, b) => position(a.tool_use_id) - position(b.tool_use_id));
+  }
+
+  return [
+    {
+      role: 'assistant',
+      content: msg.content.trim(),
+      toolCalls: tools.map(tool => ({
+        id: tool.tool_use_id,
+        name: tool.tool_name,
+        input: tool.tool_input || {}
+      }))
+    },
+    ...tools.map(tool => ({
+      role: 'tool',
+      toolCallId: tool.tool_use_id,
+      name: tool.tool_name,
+      content: JSON.stringify(tool.tool_output || {}),
+      isError: tool.success === 0
+    }))
+  ];
+}
+
+/**
+ * Convert database messages to the core's neutral message format:
+ * - { role: 'user', content }
+ * - { role: 'assistant', content, toolCalls: [{ id, name, input }] }
+ * - { role: 'tool', toolCallId, name, content, isError }
+ * Summaries and other system rows are left out (see buildContext).
+ */
+function buildContextMessages(dbMessages) {
+  return dbMessages.flatMap(toNeutralMessages);
+}
+
+/**
+ * Rough token size of neutral messages
+ */
+function estimateMessageTokens(messages) {
+  let tokens = 0;
+  for (const message of messages) {
+    tokens += estimateTokens(message.content);
+    for (const toolCall of message.toolCalls || []) {
+      tokens += estimateTokens(toolCall.name + JSON.stringify(toolCall.input));
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Append the summaries to the system prompt
+ */
+function buildSystemPrompt(system, summaries) {
+  if (summaries.length === 0) {
+    return system;
+  }
+
+  const text = summaries.map(summary => getSummaryText(summary).trim()).join('\n\n');
+  return `${system}
+
+Summary of the earlier conversation (those messages are not included below):
+
+${text}`;
+}
+
+/**
+ * Assemble a request from stored messages within a token budget
+ * @param {Array} dbMessages - Rows from getMessagesForContext(), oldest first
+ * @param {Object} options
+ * @param {string} options.system - Base system prompt
+ * @param {Array} options.tools - Neutral tools sent with the request (count against the budget)
+ * @param {number} options.tokenBudget - Budget for the whole request (default: CONTEXT_TOKEN_BUDGET)
+ * @returns {Object} - { system, messages, estimatedTokens, omittedMessages }
+ */
+function buildContext(dbMessages, { system = '', tools = [], tokenBudget = getDefaultContextBudget() } = {}) {
+  const summaries = dbMessages.filter(msg => msg.role === 'system');
+  const systemPrompt = buildSystemPrompt(system, summaries);
+
+  const units = dbMessages
+    .filter(msg => msg.role === 'user' || msg.role === 'assistant')
+    .map(msg => {
+      const messages = toNeutralMessages(msg);
+      return { role: msg.role, messages, tokens: estimateMessageTokens(messages) };
+    });
+
+  const fixedTokens = estimateTokens(systemPrompt) + estimateTokens(JSON.stringify(tools));
+  let remaining = tokenBudget - fixedTokens;
+
+  // Newest first, until the next unit doesn't fit (the newest is always sent)
+  let start = units.length;
+  while (start > 0 && (start === units.length || units[start - 1].tokens <= remaining)) {
+    start--;
+    remaining -= units[start].tokens;
+  }
+
+  // Start at a user message: drop a partial turn, or if that leaves nothing, take the whole current turn
+  const firstUser = units.findIndex((unit, index) => index >= start && unit.role === 'user');
+  if (firstUser !== -1) {
+    start = firstUser;
+  } else {
+    while (start > 0 && units[start].role !== 'user') {
+      start--;
+    }
+  }
+
+  const included = units.slice(start);
+  const messages = included.flatMap(unit => unit.messages);
+
+  return {
+    system: systemPrompt,
+    messages,
+    estimatedTokens: fixedTokens + included.reduce((sum, unit) => sum + unit.tokens, 0),
+    omittedMessages: start
+  };
+}
+
+module.exports = {
+  getDefaultContextBudget,
+  buildContextMessages,
+  buildContext
+};
@@ -0,0 +1,188 @@
+/**
+ * Context compaction - rolling summaries that keep a conversation within its token budget
+ *
+ * Before a user turn, if the request it would send (estimated by context-builder.js with
+ * no history left out) has reached the token budget, the agent replaces everything but the
+ * most recent messages with a summary. The summary is rolling: it is written from the previous summary plus the
+ * messages since, so the context is always [latest summary, recent raw messages].
+ *
+ * Where to cut: an assistant message carries its own tool calls and their results
+ * (tool_executions), so a cut between messages never separates a tool_use from its
+ * tool_result. The cut also moves back to the start of a user turn when it can, so a
+ * turn's tool loop is kept or summarized as a whole.
+ *
+ * Conversation metadata may carry `compaction`:
+ * - enabled: Compact automatically (default: COMPACTION_ENABLED, true unless 'false')
+ * - tokenBudget: Request size that triggers compaction, and that requests are built in
+ *   (default: CONTEXT_TOKEN_BUDGET, see context-builder.js)
+ * - keepRecentMessages: Raw messages kept after the summary (default: COMPACTION_KEEP_MESSAGES or 6)
+ */
+
+// Load environment variables
+require('dotenv').config();
+
+const SETTING_KEYS = ['enabled', 'tokenBudget', 'keepRecentMessages'];
+
+/**
+ * Compaction settings for conversations without overrides, from server config
+ */
+function getDefaultCompactionSettings() {
+  return {
+    enabled: process.env.COMPACTION_ENABLED !== 'false',
+    tokenBudget: null, // The context budget (see resolveCompactionSettings)
+    keepRecentMessages: parseInt(process.env.COMPACTION_KEEP_MESSAGES) || 6
+  };
+}
+
+/**
+ * Check compaction overrides (null values are kept: they remove an override)
+ * @throws {Error} - On unknown keys or invalid values
+ */
+function normalizeCompactionSettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error('Compaction settings must be an object');
+  }
+
+  const normalized = {};
+  for (const [key, value] of Object.entries(settings)) {
+    if (!SETTING_KEYS.includes(key)) {
+      throw new Error(`Unknown compaction setting: ${key} (expected ${SETTING_KEYS.join(', ')})`);
+    }
+
+    if (value === null) {
+      normalized[key] = null;
+    } else if (key === 'enabled') {
+      if (typeof value !== 'boolean') {
+        throw new Error('enabled must be a boolean');
+      }
+      normalized[key] = value;
+    } else {
+      if (!Number.isInteger(value) || value < 1) {
+        throw new Error(`${key} must be a positive integer`);
+      }
+      normalized[key] = value;
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Effective compaction settings for a conversation
+ * @param {Object} metadata - Conversation metadata (compaction overrides the defaults)
+ * @param {number} contextBudget - Default token budget (CONTEXT_TOKEN_BUDGET)
+ */
+function resolveCompactionSettings(metadata, contextBudget) {
+  const settings = getDefaultCompactionSettings();
+  const overrides = (metadata && metadata.compaction) || {};
+
+  for (const key of SETTING_KEYS) {
+    if (overrides[key] !== undefined && overrides[key] !== null) {
+      settings[key] = overrides[key];
+    }
+  }
+
+  if (!settings.tokenBudget) {
+    settings.tokenBudget = contextBudget;
+  }
+
+  return settings;
+}
+
+/**
+ * Whether the next request has reached the budget
+ * @param {number} requestTokens - Its estimated size with no history left out
+ */
+function shouldCompact(requestTokens, settings) {
+  return settings.enabled && requestTokens >= settings.tokenBudget;
+}
+
+/**
+ * Pick where to cut: the index of the first message to keep
+ * @param {Array} messages - Messages after the latest summary, oldest first
+ * @param {number} keepRecentMessages - Messages to keep at least
+ * @returns {number} - Index of the first kept message, or -1 if there is nothing to summarize
+ */
+function findCompactionCut(messages, keepRecentMessages) {
+  let cut = messages.length - keepRecentMessages;
+  if (cut <= 0) {
+    return -1;
+  }
+
+  // Keep whole user turns: move back to the user message that started the turn
+  let turnStart = cut;
+  while (turnStart > 0 && messages[turnStart].role !== 'user') {
+    turnStart--;
+  }
+
+  // One long turn: cut between its messages (each keeps its tool calls and results)
+  return turnStart > 0 ? turnStart : cut;
+}
+
+/**
+ * Build the prompt for a rolling summary
+ * @param {Array} messages - Messages to summarize (database rows, oldest first)
+ * @param {string|null} previousSummary - Text of the summary they follow, if any
+ */
+function buildSummaryPrompt(messages, previousSummary = null) {
+  let prompt = `Please provide a concise summary of the following conversation. Focus on:
+- Key topics discussed
+- Important decisions or conclusions
+- User goals and intentions
+- Any unresolved questions or ongoing tasks
+- Technical details or data that should be preserved
+`;
+
+  if (previousSummary) {
+    prompt += `
+The earlier part of the conversation was already summarized. Merge that summary with the
+new messages into one summary that replaces it:
+
+[PREVIOUS SUMMARY]:
+${previousSummary.trim()}
+`;
+  }
+
+  prompt += `
+Conversation to summarize (${messages.length} messages):
+
+---
+`;
+
+  for (const msg of messages) {
+    const role = msg.role.toUpperCase();
+    const content = msg.content.trim();
+
+    // Include tool executions if present
+    let toolInfo = '';
+    if (msg.tool_executions && msg.tool_executions.length > 0) {
+      const tools = msg.tool_executions.map(t => `${t.tool_name}(${JSON.stringify(t.tool_input || {})}) -> ${JSON.stringify(t.tool_output)}`);
+      toolInfo = `\n[Tools used: ${tools.join('; ')}]`;
+    }
+
+    prompt += `\n[${role}]: ${content}${toolInfo}\n`;
+  }
+
+  prompt += `\n---
+
+Please provide a comprehensive summary that preserves the essential context of this conversation.`;
+
+  return prompt;
+}
+
+/**
+ * Strip the header a summary message is stored with
+ */
+function getSummaryText(summaryMessage) {
+  return summaryMessage.content.replace(/^\[Conversation Summary[^\]]*\]\s*/, '');
+}
+
+module.exports = {
+  getDefaultCompactionSettings,
+  normalizeCompactionSettings,
+  resolveCompactionSettings,
+  shouldCompact,
+  findCompactionCut,
+  buildSummaryPrompt,
+  getSummaryText
+};
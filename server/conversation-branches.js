@@ -0,0 +1,110 @@
+/**
+ * Conversation branches
+ *
+ * Messages form a tree: each message's parent_id is the message it follows (null for the
+ * first). Editing a user message adds a sibling with the new text; regenerating a reply
+ * adds a sibling reply. The conversation's active_leaf_id is the last message of the
+ * branch that is shown and continued; new messages are added below it.
+ *
+ * Messages whose parent is gone (deleted by the summarize of earlier versions) start a branch of their own.
+ */
+
+/**
+ * Messages by id and children by parent id (in seq order)
+ * @param {Array} messages - Every message of the conversation, in seq order
+ */
+function indexMessages(messages) {
+  const byId = new Map(messages.map(message => [message.id, message]));
+  const children = new Map();
+
+  for (const message of messages) {
+    // Orphans are grouped under their missing parent, so they stay alternatives of each other
+    const parentId = message.parent_id || null;
+    if (!children.has(parentId)) {
+      children.set(parentId, []);
+    }
+    children.get(parentId).push(message);
+  }
+
+  return { byId, children };
+}
+
+/**
+ * Messages from the first one down to a leaf, each with its position among its siblings
+ * @param {Array} messages - Every message of the conversation, in seq order
+ * @param {string} leafId - Last message of the branch (null = the newest message)
+ * @returns {Array} - Messages in order, with `branch`: { index, count, siblingIds } (index is 1-based)
+ */
+function getBranch(messages, leafId) {
+  if (messages.length === 0) return [];
+
+  const { byId, children } = indexMessages(messages);
+  let message = byId.get(leafId) || messages[messages.length - 1];
+
+  const branch = [];
+  const seen = new Set();
+  while (message && !seen.has(message.id)) {
+    seen.add(message.id);
+    branch.unshift(message);
+    message = message.parent_id ? byId.get(message.parent_id) : null;
+  }
+
+  return branch.map(entry => {
+    const siblings = children.get(entry.parent_id || null);
+    return {
+      ...entry,
+      branch: {
+        index: siblings.indexOf(entry) + 1,
+        count: siblings.length,
+        siblingIds: siblings.map(sibling => sibling.id)
+      }
+    };
+  });
+}
+
+/**
+ * Last message of the newest branch below a message (the message itself if it has no replies)
+ * Switching to a sibling shows its most recent continuation.
+ * @param {Array} messages - Every message of the conversation, in seq order
+ * @param {string} messageId - Message to start from
+ */
+function findLatestLeaf(messages, messageId) {
+  const { byId, children } = indexMessages(messages);
+  let message = byId.get(messageId);
+
+  while (message && children.has(message.id)) {
+    const below = children.get(message.id);
+    message = below[below.length - 1];
+  }
+
+  return message ? message.id : null;
+}
+
+/**
+ * Message a regenerated reply goes below: the user message that started the turn
+ * containing `messageId`, or the summaries added right after it (compaction runs before the reply)
+ * @param {Array} branch - Messages of the branch containing `messageId` (see getBranch)
+ * @param {string} messageId - A user message or any message of its reply
+ * @returns {string|null} - Message id, or null if there is no user message to reply to
+ */
+function findReplyParent(branch, messageId) {
+  let position = branch.findIndex(message => message.id === messageId);
+  if (position === -1) return null;
+
+  while (position >= 0 && branch[position].role !== 'user') {
+    position--;
+  }
+  if (position < 0) return null;
+
+  while (position + 1 < branch.length && branch[position + 1].is_summary) {
+    position++;
+  }
+
+  return branch[position].id;
+}
+
+module.exports = {
+  getBranch,
+  findLatestLeaf,
+  findReplyParent
+};
@@ -0,0 +1,510 @@
+/**
+ * Conversation import - reads exported conversations into records db.importConversation saves
+ *
+ * Three formats, told apart per conversation:
+ * - export: this server's JSON export (db.exportConversationJSON). Every branch, tool
+ *   execution and summary comes back as it was exported.
+ * - chatgpt: a conversation from ChatGPT's conversations.json. Its `mapping` tree becomes the
+ *   message tree. Hidden, system and reasoning messages are left out; a tool call and its
+ *   output become an assistant message with a tool execution, as the agent stores them.
+ * - anthropic: a conversation from the conversations.json of Anthropic's data export
+ *   (`chat_messages`). Tool use and tool result blocks become tool executions.
+ *
+ * Tool calls from other apps get no tool_use_id: they are shown, but not sent to the model
+ * (context-builder.js only replays calls it can pair with a provider id).
+ *
+ * Each conversation is checked on its own: `errors` mean it can't be imported, `warnings`
+ * say what was left out or changed.
+ */
+
+const { now } = require('./database/stores/schema');
+
+// Text the agent saves for a reply that is only tool calls
+const TOOL_USE_ONLY = '[Tool use only]';
+
+const ROLES = ['user', 'assistant', 'system'];
+
+// Stored timestamps: UTC 'YYYY-MM-DD HH:MM:SS'
+const STORED_TIMESTAMP = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+
+// Parent of the first message in Anthropic's exports
+const ANTHROPIC_ROOT_ID = '00000000-0000-4000-8000-000000000000';
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Stored timestamp from a stored one, an ISO string or Unix seconds (ChatGPT)
+ * @returns {string|null} - null if it isn't a time
+ */
+function toTimestamp(value) {
+  if (typeof value === 'string' && STORED_TIMESTAMP.test(value)) return value;
+
+  const date = isNumber(value) ? new Date(value * 1000) : typeof value === 'string' ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) return null;
+
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Empty import record; `messages` are added in order, parents before their children
+ */
+function createRecord(format) {
+  return {
+    format,
+    sourceId: null,
+    title: null,
+    createdAt: null,
+    updatedAt: null,
+    metadata: {},
+    summary: null,
+    summarizedAt: null,
+    tokenCount: null, // null = estimated from the messages
+    activeMessageId: null, // Source id of the active branch's last message (null = the last message)
+    messages: [],
+    warnings: new Map(), // Warning -> how often (a list once finished)
+    errors: []
+  };
+}
+
+function warn(record, warning) {
+  record.warnings.set(warning, (record.warnings.get(warning) || 0) + 1);
+}
+
+/**
+ * Message of a record: { id, parentId } are source ids, the rest what db.importConversation stores
+ */
+function createMessage(id, parentId, role, content, fields = {}) {
+  return {
+    id,
+    parentId,
+    role,
+    content,
+    timestamp: null,
+    messageId: null,
+    tokenCount: null, // null = estimated from the content
+    usage: null,
+    cost: null,
+    stopped: false,
+    isSummary: false,
+    summarizesCount: 0,
+    metadata: {},
+    toolExecutions: [],
+    ...fields
+  };
+}
+
+/**
+ * Tool execution of a message; tool input and output are JSON values
+ */
+function createToolExecution(toolName, toolInput, fields = {}) {
+  return {
+    toolUseId: null,
+    toolName,
+    toolInput,
+    toolOutput: null,
+    timestamp: null,
+    durationMs: null,
+    success: true,
+    status: 'success',
+    error: null,
+    ...fields
+  };
+}
+
+// =============================================
+// THIS SERVER'S EXPORT
+// =============================================
+
+function fromExport(item, record) {
+  record.sourceId = item.conversationId;
+  record.title = item.title;
+  record.createdAt = toTimestamp(item.createdAt);
+  record.updatedAt = toTimestamp(item.updatedAt);
+  record.metadata = isObject(item.metadata) ? item.metadata : {};
+  record.summary = typeof item.summary === 'string' ? item.summary : null;
+  record.summarizedAt = toTimestamp(item.summarizedAt);
+  record.tokenCount = isObject(item.statistics) && isNumber(item.statistics.tokenCount) ? item.statistics.tokenCount : null;
+  record.activeMessageId = item.activeMessageId || null;
+
+  // Exports from before branches have no parentId: their messages follow each other
+  const hasParents = item.messages.some(message => isObject(message) && 'parentId' in message);
+  let previousId = null;
+
+  item.messages.forEach((message, index) => {
+    if (!isObject(message) || !ROLES.includes(message.role) || typeof message.content !== 'string') {
+      warn(record, 'Left out messages without a valid role and text content');
+      return;
+    }
+
+    const id = message.id ? String(message.id) : `message_${index}`;
+    const toolExecutions = [];
+    for (const tool of Array.isArray(message.toolExecutions) ? message.toolExecutions : []) {
+      if (!isObject(tool) || typeof tool.tool_name !== 'string') {
+        warn(record, 'Left out tool executions without a tool name');
+        continue;
+      }
+      const success = tool.success !== 0 && tool.success !== false;
+      toolExecutions.push(createToolExecution(tool.tool_name, tool.tool_input === undefined ? null : tool.tool_input, {
+        toolUseId: tool.tool_use_id || null,
+        toolOutput: tool.tool_output === undefined ? null : tool.tool_output,
+        timestamp: toTimestamp(tool.timestamp),
+        durationMs: isNumber(tool.duration_ms) ? tool.duration_ms : null,
+        success,
+        status: typeof tool.status === 'string' ? tool.status : success ? 'success' : 'error',
+        error: typeof tool.error === 'string' ? tool.error : null
+      }));
+    }
+
+    record.messages.push(createMessage(id, hasParents ? message.parentId || null : previousId, message.role, message.content, {
+      timestamp: toTimestamp(message.timestamp),
+      messageId: message.messageId || null,
+      tokenCount: isNumber(message.tokenCount) ? message.tokenCount : null,
+      usage: isObject(message.usage) ? message.usage : null,
+      cost: isNumber(message.cost) ? message.cost : null,
+      stopped: message.stopped === true,
+      // Exports from before isSummary only have the summary's text to go by
+      isSummary: message.isSummary !== undefined
+        ? message.isSummary === true
+        : message.role === 'system' && message.content.startsWith('[Conversation Summary'),
+      summarizesCount: Number.isInteger(message.summarizesCount) ? message.summarizesCount : 0,
+      metadata: isObject(message.metadata) ? message.metadata : {},
+      toolExecutions
+    }));
+    previousId = id;
+  });
+}
+
+// =============================================
+// CHATGPT
+// =============================================
+
+/**
+ * Text of a ChatGPT message's content (images and files are not in the export)
+ */
+function chatGPTText(content, record) {
+  if (!isObject(content)) return '';
+
+  if (Array.isArray(content.parts)) {
+    const parts = content.parts.filter(part => {
+      if (typeof part === 'string') return true;
+      warn(record, 'Left out images and files (they are not in the export)');
+      return false;
+    });
+    return parts.join('\n');
+  }
+
+  switch (content.content_type) {
+    case 'tether_quote':
+      return [content.title, content.text, content.url].filter(Boolean).join('\n');
+    case 'tether_browsing_display':
+      return typeof content.result === 'string' ? content.result : '';
+    default:
+      return typeof content.text === 'string' ? content.text : '';
+  }
+}
+
+function fromChatGPT(item, record) {
+  record.sourceId = item.conversation_id || item.id || null;
+  record.title = item.title;
+  record.createdAt = toTimestamp(item.create_time);
+  record.updatedAt = toTimestamp(item.update_time);
+
+  const nodes = item.mapping;
+  const keptFor = new Map(); // Node id -> id of the message it became, or of the nearest one above it
+  const openCalls = new Map(); // Message id -> its tool execution still waiting for its output
+
+  // Depth first from the roots, children in the order they were written
+  const roots = Object.keys(nodes).filter(id => isObject(nodes[id]) && !(nodes[id].parent && isObject(nodes[nodes[id].parent])));
+  const stack = roots.reverse().map(id => [id, null]);
+
+  while (stack.length > 0) {
+    const [nodeId, parentId] = stack.pop();
+    if (keptFor.has(nodeId)) continue;
+
+    const node = nodes[nodeId];
+    const kept = fromChatGPTNode(nodeId, node.message, parentId, record, openCalls);
+    keptFor.set(nodeId, kept);
+
+    const children = (Array.isArray(node.children) ? node.children : []).filter(id => isObject(nodes[id]));
+    for (const childId of children.reverse()) {
+      stack.push([childId, kept]);
+    }
+  }
+
+  record.activeMessageId = keptFor.get(item.current_node) || null;
+}
+
+/**
+ * Add a mapping node's message to the record
+ * @returns {string|null} - Id of the message it became, or of the nearest one above it
+ */
+function fromChatGPTNode(nodeId, message, parentId, record, openCalls) {
+  if (!isObject(message)) return parentId;
+
+  const role = isObject(message.author) ? message.author.role : null;
+  const metadata = isObject(message.metadata) ? message.metadata : {};
+  const content = isObject(message.content) ? message.content : {};
+  const timestamp = toTimestamp(message.create_time);
+
+  // System prompts and context ChatGPT doesn't show either
+  if (metadata.is_visually_hidden_from_conversation) return parentId;
+
+  if (role === 'tool') {
+    const call = openCalls.get(parentId);
+    if (!call) {
+      warn(record, 'Left out tool outputs without a tool call');
+      return parentId;
+    }
+    call.toolOutput = chatGPTText(content, record);
+    openCalls.delete(parentId);
+    return parentId;
+  }
+
+  if (role !== 'user' && role !== 'assistant') {
+    warn(record, 'Left out system messages');
+    return parentId;
+  }
+  if (content.content_type === 'thoughts' || content.content_type === 'reasoning_recap') {
+    warn(record, 'Left out reasoning');
+    return parentId;
+  }
+
+  const text = chatGPTText(content, record);
+  const messageMetadata = role === 'assistant' && metadata.model_slug ? { provider: 'openai', model: metadata.model_slug } : {};
+
+  // An assistant message to a tool (python, browser, ...) is a tool call; its output follows
+  if (role === 'assistant' && message.recipient && message.recipient !== 'all') {
+    let input = { input: text };
+    try {
+      const parsed = JSON.parse(text);
+      if (isObject(parsed)) input = parsed;
+    } catch (e) {
+      // Code or plain text
+    }
+
+    const call = createToolExecution(message.recipient, input, { timestamp });
+    record.messages.push(createMessage(nodeId, parentId, 'assistant', TOOL_USE_ONLY, {
+      timestamp,
+      metadata: messageMetadata,
+      toolExecutions: [call]
+    }));
+    openCalls.set(nodeId, call);
+    return nodeId;
+  }
+
+  if (!text.trim()) {
+    warn(record, 'Left out empty messages');
+    return parentId;
+  }
+
+  record.messages.push(createMessage(nodeId, parentId, role, text, { timestamp, metadata: messageMetadata }));
+  return nodeId;
+}
+
+// =============================================
+// ANTHROPIC
+// =============================================
+
+/**
+ * Text of a tool result block's content
+ */
+function anthropicResultText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return content === undefined ? null : content;
+
+  return content.map(block => (isObject(block) && typeof block.text === 'string' ? block.text : JSON.stringify(block))).join('\n');
+}
+
+/**
+ * Text and tool executions of a chat message's content blocks
+ */
+function fromAnthropicContent(message, record) {
+  const blocks = Array.isArray(message.content) && message.content.length > 0
+    ? message.content
+    : [{ type: 'text', text: typeof message.text === 'string' ? message.text : '' }];
+
+  const texts = [];
+  const calls = new Map(); // Tool use id -> tool execution
+
+  for (const block of blocks) {
+    if (!isObject(block)) continue;
+
+    if (block.type === 'text') {
+      if (typeof block.text === 'string' && block.text.trim()) texts.push(block.text);
+    } else if (block.type === 'tool_use') {
+      calls.set(block.id || `tool_${calls.size}`, createToolExecution(String(block.name || 'tool'), block.input === undefined ? {} : block.input, {
+        timestamp: toTimestamp(block.start_timestamp)
+      }));
+    } else if (block.type === 'tool_result') {
+      const call = calls.get(block.tool_use_id);
+      if (!call) {
+        warn(record, 'Left out tool results without a tool call');
+        continue;
+      }
+      call.toolOutput = anthropicResultText(block.content);
+      if (block.is_error) {
+        call.success = false;
+        call.status = 'error';
+      }
+    } else if (block.type === 'thinking') {
+      warn(record, 'Left out thinking');
+    } else {
+      warn(record, 'Left out unsupported content blocks');
+    }
+  }
+
+  // Text pasted or uploaded as an attachment
+  for (const attachment of Array.isArray(message.attachments) ? message.attachments : []) {
+    if (isObject(attachment) && typeof attachment.extracted_content === 'string') {
+      texts.push(`[Attachment: ${attachment.file_name || 'untitled'}]\n${attachment.extracted_content}`);
+    }
+  }
+  if (Array.isArray(message.files) && message.files.length > 0) {
+    warn(record, 'Left out images and files (they are not in the export)');
+  }
+
+  return { text: texts.join('\n\n'), toolExecutions: [...calls.values()] };
+}
+
+function fromAnthropic(item, record) {
+  record.sourceId = item.uuid || null;
+  record.title = item.name;
+  record.createdAt = toTimestamp(item.created_at);
+  record.updatedAt = toTimestamp(item.updated_at);
+
+  // Newer exports have the message tree; older ones only the shown messages, in order
+  const hasParents = item.chat_messages.some(message => isObject(message) && message.parent_message_uuid);
+  const keptFor = new Map(); // Message uuid -> id of the message it became, or of the nearest one above it
+  let previousId = null;
+
+  item.chat_messages.forEach((message, index) => {
+    if (!isObject(message) || (message.sender !== 'human' && message.sender !== 'assistant')) {
+      warn(record, 'Left out messages without a valid sender');
+      return;
+    }
+
+    const id = message.uuid ? String(message.uuid) : `message_${index}`;
+    const parentUuid = message.parent_message_uuid;
+    const parentId = !hasParents
+      ? previousId
+      : parentUuid && parentUuid !== ANTHROPIC_ROOT_ID ? (keptFor.has(parentUuid) ? keptFor.get(parentUuid) : parentUuid) : null;
+
+    const { text, toolExecutions } = fromAnthropicContent(message, record);
+    if (!text.trim() && toolExecutions.length === 0) {
+      warn(record, 'Left out empty messages');
+      keptFor.set(id, parentId);
+      return;
+    }
+
+    const role = message.sender === 'human' ? 'user' : 'assistant';
+    record.messages.push(createMessage(id, parentId, role, text || TOOL_USE_ONLY, {
+      timestamp: toTimestamp(message.created_at),
+      toolExecutions
+    }));
+    keptFor.set(id, id);
+    previousId = id;
+  });
+
+  const leaf = item.current_leaf_message_uuid;
+  record.activeMessageId = leaf ? keptFor.get(leaf) || null : null;
+}
+
+// =============================================
+// PARSING
+// =============================================
+
+const PARSERS = {
+  export: fromExport,
+  chatgpt: fromChatGPT,
+  anthropic: fromAnthropic
+};
+
+/**
+ * Format of an exported conversation (null if it isn't one)
+ */
+function detectFormat(item) {
+  if (!isObject(item)) return null;
+  if (Array.isArray(item.messages) && item.conversationId !== undefined) return 'export';
+  if (isObject(item.mapping)) return 'chatgpt';
+  if (Array.isArray(item.chat_messages)) return 'anthropic';
+  return null;
+}
+
+/**
+ * Check a parsed record and fill in what its source left out
+ */
+function finishRecord(record) {
+  const seen = new Set();
+  const messages = [];
+  let previousTimestamp = record.createdAt;
+
+  for (const message of record.messages) {
+    if (seen.has(message.id)) {
+      warn(record, 'Left out messages with a duplicate id');
+      continue;
+    }
+    if (message.parentId !== null && !seen.has(message.parentId)) {
+      warn(record, 'Messages whose parent is missing (or comes after them) start a branch of their own');
+      message.parentId = null;
+    }
+    if (!message.timestamp) {
+      warn(record, 'Messages without a valid timestamp took the one before (or the import time)');
+      message.timestamp = previousTimestamp || now();
+    }
+    previousTimestamp = message.timestamp;
+    seen.add(message.id);
+    messages.push(message);
+  }
+  record.messages = messages;
+
+  if (messages.length === 0 && record.errors.length === 0) {
+    record.errors.push('No messages to import');
+  }
+  if (record.activeMessageId && !seen.has(record.activeMessageId)) {
+    warn(record, 'The active message is missing; the newest one is shown');
+    record.activeMessageId = null;
+  }
+
+  record.sourceId = record.sourceId === null || record.sourceId === undefined ? null : String(record.sourceId);
+  record.title = typeof record.title === 'string' && record.title.trim() ? record.title : 'Imported Conversation';
+  record.createdAt = record.createdAt || (messages.length > 0 ? messages[0].timestamp : now());
+  record.updatedAt = record.updatedAt || (messages.length > 0 ? messages[messages.length - 1].timestamp : record.createdAt);
+  record.warnings = [...record.warnings].map(([warning, count]) => (count > 1 ? `${warning} (${count})` : warning));
+
+  return record;
+}
+
+/**
+ * Import records for an upload: one exported conversation, or an array of them (such as a
+ * ChatGPT or Anthropic conversations.json)
+ * @param {*} data - Parsed JSON
+ * @returns {Array} - One record per conversation, in order (see createRecord)
+ * @throws {Error} - If there are no conversations in it
+ */
+function parseImport(data) {
+  const items = Array.isArray(data) ? data : [data];
+  if (items.length === 0 || !items.some(isObject)) {
+    throw new Error('Expected a conversation or an array of conversations');
+  }
+
+  return items.map(item => {
+    const format = detectFormat(item);
+    const record = createRecord(format);
+
+    if (!format) {
+      record.errors.push('Unrecognized format: expected this server\'s JSON export, ChatGPT\'s conversations.json or Anthropic\'s data export');
+    } else {
+      PARSERS[format](item, record);
+    }
+
+    return finishRecord(record);
+  });
+}
+
+module.exports = {
+  TOOL_USE_ONLY,
+  toTimestamp,
+  detectFormat,
+  parseImport
+};
@@ -0,0 +1,147 @@
+/**
+ * Conversation limits - when to warn and when a conversation should be summarized
+ *
+ * Limits (a limit of 0 turns it off):
+ * - tokens: Context size (conversation token_count)
+ * - messages: Message count
+ * - toolExecutions: Tool execution count
+ * - ageHours: Age since creation (only asks for a summary once there are more than 10 messages)
+ * - warningThreshold: Fraction of a limit at which to warn (0-1)
+ *
+ * Server defaults come from CONVERSATION_TOKEN_LIMIT (20480), CONVERSATION_MESSAGE_LIMIT (150),
+ * CONVERSATION_TOOL_LIMIT (100), CONVERSATION_AGE_LIMIT_HOURS (24) and
+ * CONVERSATION_WARNING_THRESHOLD (0.8). A conversation overrides any of them in
+ * metadata.customLimits; the rest keep following the server defaults.
+ */
+
+// Load environment variables
+require('dotenv').config();
+
+// Age alone doesn't make a short conversation worth summarizing
+const AGE_MIN_MESSAGES = 10;
+
+const LIMIT_KEYS = ['tokens', 'messages', 'toolExecutions', 'ageHours', 'warningThreshold'];
+
+function readNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Limits for conversations without overrides, from server config
+ */
+function getDefaultLimits() {
+  return {
+    tokens: readNumber('CONVERSATION_TOKEN_LIMIT', 20480),
+    messages: readNumber('CONVERSATION_MESSAGE_LIMIT', 150),
+    toolExecutions: readNumber('CONVERSATION_TOOL_LIMIT', 100),
+    ageHours: readNumber('CONVERSATION_AGE_LIMIT_HOURS', 24),
+    warningThreshold: Math.min(1, readNumber('CONVERSATION_WARNING_THRESHOLD', 0.8))
+  };
+}
+
+/**
+ * Check limit overrides (null values are kept: they remove an override)
+ * @throws {Error} - On unknown keys or out-of-range values
+ */
+function normalizeCustomLimits(customLimits) {
+  if (!customLimits || typeof customLimits !== 'object' || Array.isArray(customLimits)) {
+    throw new Error('Limits must be an object');
+  }
+
+  const normalized = {};
+  for (const [key, value] of Object.entries(customLimits)) {
+    if (!LIMIT_KEYS.includes(key)) {
+      throw new Error(`Unknown limit: ${key} (expected ${LIMIT_KEYS.join(', ')})`);
+    }
+
+    if (value === null) {
+      normalized[key] = null;
+    } else if (key === 'warningThreshold') {
+      if (typeof value !== 'number' || !(value > 0 && value <= 1)) {
+        throw new Error('warningThreshold must be a number greater than 0 and at most 1');
+      }
+      normalized[key] = value;
+    } else {
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        throw new Error(`${key} must be a non-negative number (0 turns the limit off)`);
+      }
+      normalized[key] = value;
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Effective limits for a conversation
+ * @param {Object} metadata - Conversation metadata (customLimits overrides the defaults)
+ */
+function resolveLimits(metadata) {
+  const limits = getDefaultLimits();
+  const customLimits = (metadata && metadata.customLimits) || {};
+
+  for (const key of LIMIT_KEYS) {
+    if (typeof customLimits[key] === 'number') {
+      limits[key] = customLimits[key];
+    }
+  }
+
+  return limits;
+}
+
+/**
+ * Compare a conversation's counters with its limits
+ * @param {Object} conversation - Row from getConversation() (metadata parsed)
+ * @returns {Object} - { limits, warnings: [{ type, current, limit, percentage, unit? }], shouldSummarize, reason }
+ */
+function evaluateLimits(conversation) {
+  const limits = resolveLimits(conversation.metadata);
+  const counters = [
+    { type: 'token', current: conversation.token_count || 0, limit: limits.tokens, reason: 'token_limit' },
+    { type: 'message', current: conversation.message_count || 0, limit: limits.messages, reason: 'message_limit' },
+    { type: 'tool', current: conversation.tool_execution_count || 0, limit: limits.toolExecutions, reason: 'tool_limit' }
+  ];
+
+  const warnings = [];
+  let reason = null;
+
+  for (const counter of counters) {
+    if (!counter.limit) continue;
+
+    if (counter.current >= counter.limit * limits.warningThreshold) {
+      warnings.push({
+        type: counter.type,
+        current: counter.current,
+        limit: counter.limit,
+        percentage: Math.round((counter.current / counter.limit) * 100)
+      });
+    }
+    if (!reason && counter.current >= counter.limit) {
+      reason = counter.reason;
+    }
+  }
+
+  const ageHours = conversation.age_hours || 0;
+  if (limits.ageHours && ageHours >= limits.ageHours) {
+    warnings.push({ type: 'age', current: ageHours, limit: limits.ageHours, unit: 'hours' });
+    if (!reason && (conversation.message_count || 0) > AGE_MIN_MESSAGES) {
+      reason = 'age_limit';
+    }
+  }
+
+  return {
+    limits,
+    warnings,
+    shouldSummarize: reason !== null,
+    reason
+  };
+}
+
+module.exports = {
+  LIMIT_KEYS,
+  getDefaultLimits,
+  normalizeCustomLimits,
+  resolveLimits,
+  evaluateLimits
+};
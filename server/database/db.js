@@ -1,95 +1,268 @@
 /**
- * SQLite Database Wrapper for Chat Conversations
- * Multi-factor limit tracking (Option B: Balanced)
+ * Chat Conversations Database
+ * Multi-factor limit tracking: tokens, messages, tool executions and age.
+ * Limits are configurable per conversation (see conversation-limits.js); conversation
+ * rows carry the resolved `limits` and the *_warning / should_summarize flags.
  *
- * Limits:
- * - Tokens: 20,480
- * - Messages: 150
- * - Tool Executions: 100
- * - Age: 24 hours
+ * Records are kept by a store (SQLite, in-memory or PostgreSQL, see stores/index.js).
+ * Everything else is here, the same for every store: ids, timestamps, the counters on
+ * conversations and the age used for limits.
  */
 
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
-const fs = require('fs');
-const { promisify } = require('util');
-
-// Database file path
-const DB_PATH = path.join(__dirname, 'conversations.db');
+const conversationLimits = require('../conversation-limits');
+const conversationBranches = require('../conversation-branches');
+const { createStore } = require('./stores');
+const { now } = require('./stores/schema');
+const search = require('./stores/search');
 
 // Initialize database
-let db;
+let store = null;
+let initializing = null;
+
+/**
+ * Open the store and bring its schema up to date (see migrations.js)
+ * @param {Object} options - { store }
+ *   store: Store to use instead of the configured one (STORAGE), e.g. createStore({ type: 'memory' })
+ * @returns {Promise<Object>} - The open store
+ * @throws {Error} - If the database is from a newer version or a migration fails
+ */
+async function initializeDatabase({ store: givenStore = null } = {}) {
+  if (store) {
+    return store;
+  }
+
+  // Callers arriving while migrations run wait for the same store
+  if (!initializing) {
+    initializing = (async () => {
+      const opened = givenStore || createStore();
+      await opened.open();
+
+      store = opened;
+      console.log(`Database initialized (${store.name}${store.filename ? `: ${store.filename}` : ''})`);
+      return store;
+    })().finally(() => {
+      initializing = null;
+    });
+  }
+
+  return initializing;
+}
+
+/**
+ * Close database connection
+ */
+async function closeDatabase() {
+  if (store) {
+    await store.close();
+    store = null;
+  }
+}
+
+/**
+ * Random id with a type prefix, e.g. msg_1700000000000_k3j2h1g0f
+ */
+function generateId(prefix) {
+  return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
 
 /**
- * Promisify database methods
+ * Parse a JSON column, falling back when it isn't valid
  */
-function promisifyDatabase(database) {
+function parseJSON(text, fallback = {}) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return fallback;
+  }
+}
+
+/**
+ * Whole hours since a stored timestamp (UTC 'YYYY-MM-DD HH:MM:SS')
+ */
+function hoursSince(timestamp) {
+  const time = Date.parse(`${timestamp.replace(' ', 'T')}${/[zZ]|[+-]\d\d:\d\d$/.test(timestamp) ? '' : 'Z'}`);
+  return Math.trunc((Date.now() - time) / (60 * 60 * 1000));
+}
+
+/**
+ * Token estimation helper (rough: 4 chars ≈ 1 token)
+ * Only used for messages without provider usage (user messages, local models that don't report it)
+ */
+function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Fill in missing usage fields
+ * @param {Object} usage - { inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens } from a provider
+ */
+function normalizeUsage(usage = {}) {
   return {
-    run: promisify(database.run.bind(database)),
-    get: promisify(database.get.bind(database)),
-    all: promisify(database.all.bind(database)),
-    exec: promisify(database.exec.bind(database)),
-    close: promisify(database.close.bind(database))
+    inputTokens: usage.inputTokens || 0,
+    outputTokens: usage.outputTokens || 0,
+    cacheReadTokens: usage.cacheReadTokens || 0,
+    cacheWriteTokens: usage.cacheWriteTokens || 0
   };
 }
 
 /**
- * Initialize database and create tables
+ * Usage stored on a message row, or null if the provider reported none
  */
-async function initializeDatabase() {
-  if (db) {
-    return db;
+function getMessageUsage(message) {
+  if (!message.input_tokens && !message.output_tokens && !message.cache_read_tokens && !message.cache_write_tokens) {
+    return null;
   }
+  return {
+    inputTokens: message.input_tokens,
+    outputTokens: message.output_tokens,
+    cacheReadTokens: message.cache_read_tokens,
+    cacheWriteTokens: message.cache_write_tokens
+  };
+}
+
+/**
+ * Usage and cost per provider/model, from the messages' stored turns
+ * @returns {Array} - [{ provider, model, turns, inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens, cost }]
+ */
+function getCostByModel(messages) {
+  const byModel = new Map();
+
+  for (const message of messages) {
+    const usage = getMessageUsage(message);
+    if (!usage) continue;
+
+    const { provider = null, model = null } = message.metadata || {};
+    const key = `${provider}/${model}`;
+    if (!byModel.has(key)) {
+      byModel.set(key, {
+        provider,
+        model,
+        turns: 0,
+        inputTokens: 0,
+        outputTokens: 0,
+        cacheReadTokens: 0,
+        cacheWriteTokens: 0,
+        cost: 0,
+        unpricedTurns: 0
+      });
+    }
 
-  // Create database directory if it doesn't exist
-  const dbDir = path.dirname(DB_PATH);
-  if (!fs.existsSync(dbDir)) {
-    fs.mkdirSync(dbDir, { recursive: true });
+    const entry = byModel.get(key);
+    entry.turns++;
+    entry.inputTokens += usage.inputTokens;
+    entry.outputTokens += usage.outputTokens;
+    entry.cacheReadTokens += usage.cacheReadTokens;
+    entry.cacheWriteTokens += usage.cacheWriteTokens;
+    if (message.cost === null || message.cost === undefined) {
+      entry.unpricedTurns++;
+    } else {
+      entry.cost += message.cost;
+    }
   }
 
-  // Open database
-  const rawDb = new sqlite3.Database(DB_PATH);
-  db = promisifyDatabase(rawDb);
-  db.raw = rawDb; // Keep reference to raw database
+  return [...byModel.values()];
+}
 
-  // Enable foreign keys
-  await db.run('PRAGMA foreign_keys = ON');
+// Conversation columns returned by the API (what the conversation_stats view had, plus age_hours)
+const CONVERSATION_FIELDS = [
+  'id', 'title', 'created_at', 'updated_at', 'token_count', 'input_token_count', 'output_token_count',
+  'cache_read_token_count', 'cache_write_token_count', 'message_count', 'tool_execution_count', 'estimated_cost',
+  'active_leaf_id'
+];
 
-  // Read and execute schema
-  const schemaPath = path.join(__dirname, 'schema.sql');
-  const schema = fs.readFileSync(schemaPath, 'utf8');
+// Tool execution fields attached to messages by getMessages
+const MESSAGE_TOOL_FIELDS = [
+  'id', 'tool_use_id', 'tool_name', 'tool_input', 'tool_output', 'duration_ms', 'success', 'status', 'error', 'timestamp'
+];
 
-  // Execute entire schema at once (sqlite3's exec can handle multiple statements)
-  try {
-    await db.exec(schema);
-  } catch (error) {
-    // Ignore errors for CREATE IF NOT EXISTS statements
-    if (!error.message.includes('already exists')) {
-      console.error('Error executing schema:', error.message);
-    }
+/**
+ * Parse a conversation row's metadata and add its limits and limit flags
+ */
+function withLimitStatus(conversation) {
+  if (conversation.metadata) {
+    conversation.metadata = parseJSON(conversation.metadata);
   }
 
-  console.log('Database initialized at:', DB_PATH);
+  const { limits, warnings, shouldSummarize } = conversationLimits.evaluateLimits(conversation);
+  const warned = type => (warnings.some(warning => warning.type === type) ? 1 : 0);
 
-  return db;
+  return {
+    ...conversation,
+    limits,
+    token_warning: warned('token'),
+    message_warning: warned('message'),
+    tool_warning: warned('tool'),
+    age_warning: warned('age'),
+    should_summarize: shouldSummarize ? 1 : 0
+  };
 }
 
 /**
- * Close database connection
+ * Conversation as returned by the API: its counters, age, metadata and limit status
  */
-async function closeDatabase() {
-  if (db) {
-    await db.close();
-    db = null;
+function toConversation(row) {
+  const conversation = {};
+  for (const field of CONVERSATION_FIELDS) {
+    conversation[field] = row[field];
   }
+  conversation.age_hours = hoursSince(row.created_at);
+  conversation.metadata = row.metadata;
+
+  return withLimitStatus(conversation);
 }
 
 /**
- * Token estimation helper (rough: 4 chars ≈ 1 token)
+ * Message row with its metadata parsed
  */
-function estimateTokens(text) {
-  if (!text) return 0;
-  return Math.ceil(text.length / 4);
+function toMessage(row) {
+  if (row && row.metadata) {
+    row.metadata = parseJSON(row.metadata);
+  }
+  return row;
+}
+
+/**
+ * Tool execution row with its input and output parsed
+ */
+function toToolExecution(row) {
+  if (row && row.tool_input) {
+    row.tool_input = parseJSON(row.tool_input);
+  }
+  if (row && row.tool_output) {
+    row.tool_output = parseJSON(row.tool_output);
+  }
+  return row;
+}
+
+/**
+ * Tool execution as attached to a message (see MESSAGE_TOOL_FIELDS)
+ */
+function toMessageTool(row) {
+  const entry = {};
+  for (const field of MESSAGE_TOOL_FIELDS) {
+    entry[field] = row[field];
+  }
+  return toToolExecution(entry);
+}
+
+/**
+ * Opaque page cursor for the sort key of the last row of a page
+ */
+function encodeCursor(values) {
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+/**
+ * Sort key of a cursor made by encodeCursor
+ * @throws {Error} - If it isn't one
+ */
+function decodeCursor(cursor) {
+  const values = parseJSON(Buffer.from(String(cursor), 'base64url').toString(), null);
+  if (!Array.isArray(values) || values.length !== 2 || !values.every(value => typeof value === 'string')) {
+    throw new Error('Invalid cursor');
+  }
+  return values;
 }
 
 // =============================================
@@ -102,12 +275,16 @@ function estimateTokens(text) {
 async function createConversation(title = 'New Conversation', metadata = {}) {
   const database = await initializeDatabase();
 
-  const id = `conv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const id = generateId('conv');
+  const createdAt = now();
 
-  await database.run(
-    `INSERT INTO conversations (id, title, metadata) VALUES (?, ?, ?)`,
-    [id, title, JSON.stringify(metadata)]
-  );
+  await database.insertConversation({
+    id,
+    title,
+    created_at: createdAt,
+    updated_at: createdAt,
+    metadata: JSON.stringify(metadata)
+  });
 
   return await getConversation(id);
 }
@@ -118,43 +295,47 @@ async function createConversation(title = 'New Conversation', metadata = {}) {
 async function getConversation(conversationId) {
   const database = await initializeDatabase();
 
-  const conversation = await database.get(
-    `SELECT * FROM conversation_stats WHERE id = ?`,
-    [conversationId]
-  );
+  const conversation = await database.getConversation(conversationId);
 
-  if (conversation && conversation.metadata) {
-    try {
-      conversation.metadata = JSON.parse(conversation.metadata);
-    } catch (e) {
-      conversation.metadata = {};
-    }
-  }
-
-  return conversation || null;
+  return conversation ? toConversation(conversation) : null;
 }
 
 /**
  * Get all conversations (sorted by updated_at desc)
+ * @param {number} limit - First N conversations (default: all; see getConversationsPage)
  */
-async function getAllConversations(limit = 100) {
+async function getAllConversations(limit = null) {
   const database = await initializeDatabase();
 
-  const conversations = await database.all(
-    `SELECT * FROM conversation_stats ORDER BY updated_at DESC LIMIT ?`,
-    [limit]
-  );
+  const conversations = await database.listConversations({ limit });
 
-  return conversations.map(conv => {
-    if (conv.metadata) {
-      try {
-        conv.metadata = JSON.parse(conv.metadata);
-      } catch (e) {
-        conv.metadata = {};
-      }
-    }
-    return conv;
-  });
+  return conversations.map(toConversation);
+}
+
+/**
+ * A page of conversations, most recently updated first
+ * A conversation updated while paging moves to the top; it is not repeated on later pages.
+ * @param {Object} options - { limit, cursor } (cursor: nextCursor of the previous page)
+ * @returns {Promise<Object>} - { conversations, nextCursor } (nextCursor null on the last page)
+ * @throws {Error} - If the cursor is not one this returned
+ */
+async function getConversationsPage({ limit = 50, cursor = null } = {}) {
+  const database = await initializeDatabase();
+
+  let before = null;
+  if (cursor) {
+    const [updatedAt, id] = decodeCursor(cursor);
+    before = { updated_at: updatedAt, id };
+  }
+
+  const rows = await database.listConversations({ limit: limit + 1, before });
+  const conversations = rows.slice(0, limit).map(toConversation);
+  const last = conversations[conversations.length - 1];
+
+  return {
+    conversations,
+    nextCursor: rows.length > limit ? encodeCursor([last.updated_at, last.id]) : null
+  };
 }
 
 /**
@@ -163,48 +344,59 @@ async function getAllConversations(limit = 100) {
 async function updateConversationTitle(conversationId, title) {
   const database = await initializeDatabase();
 
-  await database.run(
-    `UPDATE conversations SET title = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
-    [title, conversationId]
-  );
+  await database.updateConversation(conversationId, { set: { title, updated_at: now() } });
 
   return await getConversation(conversationId);
 }
 
 /**
- * Delete conversation (cascades to messages and tool_executions)
+ * Merge keys into conversation metadata (null values remove the key)
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} patch - Keys to set
+ * @returns {Promise<Object|null>} - Updated conversation
  */
-async function deleteConversation(conversationId) {
+async function updateConversationMetadata(conversationId, patch = {}) {
   const database = await initializeDatabase();
 
-  const result = await database.run(
-    `DELETE FROM conversations WHERE id = ?`,
-    [conversationId]
-  );
+  const row = await database.getConversation(conversationId);
+
+  if (!row) return null;
+
+  const metadata = parseJSON(row.metadata || '{}') || {};
+
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null || value === undefined) {
+      delete metadata[key];
+    } else {
+      metadata[key] = value;
+    }
+  }
+
+  await database.updateConversation(conversationId, {
+    set: { metadata: JSON.stringify(metadata), updated_at: now() }
+  });
 
-  return result.changes > 0;
+  return await getConversation(conversationId);
 }
 
 /**
- * Check if conversation should be summarized (Option B limits)
+ * Delete conversation (and its messages and tool executions)
+ */
+async function deleteConversation(conversationId) {
+  const database = await initializeDatabase();
+
+  return await database.deleteConversation(conversationId);
+}
+
+/**
+ * Check if conversation should be summarized (against its own limits)
  */
 async function shouldSummarizeConversation(conversationId) {
   const conversation = await getConversation(conversationId);
 
   if (!conversation) return false;
 
-  // Option B limits
-  const TOKEN_LIMIT = 20480;
-  const MESSAGE_LIMIT = 150;
-  const TOOL_LIMIT = 100;
-  const AGE_LIMIT_HOURS = 24;
-
-  return (
-    conversation.token_count >= TOKEN_LIMIT ||
-    conversation.message_count >= MESSAGE_LIMIT ||
-    conversation.tool_execution_count >= TOOL_LIMIT ||
-    (conversation.age_hours >= AGE_LIMIT_HOURS && conversation.message_count > 10)
-  );
+  return conversation.should_summarize === 1;
 }
 
 // =============================================
@@ -213,6 +405,17 @@ async function shouldSummarizeConversation(conversationId) {
 
 /**
  * Add message to conversation
+ * Messages are numbered per conversation (seq) in the order they are added, and go below
+ * the conversation's active leaf (or `parentId`), becoming the new active leaf.
+ * The conversation's counters are updated with it:
+ * - A turn with provider usage measured the whole context (system prompt, tools, history,
+ *   tool results), so it replaces the running token_count; other messages add their estimate
+ * - Billed token totals and estimated_cost add the turn's usage and stored cost (later price
+ *   changes don't touch earlier turns)
+ * @param {Object} options - { parentId, messageId, stopped, metadata, usage, cost }
+ *   parentId: Message this one follows (default: the active leaf; null = start a new first message)
+ *   usage: Provider token usage of the assistant turn ({ inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens })
+ *   cost: USD for the turn at its model's rates (see pricing.js), null if not priced
  */
 async function addMessage(conversationId, role, content, options = {}) {
   const database = await initializeDatabase();
@@ -220,17 +423,58 @@ async function addMessage(conversationId, role, content, options = {}) {
   const {
     messageId = null,
     stopped = false,
-    metadata = {}
+    metadata = {},
+    usage = null,
+    cost = null
   } = options;
 
-  const id = `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-  const tokenCount = estimateTokens(content);
+  let { parentId } = options;
+  if (parentId === undefined) {
+    const conversation = await database.getConversation(conversationId);
+    parentId = conversation ? conversation.active_leaf_id : null;
+  }
 
-  await database.run(
-    `INSERT INTO messages (id, conversation_id, role, content, message_id, token_count, stopped, metadata)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-    [id, conversationId, role, content, messageId, tokenCount, stopped ? 1 : 0, JSON.stringify(metadata)]
-  );
+  const id = generateId('msg');
+  const timestamp = now();
+  const tokens = normalizeUsage(usage || {});
+  const tokenCount = usage ? tokens.outputTokens : estimateTokens(content);
+
+  await database.insertMessage({
+    id,
+    conversation_id: conversationId,
+    parent_id: parentId,
+    role,
+    content,
+    timestamp,
+    message_id: messageId,
+    token_count: tokenCount,
+    stopped: stopped ? 1 : 0,
+    metadata: JSON.stringify(metadata),
+    input_tokens: tokens.inputTokens,
+    output_tokens: tokens.outputTokens,
+    cache_read_tokens: tokens.cacheReadTokens,
+    cache_write_tokens: tokens.cacheWriteTokens,
+    cost
+  });
+
+  const contextTokens = tokens.inputTokens + tokens.cacheReadTokens + tokens.cacheWriteTokens;
+  const set = { updated_at: timestamp, active_leaf_id: id };
+  const increment = {
+    message_count: 1,
+    input_token_count: tokens.inputTokens,
+    output_token_count: tokens.outputTokens,
+    cache_read_token_count: tokens.cacheReadTokens,
+    cache_write_token_count: tokens.cacheWriteTokens
+  };
+  if (contextTokens > 0) {
+    set.token_count = contextTokens + tokens.outputTokens;
+  } else {
+    increment.token_count = tokenCount;
+  }
+  if (cost !== null && cost !== undefined) {
+    increment.estimated_cost = cost;
+  }
+  await database.updateConversation(conversationId, { set, increment });
 
   return await getMessage(id);
 }
@@ -241,91 +485,111 @@ async function addMessage(conversationId, role, content, options = {}) {
 async function getMessage(messageId) {
   const database = await initializeDatabase();
 
-  const message = await database.get(
-    `SELECT * FROM messages WHERE id = ?`,
-    [messageId]
-  );
+  return toMessage(await database.getMessage(messageId));
+}
 
-  if (message && message.metadata) {
-    try {
-      message.metadata = JSON.parse(message.metadata);
-    } catch (e) {
-      message.metadata = {};
+/**
+ * Tool executions by message id, as messages carry them
+ */
+function groupToolsByMessage(tools) {
+  const toolsByMessage = new Map();
+  for (const tool of tools) {
+    if (!toolsByMessage.has(tool.message_id)) {
+      toolsByMessage.set(tool.message_id, []);
     }
+    toolsByMessage.get(tool.message_id).push(toMessageTool(tool));
   }
-
-  return message || null;
+  return toolsByMessage;
 }
 
 /**
- * Get all messages for a conversation
+ * Get all messages for a conversation, each with its tool executions
+ * @param {number} limit - First N messages (default or negative: all)
  */
-async function getMessages(conversationId, limit = 1000) {
+async function getMessages(conversationId, limit = null) {
   const database = await initializeDatabase();
 
-  const messages = await database.all(
-    `SELECT m.*,
-            (SELECT json_group_array(json_object(
-               'id', te.id,
-               'tool_use_id', te.tool_use_id,
-               'tool_name', te.tool_name,
-               'tool_input', te.tool_input,
-               'tool_output', te.tool_output,
-               'duration_ms', te.duration_ms,
-               'success', te.success,
-               'error', te.error,
-               'timestamp', te.timestamp
-            ))
-            FROM tool_executions te
-            WHERE te.message_id = m.id) as tool_executions
-     FROM messages m
-     WHERE m.conversation_id = ?
-     ORDER BY m.timestamp ASC
-     LIMIT ?`,
-    [conversationId, limit]
-  );
+  const messages = await database.listMessages(conversationId, { limit: limit === null || limit < 0 ? null : limit });
+  const toolsByMessage = groupToolsByMessage(await database.listToolExecutions({ conversationId }));
 
   return messages.map(msg => {
-    if (msg.metadata) {
-      try {
-        msg.metadata = JSON.parse(msg.metadata);
-      } catch (e) {
-        msg.metadata = {};
-      }
-    }
+    toMessage(msg);
+    msg.tool_executions = toolsByMessage.get(msg.id) || [];
+    return msg;
+  });
+}
 
-    if (msg.tool_executions) {
-      try {
-        const parsed = JSON.parse(msg.tool_executions);
-        msg.tool_executions = parsed
-          .filter(t => t.id !== null)
-          .map(tool => {
-            // Parse tool_input and tool_output from JSON strings to objects
-            if (tool.tool_input) {
-              try {
-                tool.tool_input = JSON.parse(tool.tool_input);
-              } catch (e) {
-                tool.tool_input = {};
-              }
-            }
-            if (tool.tool_output) {
-              try {
-                tool.tool_output = JSON.parse(tool.tool_output);
-              } catch (e) {
-                tool.tool_output = {};
-              }
-            }
-            return tool;
-          });
-      } catch (e) {
-        msg.tool_executions = [];
-      }
-    } else {
-      msg.tool_executions = [];
-    }
+/**
+ * Messages of a branch, from the first one down to its leaf (see conversation-branches.js)
+ * Each has its tool executions and `branch`: { index, count, siblingIds } among the
+ * alternatives at its position.
+ * @param {string} conversationId - Conversation ID
+ * @param {string} leafId - Last message of the branch (default: the conversation's active leaf)
+ * @returns {Promise<Array>}
+ */
+async function getBranchMessages(conversationId, leafId = null) {
+  const database = await initializeDatabase();
 
-    return msg;
+  const conversation = await database.getConversation(conversationId);
+  if (!conversation) return [];
+
+  const messages = await getMessages(conversationId, -1);
+  return conversationBranches.getBranch(messages, leafId || conversation.active_leaf_id);
+}
+
+/**
+ * A page of the active branch: the `limit` messages before `before` (default: its newest ones)
+ * The branch is walked on the message tree (ids and parents only); only the page's messages
+ * and their tool executions are loaded. Pass nextCursor as `before` for the page before it.
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} options - { before, limit } (before: id of a message on the active branch)
+ * @returns {Promise<Object|null>} - { messages, nextCursor } in order (nextCursor null on the
+ *   first page; null if the conversation doesn't exist)
+ * @throws {Error} - If `before` isn't on the active branch
+ */
+async function getBranchPage(conversationId, { before = null, limit = 50 } = {}) {
+  const database = await initializeDatabase();
+
+  const conversation = await database.getConversation(conversationId);
+  if (!conversation) return null;
+
+  const tree = await database.listMessageTree(conversationId);
+  const branch = conversationBranches.getBranch(tree, conversation.active_leaf_id);
+
+  const end = before ? branch.findIndex(message => message.id === before) : branch.length;
+  if (end === -1) {
+    throw new Error('before is not a message of the active branch');
+  }
+  const start = Math.max(0, end - limit);
+  const page = branch.slice(start, end);
+
+  const ids = page.map(entry => entry.id);
+  const [rows, tools] = await Promise.all([
+    database.listMessages(conversationId, { ids }),
+    database.listToolExecutions({ messageIds: ids })
+  ]);
+
+  const rowsById = new Map(rows.map(row => [row.id, row]));
+  const toolsByMessage = groupToolsByMessage(tools);
+  const messages = page.map(entry => {
+    const message = toMessage({ ...rowsById.get(entry.id), branch: entry.branch });
+    message.tool_executions = toolsByMessage.get(entry.id) || [];
+    return message;
   });
+
+  return { messages, nextCursor: start > 0 ? messages[0].id : null };
+}
+
+/**
+ * Make a message the end of the branch that is shown and continued
+ * @returns {Promise<Object|null>} - Updated conversation
+ */
+async function setActiveLeaf(conversationId, messageId) {
+  const database = await initializeDatabase();
+
+  await database.updateConversation(conversationId, { set: { active_leaf_id: messageId } });
+
+  return await getConversation(conversationId);
 }
 
 /**
@@ -335,21 +599,18 @@ async function updateMessage(messageId, updates = {}) {
   const database = await initializeDatabase();
 
   const { stopped, metadata } = updates;
+  const set = {};
 
   if (stopped !== undefined) {
-    await database.run(
-      `UPDATE messages SET stopped = ? WHERE id = ?`,
-      [stopped ? 1 : 0, messageId]
-    );
+    set.stopped = stopped ? 1 : 0;
   }
 
   if (metadata !== undefined) {
-    await database.run(
-      `UPDATE messages SET metadata = ? WHERE id = ?`,
-      [JSON.stringify(metadata), messageId]
-    );
+    set.metadata = JSON.stringify(metadata);
   }
 
+  await database.updateMessage(messageId, set);
+
   return await getMessage(messageId);
 }
 
@@ -367,16 +628,29 @@ async function addToolExecution(messageId, conversationId, toolName, toolInput,
     toolUseId = null,  // Claude's unique tool use ID
     durationMs = null,
     success = true,
+    status = success ? 'success' : 'error',  // 'success' | 'error' | 'timeout' | 'cancelled' | 'denied' | 'disabled' | 'validation_error'
     error = null
   } = options;
 
-  const id = `tool_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const id = generateId('tool');
+
+  await database.insertToolExecution({
+    id,
+    message_id: messageId,
+    conversation_id: conversationId,
+    tool_use_id: toolUseId,
+    tool_name: toolName,
+    tool_input: JSON.stringify(toolInput),
+    tool_output: JSON.stringify(toolOutput),
+    timestamp: now(),
+    duration_ms: durationMs,
+    success: success ? 1 : 0,
+    status,
+    error
+  });
 
-  await database.run(
-    `INSERT INTO tool_executions (id, message_id, conversation_id, tool_use_id, tool_name, tool_input, tool_output, duration_ms, success, error)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-    [id, messageId, conversationId, toolUseId, toolName, JSON.stringify(toolInput), JSON.stringify(toolOutput), durationMs, success ? 1 : 0, error]
-  );
+  // Parallel tool calls finish concurrently; the store adds atomically
+  await database.updateConversation(conversationId, { increment: { tool_execution_count: 1 } });
 
   return await getToolExecution(id);
 }
@@ -387,62 +661,18 @@ async function addToolExecution(messageId, conversationId, toolName, toolInput,
 async function getToolExecution(toolExecutionId) {
   const database = await initializeDatabase();
 
-  const tool = await database.get(
-    `SELECT * FROM tool_executions WHERE id = ?`,
-    [toolExecutionId]
-  );
-
-  if (tool) {
-    if (tool.tool_input) {
-      try {
-        tool.tool_input = JSON.parse(tool.tool_input);
-      } catch (e) {
-        tool.tool_input = {};
-      }
-    }
-
-    if (tool.tool_output) {
-      try {
-        tool.tool_output = JSON.parse(tool.tool_output);
-      } catch (e) {
-        tool.tool_output = {};
-      }
-    }
-  }
-
-  return tool || null;
+  return toToolExecution(await database.getToolExecution(toolExecutionId));
 }
 
 /**
- * Get tool executions for a message
+ * Get tool executions for a message (in the order they were recorded)
  */
 async function getToolExecutionsForMessage(messageId) {
   const database = await initializeDatabase();
 
-  const tools = await database.all(
-    `SELECT * FROM tool_executions WHERE message_id = ? ORDER BY timestamp ASC`,
-    [messageId]
-  );
+  const tools = await database.listToolExecutions({ messageId });
 
-  return tools.map(tool => {
-    if (tool.tool_input) {
-      try {
-        tool.tool_input = JSON.parse(tool.tool_input);
-      } catch (e) {
-        tool.tool_input = {};
-      }
-    }
-
-    if (tool.tool_output) {
-      try {
-        tool.tool_output = JSON.parse(tool.tool_output);
-      } catch (e) {
-        tool.tool_output = {};
-      }
-    }
-
-    return tool;
-  });
+  return tools.map(toToolExecution);
 }
 
 // =============================================
@@ -450,79 +680,22 @@ async function getToolExecutionsForMessage(messageId) {
 // =============================================
 
 /**
- * Summarize conversation (DEPRECATED - kept for backward compatibility)
- * Use addConversationSummary instead
- */
-async function summarizeConversation(conversationId, summary, messagesToKeep = 5) {
-  const database = await initializeDatabase();
-
-  // Get all messages
-  const allMessages = await getMessages(conversationId, 10000);
-
-  if (allMessages.length <= messagesToKeep) {
-    return {
-      success: false,
-      error: 'Not enough messages to summarize',
-      messagesSummarized: 0,
-      messagesKept: allMessages.length
-    };
-  }
-
-  // Keep last N messages
-  const messagesToDelete = allMessages.slice(0, -messagesToKeep);
-  const idsToDelete = messagesToDelete.map(m => m.id);
-
-  // Delete old messages (cascades to tool_executions)
-  for (const id of idsToDelete) {
-    await database.run(`DELETE FROM messages WHERE id = ?`, [id]);
-  }
-
-  // Insert summary as system message
-  const summaryId = await addMessage(conversationId, 'system', `[Conversation Summary]\n\n${summary}`, {
-    metadata: { type: 'summary', messagesSummarized: messagesToDelete.length }
-  });
-
-  // Update conversation summary field
-  await database.run(
-    `UPDATE conversations
-     SET summary = ?,
-         summarized_at = CURRENT_TIMESTAMP,
-         times_summarized = times_summarized + 1
-     WHERE id = ?`,
-    [summary, conversationId]
-  );
-
-  // Recalculate token count
-  await database.run(
-    `UPDATE conversations
-     SET token_count = (SELECT COALESCE(SUM(token_count), 0) FROM messages WHERE conversation_id = ?),
-         message_count = (SELECT COUNT(*) FROM messages WHERE conversation_id = ?)
-     WHERE id = ?`,
-    [conversationId, conversationId, conversationId]
-  );
-
-  const updatedConversation = await getConversation(conversationId);
-
-  return {
-    success: true,
-    messagesSummarized: messagesToDelete.length,
-    messagesKept: messagesToKeep,
-    newTokenCount: updatedConversation.token_count,
-    newMessageCount: updatedConversation.message_count
-  };
-}
-
-/**
- * Add a conversation summary (NEW - keeps all messages, just marks them as summarized)
+ * Add a conversation summary (keeps all messages; the context starts at the summary)
  * @param {string} conversationId - Conversation ID
  * @param {string} summary - Summary text generated by LLM
  * @param {number} messagesSummarized - How many messages were summarized
  * @param {number} messagesToKeep - How many recent messages to keep visible
+ * @param {Object} options - { firstKeptMessageId, previousSummaryId, trigger }
+ *   firstKeptMessageId: First message the model still sees after the summary (null = none before it)
+ *   previousSummaryId: Summary this one rolls up
+ *   trigger: 'auto' (compaction) or 'tool' (summarize_conversation)
  * @returns {Promise<Object>} - Summary message info
  */
-async function addConversationSummary(conversationId, summary, messagesSummarized, messagesToKeep) {
+async function addConversationSummary(conversationId, summary, messagesSummarized, messagesToKeep, options = {}) {
   const database = await initializeDatabase();
 
+  const { firstKeptMessageId = null, previousSummaryId = null, trigger = 'tool' } = options;
+
   // Insert summary as system message with special flags
   const summaryMessage = await addMessage(
     conversationId,
@@ -533,29 +706,22 @@ async function addConversationSummary(conversationId, summary, messagesSummarize
         type: 'summary',
         messagesSummarized,
         messagesToKeep,
+        firstKeptMessageId,
+        previousSummaryId,
+        trigger,
         summarizedAt: new Date().toISOString()
       }
     }
   );
 
   // Mark the summary message
-  await database.run(
-    `UPDATE messages
-     SET is_summary = 1,
-         summarizes_count = ?
-     WHERE id = ?`,
-    [messagesSummarized, summaryMessage.id]
-  );
+  await database.updateMessage(summaryMessage.id, { is_summary: 1, summarizes_count: messagesSummarized });
 
   // Update conversation summary field
-  await database.run(
-    `UPDATE conversations
-     SET summary = ?,
-         summarized_at = CURRENT_TIMESTAMP,
-         times_summarized = times_summarized + 1
-     WHERE id = ?`,
-    [summary, conversationId]
-  );
+  await database.updateConversation(conversationId, {
+    set: { summary, summarized_at: now() },
+    increment: { times_summarized: 1 }
+  });
 
   return {
     success: true,
@@ -566,45 +732,176 @@ async function addConversationSummary(conversationId, summary, messagesSummarize
 }
 
 /**
- * Get messages for LLM context (only messages after latest summary)
+ * Get messages for LLM context (the active branch, only messages after its latest summary)
+ * A summary that records its first kept message (compaction) is followed by that
+ * message and everything after it, except other summaries. Trimming to the model's
+ * token budget is up to the caller (see context-builder.js).
  * @param {string} conversationId - Conversation ID
- * @param {number} limit - Maximum messages to return
- * @returns {Promise<Array>} - Messages after latest summary
+ * @returns {Promise<Array>} - Latest summary (if any) and the messages after it, in order
  */
-async function getMessagesForContext(conversationId, limit = 100) {
-  const database = await initializeDatabase();
+async function getMessagesForContext(conversationId) {
+  const allMessages = await getBranchMessages(conversationId);
 
   // Find the latest summary message
-  const latestSummary = await database.get(
-    `SELECT id, timestamp, summarizes_count
-     FROM messages
-     WHERE conversation_id = ? AND is_summary = 1
-     ORDER BY timestamp DESC
-     LIMIT 1`,
-    [conversationId]
-  );
+  const latestSummary = allMessages.filter(m => m.is_summary).pop();
+  if (!latestSummary) {
+    return allMessages;
+  }
 
-  let messages;
+  const summaryMetadata = latestSummary.metadata || {};
 
+  // Summaries written before compaction kept everything after themselves
+  const keptMessage = summaryMetadata.firstKeptMessageId
+    ? allMessages.find(m => m.id === summaryMetadata.firstKeptMessageId)
+    : null;
+  const startSeq = keptMessage ? keptMessage.seq : latestSummary.seq + 1;
+
+  const kept = allMessages.filter(m => m.seq >= startSeq && !m.is_summary);
+  return [latestSummary, ...kept];
+}
+
+/**
+ * Replace a conversation's context size (after compaction, until the next measured turn)
+ */
+async function updateConversationTokenCount(conversationId, tokenCount) {
+  const database = await initializeDatabase();
+
+  await database.updateConversation(conversationId, { set: { token_count: tokenCount } });
+}
+
+// =============================================
+// FORK OPERATIONS
+// =============================================
+
+// Message metadata that points at other messages of the conversation
+const MESSAGE_REFERENCE_KEYS = ['firstKeptMessageId', 'previousSummaryId', 'editedFrom'];
+
+/**
+ * Copy a conversation up to a message into a new conversation
+ * The new one has the branch ending at that message (with its summaries, so the model
+ * sees the same context) and the tool executions of those messages, under new ids.
+ * Messages keep their timestamps; the counters cover what was copied.
+ * @param {string} conversationId - Conversation to fork
+ * @param {Object} options - { atMessageId, title }
+ *   atMessageId: Last message to copy (default: the end of the active branch)
+ *   title: Title of the new conversation (default: the source's with "(fork)")
+ * @returns {Promise<Object|null>} - The new conversation (null if the source doesn't exist)
+ * @throws {Error} - If atMessageId isn't a message of the conversation
+ */
+async function forkConversation(conversationId, { atMessageId = null, title = null } = {}) {
+  const database = await initializeDatabase();
+
+  const source = await getConversation(conversationId);
+  if (!source) return null;
+
+  const allMessages = await database.listMessages(conversationId, { limit: null });
+  if (atMessageId && !allMessages.some(message => message.id === atMessageId)) {
+    throw new Error(`atMessageId is not a message of this conversation: ${atMessageId}`);
+  }
+  const branch = conversationBranches.getBranch(allMessages, atMessageId || source.active_leaf_id);
+  const lastMessage = branch[branch.length - 1] || null;
+
+  const fork = await createConversation(title || `${source.title} (fork)`, {
+    ...source.metadata,
+    forkedFrom: {
+      conversationId: source.id,
+      title: source.title,
+      messageId: lastMessage ? lastMessage.id : null,
+      forkedAt: new Date().toISOString()
+    }
+  });
+
+  const ids = new Map(branch.map(message => [message.id, generateId('msg')]));
+  const counters = {
+    message_count: branch.length,
+    input_token_count: 0,
+    output_token_count: 0,
+    cache_read_token_count: 0,
+    cache_write_token_count: 0,
+    estimated_cost: 0,
+    times_summarized: 0
+  };
+
+  for (const { branch: _branch, seq: _seq, ...message } of branch) {
+    const metadata = parseJSON(message.metadata);
+    for (const key of MESSAGE_REFERENCE_KEYS) {
+      if (metadata[key]) metadata[key] = ids.get(metadata[key]) || null;
+    }
+
+    await database.insertMessage({
+      ...message,
+      id: ids.get(message.id),
+      conversation_id: fork.id,
+      parent_id: message.parent_id ? ids.get(message.parent_id) || null : null,
+      metadata: JSON.stringify(metadata)
+    });
+
+    counters.input_token_count += message.input_tokens || 0;
+    counters.output_token_count += message.output_tokens || 0;
+    counters.cache_read_token_count += message.cache_read_tokens || 0;
+    counters.cache_write_token_count += message.cache_write_tokens || 0;
+    counters.estimated_cost += message.cost || 0;
+    if (message.is_summary) counters.times_summarized++;
+  }
+
+  const tools = (await database.listToolExecutions({ conversationId }))
+    .filter(tool => ids.has(tool.message_id));
+  for (const tool of tools) {
+    await database.insertToolExecution({
+      ...tool,
+      id: generateId('tool'),
+      message_id: ids.get(tool.message_id),
+      conversation_id: fork.id
+    });
+  }
+
+  // The latest summary on the branch is the one the fork's context starts from
+  const latestSummary = branch.filter(message => message.is_summary).pop();
+  const set = {
+    active_leaf_id: lastMessage ? ids.get(lastMessage.id) : null,
+    token_count: branch.reduce((sum, message) => sum + (message.token_count || 0), 0),
+    tool_execution_count: tools.length
+  };
   if (latestSummary) {
-    // Get summary message + all messages after it
-    messages = await database.all(
-      `SELECT m.*, GROUP_CONCAT(te.id) as has_tool_executions
-       FROM messages m
-       LEFT JOIN tool_executions te ON te.message_id = m.id
-       WHERE m.conversation_id = ?
-         AND m.timestamp >= ?
-       GROUP BY m.id
-       ORDER BY m.timestamp ASC
-       LIMIT ?`,
-      [conversationId, latestSummary.timestamp, limit]
-    );
-  } else {
-    // No summary yet, get all messages
-    messages = await getMessages(conversationId, limit);
+    set.summary = latestSummary.content.replace(/^\[Conversation Summary[^\]]*\]\n\n/, '');
+    set.summarized_at = latestSummary.timestamp;
   }
+  await database.updateConversation(fork.id, { set: { ...set, ...counters } });
 
-  return messages;
+  return await getConversation(fork.id);
+}
+
+// =============================================
+// SEARCH OPERATIONS
+// =============================================
+
+/**
+ * Search message content, conversation titles and tool calls in every conversation
+ * Every word of the query must match (SQLite: as a word prefix, see stores/search.js).
+ * @param {string} query - Search text
+ * @param {Object} options - { limit }
+ * @returns {Promise<Array>} - Hits, best first: { type: 'message' | 'title' | 'tool', conversationId,
+ *   conversationTitle, messageId, toolExecutionId, role, timestamp, snippet, highlights }
+ *   highlights: [start, end] ranges of the matches in snippet
+ */
+async function searchConversations(query, { limit = 20 } = {}) {
+  const database = await initializeDatabase();
+
+  const terms = search.parseQuery(query);
+  if (terms.length === 0) return [];
+
+  const hits = await database.search(terms, { limit });
+
+  return hits.map(hit => ({
+    type: hit.kind,
+    conversationId: hit.conversation_id,
+    conversationTitle: hit.title,
+    messageId: hit.message_id,
+    toolExecutionId: hit.tool_execution_id,
+    role: hit.role,
+    timestamp: hit.timestamp,
+    ...search.parseSnippet(hit.snippet)
+  }));
 }
 
 // =============================================
@@ -612,47 +909,67 @@ async function getMessagesForContext(conversationId, limit = 100) {
 // =============================================
 
 /**
- * Export conversation as JSON
+ * Export conversation as JSON (every branch; activeMessageId is the last message of the active one)
  */
 async function exportConversationJSON(conversationId) {
-  const conversation = await getConversation(conversationId);
-  const messages = await getMessages(conversationId);
+  const database = await initializeDatabase();
 
-  if (!conversation) {
+  const row = await database.getConversation(conversationId);
+  if (!row) {
     return null;
   }
 
+  const conversation = toConversation(row);
+  const messages = await getMessages(conversationId);
+
   return {
     conversationId: conversation.id,
     title: conversation.title,
     exportedAt: new Date().toISOString(),
     createdAt: conversation.created_at,
     updatedAt: conversation.updated_at,
+    activeMessageId: conversation.active_leaf_id,
+    metadata: conversation.metadata,
+    summary: row.summary,
+    summarizedAt: row.summarized_at,
     statistics: {
       tokenCount: conversation.token_count,
+      inputTokens: conversation.input_token_count,
+      outputTokens: conversation.output_token_count,
+      cacheReadTokens: conversation.cache_read_token_count,
+      cacheWriteTokens: conversation.cache_write_token_count,
       messageCount: conversation.message_count,
       toolExecutionCount: conversation.tool_execution_count,
       estimatedCost: conversation.estimated_cost,
+      costByModel: getCostByModel(messages),
       ageHours: conversation.age_hours
     },
     messages: messages.map(msg => ({
       id: msg.id,
+      seq: msg.seq,
+      parentId: msg.parent_id,
       role: msg.role,
       content: msg.content,
       timestamp: msg.timestamp,
+      messageId: msg.message_id,
       tokenCount: msg.token_count,
+      usage: getMessageUsage(msg),
+      cost: msg.cost,
       stopped: msg.stopped === 1,
+      isSummary: msg.is_summary === 1,
+      summarizesCount: msg.summarizes_count,
+      metadata: msg.metadata,
       toolExecutions: msg.tool_executions || []
     }))
   };
 }
 
 /**
- * Export conversation as Markdown
+ * Export conversation as Markdown (the active branch)
  */
 async function exportConversationMarkdown(conversationId) {
   const conversation = await getConversation(conversationId);
-  const messages = await getMessages(conversationId);
+  const messages = await getBranchMessages(conversationId);
 
   if (!conversation) {
     return null;
@@ -661,10 +978,24 @@ async function exportConversationMarkdown(conversationId) {
   let markdown = `# ${conversation.title}\n\n`;
   markdown += `**Exported:** ${new Date().toISOString()}\n`;
   markdown += `**Created:** ${conversation.created_at}\n`;
-  markdown += `**Total Tokens:** ${conversation.token_count.toLocaleString()} / 20,480\n`;
+  markdown += `**Total Tokens:** ${conversation.token_count.toLocaleString()} / ${conversation.limits.tokens.toLocaleString()}\n`;
   markdown += `**Messages:** ${conversation.message_count}\n`;
   markdown += `**Tool Executions:** ${conversation.tool_execution_count}\n`;
   markdown += `**Estimated Cost:** $${conversation.estimated_cost.toFixed(4)}\n\n`;
+
+  const costByModel = getCostByModel(messages);
+  if (costByModel.length > 0) {
+    markdown += `| Model | Turns | Input | Output | Cache Read | Cache Write | Cost |\n`;
+    markdown += `|---|---:|---:|---:|---:|---:|---:|\n`;
+    costByModel.forEach(entry => {
+      const cost = entry.unpricedTurns === entry.turns ? 'unpriced' : `$${entry.cost.toFixed(4)}`;
+      markdown += `| ${entry.provider}/${entry.model} | ${entry.turns} | ${entry.inputTokens.toLocaleString()} | ` +
+        `${entry.outputTokens.toLocaleString()} | ${entry.cacheReadTokens.toLocaleString()} | ` +
+        `${entry.cacheWriteTokens.toLocaleString()} | ${cost} |\n`;
+    });
+    markdown += `\n`;
+  }
+
   markdown += `---\n\n`;
 
   messages.forEach((msg, index) => {
@@ -696,6 +1027,126 @@ async function exportConversationMarkdown(conversationId) {
   return markdown;
 }
 
+// =============================================
+// IMPORT OPERATIONS
+// =============================================
+
+/**
+ * Save an imported conversation (a record from conversation-import.js) under new ids
+ * Messages keep their tree, timestamps, usage and metadata; references between them (parents,
+ * summaries, edits, the active branch) point at the new ids. The counters cover what was saved,
+ * and `metadata.importedFrom` has { format, conversationId, importedAt }.
+ * @param {Object} record - Parsed conversation, parents before their children
+ * @returns {Promise<Object>} - The new conversation
+ */
+async function importConversation(record) {
+  const database = await initializeDatabase();
+
+  const id = generateId('conv');
+  const ids = new Map(record.messages.map(message => [message.id, generateId('msg')]));
+
+  await database.insertConversation({
+    id,
+    title: record.title,
+    created_at: record.createdAt,
+    updated_at: record.updatedAt,
+    metadata: JSON.stringify({
+      ...record.metadata,
+      importedFrom: { format: record.format, conversationId: record.sourceId, importedAt: new Date().toISOString() }
+    })
+  });
+
+  const counters = {
+    message_count: record.messages.length,
+    tool_execution_count: 0,
+    token_count: 0,
+    input_token_count: 0,
+    output_token_count: 0,
+    cache_read_token_count: 0,
+    cache_write_token_count: 0,
+    estimated_cost: 0,
+    times_summarized: 0
+  };
+
+  try {
+    for (const message of record.messages) {
+      const metadata = { ...message.metadata };
+      for (const key of MESSAGE_REFERENCE_KEYS) {
+        if (metadata[key]) metadata[key] = ids.get(metadata[key]) || null;
+      }
+      const tokens = normalizeUsage(message.usage || {});
+      const tokenCount = message.tokenCount !== null ? message.tokenCount : estimateTokens(message.content);
+
+      await database.insertMessage({
+        id: ids.get(message.id),
+        conversation_id: id,
+        parent_id: message.parentId ? ids.get(message.parentId) : null,
+        role: message.role,
+        content: message.content,
+        timestamp: message.timestamp,
+        message_id: message.messageId,
+        token_count: tokenCount,
+        input_tokens: tokens.inputTokens,
+        output_tokens: tokens.outputTokens,
+        cache_read_tokens: tokens.cacheReadTokens,
+        cache_write_tokens: tokens.cacheWriteTokens,
+        cost: message.cost,
+        is_summary: message.isSummary ? 1 : 0,
+        summarizes_count: message.summarizesCount,
+        stopped: message.stopped ? 1 : 0,
+        metadata: JSON.stringify(metadata)
+      });
+
+      for (const tool of message.toolExecutions) {
+        await database.insertToolExecution({
+          id: generateId('tool'),
+          message_id: ids.get(message.id),
+          conversation_id: id,
+          tool_use_id: tool.toolUseId,
+          tool_name: tool.toolName,
+          tool_input: JSON.stringify(tool.toolInput),
+          tool_output: JSON.stringify(tool.toolOutput),
+          timestamp: tool.timestamp || message.timestamp,
+          duration_ms: tool.durationMs,
+          success: tool.success ? 1 : 0,
+          status: tool.status,
+          error: tool.error
+        });
+      }
+
+      counters.tool_execution_count += message.toolExecutions.length;
+      counters.token_count += tokenCount;
+      counters.input_token_count += tokens.inputTokens;
+      counters.output_token_count += tokens.outputTokens;
+      counters.cache_read_token_count += tokens.cacheReadTokens;
+      counters.cache_write_token_count += tokens.cacheWriteTokens;
+      counters.estimated_cost += message.cost || 0;
+      if (message.isSummary) counters.times_summarized++;
+    }
+  } catch (error) {
+    // Nothing of a conversation that couldn't be saved whole
+    await database.deleteConversation(id);
+    throw error;
+  }
+
+  const lastMessage = record.messages[record.messages.length - 1];
+  const latestSummary = record.messages.filter(message => message.isSummary).pop();
+  const set = {
+    ...counters,
+    active_leaf_id: ids.get(record.activeMessageId || lastMessage.id)
+  };
+  if (record.tokenCount !== null) {
+    set.token_count = record.tokenCount;
+  }
+  if (record.summary !== null || latestSummary) {
+    set.summary = record.summary !== null ? record.summary : latestSummary.content.replace(/^\[Conversation Summary[^\]]*\]\n\n/, '');
+    set.summarized_at = record.summarizedAt || (latestSummary ? latestSummary.timestamp : null);
+  }
+  await database.updateConversation(id, { set });
+
+  return await getConversation(id);
+}
+
 // =============================================
 // EXPORTS
 // =============================================
@@ -707,12 +1158,17 @@ module.exports = {
 
   // Utilities
   estimateTokens,
+  normalizeUsage,
+  getMessageUsage,
+  getCostByModel,
 
   // Conversations
   createConversation,
   getConversation,
   getAllConversations,
+  getConversationsPage,
   updateConversationTitle,
+  updateConversationMetadata,
   deleteConversation,
   shouldSummarizeConversation,
 
@@ -720,6 +1176,9 @@ module.exports = {
   addMessage,
   getMessage,
   getMessages,
+  getBranchMessages,
+  getBranchPage,
+  setActiveLeaf,
   updateMessage,
 
   // Tool executions
@@ -728,11 +1187,20 @@ module.exports = {
   getToolExecutionsForMessage,
 
   // Summarization
-  summarizeConversation,
   addConversationSummary,
   getMessagesForContext,
+  updateConversationTokenCount,
+
+  // Fork
+  forkConversation,
+
+  // Search
+  searchConversations,
 
   // Export
   exportConversationJSON,
-  exportConversationMarkdown
+  exportConversationMarkdown,
+
+  // Import
+  importConversation
 };
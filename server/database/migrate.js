@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+/**
+ * Schema migrations CLI (see migrations.js)
+ *
+ * Usage (from the server directory, STORAGE and DB_PATH / DATABASE_URL as for the server):
+ *   node database/migrate.js status        Current version, applied and pending migrations
+ *   node database/migrate.js up --dry-run  What `up` would do, without changing anything
+ *   node database/migrate.js up            Apply pending migrations (the server also does this at startup)
+ */
+
+// Load environment variables (STORAGE, DB_PATH, DATABASE_URL) before the stores read them
+require('dotenv').config();
+
+const migrations = require('./migrations');
+const { openSqliteDatabase } = require('./stores/sqlite-store');
+const { getPostgresMigrationStatus, migratePostgres } = require('./stores/postgres-store');
+
+/**
+ * Status and migrate functions for the configured storage, and how to close its connection
+ */
+async function openMigrationTarget(storage) {
+  if (storage === 'postgres') {
+    if (!process.env.DATABASE_URL) {
+      throw new Error('STORAGE=postgres needs DATABASE_URL');
+    }
+    const { Pool } = require('pg');
+    const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+    return {
+      getStatus: () => getPostgresMigrationStatus(pool),
+      migrate: options => migratePostgres(pool, options),
+      close: () => pool.end()
+    };
+  }
+
+  if (storage !== 'sqlite') {
+    throw new Error(`STORAGE=${storage} has no schema to migrate`);
+  }
+
+  const database = await openSqliteDatabase();
+  return {
+    getStatus: () => migrations.getMigrationStatus(database),
+    migrate: options => migrations.migrate(database, options),
+    close: () => database.close()
+  };
+}
+
+async function printStatus(target) {
+  const status = await target.getStatus();
+
+  console.log(`Schema version: ${status.currentVersion} (latest: ${status.latestVersion})`);
+  if (status.legacy) {
+    console.log(`Created before versioned migrations; will be adopted at version ${migrations.BASELINE_VERSION}`);
+  }
+  if (status.tooNew) {
+    console.log('This database is newer than this server; the server will refuse to start');
+  }
+  for (const row of status.applied) {
+    console.log(`  applied  ${String(row.version).padStart(3, '0')}_${row.name} (${row.applied_at})`);
+  }
+  for (const migration of status.pending) {
+    console.log(`  pending  ${migration.file}`);
+  }
+}
+
+async function main() {
+  const [command = 'status', ...flags] = process.argv.slice(2);
+  const dryRun = flags.includes('--dry-run');
+
+  if (!['status', 'up'].includes(command)) {
+    console.error(`Unknown command: ${command} (expected status or up [--dry-run])`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const target = await openMigrationTarget(process.env.STORAGE || 'sqlite');
+  try {
+    if (command === 'status') {
+      await printStatus(target);
+      return;
+    }
+
+    const result = await target.migrate({ dryRun });
+    const verb = dryRun ? 'Would apply' : 'Applied';
+    if (result.adopted) {
+      console.log(`${dryRun ? 'Would adopt' : 'Adopted'} existing database at version ${migrations.BASELINE_VERSION}`);
+    }
+    for (const migration of result.applied) {
+      console.log(`${verb} ${migration.file}`);
+    }
+    console.log(`Schema version: ${result.fromVersion} -> ${result.toVersion}${dryRun ? ' (dry run)' : ''}`);
+  } finally {
+    await target.close();
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,235 @@
+/**
+ * Versioned schema migrations for the SQLite database
+ *
+ * Migrations are the numbered files in database/migrations/ (`001_initial_schema.sql`,
+ * `002_add_something.sql`, ...), applied in order. Each one runs in a transaction together
+ * with its row in `schema_migrations`, so a failed migration leaves the database at the
+ * previous version. An applied migration is never edited; changes go in a new file.
+ *
+ * 001_initial_schema.sql is the schema.sql databases were created from before versioned
+ * migrations. Such databases (no `schema_migrations` table) are adopted at version 1 when
+ * their tables and views match it, and get every later migration like a new database. Ones
+ * from before that schema (migrations/legacy/ has the scripts that shipped for them) are
+ * refused with what they are missing.
+ *
+ * A database at a version newer than the last migration here was written by a newer
+ * server; it is refused rather than used with a schema this code doesn't know.
+ *
+ * PostgreSQL has its own migrations in migrations/postgres/ (see stores/postgres-store.js).
+ *
+ * CLI: database/migrate.js (status, up, up --dry-run)
+ */
+
+const sqlite3 = require('sqlite3');
+const path = require('path');
+const fs = require('fs');
+const { promisify } = require('util');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_-]+)\.sql$/i;
+
+// Version that databases from before schema_migrations are adopted at
+const BASELINE_VERSION = 1;
+
+/**
+ * Read the migration files in order
+ * @param {string} directory - Migrations directory
+ * @returns {Array} - [{ version, name, file, sql }]
+ * @throws {Error} - If two files have the same version
+ */
+function listMigrations(directory = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(directory)
+    .map(file => {
+      const match = file.match(MIGRATION_FILE_PATTERN);
+      return match ? { version: parseInt(match[1], 10), name: match[2], file } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].file} and ${migrations[i].file}`);
+    }
+  }
+
+  return migrations.map(migration => ({
+    ...migration,
+    sql: fs.readFileSync(path.join(directory, migration.file), 'utf8')
+  }));
+}
+
+/**
+ * Whether a table exists
+ */
+async function hasTable(database, name) {
+  const row = await database.get(
+    `SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?`,
+    [name]
+  );
+  return !!row;
+}
+
+/**
+ * Columns of every table and view, e.g. { messages: ['id', 'conversation_id', ...] }
+ */
+async function describeSchema(database) {
+  const objects = await database.all(
+    `SELECT name FROM sqlite_master
+     WHERE type IN ('table', 'view') AND name NOT LIKE 'sqlite_%' AND name != 'schema_migrations'`
+  );
+
+  const schema = {};
+  for (const { name } of objects) {
+    const columns = await database.all(`PRAGMA table_info("${name}")`);
+    schema[name] = columns.map(column => column.name);
+  }
+  return schema;
+}
+
+/**
+ * Differences between a database created before schema_migrations and the baseline migration
+ * @returns {Promise<Array<string>>} - Missing tables, views and columns (empty if it can be adopted)
+ */
+async function findBaselineDifferences(database, baseline) {
+  const scratch = new sqlite3.Database(':memory:');
+  const scratchDb = {
+    exec: promisify(scratch.exec.bind(scratch)),
+    get: promisify(scratch.get.bind(scratch)),
+    all: promisify(scratch.all.bind(scratch))
+  };
+
+  let expected;
+  try {
+    await scratchDb.exec(baseline.sql);
+    expected = await describeSchema(scratchDb);
+  } finally {
+    scratch.close();
+  }
+
+  const actual = await describeSchema(database);
+  const differences = [];
+  for (const [name, columns] of Object.entries(expected)) {
+    if (!actual[name]) {
+      differences.push(`missing ${name}`);
+      continue;
+    }
+    for (const column of columns) {
+      if (!actual[name].includes(column)) {
+        differences.push(`missing ${name}.${column}`);
+      }
+    }
+  }
+  return differences;
+}
+
+/**
+ * Where a database stands
+ * @param {Object} database - Promisified database (see stores/sqlite-store.js openSqliteDatabase)
+ * @param {Object} options - { directory }
+ * @returns {Promise<Object>} - { currentVersion, latestVersion, applied, pending, legacy, tooNew }
+ *   legacy: The database predates schema_migrations and would be adopted at version 1
+ */
+async function getMigrationStatus(database, { directory = MIGRATIONS_DIR } = {}) {
+  const migrations = listMigrations(directory);
+  const latestVersion = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+
+  let applied = [];
+  let legacy = false;
+  if (await hasTable(database, 'schema_migrations')) {
+    applied = await database.all(`SELECT version, name, applied_at FROM schema_migrations ORDER BY version`);
+  } else if (await hasTable(database, 'conversations')) {
+    legacy = true;
+  }
+
+  const appliedVersions = new Set(applied.map(row => row.version));
+  const currentVersion = legacy
+    ? BASELINE_VERSION
+    : applied.reduce((max, row) => Math.max(max, row.version), 0);
+
+  return {
+    currentVersion,
+    latestVersion,
+    applied,
+    pending: migrations
+      .filter(migration => !appliedVersions.has(migration.version) && !(legacy && migration.version <= BASELINE_VERSION))
+      .map(({ version, name, file }) => ({ version, name, file })),
+    legacy,
+    tooNew: currentVersion > latestVersion
+  };
+}
+
+/**
+ * Bring the database up to the latest migration
+ * @param {Object} database - Promisified database (see stores/sqlite-store.js openSqliteDatabase)
+ * @param {Object} options
+ * @param {string} options.directory - Migrations directory (default: database/migrations)
+ * @param {boolean} options.dryRun - Report what would be applied without changing anything
+ * @returns {Promise<Object>} - { fromVersion, toVersion, applied: [{ version, name, file }], adopted, dryRun }
+ * @throws {Error} - If the database is newer than the migrations, can't be adopted, or a migration fails
+ */
+async function migrate(database, { directory = MIGRATIONS_DIR, dryRun = false } = {}) {
+  const migrations = new Map(listMigrations(directory).map(migration => [migration.version, migration]));
+  const status = await getMigrationStatus(database, { directory });
+
+  if (status.tooNew) {
+    throw new Error(
+      `Database schema is at version ${status.currentVersion}, newer than this server knows (${status.latestVersion}). ` +
+      'Upgrade the server or use a different DB_PATH.'
+    );
+  }
+
+  if (status.legacy) {
+    const baseline = migrations.get(BASELINE_VERSION);
+    const differences = await findBaselineDifferences(database, baseline);
+    if (differences.length > 0) {
+      throw new Error(
+        `Database predates versioned migrations and doesn't match ${baseline.file} (${differences.join(', ')})`
+      );
+    }
+  }
+
+  const result = {
+    fromVersion: status.currentVersion,
+    toVersion: status.pending.length > 0 ? status.pending[status.pending.length - 1].version : status.currentVersion,
+    applied: status.pending,
+    adopted: status.legacy,
+    dryRun
+  };
+
+  if (dryRun) {
+    return result;
+  }
+
+  await database.exec(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       version INTEGER PRIMARY KEY,
+       name TEXT NOT NULL,
+       applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+     )`
+  );
+
+  // The baseline only creates what doesn't exist, so adopting runs it for missing indexes and triggers
+  const toApply = status.legacy ? [migrations.get(BASELINE_VERSION), ...status.pending] : status.pending;
+
+  for (const { version, name, file } of toApply) {
+    await database.exec('BEGIN');
+    try {
+      await database.exec(migrations.get(version).sql);
+      await database.run(`INSERT INTO schema_migrations (version, name) VALUES (?, ?)`, [version, name]);
+      await database.exec('COMMIT');
+    } catch (error) {
+      await database.exec('ROLLBACK');
+      throw new Error(`Migration ${file} failed: ${error.message}`);
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  BASELINE_VERSION,
+  listMigrations,
+  getMigrationStatus,
+  migrate
+};
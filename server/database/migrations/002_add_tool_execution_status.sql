@@ -0,0 +1,10 @@
+-- Migration 002: Add status column to tool_executions table
+--
+-- Distinguishes inputs rejected by the tool's Zod schema ('validation_error')
+-- from calls that ran and failed ('error')
+
+-- Add status column ('success', 'error', 'timeout', 'cancelled', 'denied', 'disabled' or 'validation_error')
+ALTER TABLE tool_executions ADD COLUMN status TEXT DEFAULT 'success';
+
+-- Existing failures were all execution errors
+UPDATE tool_executions SET status = 'error' WHERE success = 0;
@@ -0,0 +1,101 @@
+-- Migration 003: Store provider token usage per assistant turn
+--
+-- Conversation totals and estimated cost come from the usage the provider reports
+-- (input, output, cache read, cache write) instead of a 4-characters-per-token estimate
+
+-- Usage of the assistant turn that produced each message
+ALTER TABLE messages ADD COLUMN input_tokens INTEGER DEFAULT 0;
+ALTER TABLE messages ADD COLUMN output_tokens INTEGER DEFAULT 0;
+ALTER TABLE messages ADD COLUMN cache_read_tokens INTEGER DEFAULT 0;
+ALTER TABLE messages ADD COLUMN cache_write_tokens INTEGER DEFAULT 0;
+
+-- Conversation totals for the cache tokens
+ALTER TABLE conversations ADD COLUMN cache_read_token_count INTEGER DEFAULT 0;
+ALTER TABLE conversations ADD COLUMN cache_write_token_count INTEGER DEFAULT 0;
+
+-- Replace the view and the triggers that used the estimates
+DROP VIEW IF EXISTS conversation_stats;
+DROP TRIGGER IF EXISTS update_token_count;
+DROP TRIGGER IF EXISTS update_estimated_cost;
+
+CREATE VIEW IF NOT EXISTS conversation_stats AS
+SELECT
+    c.id,
+    c.title,
+    c.created_at,
+    c.updated_at,
+    c.token_count,
+    c.input_token_count,
+    c.output_token_count,
+    c.cache_read_token_count,
+    c.cache_write_token_count,
+    c.message_count,
+    c.tool_execution_count,
+    c.estimated_cost,
+
+    -- Age in hours
+    CAST((julianday('now') - julianday(c.created_at)) * 24 AS INTEGER) as age_hours,
+
+    -- Limit warnings (Option B thresholds)
+    CASE
+        WHEN c.token_count >= 16384 THEN 1  -- 80% of 20480
+        ELSE 0
+    END as token_warning,
+
+    CASE
+        WHEN c.message_count >= 120 THEN 1  -- 80% of 150
+        ELSE 0
+    END as message_warning,
+
+    CASE
+        WHEN c.tool_execution_count >= 80 THEN 1  -- 80% of 100
+        ELSE 0
+    END as tool_warning,
+
+    CASE
+        WHEN (julianday('now') - julianday(c.created_at)) * 24 >= 24 THEN 1  -- 24 hours
+        ELSE 0
+    END as age_warning,
+
+    -- Should summarize? (Option B limits)
+    CASE
+        WHEN c.token_count >= 20480 THEN 1
+        WHEN c.message_count >= 150 THEN 1
+        WHEN c.tool_execution_count >= 100 THEN 1
+        WHEN ((julianday('now') - julianday(c.created_at)) * 24 >= 24 AND c.message_count > 10) THEN 1
+        ELSE 0
+    END as should_summarize
+
+FROM conversations c;
+
+-- Trigger: Update conversation token count
+-- A turn with provider usage measured the whole context (system prompt, tools, history,
+-- tool results), so it replaces the running size; other messages add their estimate.
+CREATE TRIGGER IF NOT EXISTS update_token_count
+AFTER INSERT ON messages
+BEGIN
+    UPDATE conversations
+    SET token_count = CASE
+            WHEN COALESCE(NEW.input_tokens, 0) + COALESCE(NEW.cache_read_tokens, 0) + COALESCE(NEW.cache_write_tokens, 0) > 0
+            THEN COALESCE(NEW.input_tokens, 0) + COALESCE(NEW.cache_read_tokens, 0) + COALESCE(NEW.cache_write_tokens, 0) + COALESCE(NEW.output_tokens, 0)
+            ELSE token_count + COALESCE(NEW.token_count, 0)
+        END,
+        input_token_count = input_token_count + COALESCE(NEW.input_tokens, 0),
+        output_token_count = output_token_count + COALESCE(NEW.output_tokens, 0),
+        cache_read_token_count = cache_read_token_count + COALESCE(NEW.cache_read_tokens, 0),
+        cache_write_token_count = cache_write_token_count + COALESCE(NEW.cache_write_tokens, 0)
+    WHERE id = NEW.conversation_id;
+END;
+
+-- Trigger: Update estimated cost
+CREATE TRIGGER IF NOT EXISTS update_estimated_cost
+AFTER UPDATE OF input_token_count, output_token_count, cache_read_token_count, cache_write_token_count ON conversations
+BEGIN
+    UPDATE conversations
+    SET estimated_cost =
+        (NEW.input_token_count * 3.0 / 1000000.0) +        -- $3 per million input tokens
+        (NEW.output_token_count * 15.0 / 1000000.0) +      -- $15 per million output tokens
+        (NEW.cache_read_token_count * 0.3 / 1000000.0) +   -- $0.30 per million cache-read tokens
+        (NEW.cache_write_token_count * 3.75 / 1000000.0)   -- $3.75 per million cache-write tokens
+    WHERE id = NEW.id;
+END;
@@ -0,0 +1,23 @@
+-- Migration 004: Price each turn with the pricing catalog and store the cost on its message
+--
+-- Replaces the flat $3/$15 per million estimate computed from the conversation totals
+
+-- Cost of the assistant turn that produced each message (NULL = no usage or unpriced model)
+ALTER TABLE messages ADD COLUMN cost REAL;
+
+-- Turns recorded so far were priced at the flat rates; keep those costs
+UPDATE messages
+SET cost = (input_tokens * 3.0 + output_tokens * 15.0 + cache_read_tokens * 0.3 + cache_write_tokens * 3.75) / 1000000.0
+WHERE input_tokens + output_tokens + cache_read_tokens + cache_write_tokens > 0;
+
+-- estimated_cost is left as is: it already includes those turns (and the estimates of older ones)
+DROP TRIGGER IF EXISTS update_estimated_cost;
+
+CREATE TRIGGER IF NOT EXISTS update_estimated_cost
+AFTER INSERT ON messages
+WHEN NEW.cost IS NOT NULL
+BEGIN
+    UPDATE conversations
+    SET estimated_cost = estimated_cost + NEW.cost
+    WHERE id = NEW.conversation_id;
+END;
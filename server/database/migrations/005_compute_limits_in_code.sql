@@ -0,0 +1,26 @@
+-- Migration 005: Drop the hard-coded limit columns from conversation_stats
+--
+-- Warnings and should-summarize are computed from each conversation's limits
+-- (server defaults + metadata.customLimits) in conversation-limits.js
+
+DROP VIEW IF EXISTS conversation_stats;
+
+CREATE VIEW IF NOT EXISTS conversation_stats AS
+SELECT
+    c.id,
+    c.title,
+    c.created_at,
+    c.updated_at,
+    c.token_count,
+    c.input_token_count,
+    c.output_token_count,
+    c.cache_read_token_count,
+    c.cache_write_token_count,
+    c.message_count,
+    c.tool_execution_count,
+    c.estimated_cost,
+
+    -- Age in hours
+    CAST((julianday('now') - julianday(c.created_at)) * 24 AS INTEGER) as age_hours
+
+FROM conversations c;
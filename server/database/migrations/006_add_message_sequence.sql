@@ -0,0 +1,17 @@
+-- Migration 006: Order messages by a per-conversation sequence number
+--
+-- CURRENT_TIMESTAMP has second precision, so messages written in the same second could be reordered
+
+ALTER TABLE messages ADD COLUMN seq INTEGER NOT NULL DEFAULT 0;
+
+-- Number existing messages in their current order (timestamp, then insertion order)
+UPDATE messages
+SET seq = (
+    SELECT COUNT(*)
+    FROM messages earlier
+    WHERE earlier.conversation_id = messages.conversation_id
+      AND (earlier.timestamp < messages.timestamp
+           OR (earlier.timestamp = messages.timestamp AND earlier.rowid <= messages.rowid))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_messages_sequence ON messages(conversation_id, seq);
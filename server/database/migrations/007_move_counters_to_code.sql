@@ -0,0 +1,13 @@
+-- Migration 007: Counters and ages are computed in database/db.js
+--
+-- The same code runs on every storage backend (see database/stores/), so the SQLite-only
+-- triggers and the conversation_stats view go. db.js now sets updated_at, message_count,
+-- tool_execution_count, the token totals and estimated_cost, and computes age_hours.
+
+DROP TRIGGER IF EXISTS update_conversation_timestamp;
+DROP TRIGGER IF EXISTS increment_message_count;
+DROP TRIGGER IF EXISTS increment_tool_count;
+DROP TRIGGER IF EXISTS update_token_count;
+DROP TRIGGER IF EXISTS update_estimated_cost;
+
+DROP VIEW IF EXISTS conversation_stats;
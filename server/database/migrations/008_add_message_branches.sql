@@ -0,0 +1,27 @@
+-- Migration 008: Conversation branches
+--
+-- Messages form a tree: each points at the message it follows (parent_id, NULL for the
+-- first one), and editing a user message or regenerating a reply adds a sibling instead
+-- of overwriting. The conversation remembers the last message of the branch being shown
+-- and continued (active_leaf_id). Existing conversations become a single branch in seq order.
+
+ALTER TABLE messages ADD COLUMN parent_id TEXT;
+ALTER TABLE conversations ADD COLUMN active_leaf_id TEXT;
+
+UPDATE messages
+SET parent_id = (
+    SELECT previous.id FROM messages previous
+    WHERE previous.conversation_id = messages.conversation_id AND previous.seq < messages.seq
+    ORDER BY previous.seq DESC
+    LIMIT 1
+);
+
+UPDATE conversations
+SET active_leaf_id = (
+    SELECT last.id FROM messages last
+    WHERE last.conversation_id = conversations.id
+    ORDER BY last.seq DESC
+    LIMIT 1
+);
+
+CREATE INDEX IF NOT EXISTS idx_messages_parent ON messages(parent_id);
@@ -0,0 +1,79 @@
+-- Migration 009: Full-text search
+--
+-- FTS5 indexes over conversation titles, message content and tool calls (name, input and
+-- output), for GET /api/search. Each index row holds the TEXT id of the row it indexes
+-- (UNINDEXED, so it is never matched), and triggers keep the indexes current (including
+-- rows removed by ON DELETE CASCADE).
+
+CREATE VIRTUAL TABLE conversations_search USING fts5(
+    id UNINDEXED,
+    title,
+    tokenize = 'unicode61 remove_diacritics 2'
+);
+
+CREATE VIRTUAL TABLE messages_search USING fts5(
+    id UNINDEXED,
+    content,
+    tokenize = 'unicode61 remove_diacritics 2'
+);
+
+CREATE VIRTUAL TABLE tool_executions_search USING fts5(
+    id UNINDEXED,
+    tool_name,
+    tool_input,
+    tool_output,
+    tokenize = 'unicode61 remove_diacritics 2'
+);
+
+-- Conversation titles
+
+CREATE TRIGGER conversations_search_insert AFTER INSERT ON conversations
+BEGIN
+    INSERT INTO conversations_search (id, title) VALUES (new.id, new.title);
+END;
+
+CREATE TRIGGER conversations_search_delete AFTER DELETE ON conversations
+BEGIN
+    DELETE FROM conversations_search WHERE id = old.id;
+END;
+
+CREATE TRIGGER conversations_search_update AFTER UPDATE OF title ON conversations
+BEGIN
+    UPDATE conversations_search SET title = new.title WHERE id = old.id;
+END;
+
+-- Message content
+
+CREATE TRIGGER messages_search_insert AFTER INSERT ON messages
+BEGIN
+    INSERT INTO messages_search (id, content) VALUES (new.id, new.content);
+END;
+
+CREATE TRIGGER messages_search_delete AFTER DELETE ON messages
+BEGIN
+    DELETE FROM messages_search WHERE id = old.id;
+END;
+
+CREATE TRIGGER messages_search_update AFTER UPDATE OF content ON messages
+BEGIN
+    UPDATE messages_search SET content = new.content WHERE id = old.id;
+END;
+
+-- Tool calls (executions are never updated)
+
+CREATE TRIGGER tool_executions_search_insert AFTER INSERT ON tool_executions
+BEGIN
+    INSERT INTO tool_executions_search (id, tool_name, tool_input, tool_output)
+    VALUES (new.id, new.tool_name, new.tool_input, new.tool_output);
+END;
+
+CREATE TRIGGER tool_executions_search_delete AFTER DELETE ON tool_executions
+BEGIN
+    DELETE FROM tool_executions_search WHERE id = old.id;
+END;
+
+-- Index what is already there
+INSERT INTO conversations_search (id, title) SELECT id, title FROM conversations;
+INSERT INTO messages_search (id, content) SELECT id, content FROM messages;
+INSERT INTO tool_executions_search (id, tool_name, tool_input, tool_output)
+SELECT id, tool_name, tool_input, tool_output FROM tool_executions;
@@ -1,7 +1,7 @@
 -- Migration Script: Add Triggers and Update Existing Counts
 -- Run this if your database was created before triggers were added
 --
--- Usage: sqlite3 conversations.db < migrate-add-triggers.sql
+-- Usage: sqlite3 conversations.db < add_triggers.sql
 
 -- Step 1: Create triggers (will be skipped if already exist due to IF NOT EXISTS)
 
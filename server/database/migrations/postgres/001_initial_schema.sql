@@ -0,0 +1,77 @@
+-- Migration 001 (PostgreSQL): Chat Conversations Database Schema
+--
+-- The same tables and columns as SQLite's after ../007_move_counters_to_code.sql. Values are
+-- stored the way SQLite stores them (see database/stores/schema.js): timestamps as UTC text,
+-- flags as 0/1 integers, JSON as text. Counters and ages are kept by database/db.js, so
+-- there are no triggers or views.
+
+CREATE TABLE IF NOT EXISTS conversations (
+    id TEXT PRIMARY KEY,
+    title TEXT NOT NULL DEFAULT 'New Conversation',
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+
+    token_count INTEGER NOT NULL DEFAULT 0,
+    input_token_count INTEGER NOT NULL DEFAULT 0,
+    output_token_count INTEGER NOT NULL DEFAULT 0,
+    cache_read_token_count INTEGER NOT NULL DEFAULT 0,
+    cache_write_token_count INTEGER NOT NULL DEFAULT 0,
+    message_count INTEGER NOT NULL DEFAULT 0,
+    tool_execution_count INTEGER NOT NULL DEFAULT 0,
+
+    summary TEXT,
+    summarized_at TEXT,
+    times_summarized INTEGER NOT NULL DEFAULT 0,
+
+    estimated_cost DOUBLE PRECISION NOT NULL DEFAULT 0,
+    metadata TEXT,
+
+    last_seq INTEGER NOT NULL DEFAULT 0  -- Last messages.seq handed out (see postgres-store.js insertMessage)
+);
+
+CREATE TABLE IF NOT EXISTS messages (
+    id TEXT PRIMARY KEY,
+    conversation_id TEXT NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+    seq INTEGER NOT NULL,
+    role TEXT NOT NULL CHECK(role IN ('user', 'assistant', 'system')),
+    content TEXT NOT NULL,
+    timestamp TEXT NOT NULL,
+
+    token_count INTEGER NOT NULL DEFAULT 0,
+    input_tokens INTEGER NOT NULL DEFAULT 0,
+    output_tokens INTEGER NOT NULL DEFAULT 0,
+    cache_read_tokens INTEGER NOT NULL DEFAULT 0,
+    cache_write_tokens INTEGER NOT NULL DEFAULT 0,
+    cost DOUBLE PRECISION,
+
+    is_summary INTEGER NOT NULL DEFAULT 0,
+    summarizes_count INTEGER NOT NULL DEFAULT 0,
+
+    message_id TEXT,
+    stopped INTEGER NOT NULL DEFAULT 0,
+    metadata TEXT
+);
+
+CREATE TABLE IF NOT EXISTS tool_executions (
+    id TEXT PRIMARY KEY,
+    position SERIAL,  -- Insertion order
+    message_id TEXT NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    conversation_id TEXT NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+
+    tool_use_id TEXT,
+    tool_name TEXT NOT NULL,
+    tool_input TEXT,
+    tool_output TEXT,
+
+    timestamp TEXT NOT NULL,
+    duration_ms INTEGER,
+
+    success INTEGER NOT NULL DEFAULT 1,
+    status TEXT NOT NULL DEFAULT 'success',
+    error TEXT
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_messages_sequence ON messages(conversation_id, seq);
+CREATE INDEX IF NOT EXISTS idx_tools_message ON tool_executions(message_id);
+CREATE INDEX IF NOT EXISTS idx_tools_conversation ON tool_executions(conversation_id);
+CREATE INDEX IF NOT EXISTS idx_conversations_updated ON conversations(updated_at);
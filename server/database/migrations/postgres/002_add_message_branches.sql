@@ -0,0 +1,33 @@
+-- Migration 002 (PostgreSQL): Conversation branches (see ../008_add_message_branches.sql)
+
+ALTER TABLE messages ADD COLUMN parent_id TEXT;
+ALTER TABLE conversations ADD COLUMN active_leaf_id TEXT;
+
+-- Each message follows the one before it in seq order
+UPDATE messages
+SET parent_id = ordered.parent_id
+FROM (
+    SELECT message.id AS id, previous.id AS parent_id
+    FROM messages message
+    JOIN (
+        SELECT later.id AS id, MAX(earlier.seq) AS previous_seq
+        FROM messages later
+        JOIN messages earlier ON earlier.conversation_id = later.conversation_id AND earlier.seq < later.seq
+        GROUP BY later.id
+    ) gaps ON gaps.id = message.id
+    JOIN messages previous ON previous.conversation_id = message.conversation_id AND previous.seq = gaps.previous_seq
+) ordered
+WHERE ordered.id = messages.id;
+
+UPDATE conversations
+SET active_leaf_id = latest.id
+FROM (
+    SELECT message.id AS id, message.conversation_id AS conversation_id
+    FROM messages message
+    JOIN (
+        SELECT conversation_id, MAX(seq) AS max_seq FROM messages GROUP BY conversation_id
+    ) newest ON newest.conversation_id = message.conversation_id AND newest.max_seq = message.seq
+) latest
+WHERE latest.conversation_id = conversations.id;
+
+CREATE INDEX IF NOT EXISTS idx_messages_parent ON messages(parent_id);
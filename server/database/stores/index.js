@@ -0,0 +1,72 @@
+/**
+ * Storage backends
+ *
+ * db.js implements the conversation API (counters, limits, summaries, exports) once,
+ * on top of a store: a module that only keeps records (see schema.js for their columns).
+ * Counters that used to be SQLite triggers and the age from the conversation_stats
+ * view are computed in db.js, so every store behaves the same.
+ *
+ * A store has:
+ * - name: 'sqlite' | 'memory' | 'postgres'
+ * - open(): Connect and bring the schema up to date (throws on a database from a newer version)
+ * - close()
+ * - insertConversation(row)
+ * - getConversation(id): Row or null
+ * - listConversations({ limit, before }): Rows, most recently updated first (then by id, descending);
+ *   `before` ({ updated_at, id } of a row) continues after that row (limit null = all)
+ * - updateConversation(id, { set, increment }): Set columns and add to numeric ones in one
+ *   atomic update (counters are updated concurrently by parallel tool calls); returns whether it existed
+ * - deleteConversation(id): Deletes its messages and tool executions too; returns whether it existed
+ * - insertMessage(row): Assigns `seq`, increasing per conversation
+ * - getMessage(id), listMessages(conversationId, { limit, ids }): In seq order (limit null = all;
+ *   ids: only those messages)
+ * - listMessageTree(conversationId): { id, parent_id } of every message, in seq order (to walk a
+ *   branch without loading the messages)
+ * - updateMessage(id, set)
+ * - insertToolExecution(row)
+ * - getToolExecution(id), listToolExecutions({ conversationId | messageId | messageIds }): In insertion order
+ * - search(terms, { limit }): Messages, conversation titles and tool executions containing every
+ *   term, best first: { kind: 'message' | 'title' | 'tool', conversation_id, title, message_id,
+ *   tool_execution_id, role, timestamp, snippet, rank } (see search.js)
+ *
+ * STORAGE picks the backend (default: sqlite):
+ * - sqlite: DB_PATH (default: database/conversations.db, ':memory:' for a throwaway database)
+ * - memory: Nothing persisted, for tests
+ * - postgres: DATABASE_URL (a shared server, e.g. several server instances)
+ */
+
+const { createSqliteStore } = require('./sqlite-store');
+const { createMemoryStore } = require('./memory-store');
+const { createPostgresStore } = require('./postgres-store');
+
+// Load environment variables
+require('dotenv').config();
+
+const STORAGE_TYPES = ['sqlite', 'memory', 'postgres'];
+
+/**
+ * Create the configured store
+ * @param {Object} options
+ * @param {string} options.type - 'sqlite' | 'memory' | 'postgres' (default: STORAGE or 'sqlite')
+ * @param {string} options.filename - SQLite database file (default: DB_PATH)
+ * @param {string} options.connectionString - PostgreSQL URL (default: DATABASE_URL)
+ * @param {Object} options.pool - PostgreSQL pool to use instead of connecting (e.g. pg-mem)
+ * @throws {Error} - If the type is unknown
+ */
+function createStore({ type = process.env.STORAGE || 'sqlite', ...options } = {}) {
+  switch (type) {
+    case 'sqlite':
+      return createSqliteStore(options);
+    case 'memory':
+      return createMemoryStore();
+    case 'postgres':
+      return createPostgresStore(options);
+    default:
+      throw new Error(`Unknown storage: ${type} (expected ${STORAGE_TYPES.join(', ')})`);
+  }
+}
+
+module.exports = {
+  STORAGE_TYPES,
+  createStore
+};
@@ -0,0 +1,214 @@
+/**
+ * In-memory store - nothing persisted, for tests (STORAGE=memory)
+ *
+ * Rows are copied in and out, so callers can't change stored records by mutating results.
+ */
+
+const { CONVERSATION_DEFAULTS, MESSAGE_DEFAULTS, TOOL_EXECUTION_DEFAULTS, assertColumns } = require('./schema');
+const { matchesAll, rankText, buildSnippet } = require('./search');
+
+/**
+ * Create an in-memory store
+ */
+function createMemoryStore() {
+  // Maps keep insertion order, which is the order tool executions are listed in
+  let conversations = new Map();
+  let messages = new Map();
+  let toolExecutions = new Map();
+
+  const copy = row => (row ? { ...row } : null);
+
+  function update(table, row, set = {}, increment = {}) {
+    assertColumns(table, set);
+    assertColumns(table, increment);
+
+    Object.assign(row, set);
+    for (const [key, amount] of Object.entries(increment)) {
+      row[key] = (row[key] || 0) + amount;
+    }
+  }
+
+  function deleteToolExecutionsWhere(predicate) {
+    for (const [id, tool] of toolExecutions) {
+      if (predicate(tool)) toolExecutions.delete(id);
+    }
+  }
+
+  return {
+    name: 'memory',
+
+    async open() {},
+
+    async close() {
+      conversations = new Map();
+      messages = new Map();
+      toolExecutions = new Map();
+    },
+
+    // Conversations
+
+    async insertConversation(row) {
+      assertColumns('conversations', row);
+      if (conversations.has(row.id)) {
+        throw new Error(`Conversation ${row.id} already exists`);
+      }
+      conversations.set(row.id, { ...CONVERSATION_DEFAULTS, ...row, last_seq: 0 });
+    },
+
+    async getConversation(id) {
+      const conversation = conversations.get(id);
+      if (!conversation) return null;
+
+      const { last_seq: _lastSeq, ...row } = conversation;
+      return row;
+    },
+
+    async listConversations({ limit = 100, before = null } = {}) {
+      const rows = [...conversations.values()]
+        .filter(row => !before || row.updated_at < before.updated_at || (row.updated_at === before.updated_at && row.id < before.id))
+        .sort((a, b) => b.updated_at.localeCompare(a.updated_at) || b.id.localeCompare(a.id))
+        .map(({ last_seq: _lastSeq, ...row }) => row);
+
+      return limit === null ? rows : rows.slice(0, limit);
+    },
+
+    async updateConversation(id, { set = {}, increment = {} }) {
+      const conversation = conversations.get(id);
+      if (!conversation) return false;
+
+      update('conversations', conversation, set, increment);
+      return true;
+    },
+
+    async deleteConversation(id) {
+      if (!conversations.delete(id)) return false;
+
+      for (const [messageId, message] of messages) {
+        if (message.conversation_id === id) messages.delete(messageId);
+      }
+      deleteToolExecutionsWhere(tool => tool.conversation_id === id);
+      return true;
+    },
+
+    // Messages
+
+    async insertMessage(row) {
+      assertColumns('messages', row);
+      const conversation = conversations.get(row.conversation_id);
+      if (!conversation) {
+        throw new Error(`Conversation ${row.conversation_id} does not exist`);
+      }
+      if (messages.has(row.id)) {
+        throw new Error(`Message ${row.id} already exists`);
+      }
+
+      conversation.last_seq++;
+      messages.set(row.id, { ...MESSAGE_DEFAULTS, ...row, seq: conversation.last_seq });
+    },
+
+    async getMessage(id) {
+      return copy(messages.get(id));
+    },
+
+    async listMessages(conversationId, { limit = null, ids = null } = {}) {
+      const wanted = ids ? new Set(ids) : null;
+      const rows = [...messages.values()]
+        .filter(message => message.conversation_id === conversationId && (!wanted || wanted.has(message.id)))
+        .sort((a, b) => a.seq - b.seq)
+        .map(copy);
+
+      return limit === null || wanted ? rows : rows.slice(0, limit);
+    },
+
+    async listMessageTree(conversationId) {
+      return [...messages.values()]
+        .filter(message => message.conversation_id === conversationId)
+        .sort((a, b) => a.seq - b.seq)
+        .map(message => ({ id: message.id, parent_id: message.parent_id }));
+    },
+
+    async updateMessage(id, set) {
+      const message = messages.get(id);
+      if (message) update('messages', message, set);
+    },
+
+    // Tool executions
+
+    async insertToolExecution(row) {
+      assertColumns('tool_executions', row);
+      if (!messages.has(row.message_id) || !conversations.has(row.conversation_id)) {
+        throw new Error(`Message ${row.message_id} in conversation ${row.conversation_id} does not exist`);
+      }
+      if (toolExecutions.has(row.id)) {
+        throw new Error(`Tool execution ${row.id} already exists`);
+      }
+
+      toolExecutions.set(row.id, { ...TOOL_EXECUTION_DEFAULTS, ...row });
+    },
+
+    async getToolExecution(id) {
+      return copy(toolExecutions.get(id));
+    },
+
+    async listToolExecutions({ conversationId = null, messageId = null, messageIds = null }) {
+      const wanted = messageIds ? new Set(messageIds) : null;
+      return [...toolExecutions.values()]
+        .filter(tool => (wanted ? wanted.has(tool.message_id)
+          : messageId ? tool.message_id === messageId
+            : tool.conversation_id === conversationId))
+        .map(copy);
+    },
+
+    // Search (every row is scanned)
+
+    async search(terms, { limit = 20 } = {}) {
+      const hits = [];
+      const hit = (text, row) => {
+        if (matchesAll(text, terms)) {
+          hits.push({ ...row, snippet: buildSnippet(text, terms), rank: rankText(text, terms) });
+        }
+      };
+      const titleOf = conversationId => conversations.get(conversationId).title;
+
+      for (const message of messages.values()) {
+        hit(message.content, {
+          kind: 'message',
+          conversation_id: message.conversation_id,
+          title: titleOf(message.conversation_id),
+          message_id: message.id,
+          tool_execution_id: null,
+          role: message.role,
+          timestamp: message.timestamp
+        });
+      }
+      for (const conversation of conversations.values()) {
+        hit(conversation.title, {
+          kind: 'title',
+          conversation_id: conversation.id,
+          title: conversation.title,
+          message_id: null,
+          tool_execution_id: null,
+          role: null,
+          timestamp: conversation.updated_at
+        });
+      }
+      for (const tool of toolExecutions.values()) {
+        hit([tool.tool_name, tool.tool_input, tool.tool_output].join(' '), {
+          kind: 'tool',
+          conversation_id: tool.conversation_id,
+          title: titleOf(tool.conversation_id),
+          message_id: tool.message_id,
+          tool_execution_id: tool.id,
+          role: null,
+          timestamp: tool.timestamp
+        });
+      }
+
+      return hits.sort((a, b) => a.rank - b.rank).slice(0, limit);
+    }
+  };
+}
+
+module.exports = {
+  createMemoryStore
+};
@@ -0,0 +1,98 @@
+/**
+ * Record shapes shared by the storage backends
+ *
+ * Every store keeps the same columns with the same values: timestamps are UTC text
+ * ('YYYY-MM-DD HH:MM:SS'), flags are 0/1, and metadata, tool_input and tool_output are
+ * JSON text. db.js parses them; stores only store them. Columns missing from an insert
+ * take these defaults.
+ */
+
+const CONVERSATION_DEFAULTS = {
+  id: null,
+  title: 'New Conversation',
+  created_at: null,
+  updated_at: null,
+  token_count: 0,
+  input_token_count: 0,
+  output_token_count: 0,
+  cache_read_token_count: 0,
+  cache_write_token_count: 0,
+  message_count: 0,
+  tool_execution_count: 0,
+  summary: null,
+  summarized_at: null,
+  times_summarized: 0,
+  estimated_cost: 0,
+  metadata: null,
+  active_leaf_id: null
+};
+
+const MESSAGE_DEFAULTS = {
+  id: null,
+  conversation_id: null,
+  seq: null,
+  parent_id: null,
+  role: null,
+  content: null,
+  timestamp: null,
+  token_count: 0,
+  input_tokens: 0,
+  output_tokens: 0,
+  cache_read_tokens: 0,
+  cache_write_tokens: 0,
+  cost: null,
+  is_summary: 0,
+  summarizes_count: 0,
+  message_id: null,
+  stopped: 0,
+  metadata: null
+};
+
+const TOOL_EXECUTION_DEFAULTS = {
+  id: null,
+  message_id: null,
+  conversation_id: null,
+  tool_use_id: null,
+  tool_name: null,
+  tool_input: null,
+  tool_output: null,
+  timestamp: null,
+  duration_ms: null,
+  success: 1,
+  status: 'success',
+  error: null
+};
+
+const COLUMNS = {
+  conversations: Object.keys(CONVERSATION_DEFAULTS),
+  messages: Object.keys(MESSAGE_DEFAULTS),
+  tool_executions: Object.keys(TOOL_EXECUTION_DEFAULTS)
+};
+
+/**
+ * Check that every key is a column of the table (keys end up in SQL)
+ * @throws {Error} - On an unknown column
+ */
+function assertColumns(table, fields) {
+  for (const key of Object.keys(fields)) {
+    if (!COLUMNS[table].includes(key)) {
+      throw new Error(`Unknown ${table} column: ${key}`);
+    }
+  }
+}
+
+/**
+ * Current time in the stored format (UTC, second precision, like SQLite's CURRENT_TIMESTAMP)
+ */
+function now() {
+  return new Date().toISOString().slice(0, 19).replace('T', ' ');
+}
+
+module.exports = {
+  CONVERSATION_DEFAULTS,
+  MESSAGE_DEFAULTS,
+  TOOL_EXECUTION_DEFAULTS,
+  COLUMNS,
+  assertColumns,
+  now
+};
@@ -0,0 +1,136 @@
+/**
+ * Search helpers shared by the stores
+ *
+ * db.js splits a query into terms; a store returns hits whose snippet marks the matched
+ * text with MATCH_START / MATCH_END (control characters, so they can't come from content).
+ * SQLite matches terms as word prefixes with its FTS5 indexes; the memory and PostgreSQL
+ * stores match them anywhere in the text (no index).
+ */
+
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+// Words of context on each side of the first match
+const SNIPPET_WORDS = 12;
+
+/**
+ * Terms of a search query: its words, lower case without accents (at most 10)
+ */
+function parseQuery(query) {
+  return [...new Set(fold(String(query || '')).match(/[\p{L}\p{N}]+/gu) || [])].slice(0, 10);
+}
+
+/**
+ * FTS5 query matching every term as a word prefix, e.g. "tax"* "2024"*
+ */
+function toFtsQuery(terms) {
+  return terms.map(term => `"${term.replace(/"/g, '""')}"*`).join(' ');
+}
+
+/**
+ * LIKE pattern matching a term anywhere, with LIKE's wildcards in it escaped (use with ESCAPE '\')
+ */
+function toLikePattern(term) {
+  return `%${term.replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+/**
+ * Whether a text contains every term (case- and accent-insensitive)
+ */
+function matchesAll(text, terms) {
+  const folded = fold(text);
+  return terms.every(term => folded.includes(term));
+}
+
+/**
+ * Lower case without accents (the FTS5 tokenizer's remove_diacritics does the same)
+ * Keeps the length of the text, so positions in it are positions in the original.
+ */
+function fold(text) {
+  return Array.from(text || '', char => {
+    const plain = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    return plain.length === char.length ? plain : char;
+  }).join('');
+}
+
+/**
+ * Rank of a matching text: more occurrences first (lower is better, like FTS5's bm25)
+ */
+function rankText(text, terms) {
+  const folded = fold(text);
+  return -terms.reduce((count, term) => count + folded.split(term).length - 1, 0);
+}
+
+/**
+ * Part of a text around its first match, with every match marked
+ * @returns {string} - Snippet with MATCH_START / MATCH_END around matches, '…' where cut
+ */
+function buildSnippet(text, terms) {
+  const source = text || '';
+  const folded = fold(source);
+
+  const ranges = [];
+  for (const term of terms) {
+    for (let at = folded.indexOf(term); at !== -1; at = folded.indexOf(term, at + term.length)) {
+      ranges.push([at, at + term.length]);
+    }
+  }
+  ranges.sort((a, b) => a[0] - b[0]);
+
+  const words = [...source.matchAll(/\S+/g)].map(match => [match.index, match.index + match[0].length]);
+  if (words.length === 0) return '';
+
+  // Window of words around the first match
+  const first = ranges.length > 0 ? ranges[0][0] : 0;
+  const center = Math.max(0, words.findIndex(([, end]) => end > first));
+  const from = Math.max(0, center - Math.floor(SNIPPET_WORDS / 2));
+  const to = Math.min(words.length, from + SNIPPET_WORDS);
+
+  const start = words[from][0];
+  const end = words[to - 1][1];
+
+  let snippet = from > 0 ? '…' : '';
+  let position = start;
+  for (const [rangeStart, rangeEnd] of ranges) {
+    if (rangeStart < position || rangeEnd > end) continue;
+    snippet += source.slice(position, rangeStart) + MATCH_START + source.slice(rangeStart, rangeEnd) + MATCH_END;
+    position = rangeEnd;
+  }
+  snippet += source.slice(position, end) + (to < words.length ? '…' : '');
+
+  return snippet.replace(/\s+/g, ' ');
+}
+
+/**
+ * Split a marked snippet into plain text and the [start, end] ranges of its matches
+ */
+function parseSnippet(marked) {
+  const highlights = [];
+  let text = '';
+  let start = null;
+
+  for (const char of marked || '') {
+    if (char === MATCH_START) {
+      start = text.length;
+    } else if (char === MATCH_END) {
+      if (start !== null && text.length > start) highlights.push([start, text.length]);
+      start = null;
+    } else {
+      text += char;
+    }
+  }
+
+  return { snippet: text, highlights };
+}
+
+module.exports = {
+  MATCH_START,
+  MATCH_END,
+  parseQuery,
+  toFtsQuery,
+  toLikePattern,
+  matchesAll,
+  rankText,
+  buildSnippet,
+  parseSnippet
+};
@@ -0,0 +1,266 @@
+/**
+ * SQLite store - a database file (or ':memory:'), schema from database/migrations/
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const fs = require('fs');
+const { promisify } = require('util');
+const migrations = require('../migrations');
+const { CONVERSATION_DEFAULTS, MESSAGE_DEFAULTS, TOOL_EXECUTION_DEFAULTS, assertColumns } = require('./schema');
+const { MATCH_START, MATCH_END, toFtsQuery } = require('./search');
+
+// Default database file (DB_PATH=:memory: for a throwaway database)
+const DEFAULT_DB_PATH = path.join(__dirname, '..', 'conversations.db');
+
+/**
+ * Promisify database methods
+ * run() resolves with { lastID, changes }, which sqlite3 only passes as `this`.
+ */
+function promisifyDatabase(database) {
+  return {
+    run: (sql, params = []) => new Promise((resolve, reject) => {
+      database.run(sql, params, function (error) {
+        if (error) reject(error);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    }),
+    get: promisify(database.get.bind(database)),
+    all: promisify(database.all.bind(database)),
+    exec: promisify(database.exec.bind(database)),
+    close: promisify(database.close.bind(database)),
+    raw: database // Keep reference to raw database
+  };
+}
+
+/**
+ * Open a database file without touching its schema (the migrate CLI uses this for status)
+ * @param {string} filename - Database file (default: DB_PATH)
+ */
+async function openSqliteDatabase(filename = process.env.DB_PATH || DEFAULT_DB_PATH) {
+  // Create database directory if it doesn't exist
+  const dbDir = path.dirname(filename);
+  if (filename !== ':memory:' && !fs.existsSync(dbDir)) {
+    fs.mkdirSync(dbDir, { recursive: true });
+  }
+
+  const database = promisifyDatabase(new sqlite3.Database(filename));
+
+  // Enable foreign keys (tool executions and messages are deleted with their conversation)
+  await database.run('PRAGMA foreign_keys = ON');
+
+  return database;
+}
+
+/**
+ * Build `a = ?, b = b + ?` for an UPDATE
+ */
+function buildAssignments(table, set = {}, increment = {}) {
+  assertColumns(table, set);
+  assertColumns(table, increment);
+
+  return {
+    sql: [
+      ...Object.keys(set).map(key => `${key} = ?`),
+      ...Object.keys(increment).map(key => `${key} = ${key} + ?`)
+    ].join(', '),
+    params: [...Object.values(set), ...Object.values(increment)]
+  };
+}
+
+/**
+ * Columns and values for an INSERT, with the table's defaults filled in
+ */
+function buildInsert(table, defaults, row) {
+  assertColumns(table, row);
+  const record = { ...defaults, ...row };
+
+  return {
+    columns: Object.keys(record).join(', '),
+    placeholders: Object.keys(record).map(() => '?').join(', '),
+    params: Object.values(record)
+  };
+}
+
+/**
+ * Create a SQLite store
+ * @param {Object} options
+ * @param {string} options.filename - Database file (default: DB_PATH or database/conversations.db)
+ */
+function createSqliteStore({ filename = process.env.DB_PATH || DEFAULT_DB_PATH } = {}) {
+  let database = null;
+
+  const store = {
+    name: 'sqlite',
+    filename,
+
+    async open() {
+      const opened = await openSqliteDatabase(filename);
+      try {
+        const result = await migrations.migrate(opened);
+        if (result.adopted) {
+          console.log(`Database adopted at schema version ${migrations.BASELINE_VERSION}`);
+        }
+        for (const migration of result.applied) {
+          console.log(`Applied migration ${migration.file}`);
+        }
+      } catch (error) {
+        await opened.close();
+        throw error;
+      }
+
+      database = opened;
+      store.database = database;
+    },
+
+    async close() {
+      if (database) {
+        await database.close();
+        database = null;
+        store.database = null;
+      }
+    },
+
+    // Conversations
+
+    async insertConversation(row) {
+      const { columns, placeholders, params } = buildInsert('conversations', CONVERSATION_DEFAULTS, row);
+      await database.run(`INSERT INTO conversations (${columns}) VALUES (${placeholders})`, params);
+    },
+
+    async getConversation(id) {
+      return (await database.get(`SELECT * FROM conversations WHERE id = ?`, [id])) || null;
+    },
+
+    async listConversations({ limit = 100, before = null } = {}) {
+      const where = before ? `WHERE updated_at < ? OR (updated_at = ? AND id < ?)` : '';
+      const params = before ? [before.updated_at, before.updated_at, before.id] : [];
+      return database.all(
+        `SELECT * FROM conversations ${where} ORDER BY updated_at DESC, id DESC LIMIT ?`,
+        [...params, limit === null ? -1 : limit]
+      );
+    },
+
+    async updateConversation(id, { set = {}, increment = {} }) {
+      const { sql, params } = buildAssignments('conversations', set, increment);
+      if (!sql) return !!(await store.getConversation(id));
+
+      const result = await database.run(`UPDATE conversations SET ${sql} WHERE id = ?`, [...params, id]);
+      return result.changes > 0;
+    },
+
+    async deleteConversation(id) {
+      const result = await database.run(`DELETE FROM conversations WHERE id = ?`, [id]);
+      return result.changes > 0;
+    },
+
+    // Messages
+
+    async insertMessage(row) {
+      const { seq: _seq, ...defaults } = MESSAGE_DEFAULTS;
+      const { seq: _ignored, ...fields } = row;
+      const { columns, placeholders, params } = buildInsert('messages', defaults, fields);
+
+      // One statement, so the next number can't be taken in between
+      await database.run(
+        `INSERT INTO messages (${columns}, seq)
+         VALUES (${placeholders}, (SELECT COALESCE(MAX(seq), 0) + 1 FROM messages WHERE conversation_id = ?))`,
+        [...params, fields.conversation_id]
+      );
+    },
+
+    async getMessage(id) {
+      return (await database.get(`SELECT * FROM messages WHERE id = ?`, [id])) || null;
+    },
+
+    async listMessages(conversationId, { limit = null, ids = null } = {}) {
+      if (ids) {
+        if (ids.length === 0) return [];
+        return database.all(
+          `SELECT * FROM messages WHERE conversation_id = ? AND id IN (${ids.map(() => '?').join(', ')}) ORDER BY seq ASC`,
+          [conversationId, ...ids]
+        );
+      }
+      return database.all(
+        `SELECT * FROM messages WHERE conversation_id = ? ORDER BY seq ASC LIMIT ?`,
+        [conversationId, limit === null ? -1 : limit]
+      );
+    },
+
+    async listMessageTree(conversationId) {
+      return database.all(`SELECT id, parent_id FROM messages WHERE conversation_id = ? ORDER BY seq ASC`, [conversationId]);
+    },
+
+    async updateMessage(id, set) {
+      const { sql, params } = buildAssignments('messages', set);
+      if (sql) {
+        await database.run(`UPDATE messages SET ${sql} WHERE id = ?`, [...params, id]);
+      }
+    },
+
+    // Tool executions
+
+    async insertToolExecution(row) {
+      const { columns, placeholders, params } = buildInsert('tool_executions', TOOL_EXECUTION_DEFAULTS, row);
+      await database.run(`INSERT INTO tool_executions (${columns}) VALUES (${placeholders})`, params);
+    },
+
+    async getToolExecution(id) {
+      return (await database.get(`SELECT * FROM tool_executions WHERE id = ?`, [id])) || null;
+    },
+
+    async listToolExecutions({ conversationId = null, messageId = null, messageIds = null }) {
+      if (messageIds) {
+        if (messageIds.length === 0) return [];
+        return database.all(
+          `SELECT * FROM tool_executions WHERE message_id IN (${messageIds.map(() => '?').join(', ')}) ORDER BY rowid ASC`,
+          messageIds
+        );
+      }
+      if (messageId) {
+        return database.all(`SELECT * FROM tool_executions WHERE message_id = ? ORDER BY rowid ASC`, [messageId]);
+      }
+      return database.all(`SELECT * FROM tool_executions WHERE conversation_id = ? ORDER BY rowid ASC`, [conversationId]);
+    },
+
+    // Search (FTS5 indexes from migration 009)
+
+    async search(terms, { limit = 20 } = {}) {
+      const query = toFtsQuery(terms);
+      const snippet = table => `snippet(${table}, -1, '${MATCH_START}', '${MATCH_END}', '…', 12)`;
+
+      return database.all(
+        `SELECT 'message' AS kind, m.conversation_id, c.title, m.id AS message_id, NULL AS tool_execution_id,
+                m.role, m.timestamp, ${snippet('messages_search')} AS snippet, bm25(messages_search) AS rank
+         FROM messages_search
+         JOIN messages m ON m.id = messages_search.id
+         JOIN conversations c ON c.id = m.conversation_id
+         WHERE messages_search MATCH ?
+         UNION ALL
+         SELECT 'title', c.id, c.title, NULL, NULL, NULL, c.updated_at,
+                ${snippet('conversations_search')}, bm25(conversations_search)
+         FROM conversations_search
+         JOIN conversations c ON c.id = conversations_search.id
+         WHERE conversations_search MATCH ?
+         UNION ALL
+         SELECT 'tool', t.conversation_id, c.title, t.message_id, t.id, NULL, t.timestamp,
+                ${snippet('tool_executions_search')}, bm25(tool_executions_search)
+         FROM tool_executions_search
+         JOIN tool_executions t ON t.id = tool_executions_search.id
+         JOIN conversations c ON c.id = t.conversation_id
+         WHERE tool_executions_search MATCH ?
+         ORDER BY rank ASC
+         LIMIT ?`,
+        [query, query, query, limit]
+      );
+    }
+  };
+
+  return store;
+}
+
+module.exports = {
+  DEFAULT_DB_PATH,
+  openSqliteDatabase,
+  createSqliteStore
+};
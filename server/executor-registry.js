@@ -0,0 +1,144 @@
+/**
+ * Executor Registry - routes client-side tool calls to a single capable socket
+ *
+ * Clients declare which commands they implement by sending
+ * `{ type: 'register_executor', commands: [...] }` after `welcome`.
+ * Each `command`/`query` is then sent to exactly one executor:
+ * 1. The socket that owns the conversation, if it implements the command
+ * 2. Otherwise one chosen by the selection policy (EXECUTOR_SELECTION_POLICY)
+ *
+ * Policies:
+ * - round_robin (default): rotate between capable executors
+ * - first: the executor that registered earliest
+ * - latest: the executor that registered most recently
+ */
+
+const WebSocket = require('ws');
+
+// Load environment variables
+require('dotenv').config();
+
+const SELECTION_POLICIES = ['round_robin', 'first', 'latest'];
+const SELECTION_POLICY = process.env.EXECUTOR_SELECTION_POLICY || 'round_robin';
+
+// Map: WebSocket -> { commands: Set, registeredAt, id }
+const executors = new Map();
+
+// Per-command round-robin cursor: command -> last used executor id
+const roundRobinCursor = new Map();
+
+let nextExecutorId = 1;
+
+/**
+ * Register (or re-register) a socket as an executor
+ * @param {WebSocket} ws - Client socket
+ * @param {Array<string>} commands - Commands the client implements
+ * @returns {Object} - Executor info
+ */
+function registerExecutor(ws, commands = []) {
+  if (!Array.isArray(commands)) {
+    throw new Error('register_executor requires a "commands" array');
+  }
+
+  const existing = executors.get(ws);
+  const executor = {
+    id: existing ? existing.id : nextExecutorId++,
+    commands: new Set(commands.filter(command => typeof command === 'string')),
+    registeredAt: existing ? existing.registeredAt : Date.now()
+  };
+
+  executors.set(ws, executor);
+  return executor;
+}
+
+/**
+ * Remove a socket from the registry (on disconnect)
+ */
+function unregisterExecutor(ws) {
+  return executors.delete(ws);
+}
+
+/**
+ * Get all open executors that implement a command, oldest registration first
+ */
+function getCapableExecutors(command) {
+  const capable = [];
+  for (const [ws, executor] of executors) {
+    if (ws.readyState === WebSocket.OPEN && executor.commands.has(command)) {
+      capable.push({ ws, executor });
+    }
+  }
+  return capable.sort((a, b) => a.executor.registeredAt - b.executor.registeredAt || a.executor.id - b.executor.id);
+}
+
+/**
+ * Pick an executor according to the selection policy
+ */
+function applySelectionPolicy(command, capable, policy) {
+  if (policy === 'first') {
+    return capable[0];
+  }
+
+  if (policy === 'latest') {
+    return capable[capable.length - 1];
+  }
+
+  // round_robin: the first executor after the one used last time
+  const lastId = roundRobinCursor.get(command);
+  const next = capable.find(entry => entry.executor.id > lastId) || capable[0];
+  roundRobinCursor.set(command, next.executor.id);
+  return next;
+}
+
+/**
+ * Select the socket that should execute a command
+ * @param {string} command - Command name
+ * @param {WebSocket} preferredWs - Socket that owns the conversation (optional)
+ * @returns {WebSocket} - Chosen executor
+ * @throws {Error} - If no connected client implements the command
+ */
+function selectExecutor(command, preferredWs = null) {
+  const capable = getCapableExecutors(command);
+
+  if (capable.length === 0) {
+    throw new Error(`No connected executor implements command "${command}"`);
+  }
+
+  const preferred = preferredWs && capable.find(entry => entry.ws === preferredWs);
+  if (preferred) {
+    return preferred.ws;
+  }
+
+  const policy = SELECTION_POLICIES.includes(SELECTION_POLICY) ? SELECTION_POLICY : 'round_robin';
+  return applySelectionPolicy(command, capable, policy).ws;
+}
+
+/**
+ * Send a message to a single executor chosen for its command
+ * @returns {WebSocket} - The socket the message was sent to
+ */
+function sendToExecutor(message, preferredWs = null) {
+  const ws = selectExecutor(message.command, preferredWs);
+  ws.send(JSON.stringify(message));
+  return ws;
+}
+
+/**
+ * Get registry status for /health
+ */
+function getExecutorsStatus() {
+  return Array.from(executors.values()).map(executor => ({
+    id: executor.id,
+    commands: Array.from(executor.commands),
+    registeredAt: new Date(executor.registeredAt).toISOString()
+  }));
+}
+
+module.exports = {
+  SELECTION_POLICY,
+  registerExecutor,
+  unregisterExecutor,
+  selectExecutor,
+  sendToExecutor,
+  getExecutorsStatus
+};
@@ -0,0 +1,258 @@
+/**
+ * MCP Client - mounts tools from external MCP servers into the agent
+ *
+ * Features:
+ * - Connects to stdio (command line) and Streamable HTTP (URL) MCP servers
+ * - Exposes their tools as tool definitions under a namespace prefix
+ * - Re-lists tools when a server sends `notifications/tools/list_changed`
+ * - Forwards tool calls to the owning MCP session
+ *
+ * Config file format (same shape as Claude Desktop's `mcpServers`):
+ * {
+ *   "mcpServers": {
+ *     "files": { "command": "npx", "args": ["-y", "@modelcontextprotocol/server-filesystem", "/tmp"] },
+ *     "remote": { "url": "http://localhost:8080/mcp", "prefix": "remote" }
+ *   }
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StdioClientTransport } = require('@modelcontextprotocol/sdk/client/stdio.js');
+const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
+const { ToolListChangedNotificationSchema } = require('@modelcontextprotocol/sdk/types.js');
+
+// Load environment variables
+require('dotenv').config();
+
+// Separator between server prefix and tool name (must be valid in Anthropic/OpenAI tool names)
+const NAMESPACE_SEPARATOR = '__';
+
+// Connected servers: serverName -> { client, transport, prefix, tools }
+const connections = new Map();
+
+/**
+ * Load the MCP server list from a JSON config file
+ * @param {string} configPath - Path to the config file
+ * @returns {Object} - Map of serverName -> server config
+ */
+function loadMcpServersConfig(configPath) {
+  if (!configPath || !fs.existsSync(configPath)) {
+    return {};
+  }
+
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  return config.mcpServers || {};
+}
+
+/**
+ * Create a transport for a server config entry
+ */
+function createTransport(serverConfig) {
+  if (serverConfig.url) {
+    return new StreamableHTTPClientTransport(new URL(serverConfig.url), {
+      requestInit: serverConfig.headers ? { headers: serverConfig.headers } : undefined
+    });
+  }
+
+  if (serverConfig.command) {
+    return new StdioClientTransport({
+      command: serverConfig.command,
+      args: serverConfig.args || [],
+      env: serverConfig.env ? { ...process.env, ...serverConfig.env } : undefined,
+      cwd: serverConfig.cwd,
+      stderr: 'inherit'
+    });
+  }
+
+  throw new Error('MCP server config must have either a "command" or a "url"');
+}
+
+/**
+ * Fetch the tool list of a connected server (follows pagination)
+ */
+async function refreshTools(serverName) {
+  const connection = connections.get(serverName);
+  if (!connection) return [];
+
+  const tools = [];
+  let cursor;
+  do {
+    const page = await connection.client.listTools(cursor ? { cursor } : undefined);
+    tools.push(...page.tools);
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  connection.tools = tools;
+  return tools;
+}
+
+/**
+ * Connect to a single MCP server
+ * @param {string} serverName - Name of the server (from config)
+ * @param {Object} serverConfig - { command, args, env, cwd } or { url, headers }, plus optional prefix
+ */
+async function connectServer(serverName, serverConfig) {
+  const transport = createTransport(serverConfig);
+  const client = new Client(
+    { name: 'anymcp-chat-server', version: '1.0.0' },
+    { capabilities: {} }
+  );
+
+  await client.connect(transport);
+
+  connections.set(serverName, {
+    client,
+    transport,
+    prefix: serverConfig.prefix || serverName,
+    tools: []
+  });
+
+  // Re-list tools when the server announces a change
+  client.setNotificationHandler(ToolListChangedNotificationSchema, async () => {
+    try {
+      const tools = await refreshTools(serverName);
+      console.log(`MCP server "${serverName}" tools changed (${tools.length} tools)`);
+    } catch (error) {
+      console.error(`Error re-listing tools for MCP server "${serverName}":`, error.message);
+    }
+  });
+
+  const tools = await refreshTools(serverName);
+  console.log(`Connected to MCP server "${serverName}" (${tools.length} tools)`);
+}
+
+/**
+ * Connect to all configured MCP servers
+ * A server that fails to connect is logged and skipped.
+ * @param {Object} serversConfig - Map of serverName -> server config
+ * @returns {Promise<Array>} - Names of servers that connected
+ */
+async function connectMcpServers(serversConfig = {}) {
+  const connected = [];
+
+  for (const [serverName, serverConfig] of Object.entries(serversConfig)) {
+    if (serverConfig.disabled) continue;
+
+    try {
+      await connectServer(serverName, serverConfig);
+      connected.push(serverName);
+    } catch (error) {
+      console.warn(`Warning: MCP server "${serverName}" could not be connected:`, error.message);
+    }
+  }
+
+  return connected;
+}
+
+/**
+ * Get tool definitions for all external MCP tools
+ *
+ * Each definition has:
+ * - name: `${prefix}__${toolName}`
+ * - description: Tool description from the server
+ * - inputSchema: JSON Schema from the server (instead of Zod `parameters`)
+ * - mcpServer / mcpToolName: Routing info for executeTool
+ * - parallelSafe: Only for tools the server annotates as read-only
+ */
+function getExternalToolDefinitions() {
+  const definitions = [];
+
+  for (const [serverName, connection] of connections) {
+    for (const tool of connection.tools) {
+      definitions.push({
+        name: `${connection.prefix}${NAMESPACE_SEPARATOR}${tool.name}`,
+        description: tool.description || '',
+        inputSchema: tool.inputSchema || { type: 'object', properties: {} },
+        mcpServer: serverName,
+        mcpToolName: tool.name,
+        parallelSafe: !!(tool.annotations && tool.annotations.readOnlyHint)
+      });
+    }
+  }
+
+  return definitions;
+}
+
+/**
+ * Call a tool on an external MCP server
+ * @param {string} serverName - Name of the server
+ * @param {string} toolName - Tool name on that server (without prefix)
+ * @param {Object} toolInput - Tool arguments
+ * @param {Object} options - { signal, timeoutMs } (aborting sends notifications/cancelled)
+ * @returns {Promise<any>} - Structured content, or the text content of the result
+ */
+async function callTool(serverName, toolName, toolInput, { signal, timeoutMs } = {}) {
+  const connection = connections.get(serverName);
+  if (!connection) {
+    throw new Error(`MCP server "${serverName}" is not connected`);
+  }
+
+  const response = await connection.client.callTool({
+    name: toolName,
+    arguments: toolInput || {}
+  }, undefined, { signal, timeout: timeoutMs });
+
+  const text = (response.content || [])
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('\n');
+
+  if (response.isError) {
+    // Reported by the tool itself: not retried
+    const error = new Error(text || `MCP tool ${toolName} failed`);
+    error.code = 'TOOL_FAILED';
+    throw error;
+  }
+
+  if (response.structuredContent) {
+    return response.structuredContent;
+  }
+
+  return text || response.content;
+}
+
+/**
+ * Disconnect from all MCP servers
+ */
+async function closeMcpServers() {
+  for (const [serverName, connection] of connections) {
+    try {
+      await connection.client.close();
+    } catch (error) {
+      console.error(`Error closing MCP server "${serverName}":`, error.message);
+    }
+  }
+  connections.clear();
+}
+
+/**
+ * Get connection status for /health
+ */
+function getMcpServersStatus() {
+  return Array.from(connections.entries()).map(([serverName, connection]) => ({
+    name: serverName,
+    prefix: connection.prefix,
+    toolCount: connection.tools.length
+  }));
+}
+
+/**
+ * Resolve the config path from the environment (relative to the server directory)
+ */
+function getDefaultConfigPath() {
+  const configPath = process.env.MCP_SERVERS_CONFIG || 'mcp-servers.json';
+  return path.isAbsolute(configPath) ? configPath : path.join(__dirname, configPath);
+}
+
+module.exports = {
+  NAMESPACE_SEPARATOR,
+  loadMcpServersConfig,
+  getDefaultConfigPath,
+  connectMcpServers,
+  getExternalToolDefinitions,
+  callTool,
+  closeMcpServers,
+  getMcpServersStatus
+};
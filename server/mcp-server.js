@@ -0,0 +1,195 @@
+/**
+ * MCP Server (Streamable HTTP)
+ *
+ * Publishes every tool from the tool registry as an MCP tool so that
+ * Claude Desktop, MCP Inspector or any other MCP client can call them.
+ *
+ * Features:
+ * - The tool list is read from the registry on every request, so tools
+ *   added after start-up are published too
+ * - Input schemas come from the shared converter in tool-schema.js, so MCP
+ *   clients see exactly what the LLM providers see
+ * - Calls are routed through the agent core's `executeTool`, so
+ *   WebSocket-executed commands and server-side `function` tools both work
+ * - Calls that need the user's approval are denied: there is no client to ask
+ * - Stateless: every POST gets a fresh MCP server and transport
+ */
+
+const http = require('http');
+const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const {
+  ListToolsRequestSchema,
+  CallToolRequestSchema,
+  McpError,
+  ErrorCode
+} = require('@modelcontextprotocol/sdk/types.js');
+const { getToolDefinitions, getToolDefinition } = require('./tools');
+const { getToolInputSchema, validateToolInput } = require('./tool-schema');
+
+// Load environment variables
+require('dotenv').config();
+
+const SERVER_INFO = { name: 'anymcp-server', version: '1.0.0' };
+const INSTRUCTIONS = 'AnyMCP tool server. Client-side tools are executed by connected WebSocket clients.';
+
+// HTTP server instance
+let httpServer = null;
+
+/**
+ * Format a tool result as MCP text content
+ */
+function formatToolResult(result) {
+  if (typeof result === 'string') {
+    return result;
+  }
+  return JSON.stringify(result);
+}
+
+/**
+ * Local tools published over MCP
+ * Tools mounted from external MCP servers are not re-published.
+ */
+function getPublishedTools() {
+  return getToolDefinitions().filter(toolDef => !toolDef.mcpServer);
+}
+
+/**
+ * Create an MCP server with the tool handlers
+ * @param {Object} agent - The agent core (agent-core.js)
+ */
+function createMcpServer(agent) {
+  const server = new Server(SERVER_INFO, {
+    capabilities: { tools: {} },
+    instructions: INSTRUCTIONS
+  });
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    tools: getPublishedTools().map(toolDef => ({
+      name: toolDef.name,
+      description: toolDef.description,
+      inputSchema: getToolInputSchema(toolDef)
+    }))
+  }));
+
+  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    const { name, arguments: args = {} } = request.params;
+    const toolDef = getToolDefinition(name);
+
+    if (!toolDef || toolDef.mcpServer) {
+      throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
+    }
+
+    // Malformed arguments are a protocol error for MCP clients
+    const validation = validateToolInput(toolDef, args);
+    if (!validation.success) {
+      throw new McpError(ErrorCode.InvalidParams, validation.message);
+    }
+
+    try {
+      const result = await agent.executeTool(name, validation.data, null, null, null, { source: 'mcp' });
+      return { content: [{ type: 'text', text: formatToolResult(result) }] };
+    } catch (error) {
+      // Tool failures are reported to the MCP client as an isError result
+      return { content: [{ type: 'text', text: error.message }], isError: true };
+    }
+  });
+
+  return server;
+}
+
+/**
+ * Handle one HTTP request on the MCP endpoint
+ */
+async function handleMcpRequest(agent, req, res) {
+  if (req.method !== 'POST') {
+    // Stateless mode has no standalone SSE stream or session to delete
+    res.writeHead(405, { 'Content-Type': 'application/json', Allow: 'POST' });
+    res.end(JSON.stringify({
+      jsonrpc: '2.0',
+      error: { code: ErrorCode.ConnectionClosed, message: 'Method not allowed.' },
+      id: null
+    }));
+    return;
+  }
+
+  const server = createMcpServer(agent);
+  const transport = new StreamableHTTPServerTransport({ sessionIdGenerator: undefined });
+
+  res.on('close', () => {
+    transport.close();
+    server.close();
+  });
+
+  await server.connect(transport);
+  await transport.handleRequest(req, res);
+}
+
+/**
+ * Start the MCP server over Streamable HTTP
+ * @param {Object} agent - The agent core (agent-core.js)
+ * @param {Object} options - Server options
+ * @param {number} options.port - Port to listen on
+ * @param {string} options.host - Host to bind to
+ * @param {string} options.endpoint - HTTP endpoint path (default: /mcp)
+ */
+async function startMcpServer(agent, { port, host, endpoint = '/mcp' } = {}) {
+  if (httpServer) {
+    return httpServer;
+  }
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (pathname !== endpoint) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not Found');
+      return;
+    }
+
+    handleMcpRequest(agent, req, res).catch((error) => {
+      console.error('Error handling MCP request:', error);
+      if (!res.headersSent) {
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          jsonrpc: '2.0',
+          error: { code: ErrorCode.InternalError, message: 'Internal server error' },
+          id: null
+        }));
+      }
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  httpServer = server;
+  return httpServer;
+}
+
+/**
+ * Stop the MCP server if it is running
+ */
+async function stopMcpServer() {
+  if (httpServer) {
+    const server = httpServer;
+    httpServer = null;
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+/**
+ * Whether the MCP server is currently running
+ */
+function isMcpServerRunning() {
+  return httpServer !== null;
+}
+
+module.exports = {
+  startMcpServer,
+  stopMcpServer,
+  isMcpServerRunning
+};
@@ -0,0 +1,171 @@
+/**
+ * Pricing catalog - cost of a turn from its provider usage
+ *
+ * Rates are USD per million tokens, keyed by provider and model:
+ *
+ * {
+ *   "claude": {
+ *     "claude-sonnet-4-5": { "input": 3, "output": 15, "cacheRead": 0.3, "cacheWrite": 3.75 }
+ *   },
+ *   "ollama": { "*": { "input": 0, "output": 0 } }
+ * }
+ *
+ * A model matches its exact key, else the longest key it starts with (so dated
+ * snapshots like "gpt-4o-mini-2024-07-18" use "gpt-4o-mini"), else the provider's "*".
+ * Missing rates are 0. PRICING_FILE (JSON, relative to the server directory) adds or
+ * replaces entries of the built-in catalog below; an entry set to null removes it.
+ *
+ * Costs are computed when a turn finishes and stored on its message, so changing
+ * the catalog doesn't rewrite what earlier turns cost.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Load environment variables
+require('dotenv').config();
+
+const DEFAULT_PRICING = {
+  claude: {
+    'claude-opus-4-5': { input: 5, output: 25, cacheRead: 0.5, cacheWrite: 6.25 },
+    'claude-opus-4': { input: 15, output: 75, cacheRead: 1.5, cacheWrite: 18.75 },
+    'claude-sonnet-4': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+    'claude-haiku-4-5': { input: 1, output: 5, cacheRead: 0.1, cacheWrite: 1.25 },
+    'claude-3-7-sonnet': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+    'claude-3-5-haiku': { input: 0.8, output: 4, cacheRead: 0.08, cacheWrite: 1 }
+  },
+  openai: {
+    'gpt-4o': { input: 2.5, output: 10, cacheRead: 1.25 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6, cacheRead: 0.075 },
+    'gpt-4.1': { input: 2, output: 8, cacheRead: 0.5 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6, cacheRead: 0.1 },
+    'gpt-4.1-nano': { input: 0.1, output: 0.4, cacheRead: 0.025 }
+  },
+  // Local and scripted providers are free
+  ollama: { '*': { input: 0, output: 0 } },
+  llamacpp: { '*': { input: 0, output: 0 } },
+  mock: { '*': { input: 0, output: 0 } }
+};
+
+const RATE_FIELDS = ['input', 'output', 'cacheRead', 'cacheWrite'];
+
+let catalog = null;
+
+/**
+ * Check and fill in one model's rates
+ * @throws {Error} - If a rate is not a non-negative number
+ */
+function normalizeRates(rates, label) {
+  if (!rates || typeof rates !== 'object') {
+    throw new Error(`Pricing for ${label} must be an object of rates`);
+  }
+
+  const normalized = {};
+  for (const field of RATE_FIELDS) {
+    const value = rates[field] === undefined ? 0 : rates[field];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      throw new Error(`Pricing for ${label}: ${field} must be a non-negative number (USD per million tokens)`);
+    }
+    normalized[field] = value;
+  }
+  return normalized;
+}
+
+/**
+ * Merge catalogs; entries of `overrides` replace the defaults model by model (null removes one)
+ */
+function mergeCatalogs(base, overrides = {}) {
+  const merged = {};
+  for (const source of [base, overrides]) {
+    for (const [provider, models] of Object.entries(source)) {
+      merged[provider] = merged[provider] || {};
+      for (const [model, rates] of Object.entries(models || {})) {
+        if (rates === null) {
+          delete merged[provider][model];
+        } else {
+          merged[provider][model] = normalizeRates(rates, `${provider}/${model}`);
+        }
+      }
+    }
+  }
+  return merged;
+}
+
+/**
+ * Read the PRICING_FILE overrides (none if unset)
+ */
+function loadPricingFile() {
+  if (!process.env.PRICING_FILE) {
+    return {};
+  }
+
+  const pricingPath = path.isAbsolute(process.env.PRICING_FILE)
+    ? process.env.PRICING_FILE
+    : path.join(__dirname, process.env.PRICING_FILE);
+  return JSON.parse(fs.readFileSync(pricingPath, 'utf8'));
+}
+
+/**
+ * Get the pricing catalog (built-in rates plus PRICING_FILE), loaded once
+ */
+function getPricingCatalog() {
+  if (!catalog) {
+    catalog = mergeCatalogs(DEFAULT_PRICING, loadPricingFile());
+  }
+  return catalog;
+}
+
+/**
+ * Replace the catalog (tests) or reload it from config (no argument)
+ */
+function setPricingCatalog(overrides = null) {
+  catalog = overrides ? mergeCatalogs(DEFAULT_PRICING, overrides) : null;
+}
+
+/**
+ * Rates for a provider and model
+ * @returns {Object|null} - { input, output, cacheRead, cacheWrite } per million tokens, null if unpriced
+ */
+function getModelPricing(provider, model) {
+  const models = getPricingCatalog()[provider];
+  if (!models) {
+    return null;
+  }
+
+  if (model && models[model]) {
+    return models[model];
+  }
+
+  const prefix = Object.keys(models)
+    .filter(key => key !== '*' && model && model.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return models[prefix] || models['*'] || null;
+}
+
+/**
+ * Cost of one turn in USD
+ * @param {Object} usage - { inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens }
+ * @param {Object|null} pricing - Rates from getModelPricing()
+ * @returns {number|null} - null when the model has no price (the turn isn't counted)
+ */
+function calculateCost(usage, pricing) {
+  if (!usage || !pricing) {
+    return null;
+  }
+
+  return (
+    (usage.inputTokens || 0) * pricing.input +
+    (usage.outputTokens || 0) * pricing.output +
+    (usage.cacheReadTokens || 0) * pricing.cacheRead +
+    (usage.cacheWriteTokens || 0) * pricing.cacheWrite
+  ) / 1000000;
+}
+
+module.exports = {
+  DEFAULT_PRICING,
+  getPricingCatalog,
+  setPricingCatalog,
+  getModelPricing,
+  calculateCost
+};
@@ -0,0 +1,220 @@
+/**
+ * Claude (Anthropic) provider adapter
+ *
+ * Translates between the agent core's neutral message/stream format and the
+ * Anthropic Messages API.
+ */
+
+const Anthropic = require('@anthropic-ai/sdk');
+
+// Load environment variables
+require('dotenv').config();
+
+let anthropicClient;
+
+/**
+ * Initialize the Anthropic client
+ */
+async function initialize() {
+  if (!process.env.ANTHROPIC_API_KEY) {
+    throw new Error('ANTHROPIC_API_KEY environment variable is required');
+  }
+  anthropicClient = new Anthropic({
+    apiKey: process.env.ANTHROPIC_API_KEY,
+  });
+}
+
+function isInitialized() {
+  return !!anthropicClient;
+}
+
+/**
+ * Convert neutral messages to Anthropic format
+ * Consecutive tool results are grouped into a single user message.
+ */
+function toAnthropicMessages(messages) {
+  const result = [];
+
+  for (const msg of messages) {
+    if (msg.role === 'user') {
+      result.push({ role: 'user', content: msg.content.trim() });
+    } else if (msg.role === 'assistant') {
+      if (msg.toolCalls && msg.toolCalls.length > 0) {
+        const content = [];
+        if (msg.content && msg.content.trim()) {
+          content.push({ type: 'text', text: msg.content.trim() });
+        }
+        for (const toolCall of msg.toolCalls) {
+          content.push({
+            type: 'tool_use',
+            id: toolCall.id,
+            name: toolCall.name,
+            input: toolCall.input || {}
+          });
+        }
+        result.push({ role: 'assistant', content });
+      } else {
+        result.push({ role: 'assistant', content: msg.content.trim() });
+      }
+    } else if (msg.role === 'tool') {
+      const block = {
+        type: 'tool_result',
+        tool_use_id: msg.toolCallId,
+        content: msg.content
+      };
+      if (msg.isError) {
+        block.is_error = true;
+      }
+
+      const last = result[result.length - 1];
+      if (last && last.role === 'user' && Array.isArray(last.content) && last.content[0]?.type === 'tool_result') {
+        last.content.push(block);
+      } else {
+        result.push({ role: 'user', content: [block] });
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Convert neutral tools to Anthropic format
+ */
+function toAnthropicTools(tools) {
+  return tools.map(tool => ({
+    name: tool.name,
+    description: tool.description,
+    input_schema: tool.inputSchema
+  }));
+}
+
+/**
+ * Convert a neutral tool choice to Anthropic format
+ */
+function toAnthropicToolChoice(toolChoice = { type: 'auto' }) {
+  if (toolChoice.type === 'tool') {
+    return { type: 'tool', name: toolChoice.name };
+  }
+  return { type: toolChoice.type };
+}
+
+/**
+ * Convert Anthropic usage to the neutral format
+ * message_delta may carry only output_tokens, so absent fields keep their previous value.
+ */
+function mergeAnthropicUsage(previous, usage = {}) {
+  const pick = (value, fallback) => (value === undefined || value === null ? fallback : value);
+  return {
+    inputTokens: pick(usage.input_tokens, previous.inputTokens),
+    outputTokens: pick(usage.output_tokens, previous.outputTokens),
+    cacheReadTokens: pick(usage.cache_read_input_tokens, previous.cacheReadTokens),
+    cacheWriteTokens: pick(usage.cache_creation_input_tokens, previous.cacheWriteTokens)
+  };
+}
+
+/**
+ * Stream a chat completion
+ * Yields { type: 'text', text }, { type: 'tool_call', id, name, input },
+ * { type: 'usage', usage } (from message_start and message_delta) and
+ * finally { type: 'done', stopReason }.
+ */
+async function* streamChat({ model, system, messages, tools, toolChoice, signal, maxTokens = 4096 }) {
+  const request = {
+    model,
+    max_tokens: maxTokens,
+    messages: toAnthropicMessages(messages),
+    stream: true,
+    system: [{ type: 'text', text: system }],
+  };
+
+  // tool_choice is only allowed alongside tools
+  if (tools.length > 0) {
+    request.tools = toAnthropicTools(tools);
+    request.tool_choice = toAnthropicToolChoice(toolChoice);
+  }
+
+  const stream = await anthropicClient.messages.create(request, { signal });
+
+  const toolUseBlocks = new Map(); // content block index -> { id, name, input }
+  let stopReason = 'end_turn';
+  let usage = { inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0 };
+
+  for await (const event of stream) {
+    if (event.type === 'message_start' && event.message.usage) {
+      // Input and cache tokens are known up front
+      usage = mergeAnthropicUsage(usage, event.message.usage);
+      yield { type: 'usage', usage };
+    } else if (event.type === 'content_block_start' && event.content_block.type === 'tool_use') {
+      toolUseBlocks.set(event.index, {
+        id: event.content_block.id,
+        name: event.content_block.name,
+        input: ''
+      });
+    } else if (event.type === 'content_block_delta') {
+      if (event.delta.type === 'text_delta') {
+        yield { type: 'text', text: event.delta.text };
+      } else if (event.delta.type === 'input_json_delta') {
+        const toolBlock = toolUseBlocks.get(event.index);
+        if (toolBlock) {
+          toolBlock.input += event.delta.partial_json;
+        }
+      }
+    } else if (event.type === 'content_block_stop' && toolUseBlocks.has(event.index)) {
+      const toolBlock = toolUseBlocks.get(event.index);
+      yield {
+        type: 'tool_call',
+        id: toolBlock.id,
+        name: toolBlock.name,
+        input: toolBlock.input ? JSON.parse(toolBlock.input) : {}
+      };
+    } else if (event.type === 'message_delta') {
+      if (event.delta.stop_reason) {
+        stopReason = event.delta.stop_reason;
+      }
+      if (event.usage) {
+        // Cumulative output tokens for the message
+        usage = mergeAnthropicUsage(usage, event.usage);
+        yield { type: 'usage', usage };
+      }
+    }
+  }
+
+  yield { type: 'done', stopReason };
+}
+
+/**
+ * Single non-streaming completion (used for summaries)
+ */
+async function complete({ model, prompt, maxTokens = 1024 }) {
+  const response = await anthropicClient.messages.create({
+    model,
+    max_tokens: maxTokens,
+    messages: [
+      {
+        role: 'user',
+        content: prompt
+      }
+    ]
+  });
+
+  return response.content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('\n');
+}
+
+module.exports = {
+  name: 'claude',
+  displayName: 'Claude',
+  defaultModel: process.env.ANTHROPIC_MODEL || 'claude-haiku-4-5',
+  summaryModel: process.env.ANTHROPIC_SUMMARY_MODEL || 'claude-sonnet-4-5',
+  setupHint: 'Make sure ANTHROPIC_API_KEY is set in .env file',
+  initialize,
+  isInitialized,
+  streamChat,
+  complete,
+  toAnthropicMessages,
+  toAnthropicTools,
+  mergeAnthropicUsage
+};
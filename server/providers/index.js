@@ -0,0 +1,74 @@
+/**
+ * LLM provider registry
+ *
+ * A provider adapter is a module with:
+ * - name: Provider identifier (used in conversation metadata and AGENT_TYPE)
+ * - displayName: Human-readable name
+ * - defaultModel: Model used when the conversation doesn't pick one
+ * - summaryModel: Model used for summaries (null = conversation's model)
+ * - setupHint: Shown when initialization fails
+ * - initialize(): Create the SDK client (throws if not configured)
+ * - isInitialized(): Whether initialize() succeeded
+ * - streamChat({ model, system, messages, tools, toolChoice, signal }): Async generator of
+ *   { type: 'text', text } | { type: 'tool_call', id, name, input } | { type: 'usage', usage } |
+ *   { type: 'done', stopReason }
+ *   usage is { inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens } for the whole request
+ *   (inputTokens excludes cache reads/writes); a later usage event replaces an earlier one
+ *   toolChoice is { type: 'auto' } | { type: 'none' } | { type: 'tool', name } (see tool-access.js)
+ * - complete({ model, prompt, maxTokens }): Single completion, returns text
+ *
+ * New providers only need to be registered here.
+ */
+
+const providers = new Map();
+
+/**
+ * Register a provider adapter
+ */
+function registerProvider(provider) {
+  providers.set(provider.name, provider);
+}
+
+/**
+ * Get a provider by name
+ * @throws {Error} - If the provider is unknown
+ */
+function getProvider(name) {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown provider: ${name} (available: ${Array.from(providers.keys()).join(', ')})`);
+  }
+  return provider;
+}
+
+/**
+ * Whether a provider is registered
+ */
+function hasProvider(name) {
+  return providers.has(name);
+}
+
+/**
+ * List registered providers
+ */
+function listProviders() {
+  return Array.from(providers.values()).map(provider => ({
+    name: provider.name,
+    displayName: provider.displayName,
+    defaultModel: provider.defaultModel,
+    initialized: provider.isInitialized()
+  }));
+}
+
+registerProvider(require('./claude-provider'));
+registerProvider(require('./openai-provider'));
+registerProvider(require('./ollama-provider'));
+registerProvider(require('./llamacpp-provider'));
+registerProvider(require('./mock-provider'));
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  hasProvider,
+  listProviders
+};
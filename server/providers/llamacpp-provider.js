@@ -0,0 +1,24 @@
+/**
+ * llama.cpp server provider adapter (fully offline)
+ *
+ * llama-server exposes an OpenAI-compatible `/v1/chat/completions` endpoint with
+ * streaming and tool calls (start it with `--jinja` for function calling), so
+ * this reuses the OpenAI adapter with a local base URL.
+ */
+
+const { createOpenAICompatibleProvider } = require('./openai-provider');
+
+// Load environment variables
+require('dotenv').config();
+
+module.exports = createOpenAICompatibleProvider({
+  name: 'llamacpp',
+  displayName: 'llama.cpp',
+  getConfig: () => ({
+    // llama-server doesn't check the key unless started with --api-key
+    apiKey: process.env.LLAMACPP_API_KEY || 'sk-no-key-required',
+    baseURL: process.env.LLAMACPP_BASE_URL || 'http://localhost:8080/v1'
+  }),
+  defaultModel: process.env.LLAMACPP_MODEL || 'local',
+  setupHint: 'Make sure llama-server is running with --jinja (LLAMACPP_BASE_URL, default http://localhost:8080/v1)'
+});
@@ -0,0 +1,194 @@
+/**
+ * Mock provider adapter (scripted, no network)
+ *
+ * Replays turns from a JSON fixture so the agent core can be exercised
+ * end-to-end in automated tests. Each call to streamChat() or complete()
+ * consumes the next turn:
+ *
+ * {
+ *   "turns": [
+ *     { "text": ["Let me ", "calculate."], "toolCalls": [{ "id": "toolu_1", "name": "add", "input": { "param1": 2, "param2": 3 } }] },
+ *     { "text": "2 + 3 = 5", "latencyMs": 20, "usage": { "inputTokens": 120, "outputTokens": 8 } },
+ *     { "text": "Cut off", "stopReason": "max_tokens" },
+ *     { "error": "Simulated provider failure" }
+ *   ]
+ * }
+ *
+ * - text: String or array of chunks, streamed in order
+ * - toolCalls: Tool calls emitted after the text (ids generated if missing)
+ * - stopReason: Defaults to 'tool_use' with tool calls, otherwise 'end_turn'
+ * - latencyMs: Delay before each chunk (honours the abort signal)
+ * - usage: Token usage reported before done ({ inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens })
+ * - error: Throw this message instead of streaming
+ *
+ * The script is read from MOCK_SCRIPT, or set directly with loadScript().
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Load environment variables
+require('dotenv').config();
+
+let turns = null;
+let cursor = 0;
+
+// Requests received, so tests can assert what the core sent
+const requests = [];
+
+/**
+ * Load a script (object or path to a JSON file) and rewind to its first turn
+ */
+function loadScript(script) {
+  if (typeof script === 'string') {
+    const scriptPath = path.isAbsolute(script) ? script : path.join(__dirname, '..', script);
+    script = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+  }
+
+  if (!script || !Array.isArray(script.turns)) {
+    throw new Error('Mock script must have a "turns" array');
+  }
+
+  turns = script.turns;
+  cursor = 0;
+  requests.length = 0;
+}
+
+/**
+ * Load the script named by MOCK_SCRIPT (an empty script otherwise)
+ */
+async function initialize() {
+  if (process.env.MOCK_SCRIPT) {
+    loadScript(process.env.MOCK_SCRIPT);
+  } else if (!turns) {
+    turns = [];
+  }
+}
+
+function isInitialized() {
+  return turns !== null;
+}
+
+/**
+ * Number of turns not yet replayed
+ */
+function remainingTurns() {
+  return turns ? turns.length - cursor : 0;
+}
+
+/**
+ * Take the next scripted turn
+ * @throws {Error} - If the script is exhausted
+ */
+function nextTurn() {
+  if (!turns || cursor >= turns.length) {
+    throw new Error(`Mock script exhausted after ${cursor} turns`);
+  }
+  return turns[cursor++];
+}
+
+/**
+ * Wait, rejecting with an AbortError if the signal fires first
+ */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const abortError = () => {
+      const error = new Error('Request was aborted');
+      error.name = 'AbortError';
+      return error;
+    };
+
+    if (signal && signal.aborted) {
+      reject(abortError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Stream the next scripted turn
+ * Yields { type: 'text', text }, { type: 'tool_call', id, name, input },
+ * { type: 'usage', usage } (if the turn has one) and finally { type: 'done', stopReason }.
+ */
+async function* streamChat({ model, system, messages, tools, toolChoice, signal }) {
+  requests.push({ model, system, messages, tools, toolChoice });
+  const turn = nextTurn();
+  const latencyMs = turn.latencyMs || 0;
+
+  if (turn.error) {
+    if (latencyMs) await delay(latencyMs, signal);
+    throw new Error(turn.error);
+  }
+
+  const chunks = Array.isArray(turn.text) ? turn.text : (turn.text ? [turn.text] : []);
+  for (const chunk of chunks) {
+    if (latencyMs) await delay(latencyMs, signal);
+    yield { type: 'text', text: chunk };
+  }
+
+  const toolCalls = turn.toolCalls || [];
+  for (const toolCall of toolCalls) {
+    if (latencyMs) await delay(latencyMs, signal);
+    yield {
+      type: 'tool_call',
+      id: toolCall.id || `mock_${cursor}_${toolCalls.indexOf(toolCall)}`,
+      name: toolCall.name,
+      input: toolCall.input || {}
+    };
+  }
+
+  if (turn.usage) {
+    yield {
+      type: 'usage',
+      usage: {
+        inputTokens: turn.usage.inputTokens || 0,
+        outputTokens: turn.usage.outputTokens || 0,
+        cacheReadTokens: turn.usage.cacheReadTokens || 0,
+        cacheWriteTokens: turn.usage.cacheWriteTokens || 0
+      }
+    };
+  }
+
+  yield { type: 'done', stopReason: turn.stopReason || (toolCalls.length > 0 ? 'tool_use' : 'end_turn') };
+}
+
+/**
+ * Single completion from the next scripted turn (used for summaries)
+ */
+async function complete({ model, prompt }) {
+  requests.push({ model, prompt });
+  const turn = nextTurn();
+
+  if (turn.error) {
+    throw new Error(turn.error);
+  }
+
+  return Array.isArray(turn.text) ? turn.text.join('') : (turn.text || '');
+}
+
+module.exports = {
+  name: 'mock',
+  displayName: 'Mock (scripted)',
+  defaultModel: 'mock-model',
+  summaryModel: null, // Use the conversation's model
+  setupHint: 'Set MOCK_SCRIPT to a JSON file with { "turns": [...] }',
+  initialize,
+  isInitialized,
+  streamChat,
+  complete,
+  loadScript,
+  remainingTurns,
+  requests
+};
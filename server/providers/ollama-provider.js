@@ -0,0 +1,269 @@
+/**
+ * Ollama provider adapter (fully offline)
+ *
+ * Talks to Ollama's native `/api/chat` endpoint with streaming and tool calls.
+ * Ollama streams newline-delimited JSON and does not assign tool call ids,
+ * so ids are generated here and persisted in tool_executions like Claude's.
+ */
+
+// Load environment variables
+require('dotenv').config();
+
+let initialized = false;
+
+/**
+ * Base URL of the Ollama server (read on each call so tests can point it at a stub)
+ */
+function getBaseUrl() {
+  return (process.env.OLLAMA_BASE_URL || 'http://localhost:11434').replace(/\/+$/, '');
+}
+
+/**
+ * Generate a tool call ID (Ollama doesn't provide one)
+ */
+function generateToolCallId() {
+  return `ollama_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Check the Ollama server is reachable
+ */
+async function initialize() {
+  let response;
+  try {
+    response = await fetch(`${getBaseUrl()}/api/tags`);
+  } catch (error) {
+    throw new Error(`Ollama server not reachable at ${getBaseUrl()}: ${error.message}`);
+  }
+
+  if (!response.ok) {
+    throw new Error(`Ollama server at ${getBaseUrl()} responded with ${response.status}`);
+  }
+
+  initialized = true;
+}
+
+function isInitialized() {
+  return initialized;
+}
+
+/**
+ * Convert neutral messages to Ollama format
+ */
+function toOllamaMessages(system, messages) {
+  const result = [{ role: 'system', content: system }];
+
+  for (const msg of messages) {
+    if (msg.role === 'user') {
+      result.push({ role: 'user', content: msg.content.trim() });
+    } else if (msg.role === 'assistant') {
+      const assistantMsg = {
+        role: 'assistant',
+        content: msg.content.trim()
+      };
+
+      if (msg.toolCalls && msg.toolCalls.length > 0) {
+        // Ollama expects arguments as an object, not a JSON string
+        assistantMsg.tool_calls = msg.toolCalls.map(toolCall => ({
+          function: {
+            name: toolCall.name,
+            arguments: toolCall.input || {}
+          }
+        }));
+      }
+
+      result.push(assistantMsg);
+    } else if (msg.role === 'tool') {
+      result.push({
+        role: 'tool',
+        tool_name: msg.name,
+        content: msg.content
+      });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Convert neutral tools to Ollama function format
+ */
+function toOllamaTools(tools) {
+  return tools.map(tool => ({
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.inputSchema
+    }
+  }));
+}
+
+/**
+ * Apply a neutral tool choice to the tools offered
+ * Ollama has no tool_choice: 'none' offers no tools and a forced tool is offered alone.
+ */
+function applyToolChoice(tools, toolChoice = { type: 'auto' }) {
+  if (toolChoice.type === 'none') {
+    return [];
+  }
+  if (toolChoice.type === 'tool') {
+    return tools.filter(tool => tool.name === toolChoice.name);
+  }
+  return tools;
+}
+
+/**
+ * Read a newline-delimited JSON response body
+ */
+async function* readNdjson(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newlineIndex).trim();
+      buffer = buffer.slice(newlineIndex + 1);
+      if (line) {
+        yield JSON.parse(line);
+      }
+    }
+  }
+
+  if (buffer.trim()) {
+    yield JSON.parse(buffer);
+  }
+}
+
+/**
+ * POST to /api/chat and fail with the server's error message on non-2xx
+ */
+async function postChat(body, signal) {
+  const response = await fetch(`${getBaseUrl()}/api/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (!response.ok) {
+    let message = `${response.status} ${response.statusText}`;
+    try {
+      const data = await response.json();
+      message = data.error || message;
+    } catch (e) {
+      // Keep the status line
+    }
+    throw new Error(`Ollama request failed: ${message}`);
+  }
+
+  return response;
+}
+
+/**
+ * Model options shared by chat and summary requests
+ */
+function getModelOptions() {
+  const options = {};
+  if (process.env.OLLAMA_NUM_CTX) {
+    options.num_ctx = parseInt(process.env.OLLAMA_NUM_CTX);
+  }
+  return options;
+}
+
+/**
+ * Stream a chat completion
+ * Yields { type: 'text', text }, { type: 'tool_call', id, name, input },
+ * { type: 'usage', usage } (from the last chunk's counts) and finally { type: 'done', stopReason }.
+ */
+async function* streamChat({ model, system, messages, tools, toolChoice, signal }) {
+  const offeredTools = applyToolChoice(tools, toolChoice);
+  const response = await postChat({
+    model,
+    messages: toOllamaMessages(system, messages),
+    ...(offeredTools.length > 0 && { tools: toOllamaTools(offeredTools) }),
+    stream: true,
+    options: getModelOptions()
+  }, signal);
+
+  let toolCallCount = 0;
+  let doneReason = 'stop';
+
+  for await (const chunk of readNdjson(response.body)) {
+    if (chunk.error) {
+      throw new Error(`Ollama error: ${chunk.error}`);
+    }
+
+    const message = chunk.message || {};
+
+    if (message.content) {
+      yield { type: 'text', text: message.content };
+    }
+
+    // Ollama sends each tool call complete (arguments already parsed)
+    for (const toolCall of message.tool_calls || []) {
+      toolCallCount++;
+      const args = toolCall.function?.arguments;
+      yield {
+        type: 'tool_call',
+        id: toolCall.id || generateToolCallId(),
+        name: toolCall.function?.name,
+        input: typeof args === 'string' ? JSON.parse(args || '{}') : (args || {})
+      };
+    }
+
+    if (chunk.done) {
+      doneReason = chunk.done_reason || doneReason;
+
+      // The last chunk reports prompt and completion token counts
+      if (chunk.prompt_eval_count !== undefined || chunk.eval_count !== undefined) {
+        yield {
+          type: 'usage',
+          usage: {
+            inputTokens: chunk.prompt_eval_count || 0,
+            outputTokens: chunk.eval_count || 0,
+            cacheReadTokens: 0,
+            cacheWriteTokens: 0
+          }
+        };
+      }
+    }
+  }
+
+  const stopReason = toolCallCount > 0 ? 'tool_use' :
+                     doneReason === 'length' ? 'max_tokens' : 'end_turn';
+
+  yield { type: 'done', stopReason };
+}
+
+/**
+ * Single non-streaming completion (used for summaries)
+ */
+async function complete({ model, prompt, maxTokens = 1024 }) {
+  const response = await postChat({
+    model,
+    messages: [{ role: 'user', content: prompt }],
+    stream: false,
+    options: { ...getModelOptions(), num_predict: maxTokens }
+  });
+
+  const data = await response.json();
+  return data.message?.content || '';
+}
+
+module.exports = {
+  name: 'ollama',
+  displayName: 'Ollama',
+  defaultModel: process.env.OLLAMA_MODEL || 'llama3.1',
+  summaryModel: null, // Use the conversation's model
+  setupHint: 'Make sure Ollama is running (OLLAMA_BASE_URL, default http://localhost:11434)',
+  initialize,
+  isInitialized,
+  streamChat,
+  complete,
+  toOllamaMessages,
+  toOllamaTools
+};
@@ -0,0 +1,250 @@
+/**
+ * OpenAI provider adapter
+ *
+ * Compatible with OpenAI API and OpenAI-compatible endpoints (e.g., Poe, Together AI, etc.)
+ * Translates between the agent core's neutral message/stream format and the
+ * Chat Completions API.
+ */
+
+const OpenAI = require('openai');
+
+// Load environment variables
+require('dotenv').config();
+
+/**
+ * Convert neutral messages to OpenAI format
+ */
+function toOpenAIMessages(system, messages) {
+  const result = [{ role: 'system', content: system }];
+
+  for (const msg of messages) {
+    if (msg.role === 'user') {
+      result.push({ role: 'user', content: msg.content.trim() });
+    } else if (msg.role === 'assistant') {
+      const assistantMsg = {
+        role: 'assistant',
+        content: msg.content.trim()
+      };
+
+      if (msg.toolCalls && msg.toolCalls.length > 0) {
+        assistantMsg.tool_calls = msg.toolCalls.map(toolCall => ({
+          id: toolCall.id,
+          type: 'function',
+          function: {
+            name: toolCall.name,
+            arguments: JSON.stringify(toolCall.input || {})
+          }
+        }));
+      }
+
+      result.push(assistantMsg);
+    } else if (msg.role === 'tool') {
+      result.push({
+        role: 'tool',
+        tool_call_id: msg.toolCallId,
+        content: msg.content
+      });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Convert neutral tools to OpenAI function format
+ */
+function toOpenAITools(tools) {
+  return tools.map(tool => ({
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.inputSchema
+    }
+  }));
+}
+
+/**
+ * Convert a neutral tool choice to OpenAI format
+ */
+function toOpenAIToolChoice(toolChoice = { type: 'auto' }) {
+  if (toolChoice.type === 'tool') {
+    return { type: 'function', function: { name: toolChoice.name } };
+  }
+  return toolChoice.type;
+}
+
+/**
+ * Convert OpenAI usage to the neutral format
+ * prompt_tokens includes cached tokens; the neutral inputTokens doesn't.
+ */
+function fromOpenAIUsage(usage) {
+  const cachedTokens = usage.prompt_tokens_details?.cached_tokens || 0;
+  return {
+    inputTokens: (usage.prompt_tokens || 0) - cachedTokens,
+    outputTokens: usage.completion_tokens || 0,
+    cacheReadTokens: cachedTokens,
+    cacheWriteTokens: 0
+  };
+}
+
+/**
+ * Stream a chat completion
+ * Yields { type: 'text', text }, { type: 'tool_call', id, name, input },
+ * { type: 'usage', usage } (from the final stream_options.include_usage chunk) and
+ * finally { type: 'done', stopReason }.
+ */
+async function* streamChatWithClient(openaiClient, { model, system, messages, tools, toolChoice, signal }) {
+  const request = {
+    model,
+    messages: toOpenAIMessages(system, messages),
+    stream: true,
+    // Adds a last chunk with the request's usage (and no choices)
+    stream_options: { include_usage: true },
+  };
+
+  // An empty tools array is rejected by the API
+  if (tools.length > 0) {
+    request.tools = toOpenAITools(tools);
+    request.tool_choice = toOpenAIToolChoice(toolChoice);
+  }
+
+  const stream = await openaiClient.chat.completions.create(request, {
+    signal
+  });
+
+  const toolCalls = [];
+  let finishReason = null;
+
+  for await (const chunk of stream) {
+    const delta = chunk.choices[0]?.delta;
+
+    if (delta?.content) {
+      yield { type: 'text', text: delta.content };
+    }
+
+    // Accumulate tool call deltas by index
+    if (delta?.tool_calls) {
+      for (const toolCallDelta of delta.tool_calls) {
+        const index = toolCallDelta.index ?? toolCalls.length;
+
+        if (!toolCalls[index]) {
+          toolCalls[index] = { id: '', name: '', arguments: '' };
+        }
+        if (toolCallDelta.id) {
+          toolCalls[index].id = toolCallDelta.id;
+        }
+        if (toolCallDelta.function?.name) {
+          toolCalls[index].name = toolCallDelta.function.name;
+        }
+        if (toolCallDelta.function?.arguments) {
+          toolCalls[index].arguments += toolCallDelta.function.arguments;
+        }
+      }
+    }
+
+    if (chunk.choices[0]?.finish_reason) {
+      finishReason = chunk.choices[0].finish_reason;
+    }
+
+    if (chunk.usage) {
+      yield { type: 'usage', usage: fromOpenAIUsage(chunk.usage) };
+    }
+  }
+
+  for (const toolCall of toolCalls.filter(Boolean)) {
+    yield {
+      type: 'tool_call',
+      // Some compatible servers omit ids; one is needed to pair the tool result
+      id: toolCall.id || `call_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      name: toolCall.name,
+      input: JSON.parse(toolCall.arguments || '{}')
+    };
+  }
+
+  const stopReason = finishReason === 'tool_calls' || toolCalls.length > 0 ? 'tool_use' :
+                     finishReason === 'length' ? 'max_tokens' : 'end_turn';
+
+  yield { type: 'done', stopReason };
+}
+
+/**
+ * Single non-streaming completion (used for summaries)
+ */
+async function completeWithClient(openaiClient, { model, prompt, maxTokens = 1024 }) {
+  const response = await openaiClient.chat.completions.create({
+    model,
+    max_tokens: maxTokens,
+    messages: [
+      {
+        role: 'user',
+        content: prompt
+      }
+    ]
+  });
+
+  return response.choices[0]?.message?.content || '';
+}
+
+/**
+ * Create a provider for an OpenAI-compatible Chat Completions endpoint
+ * @param {Object} options
+ * @param {string} options.name - Provider identifier
+ * @param {string} options.displayName - Human-readable name
+ * @param {Function} options.getConfig - Returns { apiKey, baseURL } for the SDK client
+ * @param {string} options.defaultModel - Default model
+ * @param {string} options.setupHint - Shown when initialization fails
+ */
+function createOpenAICompatibleProvider({ name, displayName, getConfig, defaultModel, setupHint }) {
+  let openaiClient;
+
+  /**
+   * Initialize the OpenAI client
+   */
+  async function initialize() {
+    const { apiKey, baseURL } = getConfig();
+
+    const config = {};
+
+    if (apiKey) {
+      config.apiKey = apiKey;
+      console.log(`${displayName} client configured with API key`);
+    }
+
+    if (baseURL) {
+      config.baseURL = baseURL;
+      console.log(`${displayName} client configured with custom base URL: ${baseURL}`);
+    }
+
+    openaiClient = new OpenAI(config);
+  }
+
+  return {
+    name,
+    displayName,
+    defaultModel,
+    summaryModel: null, // Use the conversation's model
+    setupHint,
+    initialize,
+    isInitialized: () => !!openaiClient,
+    streamChat: (params) => streamChatWithClient(openaiClient, params),
+    complete: (params) => completeWithClient(openaiClient, params),
+    toOpenAIMessages,
+    toOpenAITools,
+    fromOpenAIUsage
+  };
+}
+
+module.exports = {
+  ...createOpenAICompatibleProvider({
+    name: 'openai',
+    displayName: 'OpenAI',
+    getConfig: () => ({
+      apiKey: process.env.OPENAI_API_KEY,
+      baseURL: process.env.OPENAI_BASE_URL // Optional: for compatible APIs
+    }),
+    defaultModel: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    setupHint: 'Make sure OPENAI_API_KEY is set in .env file (optionally OPENAI_BASE_URL for compatible APIs)'
+  }),
+  createOpenAICompatibleProvider
+};
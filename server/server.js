@@ -1,7 +1,10 @@
 const WebSocket = require('ws');
 const http = require('http');
-const claudeAgent = require('./claude-agent');
-const openaiAgent = require('./openai-agent');
+const agent = require('./agent-core');
+const mcpServer = require('./mcp-server');
+const mcpClient = require('./mcp-client');
+const executorRegistry = require('./executor-registry');
+const toolPlugins = require('./tool-plugins');
 const db = require('./database/db');
 
 // Load environment variables
@@ -9,17 +12,31 @@ require('dotenv').config();
 
 const PORT = process.env.PORT || 10052;
 const API_PORT = process.env.API_PORT || 10051;
+const MCP_PORT = parseInt(process.env.MCP_PORT) || 10053;
+const MCP_ENABLED = process.env.MCP_ENABLED !== 'false';
 const HOST = process.env.HOST || '0.0.0.0';
 const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
 const WEBSOCKET_MAX_CONNECTIONS = parseInt(process.env.WEBSOCKET_MAX_CONNECTIONS) || 100;
 
-// Select which agent to use: 'claude' or 'openai'
-const AGENT_TYPE = process.env.AGENT_TYPE || 'claude';
-const agent = AGENT_TYPE === 'openai' ? openaiAgent : claudeAgent;
+// Default provider for conversations that don't choose one: 'claude' or 'openai'
+const AGENT_TYPE = agent.DEFAULT_PROVIDER;
 
 // Store connected clients (for backward compatibility)
 let clients = new Set();
 
+/**
+ * Parse a request body that must be a JSON object (an empty body is {})
+ * @throws {SyntaxError} - If the body is not valid JSON
+ * @throws {Error} - If it is JSON but not an object
+ */
+function parseJsonObject(body) {
+  const value = JSON.parse(body || '{}');
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('Request body must be a JSON object');
+  }
+  return value;
+}
+
 // Create HTTP server for REST API
 const apiServer = http.createServer(async (req, res) => {
   // Log incoming request
@@ -62,12 +79,15 @@ const apiServer = http.createServer(async (req, res) => {
           api: 'running',
           websocket: wss.clients ? 'running' : 'stopped',
           database: 'running',
-          mcp: 'running'
+          mcp: mcpServer.isMcpServerRunning() ? 'running' : 'stopped'
         },
         connections: {
           websocket: wss.clients ? wss.clients.size : 0,
           maxConnections: WEBSOCKET_MAX_CONNECTIONS
         },
+        mcpServers: mcpClient.getMcpServersStatus(),
+        plugins: toolPlugins.getPluginsStatus(),
+        executors: executorRegistry.getExecutorsStatus(),
         version: {
           node: process.version,
           env: process.env.NODE_ENV || 'development'
@@ -91,21 +111,104 @@ const apiServer = http.createServer(async (req, res) => {
       return;
     }
 
-    // GET /api/conversations - List all conversations
+    // GET /api/providers - List LLM providers available for conversations
+    if (req.method === 'GET' && path === '/api/providers') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ defaultProvider: AGENT_TYPE, providers: agent.listProviders() }));
+      return;
+    }
+
+    // GET /api/tools - List registered tools and the default tool settings for new conversations
+    if (req.method === 'GET' && path === '/api/tools') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(agent.listTools()));
+      return;
+    }
+
+    // GET /api/search?q=...&limit=20 - Search messages, titles and tool calls in every conversation
+    if (req.method === 'GET' && path === '/api/search') {
+      const query = url.searchParams.get('q') || '';
+      const limit = Number(url.searchParams.get('limit') || 20);
+      if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'limit must be an integer from 1 to 100' }));
+        return;
+      }
+      const results = await db.searchConversations(query, { limit });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ query, results }));
+      return;
+    }
+
+    // GET /api/conversations?limit=50&cursor=... - List conversations, most recently updated first
+    // Pass the response's nextCursor as cursor for the next page (null after the last one)
     if (req.method === 'GET' && path === '/api/conversations') {
+      const limit = Number(url.searchParams.get('limit') || 50);
+      if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'limit must be an integer from 1 to 200' }));
+        return;
+      }
       if (LOG_LEVEL === 'debug') {
-        console.log(`[API] Fetching all conversations...`);
+        console.log(`[API] Fetching conversations...`);
+      }
+      let page;
+      try {
+        page = await db.getConversationsPage({ limit, cursor: url.searchParams.get('cursor') });
+      } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: error.message }));
+        return;
       }
-      const conversations = await db.getAllConversations();
       if (LOG_LEVEL === 'debug') {
-        console.log(`[API] Found ${conversations.length} conversations`);
+        console.log(`[API] Found ${page.conversations.length} conversations`);
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(page));
+      return;
+    }
+
+    // GET /api/conversations/:id/messages?before=...&limit=50 - Page of the active branch
+    // The newest messages without `before`; pass the response's nextCursor as before for older ones
+    if (req.method === 'GET' && /^\/api\/conversations\/[^/]+\/messages$/.test(path)) {
+      const limit = Number(url.searchParams.get('limit') || 50);
+      if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'limit must be an integer from 1 to 200' }));
+        return;
+      }
+      let page;
+      try {
+        page = await db.getBranchPage(path.split('/')[3], { before: url.searchParams.get('before'), limit });
+      } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: error.message }));
+        return;
+      }
+      if (!page) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Conversation not found' }));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(page));
+      return;
+    }
+
+    // GET /api/conversations/:id/limits - Effective limits, overrides and current warnings
+    if (req.method === 'GET' && /^\/api\/conversations\/[^/]+\/limits$/.test(path)) {
+      const limits = await agent.getConversationLimits(path.split('/')[3]);
+      if (!limits) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Conversation not found' }));
+        return;
       }
       res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ conversations }));
+      res.end(JSON.stringify(limits));
       return;
     }
 
-    // GET /api/conversations/:id - Get conversation with messages
+    // GET /api/conversations/:id - Get conversation with the newest messages of its active branch
     if (req.method === 'GET' && path.startsWith('/api/conversations/')) {
       const id = path.split('/')[3];
 
@@ -143,9 +246,11 @@ const apiServer = http.createServer(async (req, res) => {
         return;
       }
 
-      const messages = await db.getMessages(id);
+      // Older messages come from /messages?before=nextCursor; other branches are reached
+      // through each message's `branch.siblingIds`
+      const page = await db.getBranchPage(id);
       res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ conversation, messages }));
+      res.end(JSON.stringify({ conversation, ...page }));
       return;
     }
 
@@ -154,29 +259,184 @@ const apiServer = http.createServer(async (req, res) => {
       let body = '';
       req.on('data', chunk => { body += chunk; });
       req.on('end', async () => {
-        const { title, metadata } = JSON.parse(body || '{}');
-        const conversation = await db.createConversation(title, metadata);
+        try {
+          const { title, metadata } = parseJsonObject(body);
+          const conversation = await agent.createConversation(title, metadata);
+          res.writeHead(201, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ conversation }));
+        } catch (error) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: error.message }));
+        }
+      });
+      return;
+    }
+
+    // POST /api/conversations/import - Import conversations from our JSON export, ChatGPT or Anthropic
+    // Body: one exported conversation, or an array of them (e.g. a conversations.json)
+    if (req.method === 'POST' && path === '/api/conversations/import') {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', async () => {
+        let report;
+        try {
+          report = await agent.importConversations(JSON.parse(body || 'null'));
+        } catch (error) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: error.message }));
+          return;
+        }
+        if (report.imported === 0) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'No conversation could be imported', ...report }));
+          return;
+        }
         res.writeHead(201, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ conversation }));
+        res.end(JSON.stringify(report));
       });
       return;
     }
 
-    // PUT /api/conversations/:id - Update conversation title
-    if (req.method === 'PUT' && path.startsWith('/api/conversations/')) {
+    // POST /api/conversations/:id/fork - Copy a conversation up to a message into a new one ({ atMessageId, title })
+    if (req.method === 'POST' && /^\/api\/conversations\/[^/]+\/fork$/.test(path)) {
+      const id = path.split('/')[3];
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', async () => {
+        let result;
+        try {
+          const { atMessageId, title } = JSON.parse(body || '{}');
+          result = await agent.forkConversation(id, { atMessageId, title });
+        } catch (error) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: error.message }));
+          return;
+        }
+        if (!result) {
+          res.writeHead(404, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Conversation not found' }));
+          return;
+        }
+        res.writeHead(201, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result));
+      });
+      return;
+    }
+
+    // POST /api/conversations/:id/messages/:messageId/edit - Edit a user message on a new branch ({ content })
+    // POST /api/conversations/:id/messages/:messageId/regenerate - Go back to the turn's user message for a new reply
+    // The reply itself is generated with the llm_generate WebSocket message
+    const messageAction = path.match(/^\/api\/conversations\/([^/]+)\/messages\/([^/]+)\/(edit|regenerate)$/);
+    if (req.method === 'POST' && messageAction) {
+      const [, id, messageId, action] = messageAction;
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', async () => {
+        let result;
+        try {
+          result = action === 'edit'
+            ? await agent.editMessage(id, messageId, JSON.parse(body || '{}').content)
+            : await agent.regenerateMessage(id, messageId);
+        } catch (error) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: error.message }));
+          return;
+        }
+        if (!result) {
+          res.writeHead(404, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Message not found' }));
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result));
+      });
+      return;
+    }
+
+    // PUT /api/conversations/:id/branch - Show the branch through a message ({ messageId })
+    if (req.method === 'PUT' && /^\/api\/conversations\/[^/]+\/branch$/.test(path)) {
       const id = path.split('/')[3];
       let body = '';
       req.on('data', chunk => { body += chunk; });
       req.on('end', async () => {
-        const { title } = JSON.parse(body || '{}');
-        const conversation = await db.updateConversationTitle(id, title);
+        let result;
+        try {
+          result = await agent.switchBranch(id, JSON.parse(body || '{}').messageId);
+        } catch (error) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: error.message }));
+          return;
+        }
+        if (!result) {
+          res.writeHead(404, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Message not found' }));
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result));
+      });
+      return;
+    }
+
+    // PUT /api/conversations/:id/limits - Override limits ({ tokens, messages, toolExecutions, ageHours, warningThreshold }; null = default)
+    if (req.method === 'PUT' && /^\/api\/conversations\/[^/]+\/limits$/.test(path)) {
+      const id = path.split('/')[3];
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', async () => {
+        let conversation;
+        try {
+          conversation = await agent.setConversationLimits(id, JSON.parse(body || '{}'));
+        } catch (error) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: error.message }));
+          return;
+        }
         if (!conversation) {
           res.writeHead(404, { 'Content-Type': 'application/json' });
           res.end(JSON.stringify({ error: 'Conversation not found' }));
           return;
         }
         res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ conversation }));
+        res.end(JSON.stringify({ conversation, limits: await agent.getConversationLimits(id) }));
+      });
+      return;
+    }
+
+    // PUT /api/conversations/:id - Update conversation title, provider/model, tool or compaction settings
+    if (req.method === 'PUT' && path.startsWith('/api/conversations/')) {
+      const id = path.split('/')[3];
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', async () => {
+        try {
+          const { title, provider, model, enabledTools, toolChoice, compaction } = parseJsonObject(body);
+          let conversation = await db.getConversation(id);
+          if (conversation && title !== undefined) {
+            conversation = await db.updateConversationTitle(id, title);
+          }
+          if (conversation && (provider || model || enabledTools !== undefined || toolChoice !== undefined || compaction !== undefined)) {
+            if (provider || model) {
+              conversation = await agent.setConversationProvider(id, { provider, model });
+            }
+            if (enabledTools !== undefined || toolChoice !== undefined) {
+              conversation = await agent.setConversationTools(id, { enabledTools, toolChoice });
+            }
+            if (compaction !== undefined) {
+              conversation = await agent.setConversationCompaction(id, compaction);
+            }
+          }
+          if (!conversation) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Conversation not found' }));
+            return;
+          }
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ conversation }));
+        } catch (error) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: error.message }));
+        }
       });
       return;
     }
@@ -314,6 +574,30 @@ wss.on('connection', (ws, req) => {
           }
           break;
 
+        case 'register_executor':
+          // Client declares which commands it can execute
+          try {
+            const executor = executorRegistry.registerExecutor(ws, data.commands);
+            ws.send(JSON.stringify({
+              type: 'executor_registered',
+              executorId: executor.id,
+              commands: Array.from(executor.commands),
+              timestamp: new Date().toISOString()
+            }));
+
+            if (LOG_LEVEL === 'debug') {
+              console.log(`Executor ${executor.id} registered commands:`, Array.from(executor.commands));
+            }
+          } catch (error) {
+            ws.send(JSON.stringify({
+              type: 'error',
+              message: error.message,
+              receivedType: data.type,
+              timestamp: new Date().toISOString()
+            }));
+          }
+          break;
+
         case 'command_ack':
           // Just log acknowledgment messages
           if (LOG_LEVEL === 'debug') {
@@ -326,7 +610,7 @@ wss.on('connection', (ws, req) => {
           if (LOG_LEVEL === 'debug') {
             console.log('Received response from client:', data);
           }
-          agent.handleWebSocketResponse(data);
+          agent.handleWebSocketResponse(data, ws);
           break;
 
         case 'llm_user_prompt':
@@ -336,7 +620,10 @@ wss.on('connection', (ws, req) => {
           }
 
           try {
-            await agent.handleStreamingChat(data.message, ws, data.conversationId);
+            await agent.handleStreamingChat(data.message, ws, data.conversationId, {
+              provider: data.provider,
+              model: data.model
+            });
           } catch (error) {
             console.error('Error handling LLM prompt:', error);
             ws.send(JSON.stringify({
@@ -347,6 +634,39 @@ wss.on('connection', (ws, req) => {
           }
           break;
 
+        case 'llm_generate':
+          // Generate the reply to an edited message or a regenerated turn
+          try {
+            await agent.generateReply(ws, data.conversationId, {
+              provider: data.provider,
+              model: data.model
+            });
+          } catch (error) {
+            console.error('Error generating reply:', error);
+            ws.send(JSON.stringify({
+              type: 'llm_error',
+              error: error.message,
+              timestamp: new Date().toISOString()
+            }));
+          }
+          break;
+
+        case 'tool_approval':
+          // User's decision on a tool call waiting for approval
+          try {
+            if (!agent.handleToolApproval(data, ws) && LOG_LEVEL === 'debug') {
+              console.log('Ignoring tool_approval for unknown approval:', data.approvalId);
+            }
+          } catch (error) {
+            ws.send(JSON.stringify({
+              type: 'error',
+              message: error.message,
+              receivedType: data.type,
+              timestamp: new Date().toISOString()
+            }));
+          }
+          break;
+
         case 'llm_stop':
           // Stop ongoing LLM generation for this client
           if (LOG_LEVEL === 'debug') {
@@ -379,6 +699,7 @@ wss.on('connection', (ws, req) => {
     // Stop any active LLM generation for this client
     agent.handleClientDisconnect(ws);
 
+    executorRegistry.unregisterExecutor(ws);
     clients.delete(ws);
     if (LOG_LEVEL !== 'silent') {
       console.log(`Client disconnected (${clients.size}/${WEBSOCKET_MAX_CONNECTIONS})`);
@@ -387,6 +708,7 @@ wss.on('connection', (ws, req) => {
 
   // Handle errors
   ws.on('error', (error) => {
+    executorRegistry.unregisterExecutor(ws);
     clients.delete(ws);
     if (LOG_LEVEL !== 'silent') {
       console.error('WebSocket client error:', error.message);
@@ -408,8 +730,14 @@ process.on('SIGINT', async () => {
   // Close WebSocket server
   wss.close();
 
-  // Note: FastMCP server doesn't have a close method
-  // await mcpServer.close();
+  // Close MCP server
+  await mcpServer.stopMcpServer();
+
+  // Stop watching the plugins directory
+  toolPlugins.stopToolPlugins();
+
+  // Disconnect from external MCP servers
+  await mcpClient.closeMcpServers();
 
   if (LOG_LEVEL !== 'silent') {
     console.log('Servers closed');
@@ -417,41 +745,71 @@ process.on('SIGINT', async () => {
   process.exit(0);
 });
 
-// Start the MCP FastMCP server
+/**
+ * Send a message to every connected client
+ */
+function broadcast(message) {
+  const payload = JSON.stringify(message);
+  clients.forEach(client => {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(payload);
+    }
+  });
+}
+
+// Start the MCP server, then the agent
 async function startServers() {
   try {
-    // Start FastMCP server with MCP endpoints first
-    // await mcpServer.start({
-    //   transportType: 'httpStream',
-    //   httpStream: {
-    //     port: MCP_PORT,
-    //     stateless: true,
-    //   },
-    // });
-    // console.log(`MCP server started on port ${MCP_PORT}`);
+    // Bring the database schema up to date; a database from a newer version stops the server
+    await db.initializeDatabase();
+
+    // Load tool plugins and tell clients when the directory changes
+    const plugins = toolPlugins.startToolPlugins({
+      onChange: (change) => broadcast({
+        type: 'tools_changed',
+        ...change,
+        timestamp: new Date().toISOString()
+      })
+    });
+    if (plugins.tools.length > 0 || plugins.errors.length > 0) {
+      console.log(`Tool plugins loaded (${plugins.tools.length} tools, ${plugins.errors.length} errors)`);
+    }
+
+    // Connect to external MCP servers and mount their tools
+    const mcpServersConfig = mcpClient.loadMcpServersConfig(mcpClient.getDefaultConfigPath());
+    if (Object.keys(mcpServersConfig).length > 0) {
+      await mcpClient.connectMcpServers(mcpServersConfig);
+    }
+
+    // Start the MCP server (Streamable HTTP) first
+    if (MCP_ENABLED) {
+      try {
+        await mcpServer.startMcpServer(agent, { port: MCP_PORT, host: HOST });
+        console.log(`MCP server started on ${HOST}:${MCP_PORT} (Streamable HTTP at /mcp)`);
+      } catch (error) {
+        console.warn('Warning: MCP server could not be started:', error.message);
+      }
+    }
 
     // Connect agent to the WebSocket server instance
     agent.setWebSocketServer(wss, clients);
 
-    // Initialize agent
+    // Initialize agent (database + every configured provider)
     try {
-      await agent.initializeClient();
-      console.log(`${AGENT_TYPE === 'openai' ? 'OpenAI' : 'Claude'} agent initialized successfully`);
+      const initialized = await agent.initializeClient();
+      console.log(`Agent initialized (providers: ${initialized.join(', ') || 'none'})`);
     } catch (error) {
-      console.warn(`Warning: ${AGENT_TYPE} agent could not be initialized:`, error.message);
-      if (AGENT_TYPE === 'claude') {
-        console.warn('Make sure ANTHROPIC_API_KEY is set in .env file');
-      } else {
-        console.warn('Make sure OPENAI_API_KEY is set in .env file');
-        console.warn('Optionally set OPENAI_BASE_URL for compatible APIs (e.g., Poe)');
-      }
+      console.warn('Warning: agent could not be initialized:', error.message);
     }
 
     if (LOG_LEVEL !== 'silent') {
       console.log('AnyMCP Server is running...');
-      console.log(`Agent type: ${AGENT_TYPE}`);
+      console.log(`Default provider: ${AGENT_TYPE}`);
       console.log('WebSocket connections available on port', PORT);
       console.log('API server available on port', API_PORT);
+      if (MCP_ENABLED) {
+        console.log('MCP server available on port', MCP_PORT);
+      }
     }
   } catch (err) {
     console.error('Error starting servers:', err);
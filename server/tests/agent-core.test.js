@@ -0,0 +1,290 @@
+/**
+ * Agent core tests - end-to-end with the scripted mock provider
+ *
+ * Runs handleStreamingChat against an in-memory database, with a fake
+ * WebSocket that records events and executes the math commands.
+ *
+ * Run: npm test
+ */
+
+process.env.DB_PATH = ':memory:';
+process.env.AGENT_TYPE = 'mock';
+process.env.MOCK_SCRIPT = 'tests/fixtures/mock-script.json';
+process.env.TOOL_CONCURRENCY = '2';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const WebSocket = require('ws');
+const agent = require('../agent-core');
+const db = require('../database/db');
+const executorRegistry = require('../executor-registry');
+const mockProvider = require('../providers/mock-provider');
+
+/**
+ * Fake client socket: records events and answers tool commands like the browser does
+ */
+function createClient({ latencyMs = () => 0 } = {}) {
+  const ws = {
+    readyState: WebSocket.OPEN,
+    events: [],
+    send(raw) {
+      const message = JSON.parse(raw);
+      if (message.type === 'command') {
+        const { param1, param2 } = message.params;
+        setTimeout(() => agent.handleWebSocketResponse({
+          type: 'response',
+          correlationId: message.correlationId,
+          success: true,
+          result: param1 + param2
+        }, ws), latencyMs(message));
+      } else {
+        ws.events.push(message);
+      }
+    },
+    eventsOfType(type) {
+      return ws.events.filter(event => event.type === type);
+    }
+  };
+
+  executorRegistry.registerExecutor(ws, ['add']);
+  return ws;
+}
+
+before(async () => {
+  await agent.initializeClient();
+});
+
+after(async () => {
+  await db.closeDatabase();
+});
+
+test('runs the tool loop and persists messages and tool executions', async () => {
+  const ws = createClient();
+
+  const result = await agent.handleStreamingChat('What is 2 + 3?', ws, null);
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(mockProvider.remainingTurns(), 0);
+
+  const text = ws.eventsOfType('llm_assistant_response').map(event => event.text).join('');
+  assert.strictEqual(text, 'Let me add that.2 + 3 = 5');
+
+  const [toolUse] = ws.eventsOfType('llm_tool_use');
+  const [toolResult] = ws.eventsOfType('llm_tool_result');
+  assert.strictEqual(toolUse.toolUseId, 'toolu_mock_1');
+  assert.deepStrictEqual(toolUse.toolInput, { param1: 2, param2: 3 });
+  assert.strictEqual(toolResult.toolUseId, 'toolu_mock_1');
+  assert.strictEqual(toolResult.toolOutput, 5);
+
+  // The second request replays the tool call and its result
+  const replayed = mockProvider.requests[1].messages;
+  assert.deepStrictEqual(replayed.slice(-2), [
+    { role: 'assistant', content: 'Let me add that.', toolCalls: [{ id: 'toolu_mock_1', name: 'add', input: { param1: 2, param2: 3 } }] },
+    { role: 'tool', toolCallId: 'toolu_mock_1', name: 'add', content: '5', isError: false }
+  ]);
+
+  const messages = await db.getMessages(result.conversationId);
+  assert.deepStrictEqual(messages.map(message => message.role), ['user', 'assistant', 'assistant']);
+  assert.strictEqual(messages[1].tool_executions[0].tool_use_id, 'toolu_mock_1');
+  assert.strictEqual(messages[2].content, '2 + 3 = 5');
+  assert.strictEqual(messages[2].metadata.provider, 'mock');
+
+  const [tokenCount] = ws.eventsOfType('llm_token_count');
+  assert.strictEqual(tokenCount.toolCount, 1);
+});
+
+test('parallel-safe tool calls run concurrently up to the limit, results in order', async () => {
+  mockProvider.loadScript({
+    turns: [
+      {
+        toolCalls: [
+          { id: 'toolu_a', name: 'add', input: { param1: 30, param2: 0 } },
+          { id: 'toolu_b', name: 'add', input: { param1: 10, param2: 0 } },
+          { id: 'toolu_c', name: 'add', input: { param1: 1, param2: 0 } }
+        ]
+      },
+      { text: 'Done.' }
+    ]
+  });
+  // Larger numbers take longer, so the calls finish out of order
+  const ws = createClient({ latencyMs: message => message.params.param1 });
+
+  await agent.handleStreamingChat('Add these', ws, null);
+
+  const toolEvents = ws.events
+    .filter(event => event.type === 'llm_tool_use' || event.type === 'llm_tool_result')
+    .map(event => `${event.type === 'llm_tool_use' ? 'use' : 'result'}:${event.toolUseId}`);
+
+  // Two start together (TOOL_CONCURRENCY=2); the third starts when b finishes
+  assert.deepStrictEqual(toolEvents, [
+    'use:toolu_a', 'use:toolu_b', 'result:toolu_b', 'use:toolu_c', 'result:toolu_c', 'result:toolu_a'
+  ]);
+
+  // The model gets the results in its own order
+  const replayed = mockProvider.requests[1].messages.filter(message => message.role === 'tool');
+  assert.deepStrictEqual(replayed.map(message => [message.toolCallId, message.content]), [
+    ['toolu_a', '30'], ['toolu_b', '10'], ['toolu_c', '1']
+  ]);
+});
+
+test('invalid tool input is rejected before dispatch and returned as a tool error', async () => {
+  mockProvider.loadScript({
+    turns: [
+      { toolCalls: [{ id: 'toolu_bad', name: 'add', input: { param1: '3' } }] },
+      { text: 'Sorry, let me fix that.' }
+    ]
+  });
+  const ws = createClient();
+  const dispatched = [];
+  const originalSend = ws.send;
+  ws.send = (raw) => {
+    const message = JSON.parse(raw);
+    if (message.type === 'command') dispatched.push(message);
+    originalSend(raw);
+  };
+
+  const result = await agent.handleStreamingChat('What is 3 + nothing?', ws, null);
+  assert.strictEqual(dispatched.length, 0, 'executor must not be called');
+
+  const [toolResult] = ws.eventsOfType('llm_tool_result');
+  assert.strictEqual(toolResult.status, 'validation_error');
+  assert.strictEqual(toolResult.error, 'Invalid input for add:\n- param1: Expected number, received string\n- param2: Required');
+
+  const messages = await db.getMessages(result.conversationId);
+  const [execution] = messages[1].tool_executions;
+  assert.strictEqual(execution.status, 'validation_error');
+  assert.strictEqual(execution.success, 0);
+  assert.deepStrictEqual(execution.tool_output.issues, [
+    { path: 'param1', message: 'Expected number, received string' },
+    { path: 'param2', message: 'Required' }
+  ]);
+
+  // The model sees the issue list as an error result
+  const toolMessage = mockProvider.requests[1].messages.find(message => message.role === 'tool');
+  assert.strictEqual(toolMessage.isError, true);
+  assert.match(toolMessage.content, /param2: Required/);
+});
+
+test('stop keeps the partial text and marks it stopped', async () => {
+  mockProvider.loadScript({ turns: [{ text: ['one ', 'two ', 'three ', 'four'], latencyMs: 20 }] });
+  const ws = createClient();
+
+  const originalSend = ws.send;
+  ws.send = (raw) => {
+    originalSend(raw);
+    const message = JSON.parse(raw);
+    if (message.type === 'llm_assistant_response' && message.text === 'one ') {
+      agent.stopGeneration(ws);
+    }
+  };
+
+  const result = await agent.handleStreamingChat('Count to four', ws, null);
+  assert.strictEqual(result.aborted, true);
+  assert.strictEqual(ws.eventsOfType('llm_stopped').length, 1);
+  assert.strictEqual(ws.eventsOfType('llm_assistant_response').some(event => event.done), false);
+
+  const messages = await db.getMessages(result.conversationId);
+  assert.strictEqual(messages.length, 2);
+  assert.strictEqual(messages[1].content, 'one');
+  assert.strictEqual(messages[1].stopped, 1);
+});
+
+test('stop during tool execution cancels the calls and does not continue', async () => {
+  mockProvider.loadScript({
+    turns: [
+      { toolCalls: [{ id: 'toolu_slow', name: 'add', input: { param1: 1, param2: 2 } }] },
+      { text: 'This turn must not be requested' }
+    ]
+  });
+  const ws = createClient();
+  const commands = [];
+  const originalSend = ws.send;
+  ws.send = (raw) => {
+    const message = JSON.parse(raw);
+    if (message.type === 'command' || message.type === 'command_cancel') {
+      // Never answer: the executor is busy until cancelled
+      commands.push(message);
+      return;
+    }
+    originalSend(raw);
+    if (message.type === 'llm_tool_use') {
+      setImmediate(() => agent.stopGeneration(ws));
+    }
+  };
+
+  const result = await agent.handleStreamingChat('Add slowly', ws, null);
+  assert.strictEqual(result.aborted, true);
+  assert.strictEqual(mockProvider.remainingTurns(), 1);
+  assert.deepStrictEqual(commands.map(message => message.type), ['command', 'command_cancel']);
+  assert.strictEqual(commands[1].correlationId, commands[0].correlationId);
+  assert.strictEqual(ws.eventsOfType('llm_tool_result')[0].status, 'cancelled');
+
+  const messages = await db.getMessages(result.conversationId);
+  assert.strictEqual(messages[1].tool_executions[0].status, 'cancelled');
+});
+
+test('sends limit warnings when the conversation nears its token limit', async () => {
+  mockProvider.loadScript({ turns: [{ text: 'That is a lot of text.' }] });
+  const ws = createClient();
+
+  await agent.handleStreamingChat('x'.repeat(70000), ws, null);
+
+  const [warning] = ws.eventsOfType('llm_conversation_warning');
+  assert.ok(warning, 'expected a conversation warning');
+  assert.strictEqual(warning.warnings[0].type, 'token');
+});
+
+test('stop reasons are stored on the message', async () => {
+  mockProvider.loadScript({ turns: [{ text: 'Cut off', stopReason: 'max_tokens' }] });
+  const ws = createClient();
+
+  const result = await agent.handleStreamingChat('Tell me a long story', ws, null);
+  const messages = await db.getMessages(result.conversationId);
+  assert.strictEqual(messages[1].metadata.stopReason, 'max_tokens');
+});
+
+test('provider usage is stored per turn and drives the conversation totals', async () => {
+  mockProvider.loadScript({
+    turns: [
+      {
+        toolCalls: [{ id: 'toolu_usage', name: 'add', input: { param1: 1, param2: 1 } }],
+        usage: { inputTokens: 1000, outputTokens: 20, cacheWriteTokens: 2000 }
+      },
+      { text: '1 + 1 = 2', usage: { inputTokens: 50, outputTokens: 10, cacheReadTokens: 2000, cacheWriteTokens: 30 } }
+    ]
+  });
+  const ws = createClient();
+
+  const result = await agent.handleStreamingChat('What is 1 + 1?', ws, null);
+  const messages = await db.getMessages(result.conversationId);
+  assert.deepStrictEqual(
+    messages.map(message => [message.input_tokens, message.output_tokens, message.cache_read_tokens, message.cache_write_tokens]),
+    [[0, 0, 0, 0], [1000, 20, 0, 2000], [50, 10, 2000, 30]]
+  );
+  assert.strictEqual(messages[2].token_count, 10);
+
+  // The context size is the last turn's measured prompt + completion, not a running sum of estimates
+  const conversation = await db.getConversation(result.conversationId);
+  assert.strictEqual(conversation.token_count, 50 + 2000 + 30 + 10);
+  assert.strictEqual(conversation.input_token_count, 1050);
+  assert.strictEqual(conversation.output_token_count, 30);
+  assert.strictEqual(conversation.cache_read_token_count, 2000);
+  assert.strictEqual(conversation.cache_write_token_count, 2030);
+
+  const [tokenCount] = ws.eventsOfType('llm_token_count');
+  assert.strictEqual(tokenCount.tokenCount, 2090);
+  assert.strictEqual(tokenCount.cacheWriteTokens, 2030);
+  assert.deepStrictEqual(tokenCount.usage, { inputTokens: 50, outputTokens: 10, cacheReadTokens: 2000, cacheWriteTokens: 30 });
+
+  const exported = await db.exportConversationJSON(result.conversationId);
+  assert.strictEqual(exported.statistics.inputTokens, 1050);
+  assert.strictEqual(exported.messages[0].usage, null);
+  assert.deepStrictEqual(exported.messages[1].usage, { inputTokens: 1000, outputTokens: 20, cacheReadTokens: 0, cacheWriteTokens: 2000 });
+});
+
+test('provider errors are sent to the client', async () => {
+  mockProvider.loadScript({ turns: [{ error: 'Simulated provider failure' }] });
+  const ws = createClient();
+
+  await assert.rejects(agent.handleStreamingChat('Hello', ws, null), /Simulated provider failure/);
+  assert.strictEqual(ws.eventsOfType('llm_error')[0].error, 'Simulated provider failure');
+});
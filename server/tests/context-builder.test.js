@@ -0,0 +1,99 @@
+/**
+ * Context builder tests - message order, the token budget and valid tool pairs
+ *
+ * Run: npm test
+ */
+
+process.env.DB_PATH = ':memory:';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const db = require('../database/db');
+const { buildContext } = require('../context-builder');
+
+after(async () => {
+  await db.closeDatabase();
+});
+
+// 400 characters ≈ 100 tokens
+const text = (label) => label + ' ' + 'x'.repeat(399 - label.length);
+
+function toolRow(label, id) {
+  return {
+    role: 'assistant',
+    content: text(label),
+    tool_executions: [{ tool_use_id: id, tool_name: 'add', tool_input: { param1: 1, param2: 2 }, tool_output: 3, success: 1 }]
+  };
+}
+
+const history = [
+  { role: 'user', content: text('u1') },
+  { role: 'assistant', content: text('a1') },
+  { role: 'user', content: text('u2') },
+  toolRow('a2', 'toolu_2'),
+  { role: 'assistant', content: text('a2 final') },
+  { role: 'user', content: text('u3') }
+];
+
+const labels = messages => messages.map(message => message.role === 'tool' ? `tool:${message.toolCallId}` : message.content.split(' ')[0]);
+
+test('fills the budget newest first and starts at a user message', () => {
+  // Everything fits
+  let context = buildContext(history, { system: 'System', tokenBudget: 10000 });
+  assert.deepStrictEqual(labels(context.messages), ['u1', 'a1', 'u2', 'a2', 'tool:toolu_2', 'a2', 'u3']);
+  assert.strictEqual(context.omittedMessages, 0);
+
+  // Room for u3 and part of the turn before it: the partial turn is dropped
+  context = buildContext(history, { system: 'System', tokenBudget: 250 });
+  assert.deepStrictEqual(labels(context.messages), ['u3']);
+  assert.strictEqual(context.omittedMessages, 5);
+
+  // a1 fits too, but without the user message that started its turn
+  context = buildContext(history, { system: 'System', tokenBudget: 520 });
+  assert.deepStrictEqual(labels(context.messages), ['u2', 'a2', 'tool:toolu_2', 'a2', 'u3']);
+  assert.ok(context.estimatedTokens <= 520);
+});
+
+test('the current turn is sent whole even over budget, tool calls with their results', () => {
+  // Continuing after tool results: the turn's user message is needed first
+  const continuing = history.slice(0, 5);
+  const context = buildContext(continuing, { system: 'System', tokenBudget: 50 });
+  assert.deepStrictEqual(labels(context.messages), ['u2', 'a2', 'tool:toolu_2', 'a2']);
+  assert.deepStrictEqual(context.messages[1].toolCalls.map(call => call.id), ['toolu_2']);
+});
+
+test('summaries go in the system prompt, not the messages', () => {
+  const context = buildContext([
+    { role: 'system', is_summary: 1, content: '[Conversation Summary - 4 messages]\n\nThe user is adding numbers.' },
+    ...history.slice(2)
+  ], { system: 'System' });
+
+  assert.strictEqual(context.system, 'System\n\nSummary of the earlier conversation (those messages are not included below):\n\nThe user is adding numbers.');
+  assert.strictEqual(context.messages[0].content, text('u2'));
+  assert.ok(context.messages.every(message => message.role !== 'system'));
+});
+
+test('messages keep the order they were added in, within the same second', async () => {
+  const conversation = await db.createConversation('Ordering');
+  for (let i = 1; i <= 12; i++) {
+    await db.addMessage(conversation.id, i % 2 ? 'user' : 'assistant', `message ${i}`);
+  }
+
+  // Same timestamp for all, as when they are written within one second
+  const store = await db.initializeDatabase();
+  for (const message of await db.getMessages(conversation.id)) {
+    await store.updateMessage(message.id, { timestamp: '2025-01-01 00:00:00' });
+  }
+
+  const messages = await db.getMessages(conversation.id);
+  assert.deepStrictEqual(messages.map(message => message.seq), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]);
+  assert.deepStrictEqual(messages.map(message => message.content), messages.map((_, i) => `message ${i + 1}`));
+
+  // A summary keeps what follows its first kept message, in order
+  await db.addConversationSummary(conversation.id, 'Counting.', 8, 4, { firstKeptMessageId: messages[8].id });
+  await db.addMessage(conversation.id, 'user', 'message 13');
+  const context = await db.getMessagesForContext(conversation.id);
+  assert.deepStrictEqual(context.map(message => message.content), [
+    '[Conversation Summary - 8 messages]\n\nCounting.', 'message 9', 'message 10', 'message 11', 'message 12', 'message 13'
+  ]);
+});
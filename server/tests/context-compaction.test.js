@@ -0,0 +1,215 @@
+/**
+ * Context compaction tests - where to cut, rolling summaries and what the model sees after them
+ *
+ * Run: npm test
+ */
+
+process.env.DB_PATH = ':memory:';
+process.env.AGENT_TYPE = 'mock';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const WebSocket = require('ws');
+const agent = require('../agent-core');
+const db = require('../database/db');
+const executorRegistry = require('../executor-registry');
+const mockProvider = require('../providers/mock-provider');
+const { findCompactionCut, normalizeCompactionSettings, resolveCompactionSettings, shouldCompact } = require('../context-compaction');
+
+/**
+ * Fake client socket: records events and answers the add command
+ */
+function createClient() {
+  const ws = {
+    readyState: WebSocket.OPEN,
+    events: [],
+    send(raw) {
+      const message = JSON.parse(raw);
+      if (message.type === 'command') {
+        const { param1, param2 } = message.params;
+        setImmediate(() => agent.handleWebSocketResponse({
+          type: 'response',
+          correlationId: message.correlationId,
+          success: true,
+          result: param1 + param2
+        }, ws));
+      } else {
+        ws.events.push(message);
+      }
+    },
+    eventsOfType(type) {
+      return ws.events.filter(event => event.type === type);
+    }
+  };
+
+  executorRegistry.registerExecutor(ws, ['add']);
+  return ws;
+}
+
+/**
+ * Set a conversation's budget just above its next request so far: the next user message reaches it
+ */
+async function setBudgetAboveRequest(conversationId, keepRecentMessages) {
+  const requestTokens = await agent.estimateNextRequestTokens(await db.getConversation(conversationId));
+  await agent.setConversationCompaction(conversationId, { tokenBudget: requestTokens + 1, keepRecentMessages });
+}
+
+/**
+ * Every tool result must follow the assistant message that called it
+ */
+function assertValidToolPairs(messages) {
+  const open = new Set();
+  for (const message of messages) {
+    if (message.role === 'assistant') {
+      open.clear();
+      for (const call of message.toolCalls || []) open.add(call.id);
+    } else if (message.role === 'tool') {
+      assert.ok(open.delete(message.toolCallId), `tool result ${message.toolCallId} has no tool call before it`);
+    } else {
+      assert.strictEqual(open.size, 0, 'tool calls without results');
+    }
+  }
+}
+
+before(async () => {
+  await agent.initializeClient();
+});
+
+after(async () => {
+  await db.closeDatabase();
+});
+
+test('the cut keeps whole user turns when it can', () => {
+  const roles = ['user', 'assistant', 'assistant', 'user', 'assistant', 'user', 'assistant', 'assistant'];
+  const messages = roles.map(role => ({ role }));
+
+  assert.strictEqual(findCompactionCut(messages, 8), -1);
+  assert.strictEqual(findCompactionCut(messages, 3), 5);
+  // Moves back from the middle of a turn to the user message that started it
+  assert.strictEqual(findCompactionCut(messages, 2), 5);
+  assert.strictEqual(findCompactionCut(messages, 4), 3);
+  // One long turn: cut between its messages
+  assert.strictEqual(findCompactionCut([{ role: 'user' }, { role: 'assistant' }, { role: 'assistant' }], 1), 2);
+
+  assert.throws(() => normalizeCompactionSettings({ keepRecentMessages: 0 }), /keepRecentMessages must be a positive integer/);
+  assert.throws(() => normalizeCompactionSettings({ budget: 10 }), /Unknown compaction setting: budget/);
+});
+
+test('the budget is the context budget unless the conversation sets its own', () => {
+  const settings = resolveCompactionSettings({}, 100000);
+  assert.strictEqual(settings.tokenBudget, 100000);
+  assert.strictEqual(resolveCompactionSettings({ compaction: { tokenBudget: 500 } }, 100000).tokenBudget, 500);
+
+  assert.strictEqual(shouldCompact(99999, settings), false);
+  assert.strictEqual(shouldCompact(100000, settings), true);
+  assert.strictEqual(shouldCompact(100000, { ...settings, enabled: false }), false);
+});
+
+test('compacts over budget with a rolling summary and keeps tool pairs valid', async () => {
+  // Long enough that summarizing them makes the request smaller than before
+  const question = `What is 2 + 3? ${'Please show the steps. '.repeat(20)}`;
+  const next = `Next, ${'one more question. '.repeat(20)}`;
+  mockProvider.loadScript({
+    turns: [
+      { toolCalls: [{ id: 'toolu_compact', name: 'add', input: { param1: 2, param2: 3 } }] },
+      { text: '2 + 3 = 5' },
+      { text: 'Sure.' },
+      { text: 'The user added 2 and 3 (5).' }, // First summary
+      { text: 'Third answer' },
+      { text: 'The user added 2 and 3 (5), then asked twice more.' }, // Rolling summary
+      { text: 'Fourth answer' }
+    ]
+  });
+  const ws = createClient();
+
+  const { conversationId } = await agent.handleStreamingChat(question, ws, null);
+  await agent.handleStreamingChat(next, ws, conversationId);
+  assert.strictEqual(ws.eventsOfType('llm_context_compaction').length, 0);
+
+  await setBudgetAboveRequest(conversationId, 3);
+  await agent.handleStreamingChat('Third', ws, conversationId);
+
+  const [first] = ws.eventsOfType('llm_context_compaction');
+  assert.strictEqual(first.status, 'completed');
+  assert.strictEqual(first.trigger, 'auto');
+  assert.strictEqual(first.messagesSummarized, 3);
+  assert.strictEqual(first.messagesKept, 3);
+
+  // The summary prompt carries the tool call and its result
+  const summaryRequest = mockProvider.requests.find(request => request.prompt);
+  assert.match(summaryRequest.prompt, /add\(\{"param1":2,"param2":3\}\) -> 5/);
+
+  // The model sees the kept messages, with the summary in the system prompt
+  const afterFirst = mockProvider.requests[mockProvider.requests.indexOf(summaryRequest) + 1];
+  assert.match(afterFirst.system, /Summary of the earlier conversation[^]*\n\nThe user added 2 and 3 \(5\)\.$/);
+  assert.deepStrictEqual(afterFirst.messages.map(message => [message.role, message.content]), [
+    ['user', next.trim()],
+    ['assistant', 'Sure.'],
+    ['user', 'Third']
+  ]);
+
+  const messages = await db.getMessages(conversationId);
+  const summaryRow = messages.find(message => message.id === first.summaryMessageId);
+  const kept = messages.find(message => message.content === next);
+  assert.strictEqual(summaryRow.metadata.firstKeptMessageId, kept.id);
+  assert.strictEqual(summaryRow.metadata.trigger, 'auto');
+
+  // The second compaction rolls the first summary into the new one
+  await setBudgetAboveRequest(conversationId, 3);
+  await agent.handleStreamingChat('Fourth', ws, conversationId);
+  const second = ws.eventsOfType('llm_context_compaction')[1];
+  assert.strictEqual(second.totalSummarized, 5);
+
+  const prompts = mockProvider.requests.filter(request => request.prompt);
+  assert.match(prompts[1].prompt, /\[PREVIOUS SUMMARY\]:\nThe user added 2 and 3 \(5\)\./);
+
+  const lastRequest = mockProvider.requests[mockProvider.requests.length - 1];
+  assert.match(lastRequest.system, /\n\nThe user added 2 and 3 \(5\), then asked twice more\.$/);
+  assert.doesNotMatch(lastRequest.system, /\(5\)\.\n/, 'only the latest summary is sent');
+  assert.deepStrictEqual(lastRequest.messages.map(message => message.content), ['Third', 'Third answer', 'Fourth']);
+
+  for (const request of mockProvider.requests.filter(request => request.messages)) {
+    assertValidToolPairs(request.messages);
+  }
+
+  // Every message is still stored
+  assert.strictEqual((await db.getMessages(conversationId)).filter(message => !message.is_summary).length, 9);
+});
+
+test('does not compact when compaction is off', async () => {
+  mockProvider.loadScript({ turns: [{ text: 'One' }, { text: 'Two' }, { text: 'Three' }] });
+  const ws = createClient();
+
+  const { conversationId } = await agent.handleStreamingChat('First', ws, null);
+  await agent.setConversationCompaction(conversationId, { enabled: false, tokenBudget: 1, keepRecentMessages: 1 });
+  await agent.handleStreamingChat('Second', ws, conversationId);
+  await agent.handleStreamingChat('Third', ws, conversationId);
+
+  assert.strictEqual(ws.eventsOfType('llm_context_compaction').length, 0);
+  assert.strictEqual(mockProvider.remainingTurns(), 0);
+
+  const conversation = await db.getConversation(conversationId);
+  assert.deepStrictEqual(conversation.metadata.compaction, { enabled: false, tokenBudget: 1, keepRecentMessages: 1 });
+});
+
+test('a failed summary is reported and the turn goes ahead', async () => {
+  mockProvider.loadScript({
+    turns: [{ text: 'One' }, { text: 'Two' }, { error: 'Summary model unavailable' }, { text: 'Three' }]
+  });
+  const ws = createClient();
+
+  const { conversationId } = await agent.handleStreamingChat('First', ws, null);
+  await agent.handleStreamingChat('Second', ws, conversationId);
+  await agent.setConversationCompaction(conversationId, { tokenBudget: 1, keepRecentMessages: 1 });
+
+  const result = await agent.handleStreamingChat('Third', ws, conversationId);
+  assert.strictEqual(result.success, true);
+
+  const [event] = ws.eventsOfType('llm_context_compaction');
+  assert.strictEqual(event.status, 'failed');
+  assert.match(event.error, /Summary model unavailable/);
+
+  // Without the summary, the request is built within the budget like any other
+  const lastRequest = mockProvider.requests[mockProvider.requests.length - 1].messages;
+  assert.deepStrictEqual(lastRequest.map(message => message.content), ['Third']);
+});
@@ -0,0 +1,166 @@
+/**
+ * Conversation branch tests - editing, regenerating and switching between branches
+ *
+ * Run: npm test
+ */
+
+process.env.DB_PATH = ':memory:';
+process.env.AGENT_TYPE = 'mock';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const WebSocket = require('ws');
+const agent = require('../agent-core');
+const db = require('../database/db');
+const mockProvider = require('../providers/mock-provider');
+const { getBranch, findLatestLeaf, findReplyParent } = require('../conversation-branches');
+
+/**
+ * Fake client socket that records events
+ */
+function createClient() {
+  const ws = {
+    readyState: WebSocket.OPEN,
+    events: [],
+    send(raw) {
+      ws.events.push(JSON.parse(raw));
+    }
+  };
+  return ws;
+}
+
+const contents = messages => messages.map(message => message.content);
+
+before(async () => {
+  await agent.initializeClient();
+});
+
+after(async () => {
+  await db.closeDatabase();
+});
+
+test('branches follow parent ids, and orphans stay alternatives of each other', () => {
+  const messages = [
+    { id: 'a', parent_id: null, role: 'user' },
+    { id: 'b', parent_id: 'a', role: 'assistant' },
+    { id: 'c', parent_id: null, role: 'user' },
+    { id: 'd', parent_id: 'c', role: 'assistant' },
+    { id: 's', parent_id: 'c', role: 'assistant', is_summary: 1 },
+    { id: 'e', parent_id: 's', role: 'assistant' },
+    { id: 'x', parent_id: 'gone', role: 'user' },
+    { id: 'y', parent_id: 'gone', role: 'user' }
+  ];
+
+  const branch = getBranch(messages, 'd');
+  assert.deepStrictEqual(branch.map(message => message.id), ['c', 'd']);
+  assert.deepStrictEqual(branch[0].branch, { index: 2, count: 2, siblingIds: ['a', 'c'] });
+  assert.deepStrictEqual(branch[1].branch, { index: 1, count: 2, siblingIds: ['d', 's'] });
+
+  // No leaf: the newest message
+  assert.deepStrictEqual(getBranch(messages, null).map(message => message.id), ['y']);
+  assert.deepStrictEqual(getBranch(messages, 'y')[0].branch.siblingIds, ['x', 'y']);
+  assert.deepStrictEqual(getBranch([], null), []);
+
+  assert.strictEqual(findLatestLeaf(messages, 'a'), 'b');
+  assert.strictEqual(findLatestLeaf(messages, 'c'), 'e');
+  assert.strictEqual(findLatestLeaf(messages, 'missing'), null);
+
+  // A regenerated reply goes below the summary that follows the user message
+  const summarized = getBranch(messages, 'e');
+  assert.strictEqual(findReplyParent(summarized, 'e'), 's');
+  assert.strictEqual(findReplyParent(summarized, 'c'), 's');
+  assert.strictEqual(findReplyParent(getBranch(messages, 'b'), 'b'), 'a');
+  assert.strictEqual(findReplyParent([{ id: 'z', role: 'assistant' }], 'z'), null);
+});
+
+test('editing a message starts a new branch, and switching back restores the old one', async () => {
+  mockProvider.loadScript({ turns: [{ text: 'Paris' }, { text: 'Thanks!' }, { text: 'Rome' }] });
+  const ws = createClient();
+
+  const { conversationId } = await agent.handleStreamingChat('Capital of France?', ws, null);
+  await agent.handleStreamingChat('Great', ws, conversationId);
+  const original = await db.getBranchMessages(conversationId);
+  assert.deepStrictEqual(contents(original), ['Capital of France?', 'Paris', 'Great', 'Thanks!']);
+
+  const edited = await agent.editMessage(conversationId, original[0].id, 'Capital of Italy?');
+  assert.deepStrictEqual(contents(edited.messages), ['Capital of Italy?']);
+  assert.deepStrictEqual(edited.messages[0].branch, { index: 2, count: 2, siblingIds: [original[0].id, edited.message.id] });
+  assert.strictEqual(edited.conversation.active_leaf_id, edited.message.id);
+  assert.strictEqual(edited.conversation.token_count, db.estimateTokens('Capital of Italy?'));
+
+  await agent.generateReply(ws, conversationId);
+  assert.deepStrictEqual(contents(await db.getBranchMessages(conversationId)), ['Capital of Italy?', 'Rome']);
+  // The model only saw the new branch
+  const request = mockProvider.requests[mockProvider.requests.length - 1];
+  assert.deepStrictEqual(request.messages.map(message => message.content), ['Capital of Italy?']);
+
+  const switched = await agent.switchBranch(conversationId, original[0].id);
+  assert.deepStrictEqual(contents(switched.messages), contents(original));
+  assert.deepStrictEqual(contents(await db.getMessagesForContext(conversationId)), contents(original));
+  assert.strictEqual(switched.conversation.message_count, 6);
+
+  // New messages continue the active branch
+  const next = await db.addMessage(conversationId, 'user', 'And Spain?');
+  assert.strictEqual(next.parent_id, original[3].id);
+
+  // Every branch is exported
+  const exported = await db.exportConversationJSON(conversationId);
+  assert.strictEqual(exported.messages.length, 7);
+  assert.strictEqual(exported.activeMessageId, next.id);
+});
+
+test('regenerating a reply adds a sibling reply', async () => {
+  mockProvider.loadScript({ turns: [{ text: 'First try' }, { text: 'Second try' }] });
+  const ws = createClient();
+
+  const { conversationId } = await agent.handleStreamingChat('Tell me a joke', ws, null);
+  const [question, firstReply] = await db.getBranchMessages(conversationId);
+
+  // Nothing to generate until the branch ends with the user message again
+  await assert.rejects(agent.generateReply(ws, conversationId), /already ends with a reply/);
+
+  const regenerated = await agent.regenerateMessage(conversationId, firstReply.id);
+  assert.strictEqual(regenerated.replyTo, question.id);
+  assert.deepStrictEqual(contents(regenerated.messages), ['Tell me a joke']);
+
+  await agent.generateReply(ws, conversationId);
+  const branch = await db.getBranchMessages(conversationId);
+  assert.deepStrictEqual(contents(branch), ['Tell me a joke', 'Second try']);
+  assert.deepStrictEqual(branch[1].branch, { index: 2, count: 2, siblingIds: [firstReply.id, branch[1].id] });
+
+  assert.strictEqual(ws.events.filter(event => event.type === 'llm_error').length, 0);
+});
+
+test('only user messages of the conversation can be edited', async () => {
+  mockProvider.loadScript({ turns: [{ text: 'Hello' }] });
+  const ws = createClient();
+
+  const { conversationId } = await agent.handleStreamingChat('Hi', ws, null);
+  const [question, reply] = await db.getBranchMessages(conversationId);
+  const other = await db.createConversation('Other');
+
+  await assert.rejects(agent.editMessage(conversationId, reply.id, 'Changed'), /Only user messages can be edited/);
+  await assert.rejects(agent.editMessage(conversationId, question.id, '  '), /content must be a non-empty string/);
+  assert.strictEqual(await agent.editMessage(other.id, question.id, 'Changed'), null);
+  assert.strictEqual(await agent.regenerateMessage(conversationId, 'msg_missing'), null);
+  assert.strictEqual(await agent.switchBranch(other.id, reply.id), null);
+});
+
+test('a fork copies only the branch it is taken from', async () => {
+  mockProvider.loadScript({ turns: [{ text: 'Paris' }, { text: 'Rome' }] });
+  const ws = createClient();
+
+  const { conversationId } = await agent.handleStreamingChat('Capital of France?', ws, null);
+  const [question] = await db.getBranchMessages(conversationId);
+  await agent.editMessage(conversationId, question.id, 'Capital of Italy?');
+  await agent.generateReply(ws, conversationId);
+
+  const fork = await agent.forkConversation(conversationId);
+  assert.deepStrictEqual(contents(fork.messages), ['Capital of Italy?', 'Rome']);
+  assert.strictEqual(fork.messages[0].branch.count, 1);
+  assert.strictEqual(fork.conversation.message_count, 2);
+  assert.strictEqual(fork.conversation.token_count, db.estimateTokens('Capital of Italy?') + db.estimateTokens('Rome'));
+  assert.strictEqual(fork.conversation.metadata.forkedFrom.conversationId, conversationId);
+
+  assert.strictEqual(await agent.forkConversation('conv_missing'), null);
+});
@@ -0,0 +1,246 @@
+/**
+ * Conversation import tests - our JSON export, ChatGPT's conversations.json and Anthropic's export
+ *
+ * Run: npm test
+ */
+
+process.env.DB_PATH = ':memory:';
+process.env.AGENT_TYPE = 'mock';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const agent = require('../agent-core');
+const db = require('../database/db');
+const { parseImport, toTimestamp } = require('../conversation-import');
+
+const contents = messages => messages.map(message => message.content);
+
+before(async () => {
+  await agent.initializeClient();
+});
+
+after(async () => {
+  await db.closeDatabase();
+});
+
+/**
+ * Export without what an import changes: ids (numbered in order instead), export time, age
+ * and the import's own metadata
+ */
+function comparable(exported) {
+  const ids = new Map(exported.messages.map((message, index) => [message.id, `m${index}`]));
+  const { importedFrom: _importedFrom, ...metadata } = exported.metadata;
+
+  return {
+    title: exported.title,
+    createdAt: exported.createdAt,
+    updatedAt: exported.updatedAt,
+    activeMessageId: ids.get(exported.activeMessageId),
+    metadata,
+    summary: exported.summary,
+    summarizedAt: exported.summarizedAt,
+    statistics: { ...exported.statistics, ageHours: null },
+    messages: exported.messages.map(({ id, parentId, metadata: messageMetadata, toolExecutions, ...message }) => ({
+      ...message,
+      id: ids.get(id),
+      parentId: parentId ? ids.get(parentId) : null,
+      metadata: {
+        ...messageMetadata,
+        ...(messageMetadata.firstKeptMessageId && { firstKeptMessageId: ids.get(messageMetadata.firstKeptMessageId) }),
+        ...(messageMetadata.editedFrom && { editedFrom: ids.get(messageMetadata.editedFrom) })
+      },
+      toolExecutions: toolExecutions.map(({ id: _toolId, ...tool }) => tool)
+    }))
+  };
+}
+
+test('our JSON export imports back as it was', async () => {
+  const conversation = await agent.createConversation('Sums', { provider: 'mock', enabledTools: ['add'] });
+  const question = await db.addMessage(conversation.id, 'user', 'What is 2 + 3?');
+  const reply = await db.addMessage(conversation.id, 'assistant', '[Tool use only]', {
+    messageId: 'stream_1',
+    usage: { inputTokens: 120, outputTokens: 15, cacheReadTokens: 40 },
+    cost: 0.002,
+    metadata: { provider: 'mock', model: 'mock-model', toolCallIds: ['toolu_1'] }
+  });
+  await db.addToolExecution(reply.id, conversation.id, 'add', { param1: 2, param2: 3 }, 5, { toolUseId: 'toolu_1', durationMs: 4 });
+  await db.addMessage(conversation.id, 'assistant', '5', { usage: { inputTokens: 150, outputTokens: 2 }, cost: 0.001 });
+  await db.addMessage(conversation.id, 'user', 'And 4 + 4?');
+  await db.addMessage(conversation.id, 'assistant', 'Eig', { stopped: true });
+  await db.addConversationSummary(conversation.id, 'Adding numbers.', 3, 2, { firstKeptMessageId: question.id });
+  await agent.editMessage(conversation.id, question.id, 'What is 2 + 4?');
+
+  const exported = await db.exportConversationJSON(conversation.id);
+  const report = await agent.importConversations(JSON.parse(JSON.stringify(exported)));
+
+  assert.strictEqual(report.imported, 1);
+  assert.strictEqual(report.skipped, 0);
+  const [entry] = report.conversations;
+  assert.strictEqual(entry.format, 'export');
+  assert.strictEqual(entry.sourceId, conversation.id);
+  assert.notStrictEqual(entry.conversationId, conversation.id);
+  assert.deepStrictEqual([entry.messageCount, entry.toolExecutionCount, entry.summaryCount], [7, 1, 1]);
+  assert.deepStrictEqual(entry.warnings, []);
+
+  const imported = await db.exportConversationJSON(entry.conversationId);
+  assert.deepStrictEqual(comparable(imported), comparable(exported));
+  assert.ok(imported.messages.every(message => !exported.messages.some(original => original.id === message.id)));
+  assert.strictEqual(imported.metadata.importedFrom.conversationId, conversation.id);
+
+  // Context assembly follows the copied summary and the edited branch
+  assert.deepStrictEqual(contents(await db.getBranchMessages(entry.conversationId)), ['What is 2 + 4?']);
+  await agent.switchBranch(entry.conversationId, imported.messages[0].id);
+  assert.deepStrictEqual(contents(await db.getMessagesForContext(entry.conversationId)).slice(1), [
+    'What is 2 + 3?', '[Tool use only]', '5', 'And 4 + 4?', 'Eig'
+  ]);
+});
+
+test('a ChatGPT conversation becomes a message tree with its tool calls', async () => {
+  const message = (role, text, time, extra = {}) => ({
+    author: { role },
+    create_time: time,
+    content: { content_type: 'text', parts: [text] },
+    metadata: role === 'assistant' ? { model_slug: 'gpt-4o' } : {},
+    recipient: 'all',
+    ...extra
+  });
+  const chatGPT = {
+    title: 'Primes',
+    create_time: 1700000000,
+    update_time: 1700000100,
+    conversation_id: 'chatgpt-1',
+    current_node: 'answer',
+    mapping: {
+      root: { id: 'root', message: null, parent: null, children: ['system'] },
+      system: { id: 'system', message: message('system', '', null, { metadata: { is_visually_hidden_from_conversation: true } }), parent: 'root', children: ['question'] },
+      question: {
+        id: 'question',
+        message: message('user', '', 1700000001, { content: { content_type: 'multimodal_text', parts: [{ content_type: 'image_asset_pointer' }, 'Is 91 prime?'] } }),
+        parent: 'system',
+        children: ['guess', 'call']
+      },
+      guess: { id: 'guess', message: message('assistant', 'Yes.', 1700000002), parent: 'question', children: [] },
+      call: {
+        id: 'call',
+        message: message('assistant', '', 1700000003, { content: { content_type: 'code', language: 'python', text: '91 % 7' }, recipient: 'python' }),
+        parent: 'question',
+        children: ['output']
+      },
+      output: {
+        id: 'output',
+        message: message('tool', '', 1700000004, { content: { content_type: 'execution_output', text: '0' } }),
+        parent: 'call',
+        children: ['thinking']
+      },
+      thinking: { id: 'thinking', message: message('assistant', '', 1700000005, { content: { content_type: 'thoughts', thoughts: [] } }), parent: 'output', children: ['answer'] },
+      answer: { id: 'answer', message: message('assistant', 'No: 91 = 7 × 13.', 1700000006), parent: 'thinking', children: [] }
+    }
+  };
+
+  const report = await agent.importConversations([chatGPT]);
+  const [entry] = report.conversations;
+  assert.strictEqual(entry.format, 'chatgpt');
+  assert.strictEqual(entry.title, 'Primes');
+  assert.deepStrictEqual(entry.warnings, ['Left out images and files (they are not in the export)', 'Left out reasoning']);
+
+  const conversation = await db.getConversation(entry.conversationId);
+  assert.strictEqual(conversation.created_at, '2023-11-14 22:13:20');
+  assert.strictEqual(conversation.message_count, 4);
+  assert.strictEqual(conversation.tool_execution_count, 1);
+  assert.strictEqual(conversation.metadata.importedFrom.format, 'chatgpt');
+
+  const branch = await db.getBranchMessages(entry.conversationId);
+  assert.deepStrictEqual(contents(branch), ['Is 91 prime?', '[Tool use only]', 'No: 91 = 7 × 13.']);
+  assert.strictEqual(branch[0].timestamp, '2023-11-14 22:13:21');
+  assert.strictEqual(branch[1].branch.count, 2);
+  assert.deepStrictEqual(branch[1].metadata, { provider: 'openai', model: 'gpt-4o' });
+
+  const [tool] = branch[1].tool_executions;
+  assert.deepStrictEqual([tool.tool_name, tool.tool_input, tool.tool_output, tool.tool_use_id], ['python', { input: '91 % 7' }, '0', null]);
+});
+
+test('an Anthropic conversation keeps its tool use and attachments', async () => {
+  const anthropic = {
+    uuid: 'claude-1',
+    name: '',
+    created_at: '2024-05-01T10:00:00.000000Z',
+    updated_at: '2024-05-01T10:05:00.000000Z',
+    chat_messages: [
+      {
+        uuid: 'h1',
+        sender: 'human',
+        text: 'Add these',
+        content: [{ type: 'text', text: 'Add these' }],
+        attachments: [{ file_name: 'numbers.txt', extracted_content: '2\n3' }],
+        files: [],
+        created_at: '2024-05-01T10:00:01.000000Z',
+        parent_message_uuid: '00000000-0000-4000-8000-000000000000'
+      },
+      {
+        uuid: 'a1',
+        sender: 'assistant',
+        content: [
+          { type: 'thinking', thinking: 'Use the add tool.' },
+          { type: 'tool_use', id: 'toolu_x', name: 'add', input: { param1: 2, param2: 3 } },
+          { type: 'tool_result', tool_use_id: 'toolu_x', name: 'add', content: [{ type: 'text', text: '5' }], is_error: false },
+          { type: 'text', text: 'The sum is 5.' }
+        ],
+        created_at: '2024-05-01T10:00:02.000000Z',
+        parent_message_uuid: 'h1'
+      },
+      { uuid: 'empty', sender: 'human', text: '', content: [], created_at: '2024-05-01T10:00:03Z', parent_message_uuid: 'a1' },
+      { uuid: 'h2', sender: 'human', text: 'Thanks', created_at: 'not a time', parent_message_uuid: 'empty' }
+    ]
+  };
+
+  const report = await agent.importConversations(anthropic);
+  const [entry] = report.conversations;
+  assert.strictEqual(entry.format, 'anthropic');
+  assert.strictEqual(entry.title, 'Imported Conversation');
+  assert.deepStrictEqual(entry.warnings, [
+    'Left out thinking',
+    'Left out empty messages',
+    'Messages without a valid timestamp took the one before (or the import time)'
+  ]);
+
+  const branch = await db.getBranchMessages(entry.conversationId);
+  assert.deepStrictEqual(contents(branch), ['Add these\n\n[Attachment: numbers.txt]\n2\n3', 'The sum is 5.', 'Thanks']);
+  assert.strictEqual(branch[2].timestamp, '2024-05-01 10:00:02');
+
+  const [tool] = branch[1].tool_executions;
+  assert.deepStrictEqual([tool.tool_name, tool.tool_input, tool.tool_output, tool.success], ['add', { param1: 2, param2: 3 }, '5', 1]);
+
+  // Not replayed: the tool call has no id from this server's providers
+  assert.strictEqual(tool.tool_use_id, null);
+});
+
+test('conversations that cannot be imported are reported and skipped', async () => {
+  const report = await agent.importConversations([
+    { title: 'Unknown', turns: [] },
+    { conversationId: 'empty', title: 'Empty', messages: [{ role: 'robot', content: 'Beep' }] },
+    { conversationId: 'ok', title: 'Fine', messages: [{ id: 'a', role: 'user', content: 'Hi', timestamp: '2024-01-01 00:00:00' }] }
+  ]);
+
+  assert.deepStrictEqual([report.imported, report.skipped], [1, 2]);
+  assert.match(report.conversations[0].errors[0], /Unrecognized format/);
+  assert.deepStrictEqual(report.conversations[1].errors, ['No messages to import']);
+  assert.deepStrictEqual(report.conversations[1].warnings, ['Left out messages without a valid role and text content']);
+  assert.strictEqual(report.conversations[1].conversationId, null);
+  assert.ok(report.conversations[2].conversationId);
+
+  await assert.rejects(agent.importConversations([]), /Expected a conversation/);
+  await assert.rejects(agent.importConversations('text'), /Expected a conversation/);
+});
+
+test('timestamps are stored in UTC, and exports from before branches are one branch', () => {
+  assert.strictEqual(toTimestamp(1700000000), '2023-11-14 22:13:20');
+  assert.strictEqual(toTimestamp('2024-05-01T12:00:00+02:00'), '2024-05-01 10:00:00');
+  assert.strictEqual(toTimestamp('2024-05-01 10:00:00'), '2024-05-01 10:00:00');
+  assert.strictEqual(toTimestamp('soon'), null);
+
+  const [record] = parseImport({ conversationId: 'old', title: 'Old', messages: [
+    { id: 'a', role: 'user', content: 'Hi' },
+    { id: 'b', role: 'assistant', content: 'Hello' }
+  ] });
+  assert.deepStrictEqual(record.messages.map(message => message.parentId), [null, 'a']);
+});
@@ -0,0 +1,116 @@
+/**
+ * Conversation limits tests - server defaults, per-conversation overrides and warnings
+ *
+ * Run: npm test
+ */
+
+process.env.DB_PATH = ':memory:';
+process.env.AGENT_TYPE = 'mock';
+
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const WebSocket = require('ws');
+const agent = require('../agent-core');
+const db = require('../database/db');
+const mockProvider = require('../providers/mock-provider');
+const { getDefaultLimits, evaluateLimits } = require('../conversation-limits');
+
+/**
+ * Fake client socket that records events
+ */
+function createClient() {
+  const ws = {
+    readyState: WebSocket.OPEN,
+    events: [],
+    send(raw) {
+      ws.events.push(JSON.parse(raw));
+    },
+    eventsOfType(type) {
+      return ws.events.filter(event => event.type === type);
+    }
+  };
+  return ws;
+}
+
+before(async () => {
+  await agent.initializeClient();
+});
+
+afterEach(() => {
+  delete process.env.CONVERSATION_TOKEN_LIMIT;
+  delete process.env.CONVERSATION_WARNING_THRESHOLD;
+});
+
+after(async () => {
+  await db.closeDatabase();
+});
+
+test('defaults come from server config and overrides win per key', () => {
+  assert.deepStrictEqual(getDefaultLimits(), {
+    tokens: 20480,
+    messages: 150,
+    toolExecutions: 100,
+    ageHours: 24,
+    warningThreshold: 0.8
+  });
+
+  process.env.CONVERSATION_TOKEN_LIMIT = '1000';
+  process.env.CONVERSATION_WARNING_THRESHOLD = '0.5';
+  const conversation = { token_count: 600, message_count: 12, tool_execution_count: 3, age_hours: 30, metadata: {} };
+
+  let result = evaluateLimits(conversation);
+  assert.deepStrictEqual(result.warnings.map(warning => warning.type), ['token', 'age']);
+  assert.strictEqual(result.reason, 'age_limit');
+
+  // A limit of 0 is off; only the overridden keys change
+  result = evaluateLimits({ ...conversation, metadata: { customLimits: { tokens: 500, ageHours: 0 } } });
+  assert.strictEqual(result.limits.tokens, 500);
+  assert.strictEqual(result.limits.warningThreshold, 0.5);
+  assert.deepStrictEqual(result.warnings.map(warning => warning.type), ['token']);
+  assert.deepStrictEqual(result.warnings[0], { type: 'token', current: 600, limit: 500, percentage: 120 });
+  assert.strictEqual(result.reason, 'token_limit');
+});
+
+test('custom limits drive the warnings and the summarize prompt', async () => {
+  const conversation = await agent.createConversation('Small limits');
+  await agent.setConversationLimits(conversation.id, { messages: 2, warningThreshold: 0.5 });
+
+  mockProvider.loadScript({ turns: [{ text: 'Hello there' }] });
+  const ws = createClient();
+  await agent.handleStreamingChat('Hi', ws, conversation.id);
+
+  const [warning] = ws.eventsOfType('llm_conversation_warning');
+  assert.deepStrictEqual(warning.warnings, [{ type: 'message', current: 2, limit: 2, percentage: 100 }]);
+  assert.strictEqual(ws.eventsOfType('llm_should_summarize')[0].reason, 'message_limit');
+
+  const [tokenCount] = ws.eventsOfType('llm_token_count');
+  assert.strictEqual(tokenCount.limits.messages, 2);
+  assert.strictEqual(tokenCount.limit, 20480);
+
+  const row = await db.getConversation(conversation.id);
+  assert.strictEqual(row.message_warning, 1);
+  assert.strictEqual(row.should_summarize, 1);
+  assert.strictEqual(await db.shouldSummarizeConversation(conversation.id), true);
+  assert.match(await db.exportConversationMarkdown(conversation.id), /\*\*Total Tokens:\*\* \d+ \/ 20,480/);
+});
+
+test('limits are changed key by key and null goes back to the default', async () => {
+  const conversation = await agent.createConversation('Limits');
+
+  await agent.setConversationLimits(conversation.id, { tokens: 4096, messages: 40 });
+  let updated = await agent.setConversationLimits(conversation.id, { tokens: null });
+  assert.deepStrictEqual(updated.metadata.customLimits, { messages: 40 });
+  assert.strictEqual(updated.limits.tokens, 20480);
+
+  updated = await agent.setConversationLimits(conversation.id, { messages: null });
+  assert.strictEqual(updated.metadata.customLimits, undefined);
+
+  const status = await agent.getConversationLimits(conversation.id);
+  assert.deepStrictEqual(status.customLimits, {});
+  assert.strictEqual(status.shouldSummarize, false);
+
+  await assert.rejects(agent.setConversationLimits(conversation.id, { turns: 5 }), /Unknown limit: turns/);
+  await assert.rejects(agent.setConversationLimits(conversation.id, { tokens: -1 }), /non-negative number/);
+  await assert.rejects(agent.setConversationLimits(conversation.id, { warningThreshold: 2 }), /at most 1/);
+  assert.strictEqual(await agent.setConversationLimits('missing', { tokens: 1 }), null);
+});
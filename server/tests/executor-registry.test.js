@@ -0,0 +1,91 @@
+/**
+ * Executor registry tests - routing of client-side tool calls
+ *
+ * Run: npm test
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const WebSocket = require('ws');
+const executorRegistry = require('../executor-registry');
+
+/**
+ * Minimal stand-in for a WebSocket connection
+ */
+function createFakeSocket() {
+  return {
+    readyState: WebSocket.OPEN,
+    sent: [],
+    send(data) {
+      this.sent.push(JSON.parse(data));
+    }
+  };
+}
+
+let sockets = [];
+
+beforeEach(() => {
+  for (const ws of sockets) {
+    executorRegistry.unregisterExecutor(ws);
+  }
+  sockets = [];
+});
+
+function register(commands) {
+  const ws = createFakeSocket();
+  executorRegistry.registerExecutor(ws, commands);
+  sockets.push(ws);
+  return ws;
+}
+
+test('fails clearly when no executor implements the command', () => {
+  register(['add']);
+  assert.throws(
+    () => executorRegistry.selectExecutor('divide'),
+    /No connected executor implements command "divide"/
+  );
+});
+
+test('prefers the socket that owns the conversation', () => {
+  register(['add']);
+  const owner = register(['add']);
+
+  assert.strictEqual(executorRegistry.selectExecutor('add', owner), owner);
+});
+
+test('falls back to the policy when the owner cannot execute the command', () => {
+  const owner = register(['multiply']);
+  const other = register(['add']);
+
+  assert.strictEqual(executorRegistry.selectExecutor('add', owner), other);
+});
+
+test('round-robins between capable executors by default', () => {
+  const first = register(['power']);
+  const second = register(['power']);
+
+  const picks = [1, 2, 3].map(() => executorRegistry.selectExecutor('power'));
+  assert.deepStrictEqual(picks, [first, second, first]);
+});
+
+test('sends to exactly one executor', () => {
+  const first = register(['add']);
+  const second = register(['add']);
+
+  executorRegistry.sendToExecutor({ type: 'command', command: 'add', params: {} });
+
+  assert.strictEqual(first.sent.length + second.sent.length, 1);
+});
+
+test('closed sockets and unregistered sockets are skipped', () => {
+  const closed = register(['add']);
+  closed.readyState = WebSocket.CLOSED;
+  const gone = register(['add']);
+  executorRegistry.unregisterExecutor(gone);
+
+  assert.throws(() => executorRegistry.selectExecutor('add'), /No connected executor/);
+});
+
+test('rejects registrations without a commands array', () => {
+  assert.throws(() => executorRegistry.registerExecutor(createFakeSocket(), 'add'), /commands/);
+});
@@ -0,0 +1,65 @@
+/**
+ * Local HTTP stub that mimics Ollama's streaming /api/chat responses
+ *
+ * Each POST /api/chat consumes the next scripted response: an array of
+ * NDJSON chunks written one line at a time.
+ */
+
+const http = require('http');
+
+/**
+ * Start the stub on a random port
+ * @param {Array<Array<Object>>} responses - Scripted chunk lists, one per request
+ * @returns {Promise<{ url, requests, close }>}
+ */
+function startOllamaStub(responses) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    if (req.method === 'GET' && req.url === '/api/tags') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ models: [{ name: 'stub-model' }] }));
+      return;
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const parsed = JSON.parse(body || '{}');
+      requests.push(parsed);
+
+      const chunks = responses.shift();
+      if (!chunks) {
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'no scripted response left' }));
+        return;
+      }
+
+      if (parsed.stream === false) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(chunks[chunks.length - 1]));
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+      for (const chunk of chunks) {
+        res.write(JSON.stringify(chunk) + '\n');
+      }
+      res.end();
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = {
+  startOllamaStub
+};
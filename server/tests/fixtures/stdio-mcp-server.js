@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+
+/**
+ * Minimal stdio MCP server used by the MCP client tests
+ *
+ * Tools:
+ * - echo: returns its input text
+ * - fail: always returns an error result
+ * - enable_extra: registers `extra` at runtime (triggers tools/list_changed)
+ */
+
+const { McpServer } = require('@modelcontextprotocol/sdk/server/mcp.js');
+const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const { z } = require('zod');
+
+const server = new McpServer({ name: 'fixture-server', version: '1.0.0' });
+
+server.registerTool('echo', {
+  description: 'Echo the given text',
+  inputSchema: { text: z.string().describe('Text to echo') }
+}, async ({ text }) => ({
+  content: [{ type: 'text', text }]
+}));
+
+server.registerTool('fail', {
+  description: 'Always fails'
+}, async () => ({
+  content: [{ type: 'text', text: 'Something went wrong' }],
+  isError: true
+}));
+
+server.registerTool('enable_extra', {
+  description: 'Register the extra tool'
+}, async () => {
+  server.registerTool('extra', {
+    description: 'Tool added at runtime'
+  }, async () => ({
+    content: [{ type: 'text', text: 'extra' }]
+  }));
+  return { content: [{ type: 'text', text: 'enabled' }] };
+});
+
+server.connect(new StdioServerTransport());
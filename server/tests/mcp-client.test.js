@@ -0,0 +1,75 @@
+/**
+ * MCP client tests - mounts a local stdio MCP server fixture
+ *
+ * Run: npm test
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const mcpClient = require('../mcp-client');
+const { getToolDefinition, getToolDefinitions } = require('../tools');
+
+const FIXTURE_PATH = path.join(__dirname, 'fixtures', 'stdio-mcp-server.js');
+
+before(async () => {
+  const connected = await mcpClient.connectMcpServers({
+    fixture: { command: process.execPath, args: [FIXTURE_PATH], prefix: 'fx' }
+  });
+  assert.deepStrictEqual(connected, ['fixture']);
+});
+
+after(async () => {
+  await mcpClient.closeMcpServers();
+});
+
+test('external tools are merged into the registry under the prefix', () => {
+  const names = getToolDefinitions().map(tool => tool.name);
+
+  assert.ok(names.includes('add'), 'local tools are kept');
+  assert.ok(names.includes('fx__echo'));
+  assert.ok(names.includes('fx__fail'));
+
+  const echo = getToolDefinition('fx__echo');
+  assert.strictEqual(echo.mcpServer, 'fixture');
+  assert.strictEqual(echo.mcpToolName, 'echo');
+  assert.strictEqual(echo.inputSchema.properties.text.type, 'string');
+});
+
+test('calls are forwarded to the owning MCP session', async () => {
+  const result = await mcpClient.callTool('fixture', 'echo', { text: 'hello' });
+  assert.strictEqual(result, 'hello');
+});
+
+test('the agent routes namespaced tools through executeTool', async () => {
+  const agent = require('../agent-core');
+  const result = await agent.executeTool('fx__echo', { text: 'via agent' }, null, null);
+  assert.strictEqual(result, 'via agent');
+});
+
+test('error results are raised as errors', async () => {
+  await assert.rejects(
+    mcpClient.callTool('fixture', 'fail', {}),
+    /Something went wrong/
+  );
+});
+
+test('tools are re-listed on tools/list_changed', async () => {
+  assert.strictEqual(getToolDefinition('fx__extra'), undefined);
+
+  await mcpClient.callTool('fixture', 'enable_extra', {});
+
+  // Wait for the notification round-trip
+  for (let i = 0; i < 50 && !getToolDefinition('fx__extra'); i++) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+
+  assert.ok(getToolDefinition('fx__extra'));
+});
+
+test('unknown servers are rejected', async () => {
+  await assert.rejects(
+    mcpClient.callTool('missing', 'echo', {}),
+    /not connected/
+  );
+});
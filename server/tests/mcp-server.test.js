@@ -0,0 +1,82 @@
+/**
+ * MCP server tests - lists and calls tools over Streamable HTTP
+ *
+ * Run: npm test
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { z } = require('zod');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
+const mcpServer = require('../mcp-server');
+const toolDefinitions = require('../tools-definitions/imports');
+const { getToolDefinition } = require('../tools');
+const { getToolInputSchema } = require('../tool-schema');
+
+// Stand-in for the agent core: runs add locally, fails everything else
+const agent = {
+  executeTool: async (toolName, toolInput) => {
+    if (toolName === 'add') return toolInput.param1 + toolInput.param2;
+    throw new Error(`Error executing ${toolName}: no executor`);
+  }
+};
+
+let client;
+
+before(async () => {
+  const server = await mcpServer.startMcpServer(agent, { port: 0, host: '127.0.0.1' });
+  const url = new URL(`http://127.0.0.1:${server.address().port}/mcp`);
+
+  client = new Client({ name: 'mcp-server-test', version: '1.0.0' });
+  await client.connect(new StreamableHTTPClientTransport(url));
+});
+
+after(async () => {
+  await client.close();
+  await mcpServer.stopMcpServer();
+});
+
+test('tools are listed with the shared JSON Schema conversion', async () => {
+  const { tools } = await client.listTools();
+  const names = tools.map(tool => tool.name);
+  assert.ok(names.includes('add'));
+  assert.ok(names.includes('summarize_conversation'));
+
+  for (const tool of tools) {
+    assert.deepStrictEqual(tool.inputSchema, getToolInputSchema(getToolDefinition(tool.name)));
+  }
+});
+
+test('tools registered after start-up are listed', async () => {
+  const late = { name: 'late_tool', description: 'Registered after start-up', parameters: z.object({}), command: 'late_tool' };
+  toolDefinitions.push(late);
+  try {
+    const { tools } = await client.listTools();
+    assert.ok(tools.some(tool => tool.name === 'late_tool'));
+  } finally {
+    toolDefinitions.splice(toolDefinitions.indexOf(late), 1);
+  }
+
+  const { tools } = await client.listTools();
+  assert.ok(!tools.some(tool => tool.name === 'late_tool'));
+});
+
+test('calls are routed through the agent', async () => {
+  const result = await client.callTool({ name: 'add', arguments: { param1: 2, param2: 3 } });
+  assert.strictEqual(result.isError, undefined);
+  assert.strictEqual(result.content[0].text, '5');
+});
+
+test('tool failures are returned as isError results', async () => {
+  const result = await client.callTool({ name: 'subtract', arguments: { param1: 2, param2: 3 } });
+  assert.strictEqual(result.isError, true);
+  assert.match(result.content[0].text, /no executor/);
+});
+
+test('invalid arguments are rejected', async () => {
+  await assert.rejects(
+    client.callTool({ name: 'add', arguments: { param1: 'two' } }),
+    /Invalid input for add:\n- param1: Expected number, received string\n- param2: Required/
+  );
+});
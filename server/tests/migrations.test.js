@@ -0,0 +1,212 @@
+/**
+ * Schema migration tests - fresh databases, adopting existing ones, transactions and version checks
+ *
+ * The fixture is a database created from the schema as it was before versioned migrations.
+ *
+ * Run: npm test
+ */
+
+process.env.DB_PATH = ':memory:';
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const migrations = require('../database/migrations');
+const { openSqliteDatabase } = require('../database/stores/sqlite-store');
+
+const FIXTURE = fs.readFileSync(path.join(__dirname, 'fixtures', 'legacy-database.sql'), 'utf8');
+
+let database;
+let migrationsDir;
+
+/**
+ * Migrations directory with the real migrations plus extra test ones
+ */
+function writeMigrations(extra = {}) {
+  for (const file of fs.readdirSync(migrations.MIGRATIONS_DIR).filter(name => name.endsWith('.sql'))) {
+    fs.copyFileSync(path.join(migrations.MIGRATIONS_DIR, file), path.join(migrationsDir, file));
+  }
+  for (const [file, sql] of Object.entries(extra)) {
+    fs.writeFileSync(path.join(migrationsDir, file), sql);
+  }
+}
+
+async function columnsOf(table) {
+  return (await database.all(`PRAGMA table_info(${table})`)).map(column => column.name);
+}
+
+beforeEach(async () => {
+  database = await openSqliteDatabase(':memory:');
+  migrationsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-test-'));
+});
+
+afterEach(async () => {
+  await database.close();
+  fs.rmSync(migrationsDir, { recursive: true, force: true });
+});
+
+test('a new database gets every migration, once', async () => {
+  const result = await migrations.migrate(database);
+  assert.deepStrictEqual(result.applied.map(migration => migration.file), [
+    '001_initial_schema.sql', '002_add_tool_execution_status.sql', '003_add_token_usage.sql', '004_add_message_cost.sql',
+    '005_compute_limits_in_code.sql', '006_add_message_sequence.sql', '007_move_counters_to_code.sql',
+    '008_add_message_branches.sql', '009_add_search_index.sql'
+  ]);
+  assert.strictEqual(result.adopted, false);
+  assert.ok((await columnsOf('messages')).includes('seq'));
+
+  const again = await migrations.migrate(database);
+  assert.deepStrictEqual(again.applied, []);
+  assert.strictEqual(again.toVersion, 9);
+
+  const rows = await database.all(`SELECT version, name FROM schema_migrations`);
+  assert.deepStrictEqual(rows.map(row => ({ ...row })), [
+    { version: 1, name: 'initial_schema' },
+    { version: 2, name: 'add_tool_execution_status' },
+    { version: 3, name: 'add_token_usage' },
+    { version: 4, name: 'add_message_cost' },
+    { version: 5, name: 'compute_limits_in_code' },
+    { version: 6, name: 'add_message_sequence' },
+    { version: 7, name: 'move_counters_to_code' },
+    { version: 8, name: 'add_message_branches' },
+    { version: 9, name: 'add_search_index' }
+  ]);
+});
+
+test('an existing database is adopted at the baseline and migrated forward with its data', async () => {
+  await database.exec(FIXTURE);
+  await database.exec(`DROP INDEX idx_messages_role`);
+  writeMigrations({
+    '900_add_message_pinned.sql': `
+      ALTER TABLE messages ADD COLUMN pinned BOOLEAN NOT NULL DEFAULT 0;
+      UPDATE messages SET pinned = 1 WHERE role = 'user';
+    `
+  });
+
+  // Dry run: reports the plan and changes nothing
+  const plan = await migrations.migrate(database, { directory: migrationsDir, dryRun: true });
+  assert.deepStrictEqual(plan, {
+    fromVersion: 1,
+    toVersion: 900,
+    applied: [
+      { version: 2, name: 'add_tool_execution_status', file: '002_add_tool_execution_status.sql' },
+      { version: 3, name: 'add_token_usage', file: '003_add_token_usage.sql' },
+      { version: 4, name: 'add_message_cost', file: '004_add_message_cost.sql' },
+      { version: 5, name: 'compute_limits_in_code', file: '005_compute_limits_in_code.sql' },
+      { version: 6, name: 'add_message_sequence', file: '006_add_message_sequence.sql' },
+      { version: 7, name: 'move_counters_to_code', file: '007_move_counters_to_code.sql' },
+      { version: 8, name: 'add_message_branches', file: '008_add_message_branches.sql' },
+      { version: 9, name: 'add_search_index', file: '009_add_search_index.sql' },
+      { version: 900, name: 'add_message_pinned', file: '900_add_message_pinned.sql' }
+    ],
+    adopted: true,
+    dryRun: true
+  });
+  assert.strictEqual((await migrations.getMigrationStatus(database)).legacy, true);
+  assert.ok(!(await columnsOf('messages')).includes('pinned'));
+
+  await migrations.migrate(database, { directory: migrationsDir });
+
+  const status = await migrations.getMigrationStatus(database, { directory: migrationsDir });
+  assert.strictEqual(status.currentVersion, 900);
+  assert.deepStrictEqual(status.pending, []);
+
+  // Data is kept, the new columns are filled, and the baseline put back the missing index
+  const messages = await database.all(`SELECT id, seq, input_tokens, cost, pinned FROM messages ORDER BY seq`);
+  assert.deepStrictEqual(messages.map(row => ({ ...row })), [
+    { id: 'msg_fixture_1', seq: 1, input_tokens: 0, cost: null, pinned: 1 },
+    { id: 'msg_fixture_2', seq: 2, input_tokens: 0, cost: null, pinned: 0 }
+  ]);
+  assert.ok(await database.get(`SELECT name FROM sqlite_master WHERE name = 'idx_messages_role'`));
+  const statuses = await database.all(`SELECT id, status FROM tool_executions ORDER BY id`);
+  assert.deepStrictEqual(statuses.map(row => [row.id, row.status]), [['tool_fixture_1', 'success'], ['tool_fixture_2', 'error']]);
+
+  // Counters the triggers kept are left as they were, and are now kept by db.js
+  const conversation = await database.get(
+    `SELECT message_count, tool_execution_count, estimated_cost, cache_read_token_count, active_leaf_id FROM conversations WHERE id = 'conv_fixture'`
+  );
+  assert.deepStrictEqual(
+    [conversation.message_count, conversation.tool_execution_count, conversation.estimated_cost, conversation.cache_read_token_count],
+    [2, 2, (4 * 3 + 3 * 15) / 1000000, 0]
+  );
+
+  // Existing messages become one branch, each following the one before it
+  const parents = await database.all(`SELECT id, parent_id FROM messages ORDER BY seq`);
+  assert.deepStrictEqual(parents.map(row => [row.id, row.parent_id]), [['msg_fixture_1', null], ['msg_fixture_2', 'msg_fixture_1']]);
+  assert.strictEqual(conversation.active_leaf_id, 'msg_fixture_2');
+  // The counter triggers and the view are gone; the only triggers left keep the search index current
+  const leftovers = await database.all(`SELECT name FROM sqlite_master WHERE type IN ('trigger', 'view') AND name NOT LIKE '%_search_%'`);
+  assert.deepStrictEqual(leftovers, []);
+
+  // Existing rows were indexed for search
+  const found = await database.all(
+    `SELECT m.id FROM messages_search JOIN messages m ON m.id = messages_search.id WHERE messages_search MATCH '"5"'`
+  );
+  assert.deepStrictEqual(found.map(row => row.id), ['msg_fixture_2']);
+  const tools = await database.get(`SELECT COUNT(*) AS count FROM tool_executions_search WHERE tool_executions_search MATCH 'param1'`);
+  assert.strictEqual(tools.count, 2);
+});
+
+test('the search index refers to rows by their id, so it survives VACUUM', async () => {
+  await migrations.migrate(database);
+  await database.exec(`
+    INSERT INTO conversations (id, title) VALUES ('conv_a', 'Apples'), ('conv_b', 'Bananas'), ('conv_c', 'Cherries');
+    INSERT INTO messages (id, conversation_id, role, content, seq) VALUES
+      ('msg_a', 'conv_a', 'user', 'apple pie', 1), ('msg_b', 'conv_b', 'user', 'banana bread', 1),
+      ('msg_c', 'conv_c', 'user', 'cherry tart', 1);
+    DELETE FROM conversations WHERE id = 'conv_a';
+    VACUUM;
+  `);
+
+  const titles = await database.all(
+    `SELECT c.id FROM conversations_search JOIN conversations c ON c.id = conversations_search.id WHERE conversations_search MATCH 'cherries'`
+  );
+  assert.deepStrictEqual(titles.map(row => row.id), ['conv_c']);
+  const messages = await database.all(
+    `SELECT m.id, m.content FROM messages_search JOIN messages m ON m.id = messages_search.id WHERE messages_search MATCH 'banana'`
+  );
+  assert.deepStrictEqual(messages.map(row => [row.id, row.content]), [['msg_b', 'banana bread']]);
+  const indexed = await database.all(`SELECT id FROM messages_search ORDER BY id`);
+  assert.deepStrictEqual(indexed.map(row => row.id), ['msg_b', 'msg_c']);
+});
+
+test('a failing migration is rolled back and stops at the previous version', async () => {
+  await migrations.migrate(database);
+  writeMigrations({
+    '900_half_done.sql': `
+      ALTER TABLE messages ADD COLUMN pinned BOOLEAN NOT NULL DEFAULT 0;
+      INSERT INTO no_such_table VALUES (1);
+    `
+  });
+
+  await assert.rejects(
+    migrations.migrate(database, { directory: migrationsDir }),
+    /Migration 900_half_done\.sql failed: SQLITE_ERROR: no such table: no_such_table/
+  );
+  assert.ok(!(await columnsOf('messages')).includes('pinned'));
+  assert.strictEqual((await migrations.getMigrationStatus(database, { directory: migrationsDir })).currentVersion, 9);
+});
+
+test('refuses databases from a newer version and ones that do not match the baseline', async () => {
+  await migrations.migrate(database);
+  await database.run(`INSERT INTO schema_migrations (version, name) VALUES (12, 'from_the_future')`);
+  await assert.rejects(migrations.migrate(database), /schema is at version 12, newer than this server knows \(9\)/);
+
+  // A database from before the baseline schema, without tool_use_id
+  const old = await openSqliteDatabase(':memory:');
+  try {
+    await old.exec(FIXTURE);
+    await old.exec(`ALTER TABLE tool_executions DROP COLUMN tool_use_id`);
+    await assert.rejects(migrations.migrate(old), /doesn't match 001_initial_schema\.sql \(missing tool_executions\.tool_use_id\)/);
+    assert.strictEqual((await migrations.getMigrationStatus(old)).applied.length, 0);
+  } finally {
+    await old.close();
+  }
+});
+
+test('migration files need unique versions', () => {
+  writeMigrations({ '001_duplicate.sql': 'SELECT 1;' });
+  assert.throws(() => migrations.listMigrations(migrationsDir), /Duplicate migration version 1/);
+});
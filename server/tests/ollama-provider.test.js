@@ -0,0 +1,115 @@
+/**
+ * Ollama provider tests - against a local stub of /api/chat
+ *
+ * Run: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ollamaProvider = require('../providers/ollama-provider');
+const { startOllamaStub } = require('./fixtures/ollama-stub');
+
+const tools = [
+  { name: 'add', description: 'Add two numbers', inputSchema: { type: 'object', properties: { param1: { type: 'number' } } } }
+];
+
+/**
+ * Run streamChat against a stub and collect all events
+ */
+async function collect(responses, messages = [{ role: 'user', content: 'hi' }]) {
+  const stub = await startOllamaStub(responses);
+  process.env.OLLAMA_BASE_URL = stub.url;
+
+  try {
+    await ollamaProvider.initialize();
+    const events = [];
+    for await (const event of ollamaProvider.streamChat({ model: 'stub-model', system: 'SYSTEM', messages, tools })) {
+      events.push(event);
+    }
+    return { events, requests: stub.requests };
+  } finally {
+    await stub.close();
+  }
+}
+
+test('streams text chunks and finishes with end_turn', async () => {
+  const { events, requests } = await collect([[
+    { message: { role: 'assistant', content: 'Hel' }, done: false },
+    { message: { role: 'assistant', content: 'lo' }, done: false },
+    { message: { role: 'assistant', content: '' }, done: true, done_reason: 'stop' }
+  ]]);
+
+  assert.deepStrictEqual(events, [
+    { type: 'text', text: 'Hel' },
+    { type: 'text', text: 'lo' },
+    { type: 'done', stopReason: 'end_turn' }
+  ]);
+
+  assert.strictEqual(requests[0].model, 'stub-model');
+  assert.strictEqual(requests[0].stream, true);
+  assert.deepStrictEqual(requests[0].messages[0], { role: 'system', content: 'SYSTEM' });
+  assert.deepStrictEqual(requests[0].tools, [{
+    type: 'function',
+    function: { name: 'add', description: 'Add two numbers', parameters: tools[0].inputSchema }
+  }]);
+});
+
+test('tool calls get generated ids and end with tool_use', async () => {
+  const { events } = await collect([[
+    {
+      message: {
+        role: 'assistant',
+        content: '',
+        tool_calls: [
+          { function: { name: 'add', arguments: { param1: 1, param2: 2 } } },
+          { function: { name: 'add', arguments: { param1: 3, param2: 4 } } }
+        ]
+      },
+      done: false
+    },
+    { message: { role: 'assistant', content: '' }, done: true, done_reason: 'stop' }
+  ]]);
+
+  const toolCalls = events.filter(event => event.type === 'tool_call');
+  assert.strictEqual(toolCalls.length, 2);
+  assert.deepStrictEqual(toolCalls[0].input, { param1: 1, param2: 2 });
+  assert.match(toolCalls[0].id, /^ollama_/);
+  assert.notStrictEqual(toolCalls[0].id, toolCalls[1].id);
+  assert.deepStrictEqual(events[events.length - 1], { type: 'done', stopReason: 'tool_use' });
+});
+
+test('replayed tool calls and results use Ollama message shapes', async () => {
+  const { requests } = await collect([[
+    { message: { role: 'assistant', content: 'ok' }, done: true, done_reason: 'stop' }
+  ]], [
+    { role: 'user', content: 'add 1 and 2' },
+    { role: 'assistant', content: '[Tool use only]', toolCalls: [{ id: 'ollama_1', name: 'add', input: { param1: 1, param2: 2 } }] },
+    { role: 'tool', toolCallId: 'ollama_1', name: 'add', content: '3', isError: false }
+  ]);
+
+  assert.deepStrictEqual(requests[0].messages.slice(2), [
+    {
+      role: 'assistant',
+      content: '[Tool use only]',
+      tool_calls: [{ function: { name: 'add', arguments: { param1: 1, param2: 2 } } }]
+    },
+    { role: 'tool', tool_name: 'add', content: '3' }
+  ]);
+});
+
+test('server errors are raised', async () => {
+  await assert.rejects(collect([]), /Ollama request failed: no scripted response left/);
+});
+
+test('complete returns the message content', async () => {
+  const stub = await startOllamaStub([[{ message: { role: 'assistant', content: 'A summary' }, done: true }]]);
+  process.env.OLLAMA_BASE_URL = stub.url;
+
+  try {
+    const text = await ollamaProvider.complete({ model: 'stub-model', prompt: 'Summarize', maxTokens: 64 });
+    assert.strictEqual(text, 'A summary');
+    assert.strictEqual(stub.requests[0].options.num_predict, 64);
+  } finally {
+    await stub.close();
+  }
+});
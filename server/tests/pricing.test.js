@@ -0,0 +1,105 @@
+/**
+ * Pricing tests - catalog lookup and per-turn costs stored on messages
+ *
+ * Run: npm test
+ */
+
+process.env.DB_PATH = ':memory:';
+process.env.AGENT_TYPE = 'mock';
+
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const WebSocket = require('ws');
+const agent = require('../agent-core');
+const db = require('../database/db');
+const mockProvider = require('../providers/mock-provider');
+const pricing = require('../pricing');
+
+/**
+ * Fake client socket that records events
+ */
+function createClient() {
+  const ws = {
+    readyState: WebSocket.OPEN,
+    events: [],
+    send(raw) {
+      ws.events.push(JSON.parse(raw));
+    }
+  };
+  return ws;
+}
+
+function assertCost(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-12, `expected ${expected}, got ${actual}`);
+}
+
+before(async () => {
+  await agent.initializeClient();
+});
+
+afterEach(() => {
+  pricing.setPricingCatalog();
+});
+
+after(async () => {
+  await db.closeDatabase();
+});
+
+test('models match exactly, by longest prefix, then the provider default', () => {
+  assert.strictEqual(pricing.getModelPricing('openai', 'gpt-4o-mini-2024-07-18').input, 0.15);
+  assert.strictEqual(pricing.getModelPricing('openai', 'gpt-4o-2024-08-06').input, 2.5);
+  assert.strictEqual(pricing.getModelPricing('claude', 'claude-opus-4-5-20251101').output, 25);
+  assert.strictEqual(pricing.getModelPricing('claude', 'claude-opus-4-1').output, 75);
+  assert.deepStrictEqual(pricing.getModelPricing('ollama', 'llama3.1'), { input: 0, output: 0, cacheRead: 0, cacheWrite: 0 });
+
+  // Unknown models aren't priced rather than priced wrong
+  assert.strictEqual(pricing.getModelPricing('openai', 'some-proxy-model'), null);
+  assert.strictEqual(pricing.calculateCost({ inputTokens: 100 }, null), null);
+
+  assert.throws(() => pricing.setPricingCatalog({ openai: { 'gpt-x': { input: -1 } } }), /non-negative number/);
+});
+
+test('each turn is priced at its model rates when it runs', async () => {
+  pricing.setPricingCatalog({ mock: { 'mock-model': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 } } });
+  mockProvider.loadScript({
+    turns: [
+      { text: 'First', usage: { inputTokens: 1000, outputTokens: 100, cacheReadTokens: 2000, cacheWriteTokens: 400 } },
+      { text: 'Second', usage: { inputTokens: 1000, outputTokens: 100 } },
+      { text: 'Third', usage: { inputTokens: 1000, outputTokens: 100 } }
+    ]
+  });
+
+  const conversation = await agent.createConversation('Priced');
+  await agent.handleStreamingChat('One', createClient(), conversation.id);
+
+  // A price change applies to later turns only
+  pricing.setPricingCatalog({ mock: { 'mock-model': { input: 1, output: 5 } } });
+  await agent.handleStreamingChat('Two', createClient(), conversation.id);
+
+  // An unpriced model's turns aren't counted
+  await agent.setConversationProvider(conversation.id, { model: 'mock-unpriced' });
+  pricing.setPricingCatalog({ mock: { '*': null } });
+  await agent.handleStreamingChat('Three', createClient(), conversation.id);
+
+  const messages = await db.getMessages(conversation.id);
+  const [first, second, third] = messages.filter(message => message.role === 'assistant');
+  assertCost(first.cost, (1000 * 3 + 100 * 15 + 2000 * 0.3 + 400 * 3.75) / 1e6);
+  assertCost(second.cost, (1000 * 1 + 100 * 5) / 1e6);
+  assert.strictEqual(third.cost, null);
+  assert.strictEqual(messages[0].cost, null);
+
+  const updated = await db.getConversation(conversation.id);
+  assertCost(updated.estimated_cost, first.cost + second.cost);
+
+  const exported = await db.exportConversationJSON(conversation.id);
+  assert.deepStrictEqual(exported.statistics.costByModel.map(entry => [entry.model, entry.turns, entry.unpricedTurns]), [
+    ['mock-model', 2, 0],
+    ['mock-unpriced', 1, 1]
+  ]);
+  assertCost(exported.statistics.costByModel[0].cost, first.cost + second.cost);
+  assert.strictEqual(exported.messages[1].cost, first.cost);
+
+  const markdown = await db.exportConversationMarkdown(conversation.id);
+  assert.match(markdown, /\| mock\/mock-model \| 2 \| 2,000 \| 200 \| 2,000 \| 400 \| \$0\.0081 \|/);
+  assert.match(markdown, /\| mock\/mock-unpriced \| 1 \|.*\| unpriced \|/);
+});
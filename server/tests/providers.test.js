@@ -0,0 +1,134 @@
+/**
+ * Provider adapter tests - translation from the core's neutral format
+ *
+ * Run: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const providers = require('../providers');
+const claudeProvider = require('../providers/claude-provider');
+const openaiProvider = require('../providers/openai-provider');
+const { buildContextMessages } = require('../agent-core');
+
+// Neutral conversation: user asks, assistant calls two tools, then answers
+const neutralMessages = [
+  { role: 'user', content: 'What is 2 + 3 and 4 * 5? ' },
+  {
+    role: 'assistant',
+    content: 'Let me calculate.',
+    toolCalls: [
+      { id: 'call_1', name: 'add', input: { param1: 2, param2: 3 } },
+      { id: 'call_2', name: 'multiply', input: { param1: 4, param2: 5 } }
+    ]
+  },
+  { role: 'tool', toolCallId: 'call_1', name: 'add', content: '5', isError: false },
+  { role: 'tool', toolCallId: 'call_2', name: 'multiply', content: '{"error":"boom"}', isError: true },
+  { role: 'assistant', content: '2 + 3 = 5', toolCalls: [] }
+];
+
+const neutralTools = [
+  { name: 'add', description: 'Add', inputSchema: { type: 'object', properties: {} } }
+];
+
+test('registry exposes the built-in providers', () => {
+  const names = providers.listProviders().map(provider => provider.name);
+  assert.ok(names.includes('claude'));
+  assert.ok(names.includes('openai'));
+  assert.throws(() => providers.getProvider('nope'), /Unknown provider: nope/);
+});
+
+test('claude adapter groups tool results into one user message', () => {
+  const messages = claudeProvider.toAnthropicMessages(neutralMessages);
+
+  assert.deepStrictEqual(messages, [
+    { role: 'user', content: 'What is 2 + 3 and 4 * 5?' },
+    {
+      role: 'assistant',
+      content: [
+        { type: 'text', text: 'Let me calculate.' },
+        { type: 'tool_use', id: 'call_1', name: 'add', input: { param1: 2, param2: 3 } },
+        { type: 'tool_use', id: 'call_2', name: 'multiply', input: { param1: 4, param2: 5 } }
+      ]
+    },
+    {
+      role: 'user',
+      content: [
+        { type: 'tool_result', tool_use_id: 'call_1', content: '5' },
+        { type: 'tool_result', tool_use_id: 'call_2', content: '{"error":"boom"}', is_error: true }
+      ]
+    },
+    { role: 'assistant', content: '2 + 3 = 5' }
+  ]);
+
+  assert.deepStrictEqual(claudeProvider.toAnthropicTools(neutralTools), [
+    { name: 'add', description: 'Add', input_schema: { type: 'object', properties: {} } }
+  ]);
+});
+
+test('openai adapter emits a system message, tool_calls and tool messages', () => {
+  const messages = openaiProvider.toOpenAIMessages('SYSTEM', neutralMessages);
+
+  assert.deepStrictEqual(messages[0], { role: 'system', content: 'SYSTEM' });
+  assert.deepStrictEqual(messages[2].tool_calls[0], {
+    id: 'call_1',
+    type: 'function',
+    function: { name: 'add', arguments: '{"param1":2,"param2":3}' }
+  });
+  assert.deepStrictEqual(messages[3], { role: 'tool', tool_call_id: 'call_1', content: '5' });
+  assert.deepStrictEqual(messages[5], { role: 'assistant', content: '2 + 3 = 5' });
+
+  assert.deepStrictEqual(openaiProvider.toOpenAITools(neutralTools), [
+    { type: 'function', function: { name: 'add', description: 'Add', parameters: { type: 'object', properties: {} } } }
+  ]);
+});
+
+test('provider usage is converted to neutral token counts', () => {
+  const empty = { inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0 };
+
+  // message_start reports input and cache tokens, message_delta the cumulative output
+  const started = claudeProvider.mergeAnthropicUsage(empty, {
+    input_tokens: 10,
+    output_tokens: 1,
+    cache_creation_input_tokens: 200,
+    cache_read_input_tokens: 3000
+  });
+  assert.deepStrictEqual(claudeProvider.mergeAnthropicUsage(started, { output_tokens: 42 }), {
+    inputTokens: 10,
+    outputTokens: 42,
+    cacheReadTokens: 3000,
+    cacheWriteTokens: 200
+  });
+
+  // OpenAI counts cached tokens as part of prompt_tokens
+  assert.deepStrictEqual(openaiProvider.fromOpenAIUsage({
+    prompt_tokens: 1500,
+    completion_tokens: 60,
+    prompt_tokens_details: { cached_tokens: 1024 }
+  }), { inputTokens: 476, outputTokens: 60, cacheReadTokens: 1024, cacheWriteTokens: 0 });
+});
+
+test('core builds neutral messages from database rows (summaries go in the system prompt)', () => {
+  const messages = buildContextMessages([
+    { role: 'system', content: '[Conversation Summary]\n\nEarlier stuff ' },
+    { role: 'user', content: 'hi' },
+    {
+      role: 'assistant',
+      content: '[Tool use only]',
+      tool_executions: [
+        { tool_use_id: 'toolu_1', tool_name: 'add', tool_input: { param1: 1, param2: 1 }, tool_output: 2, success: 1 },
+        { tool_use_id: null, tool_name: 'legacy', tool_input: {}, tool_output: {}, success: 1 }
+      ]
+    }
+  ]);
+
+  assert.deepStrictEqual(messages, [
+    { role: 'user', content: 'hi' },
+    {
+      role: 'assistant',
+      content: '[Tool use only]',
+      toolCalls: [{ id: 'toolu_1', name: 'add', input: { param1: 1, param2: 1 } }]
+    },
+    { role: 'tool', toolCallId: 'toolu_1', name: 'add', content: '2', isError: false }
+  ]);
+});
@@ -0,0 +1,104 @@
+/**
+ * REST API tests - request bodies that are not JSON objects are refused, not fatal
+ *
+ * Runs server.js in a child process (mock provider, in-memory database, no MCP server).
+ *
+ * Run: npm test
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+
+let server;
+let baseUrl;
+
+/**
+ * A port that is free right now
+ */
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Send a request with a raw body
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function request(method, url, body) {
+  const res = await fetch(`${baseUrl}${url}`, { method, body });
+  return { status: res.status, body: await res.json() };
+}
+
+before(async () => {
+  const [apiPort, wsPort] = [await getFreePort(), await getFreePort()];
+  baseUrl = `http://127.0.0.1:${apiPort}`;
+
+  server = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    cwd: path.join(__dirname, '..'),
+    env: {
+      ...process.env,
+      DB_PATH: ':memory:',
+      AGENT_TYPE: 'mock',
+      HOST: '127.0.0.1',
+      API_PORT: String(apiPort),
+      PORT: String(wsPort),
+      MCP_ENABLED: 'false',
+      // Not a file: no external MCP servers, whatever mcp-servers.json holds
+      MCP_SERVERS_CONFIG: path.join(__dirname, 'fixtures', 'no-mcp-servers.json'),
+      TOOL_PLUGINS_WATCH: 'false',
+      LOG_LEVEL: 'silent'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  // Ready once the agent is initialized (the API server listens before that)
+  await new Promise((resolve, reject) => {
+    let output = '';
+    server.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('Agent initialized')) resolve();
+    });
+    server.once('exit', code => reject(new Error(`server.js exited with code ${code}: ${output}`)));
+  });
+});
+
+after(() => {
+  server.kill();
+});
+
+test('creating a conversation refuses a body that is not a JSON object', async () => {
+  for (const body of ['{"title":', 'null', '42', '"x"', '[]']) {
+    const { status, body: response } = await request('POST', '/api/conversations', body);
+    assert.strictEqual(status, 400, body);
+    assert.ok(response.error, body);
+  }
+
+  const { status, body: response } = await request('POST', '/api/conversations', '{"title":"Still up"}');
+  assert.strictEqual(status, 201);
+  assert.strictEqual(response.conversation.title, 'Still up');
+});
+
+test('updating a conversation refuses a body that is not a JSON object', async () => {
+  const { body: { conversation } } = await request('POST', '/api/conversations', '{"title":"Before"}');
+
+  for (const body of ['{bad', 'null', '42', '"x"', '[]']) {
+    const { status, body: response } = await request('PUT', `/api/conversations/${conversation.id}`, body);
+    assert.strictEqual(status, 400, body);
+    assert.ok(response.error, body);
+  }
+  assert.match((await request('PUT', `/api/conversations/${conversation.id}`, 'null')).body.error, /must be a JSON object/);
+
+  const updated = await request('PUT', `/api/conversations/${conversation.id}`, '{"title":"After"}');
+  assert.strictEqual(updated.status, 200);
+  assert.strictEqual(updated.body.conversation.title, 'After');
+  assert.strictEqual((await request('PUT', '/api/conversations/conv_missing', '{"title":"After"}')).status, 404);
+});
@@ -0,0 +1,353 @@
+/**
+ * Storage tests - the database API behaves the same on every store
+ *
+ * Each scenario runs through db.js against SQLite (:memory:), the in-memory store and
+ * PostgreSQL (pg-mem).
+ *
+ * Run: npm test
+ */
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { newDb } = require('pg-mem');
+const db = require('../database/db');
+const { createStore } = require('../database/stores');
+const { migratePostgres } = require('../database/stores/postgres-store');
+
+const STORES = {
+  sqlite: () => createStore({ type: 'sqlite', filename: ':memory:' }),
+  memory: () => createStore({ type: 'memory' }),
+  postgres: () => createStore({ type: 'postgres', pool: pgMemPool() })
+};
+
+/**
+ * pg-mem pool; pg-mem can't parse LIKE's ESCAPE clause, so it's left out (pg-mem doesn't escape)
+ */
+function pgMemPool() {
+  const pool = new (newDb().adapters.createPg().Pool)();
+  const query = pool.query.bind(pool);
+  pool.query = (sql, ...args) => query(sql.replace(/ ESCAPE '\\'/g, ''), ...args);
+  return pool;
+}
+
+afterEach(async () => {
+  await db.closeDatabase();
+});
+
+/**
+ * Register one test per store
+ */
+function storageTest(name, scenario) {
+  for (const [type, create] of Object.entries(STORES)) {
+    test(`${name} (${type})`, async () => {
+      await db.initializeDatabase({ store: create() });
+      await scenario();
+    });
+  }
+}
+
+storageTest('messages and tool executions update the conversation counters', async () => {
+  const conversation = await db.createConversation('Counters', { provider: 'mock' });
+  assert.strictEqual(conversation.message_count, 0);
+  assert.strictEqual(conversation.age_hours, 0);
+  assert.deepStrictEqual(conversation.metadata, { provider: 'mock' });
+
+  await db.addMessage(conversation.id, 'user', 'What is 2 + 3?');
+  const reply = await db.addMessage(conversation.id, 'assistant', '5', {
+    usage: { inputTokens: 100, outputTokens: 10, cacheReadTokens: 20 },
+    cost: 0.25,
+    metadata: { provider: 'mock', model: 'mock-model' }
+  });
+
+  // Parallel tool calls record their executions concurrently
+  await Promise.all([1, 2, 3].map(i =>
+    db.addToolExecution(reply.id, conversation.id, 'add', { i }, { result: i }, { toolUseId: `toolu_${i}`, durationMs: i })
+  ));
+  await db.addMessage(conversation.id, 'user', 'Thanks');
+
+  const updated = await db.getConversation(conversation.id);
+  assert.strictEqual(updated.message_count, 3);
+  assert.strictEqual(updated.tool_execution_count, 3);
+  // The measured turn replaced the running size, the estimate for 'Thanks' was added to it
+  assert.strictEqual(updated.token_count, 130 + db.estimateTokens('Thanks'));
+  assert.strictEqual(updated.input_token_count, 100);
+  assert.strictEqual(updated.output_token_count, 10);
+  assert.strictEqual(updated.cache_read_token_count, 20);
+  assert.strictEqual(updated.estimated_cost, 0.25);
+
+  const messages = await db.getMessages(conversation.id);
+  assert.deepStrictEqual(messages.map(message => [message.seq, message.role]), [[1, 'user'], [2, 'assistant'], [3, 'user']]);
+  assert.deepStrictEqual(messages[1].metadata, { provider: 'mock', model: 'mock-model' });
+  assert.strictEqual(messages[1].cost, 0.25);
+  assert.deepStrictEqual(
+    messages[1].tool_executions.map(tool => [tool.tool_use_id, tool.tool_input, tool.tool_output, tool.success, tool.status]).sort(),
+    [1, 2, 3].map(i => [`toolu_${i}`, { i }, { result: i }, 1, 'success'])
+  );
+  assert.deepStrictEqual(messages[0].tool_executions, []);
+
+  const tools = await db.getToolExecutionsForMessage(reply.id);
+  assert.strictEqual(tools.length, 3);
+  assert.deepStrictEqual(await db.getToolExecution(tools[0].id), tools[0]);
+});
+
+storageTest('conversations are listed by last update, and deleted with their messages', async () => {
+  const first = await db.createConversation('First');
+  const second = await db.createConversation('Second');
+  await db.updateConversationTitle(first.id, 'First, renamed');
+  await db.updateConversationMetadata(first.id, { tags: ['a'], provider: 'mock' });
+  await db.updateConversationMetadata(first.id, { provider: null });
+
+  const listed = await db.getAllConversations();
+  assert.deepStrictEqual(listed.map(conversation => conversation.title).sort(), ['First, renamed', 'Second']);
+  assert.deepStrictEqual(listed.find(conversation => conversation.id === first.id).metadata, { tags: ['a'] });
+  assert.strictEqual((await db.getAllConversations(1)).length, 1);
+
+  const message = await db.addMessage(second.id, 'assistant', 'Hi');
+  await db.addToolExecution(message.id, second.id, 'echo', {}, 'hi');
+  await db.updateMessage(message.id, { stopped: true, metadata: { stopReason: 'user_requested' } });
+  assert.strictEqual((await db.getMessage(message.id)).stopped, 1);
+
+  assert.strictEqual(await db.deleteConversation(second.id), true);
+  assert.strictEqual(await db.deleteConversation(second.id), false);
+  assert.strictEqual(await db.getConversation(second.id), null);
+  assert.strictEqual(await db.getMessage(message.id), null);
+  assert.deepStrictEqual(await db.getToolExecutionsForMessage(message.id), []);
+  assert.deepStrictEqual((await db.getAllConversations()).map(conversation => conversation.id), [first.id]);
+});
+
+storageTest('summaries limit the context and keep the conversation counts right', async () => {
+  const conversation = await db.createConversation('Summaries');
+  const messages = [];
+  for (let i = 1; i <= 6; i++) {
+    messages.push(await db.addMessage(conversation.id, i % 2 ? 'user' : 'assistant', `message ${i}`));
+  }
+
+  await db.addConversationSummary(conversation.id, 'Counting.', 4, 2, { firstKeptMessageId: messages[4].id, trigger: 'auto' });
+  const context = await db.getMessagesForContext(conversation.id);
+  assert.deepStrictEqual(context.map(message => message.content), [
+    '[Conversation Summary - 4 messages]\n\nCounting.', 'message 5', 'message 6'
+  ]);
+  assert.strictEqual(context[0].is_summary, 1);
+  assert.strictEqual(context[0].summarizes_count, 4);
+
+  await db.updateConversationTokenCount(conversation.id, 42);
+  assert.strictEqual((await db.getConversation(conversation.id)).token_count, 42);
+
+  // Summarizing keeps every message
+  const exported = await db.exportConversationJSON(conversation.id);
+  assert.strictEqual(exported.statistics.messageCount, 7);
+  assert.strictEqual(exported.statistics.ageHours, 0);
+});
+
+storageTest('messages are added below the active branch', async () => {
+  const conversation = await db.createConversation('Branches');
+  const question = await db.addMessage(conversation.id, 'user', 'Hi');
+  const reply = await db.addMessage(conversation.id, 'assistant', 'Hello');
+  assert.strictEqual(question.parent_id, null);
+  assert.strictEqual(reply.parent_id, question.id);
+
+  const edited = await db.addMessage(conversation.id, 'user', 'Hey', { parentId: null });
+  assert.strictEqual((await db.getConversation(conversation.id)).active_leaf_id, edited.id);
+  assert.deepStrictEqual((await db.getBranchMessages(conversation.id)).map(message => message.content), ['Hey']);
+
+  await db.setActiveLeaf(conversation.id, reply.id);
+  const branch = await db.getBranchMessages(conversation.id);
+  assert.deepStrictEqual(branch.map(message => message.content), ['Hi', 'Hello']);
+  assert.deepStrictEqual(branch[0].branch, { index: 1, count: 2, siblingIds: [question.id, edited.id] });
+  assert.deepStrictEqual((await db.getMessagesForContext(conversation.id)).map(message => message.content), ['Hi', 'Hello']);
+});
+
+storageTest('a fork copies the branch, its tool executions and its summary under new ids', async () => {
+  const source = await db.createConversation('Maths', { provider: 'mock', enabledTools: ['add'] });
+  const messages = [];
+  for (let i = 1; i <= 4; i++) {
+    messages.push(await db.addMessage(source.id, i % 2 ? 'user' : 'assistant', `message ${i}`, {
+      usage: i % 2 ? null : { inputTokens: 10 * i, outputTokens: i },
+      cost: i % 2 ? null : 0.5
+    }));
+  }
+  await db.addToolExecution(messages[1].id, source.id, 'add', { param1: 2, param2: 3 }, 5, { toolUseId: 'toolu_1' });
+  const summary = await db.addConversationSummary(source.id, 'Counting.', 2, 2, { firstKeptMessageId: messages[2].id, trigger: 'auto' });
+  const later = await db.addMessage(source.id, 'user', 'message 5');
+
+  const fork = await db.forkConversation(source.id, { atMessageId: summary.summaryMessageId });
+  assert.strictEqual(fork.title, 'Maths (fork)');
+  assert.strictEqual(fork.metadata.forkedFrom.conversationId, source.id);
+  assert.strictEqual(fork.metadata.forkedFrom.messageId, summary.summaryMessageId);
+  assert.deepStrictEqual(fork.metadata.enabledTools, ['add']);
+  assert.strictEqual(fork.message_count, 5);
+  assert.strictEqual(fork.tool_execution_count, 1);
+  assert.strictEqual(fork.input_token_count, 60);
+  assert.strictEqual(fork.estimated_cost, 1);
+
+  const copied = await db.getBranchMessages(fork.id);
+  assert.deepStrictEqual(copied.map(message => message.content), [
+    'message 1', 'message 2', 'message 3', 'message 4', '[Conversation Summary - 2 messages]\n\nCounting.'
+  ]);
+  assert.ok(copied.every(message => !messages.some(original => original.id === message.id)));
+  assert.strictEqual(copied[1].tool_executions[0].tool_use_id, 'toolu_1');
+  assert.strictEqual(copied[4].metadata.firstKeptMessageId, copied[2].id);
+  assert.strictEqual(fork.active_leaf_id, copied[4].id);
+
+  // The fork's context starts from the copied summary, like the source's did
+  assert.deepStrictEqual(
+    (await db.getMessagesForContext(fork.id)).map(message => message.content),
+    ['[Conversation Summary - 2 messages]\n\nCounting.', 'message 3', 'message 4']
+  );
+
+  // The source is unchanged
+  assert.strictEqual((await db.getConversation(source.id)).active_leaf_id, later.id);
+  assert.strictEqual((await db.getMessages(source.id)).length, 6);
+
+  const whole = await db.forkConversation(source.id, { title: 'Everything' });
+  assert.strictEqual(whole.title, 'Everything');
+  assert.strictEqual(whole.message_count, 6);
+
+  await assert.rejects(db.forkConversation(source.id, { atMessageId: 'msg_missing' }), /not a message of this conversation/);
+  assert.strictEqual(await db.forkConversation('conv_missing'), null);
+});
+
+storageTest('conversations and branches are read a page at a time', async () => {
+  // Created within the same second, so the pages are ordered by id
+  const created = [];
+  for (let i = 1; i <= 5; i++) {
+    created.push((await db.createConversation(`Conversation ${i}`)).id);
+  }
+  const expected = (await db.getAllConversations()).map(conversation => conversation.id);
+  assert.deepStrictEqual([...expected].sort(), [...created].sort());
+
+  const listed = [];
+  let cursor = null;
+  do {
+    const page = await db.getConversationsPage({ limit: 2, cursor });
+    assert.ok(page.conversations.length <= 2);
+    listed.push(...page.conversations.map(conversation => conversation.id));
+    cursor = page.nextCursor;
+  } while (cursor);
+  assert.deepStrictEqual(listed, expected);
+  await assert.rejects(db.getConversationsPage({ cursor: 'nonsense' }), /Invalid cursor/);
+
+  const conversationId = created[0];
+  const messages = [];
+  for (let i = 1; i <= 5; i++) {
+    messages.push(await db.addMessage(conversationId, i % 2 ? 'user' : 'assistant', `message ${i}`));
+  }
+  await db.addToolExecution(messages[1].id, conversationId, 'add', { param1: 2, param2: 3 }, 5);
+  const edited = await db.addMessage(conversationId, 'user', 'message 5 again', { parentId: messages[3].id });
+
+  const newest = await db.getBranchPage(conversationId, { limit: 2 });
+  assert.deepStrictEqual(newest.messages.map(message => message.content), ['message 4', 'message 5 again']);
+  assert.strictEqual(newest.messages[1].branch.count, 2);
+  assert.strictEqual(newest.nextCursor, messages[3].id);
+
+  const older = await db.getBranchPage(conversationId, { before: newest.nextCursor, limit: 2 });
+  assert.deepStrictEqual(older.messages.map(message => message.content), ['message 2', 'message 3']);
+  assert.strictEqual(older.messages[0].tool_executions[0].tool_output, 5);
+
+  // A page walks the message tree and loads only its own messages and their tool executions
+  const store = await db.initializeDatabase();
+  const calls = [];
+  for (const method of ['getConversation', 'listMessageTree', 'listMessages', 'getMessage', 'listToolExecutions']) {
+    const original = store[method];
+    store[method] = (...args) => {
+      calls.push([method, ...args.filter(arg => typeof arg === 'object')]);
+      return original.apply(store, args);
+    };
+  }
+  const oldest = await db.getBranchPage(conversationId, { before: older.nextCursor, limit: 2 });
+  assert.deepStrictEqual(calls, [
+    ['getConversation'],
+    ['listMessageTree'],
+    ['listMessages', { ids: [messages[0].id] }],
+    ['listToolExecutions', { messageIds: [messages[0].id] }]
+  ]);
+  assert.deepStrictEqual(oldest.messages.map(message => message.content), ['message 1']);
+  assert.strictEqual(oldest.nextCursor, null);
+
+  // Only messages of the active branch continue it
+  assert.strictEqual(edited.parent_id, messages[3].id);
+  await assert.rejects(db.getBranchPage(conversationId, { before: messages[4].id }), /not a message of the active branch/);
+  assert.strictEqual(await db.getBranchPage('conv_missing'), null);
+});
+
+storageTest('search finds messages, titles and tool calls, and forgets deleted ones', async () => {
+  const budget = await db.createConversation('Household budget');
+  const question = await db.addMessage(budget.id, 'user', 'Please multiply the grocery total by twelve');
+  const reply = await db.addMessage(budget.id, 'assistant', 'The yearly grocery total is 4,800.');
+  await db.addToolExecution(reply.id, budget.id, 'multiply', { param1: 400, param2: 12 }, 4800);
+  const other = await db.createConversation('Other');
+  await db.addMessage(other.id, 'user', 'Grocery lists are boring');
+
+  const hits = await db.searchConversations('grocery total');
+  assert.deepStrictEqual(hits.map(hit => [hit.type, hit.messageId]).sort(), [['message', question.id], ['message', reply.id]].sort());
+  const hit = hits.find(entry => entry.messageId === question.id);
+  assert.strictEqual(hit.conversationId, budget.id);
+  assert.strictEqual(hit.conversationTitle, 'Household budget');
+  assert.strictEqual(hit.role, 'user');
+  assert.deepStrictEqual(hit.highlights.map(([start, end]) => hit.snippet.slice(start, end).toLowerCase()), ['grocery', 'total']);
+
+  // Words match from their start, in any case
+  const tool = await db.searchConversations('MULTIPL 4800');
+  assert.deepStrictEqual(tool.map(entry => [entry.type, entry.messageId]), [['tool', reply.id]]);
+  assert.ok(tool[0].toolExecutionId);
+
+  await db.updateConversationTitle(other.id, 'Shopping notes');
+  assert.deepStrictEqual((await db.searchConversations('shopping')).map(entry => [entry.type, entry.conversationId]), [['title', other.id]]);
+  assert.deepStrictEqual(await db.searchConversations('other'), []);
+  assert.deepStrictEqual(await db.searchConversations(' "" - '), []);
+  assert.strictEqual((await db.searchConversations('grocery', { limit: 1 })).length, 1);
+
+  await db.deleteConversation(budget.id);
+  assert.deepStrictEqual((await db.searchConversations('grocery')).map(entry => entry.conversationId), [other.id]);
+  assert.deepStrictEqual(await db.searchConversations('multiply'), []);
+});
+
+test('SQLite search ignores accents', async () => {
+  await db.initializeDatabase({ store: STORES.sqlite() });
+  const conversation = await db.createConversation('Café receipts');
+  const message = await db.addMessage(conversation.id, 'user', 'Résumé of the café visit');
+
+  const hits = await db.searchConversations('resume CAF');
+  assert.deepStrictEqual(hits.map(hit => [hit.type, hit.messageId]), [['message', message.id]]);
+  assert.deepStrictEqual(hits[0].highlights.map(([start, end]) => hits[0].snippet.slice(start, end)), ['Résumé', 'café']);
+  assert.deepStrictEqual((await db.searchConversations('receipt')).map(hit => hit.type), ['title']);
+});
+
+test('PostgreSQL search matches %, _ and \\ in a term literally', async () => {
+  const pool = pgMemPool();
+  const store = createStore({ type: 'postgres', pool });
+  await store.open();
+
+  // Checked on the query: pg-mem doesn't escape LIKE patterns
+  const queries = [];
+  const query = pool.query;
+  pool.query = (sql, params) => {
+    queries.push({ sql, params });
+    return query(sql, params);
+  };
+  await store.search(['50%', 'a_b', 'c\\d']);
+  assert.strictEqual(queries.length, 3);
+  for (const { sql, params } of queries) {
+    assert.strictEqual(sql.match(/ILIKE \$\d ESCAPE '\\'/g).length, 3);
+    assert.deepStrictEqual(params, ['%50\\%%', '%a\\_b%', '%c\\\\d%', 100]);
+  }
+});
+
+test('a PostgreSQL database from a newer server is refused', async () => {
+  const pool = new (newDb().adapters.createPg().Pool)();
+  const store = createStore({ type: 'postgres', pool });
+  await store.open();
+  await pool.query(`INSERT INTO schema_migrations (version, name, applied_at) VALUES (7, 'from_the_future', '')`);
+
+  await assert.rejects(migratePostgres(pool), /schema is at version 7, newer than this server knows \(2\)/);
+  await assert.rejects(createStore({ type: 'postgres', pool }).open(), /newer than this server knows/);
+  await store.close();
+});
+
+test('unknown storage types and columns are rejected', async () => {
+  assert.throws(() => createStore({ type: 'mongo' }), /Unknown storage: mongo/);
+
+  const store = createStore({ type: 'memory' });
+  await store.open();
+  await assert.rejects(store.insertConversation({ id: 'conv_1', 'title; DROP TABLE x': 'x' }), /Unknown conversations column/);
+});
@@ -0,0 +1,138 @@
+/**
+ * Tool access tests - per-conversation enabled tools and tool choice
+ *
+ * Run: npm test
+ */
+
+process.env.DB_PATH = ':memory:';
+process.env.AGENT_TYPE = 'mock';
+
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const WebSocket = require('ws');
+const agent = require('../agent-core');
+const db = require('../database/db');
+const executorRegistry = require('../executor-registry');
+const mockProvider = require('../providers/mock-provider');
+const { normalizeToolChoice, resolveToolChoice } = require('../tool-access');
+
+/**
+ * Fake client socket: records events and answers math commands
+ */
+function createClient() {
+  const ws = {
+    readyState: WebSocket.OPEN,
+    events: [],
+    send(raw) {
+      const message = JSON.parse(raw);
+      if (message.type === 'command') {
+        const { param1, param2 } = message.params;
+        setImmediate(() => agent.handleWebSocketResponse({
+          type: 'response',
+          correlationId: message.correlationId,
+          success: true,
+          result: message.command === 'add' ? param1 + param2 : param1 - param2
+        }, ws));
+      } else {
+        ws.events.push(message);
+      }
+    },
+    eventsOfType(type) {
+      return ws.events.filter(event => event.type === type);
+    }
+  };
+
+  executorRegistry.registerExecutor(ws, ['add', 'subtract']);
+  return ws;
+}
+
+before(async () => {
+  await agent.initializeClient();
+});
+
+afterEach(() => {
+  delete process.env.DEFAULT_ENABLED_TOOLS;
+  delete process.env.DEFAULT_TOOL_CHOICE;
+});
+
+after(async () => {
+  await db.closeDatabase();
+});
+
+test('tool choice parsing and resolution', () => {
+  assert.deepStrictEqual(normalizeToolChoice('auto'), { type: 'auto' });
+  assert.deepStrictEqual(normalizeToolChoice('none'), { type: 'none' });
+  assert.deepStrictEqual(normalizeToolChoice('add'), { type: 'tool', name: 'add' });
+  assert.deepStrictEqual(normalizeToolChoice({ type: 'tool', name: 'add' }), { type: 'tool', name: 'add' });
+  assert.throws(() => normalizeToolChoice({ type: 'any' }), /Invalid tool choice/);
+
+  const metadata = { toolChoice: { type: 'tool', name: 'add' } };
+  const tools = [{ name: 'add' }];
+  assert.deepStrictEqual(resolveToolChoice(metadata, tools), { type: 'tool', name: 'add' });
+  // Not after tool results, and not when the tool isn't offered
+  assert.deepStrictEqual(resolveToolChoice(metadata, tools, true), { type: 'auto' });
+  assert.deepStrictEqual(resolveToolChoice(metadata, []), { type: 'auto' });
+});
+
+test('new conversations take the tool defaults from server config', async () => {
+  process.env.DEFAULT_ENABLED_TOOLS = 'add, subtract';
+  process.env.DEFAULT_TOOL_CHOICE = 'none';
+
+  const conversation = await agent.createConversation('Defaults');
+  assert.deepStrictEqual(conversation.metadata.enabledTools, ['add', 'subtract']);
+  assert.deepStrictEqual(conversation.metadata.toolChoice, { type: 'none' });
+
+  // Explicit settings win over the defaults
+  const custom = await agent.createConversation('Custom', { enabledTools: null, toolChoice: 'auto' });
+  assert.strictEqual(custom.metadata.enabledTools, undefined);
+  assert.deepStrictEqual(custom.metadata.toolChoice, { type: 'auto' });
+});
+
+test('only enabled tools are offered and a forced tool applies to the first request', async () => {
+  const conversation = await agent.createConversation('Restricted');
+  await agent.setConversationTools(conversation.id, { enabledTools: ['add'], toolChoice: 'add' });
+
+  mockProvider.loadScript({
+    turns: [
+      { toolCalls: [{ id: 'toolu_add', name: 'add', input: { param1: 1, param2: 2 } }] },
+      { text: '3' }
+    ]
+  });
+  await agent.handleStreamingChat('Add 1 and 2', createClient(), conversation.id);
+
+  const [first, second] = mockProvider.requests.slice(-2);
+  assert.deepStrictEqual(first.tools.map(tool => tool.name), ['add']);
+  assert.deepStrictEqual(first.toolChoice, { type: 'tool', name: 'add' });
+  assert.deepStrictEqual(second.toolChoice, { type: 'auto' });
+});
+
+test('calls to disabled tools are rejected and returned to the model as errors', async () => {
+  const conversation = await agent.createConversation('Add only', { enabledTools: ['add'] });
+  const ws = createClient();
+
+  mockProvider.loadScript({
+    turns: [
+      { toolCalls: [{ id: 'toolu_sub', name: 'subtract', input: { param1: 5, param2: 2 } }] },
+      { text: 'I cannot subtract here.' }
+    ]
+  });
+  await agent.handleStreamingChat('What is 5 - 2?', ws, conversation.id);
+
+  const [toolResult] = ws.eventsOfType('llm_tool_result');
+  assert.strictEqual(toolResult.status, 'disabled');
+
+  const toolMessage = mockProvider.requests.at(-1).messages.at(-1);
+  assert.strictEqual(toolMessage.isError, true);
+  assert.match(toolMessage.content, /subtract is disabled in this conversation/);
+
+  const messages = await db.getMessages(conversation.id);
+  assert.strictEqual(messages[1].tool_executions[0].status, 'disabled');
+});
+
+test('forcing a disabled or unknown tool is rejected', async () => {
+  const conversation = await agent.createConversation('Invalid', { enabledTools: ['add'] });
+
+  await assert.rejects(agent.setConversationTools(conversation.id, { toolChoice: 'subtract' }), /disabled in this conversation/);
+  await assert.rejects(agent.setConversationTools(conversation.id, { toolChoice: 'nope' }), /Unknown tool: nope/);
+  await assert.rejects(agent.setConversationTools(conversation.id, { enabledTools: 'add' }), /array of tool names/);
+});
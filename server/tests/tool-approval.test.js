@@ -0,0 +1,201 @@
+/**
+ * Tool approval tests - approve, edit and deny decisions from the client
+ *
+ * Run: npm test
+ */
+
+process.env.DB_PATH = ':memory:';
+process.env.AGENT_TYPE = 'mock';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const WebSocket = require('ws');
+const { z } = require('zod');
+const agent = require('../agent-core');
+const db = require('../database/db');
+const mockProvider = require('../providers/mock-provider');
+const localToolDefinitions = require('../tools-definitions/imports');
+const { requiresApproval } = require('../tool-approval');
+const mcpServer = require('../mcp-server');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
+
+const deleted = [];
+
+// Server-side test tool: small deletes run freely, large ones need approval
+localToolDefinitions.push({
+  name: 'delete_rows',
+  description: 'Delete rows from the sheet',
+  parameters: z.object({
+    count: z.number().int().min(1)
+  }),
+  approval: { when: (input) => input.count > 10 },
+  function: async ({ toolInput }) => {
+    const { count } = toolInput;
+    deleted.push(count);
+    return `Deleted ${count} rows`;
+  }
+});
+
+/**
+ * Fake client socket: answers approval requests with a fixed decision
+ */
+function createClient(answer) {
+  const ws = {
+    readyState: WebSocket.OPEN,
+    events: [],
+    send(raw) {
+      const message = JSON.parse(raw);
+      ws.events.push(message);
+      if (message.type === 'llm_tool_approval_request') {
+        setImmediate(() => agent.handleToolApproval({ approvalId: message.approvalId, ...answer }, ws));
+      }
+    },
+    eventsOfType(type) {
+      return ws.events.filter(event => event.type === type);
+    }
+  };
+  return ws;
+}
+
+/**
+ * Run one turn in which the model calls delete_rows
+ */
+async function runDeleteTurn(ws, count) {
+  mockProvider.loadScript({
+    turns: [
+      { toolCalls: [{ id: 'toolu_delete', name: 'delete_rows', input: { count } }] },
+      { text: 'Done.' }
+    ]
+  });
+  const result = await agent.handleStreamingChat('Delete some rows', ws, null);
+  assert.strictEqual(result.success, true);
+  return result;
+}
+
+before(async () => {
+  await agent.initializeClient();
+});
+
+after(async () => {
+  await db.closeDatabase();
+});
+
+test('approval policies', () => {
+  assert.strictEqual(requiresApproval({ name: 'a' }, {}), false);
+  assert.strictEqual(requiresApproval({ name: 'a', approval: 'never' }, {}), false);
+  assert.strictEqual(requiresApproval({ name: 'a', approval: 'always' }, {}), true);
+
+  const toolDef = localToolDefinitions.find(tool => tool.name === 'delete_rows');
+  assert.strictEqual(requiresApproval(toolDef, { count: 5 }), false);
+  assert.strictEqual(requiresApproval(toolDef, { count: 50 }), true);
+
+  // A predicate that throws fails closed
+  const broken = { name: 'broken', approval: { when: () => { throw new Error('boom'); } } };
+  assert.strictEqual(requiresApproval(broken, {}), true);
+});
+
+test('calls that do not match the predicate run without asking', async () => {
+  const ws = createClient({ decision: 'deny' });
+  deleted.length = 0;
+
+  await runDeleteTurn(ws, 3);
+
+  assert.strictEqual(ws.eventsOfType('llm_tool_approval_request').length, 0);
+  assert.deepStrictEqual(deleted, [3]);
+});
+
+test('an approved call runs with the original input', async () => {
+  const ws = createClient({ decision: 'approve' });
+  deleted.length = 0;
+
+  await runDeleteTurn(ws, 50);
+
+  const [request] = ws.eventsOfType('llm_tool_approval_request');
+  assert.strictEqual(request.toolUseId, 'toolu_delete');
+  assert.deepStrictEqual(request.toolInput, { count: 50 });
+  assert.deepStrictEqual(deleted, [50]);
+  assert.strictEqual(ws.eventsOfType('llm_tool_result')[0].toolOutput, 'Deleted 50 rows');
+});
+
+test('an edited call runs with the edited input', async () => {
+  const ws = createClient({ decision: 'edit', input: { count: 20 } });
+  deleted.length = 0;
+
+  const result = await runDeleteTurn(ws, 50);
+
+  assert.deepStrictEqual(deleted, [20]);
+  const messages = await db.getMessages(result.conversationId);
+  assert.deepStrictEqual(messages[1].tool_executions[0].tool_input, { count: 20 });
+});
+
+test('an edit that breaks the schema is returned as a validation error', async () => {
+  const ws = createClient({ decision: 'edit', input: { count: 0 } });
+  deleted.length = 0;
+
+  await runDeleteTurn(ws, 50);
+
+  assert.deepStrictEqual(deleted, []);
+  const [toolResult] = ws.eventsOfType('llm_tool_result');
+  assert.strictEqual(toolResult.status, 'validation_error');
+});
+
+test('a denied call is returned to the model as a tool error and recorded', async () => {
+  const ws = createClient({ decision: 'deny', reason: 'too many rows' });
+  deleted.length = 0;
+
+  const result = await runDeleteTurn(ws, 50);
+
+  assert.deepStrictEqual(deleted, []);
+  const [toolResult] = ws.eventsOfType('llm_tool_result');
+  assert.strictEqual(toolResult.status, 'denied');
+
+  const toolMessage = mockProvider.requests[1].messages.at(-1);
+  assert.strictEqual(toolMessage.role, 'tool');
+  assert.strictEqual(toolMessage.isError, true);
+  assert.match(toolMessage.content, /The user denied this delete_rows call: too many rows/);
+
+  const messages = await db.getMessages(result.conversationId);
+  assert.strictEqual(messages[1].tool_executions[0].status, 'denied');
+});
+
+test('invalid decisions are rejected and only the asked client may answer', async () => {
+  const other = createClient({});
+  const ws = {
+    readyState: WebSocket.OPEN,
+    send(raw) {
+      const message = JSON.parse(raw);
+      if (message.type !== 'llm_tool_approval_request') return;
+
+      assert.throws(() => agent.handleToolApproval({ approvalId: message.approvalId, decision: 'maybe' }, ws), /Invalid approval decision/);
+      assert.throws(() => agent.handleToolApproval({ approvalId: message.approvalId, decision: 'edit' }, ws), /edited input/);
+      assert.strictEqual(agent.handleToolApproval({ approvalId: message.approvalId, decision: 'approve' }, other), false);
+      setImmediate(() => agent.handleClientDisconnect(ws));
+    }
+  };
+
+  await assert.rejects(
+    agent.executeTool('delete_rows', { count: 50 }, null, null, 'toolu_x', { ws }),
+    (error) => error.status === 'denied' && /Client disconnected/.test(error.message)
+  );
+});
+
+test('calls that need approval are refused when there is no client to ask, e.g. over MCP', async () => {
+  const server = await mcpServer.startMcpServer(agent, { port: 0, host: '127.0.0.1' });
+  const client = new Client({ name: 'tool-approval-test', version: '1.0.0' });
+  try {
+    await client.connect(new StreamableHTTPClientTransport(new URL(`http://127.0.0.1:${server.address().port}/mcp`)));
+    deleted.length = 0;
+
+    const refused = await client.callTool({ name: 'delete_rows', arguments: { count: 50 } });
+    assert.strictEqual(refused.isError, true);
+    assert.match(refused.content[0].text, /delete_rows needs the user's approval, and there is no client to ask/);
+
+    const small = await client.callTool({ name: 'delete_rows', arguments: { count: 5 } });
+    assert.strictEqual(small.content[0].text, 'Deleted 5 rows');
+    assert.deepStrictEqual(deleted, [5]);
+  } finally {
+    await client.close();
+    await mcpServer.stopMcpServer();
+  }
+});
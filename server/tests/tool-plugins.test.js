@@ -0,0 +1,141 @@
+/**
+ * Tool plugin tests - validation, loading and hot reload of the plugins directory
+ *
+ * Run: npm test
+ */
+
+process.env.DB_PATH = ':memory:';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { z } = require('zod');
+const agent = require('../agent-core');
+const db = require('../database/db');
+const { getToolDefinition } = require('../tools');
+const toolPlugins = require('../tool-plugins');
+
+const pluginsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'anymcp-plugins-'));
+
+/**
+ * Plugin source exporting a server-side tool that echoes its input
+ */
+function echoPlugin(name, description = 'Echo the text back') {
+  return `module.exports = ({ z }) => ({
+  name: '${name}',
+  description: '${description}',
+  parameters: z.object({ text: z.string() }),
+  function: async ({ toolInput }) => '${name}: ' + toolInput.text
+});
+`;
+}
+
+function writePlugin(file, source) {
+  fs.writeFileSync(path.join(pluginsDir, file), source);
+}
+
+/**
+ * Resolve with the next change reported by the watcher
+ */
+function nextChange() {
+  return new Promise(resolve => {
+    toolPlugins.startToolPlugins({ directory: pluginsDir, watch: true, onChange: resolve });
+  });
+}
+
+after(async () => {
+  toolPlugins.stopToolPlugins();
+  fs.rmSync(pluginsDir, { recursive: true, force: true });
+  await db.closeDatabase();
+});
+
+test('definitions are validated', () => {
+  const valid = {
+    name: 'lookup',
+    description: 'Look something up',
+    parameters: z.object({ query: z.string() }),
+    command: 'lookup',
+    messageType: 'query'
+  };
+  assert.deepStrictEqual(toolPlugins.validateToolDefinition(valid), []);
+
+  const problems = (toolDef, taken) => toolPlugins.validateToolDefinition({ ...valid, ...toolDef }, taken).join('; ');
+  assert.match(problems({ name: 'has space' }), /name must be/);
+  assert.match(problems({}, new Set(['lookup'])), /already registered/);
+  assert.match(problems({ description: '' }), /description/);
+  assert.match(problems({ parameters: { type: 'object' } }), /Zod object schema/);
+  assert.match(problems({ messageType: 'event' }), /messageType must be one of/);
+  assert.match(problems({ function: async () => 1 }), /not both/);
+  assert.match(problems({ command: undefined, messageType: undefined }), /function or a command/);
+});
+
+test('loads valid plugins and reports the invalid ones', async () => {
+  writePlugin('echo.js', echoPlugin('plugin_echo'));
+  writePlugin('invalid.js', `module.exports = [{ name: 'no_params', description: 'x', function: () => 1 }];`);
+  writePlugin('duplicate.js', echoPlugin('add'));
+  writePlugin('broken.js', 'module.exports = {');
+  writePlugin('_helper.js', 'throw new Error("helpers are not loaded");');
+
+  const result = toolPlugins.startToolPlugins({ directory: pluginsDir, watch: false });
+  assert.deepStrictEqual(result.tools, ['plugin_echo']);
+  assert.ok(getToolDefinition('plugin_echo'));
+
+  const errors = Object.fromEntries(result.errors.map(error => [error.file, error.error]));
+  assert.deepStrictEqual(Object.keys(errors).sort(), ['broken.js', 'duplicate.js', 'invalid.js']);
+  assert.match(errors['broken.js'], /Failed to load/);
+  assert.match(errors['duplicate.js'], /"add" is already registered/);
+  assert.match(errors['invalid.js'], /Zod object schema/);
+
+  assert.deepStrictEqual(toolPlugins.getPluginsStatus().errors, result.errors);
+
+  // Plugin tools run like any other tool
+  assert.strictEqual(await agent.executeTool('plugin_echo', { text: 'hi' }, null, null), 'plugin_echo: hi');
+
+  for (const file of ['invalid.js', 'duplicate.js', 'broken.js', '_helper.js']) {
+    fs.rmSync(path.join(pluginsDir, file));
+  }
+});
+
+test('reloads on change and keeps the last good version of a broken file', async () => {
+  let change = nextChange();
+  writePlugin('second.js', echoPlugin('plugin_second'));
+  change = await change;
+  assert.deepStrictEqual(change.added, ['plugin_second']);
+  assert.deepStrictEqual(change.tools, ['plugin_echo', 'plugin_second']);
+
+  // A half-written file doesn't take its tools away
+  change = nextChange();
+  writePlugin('second.js', 'module.exports = (');
+  change = await change;
+  assert.deepStrictEqual(change.tools, ['plugin_echo', 'plugin_second']);
+  assert.match(change.errors[0].error, /Failed to load/);
+
+  // Edits are picked up once the file loads again
+  change = nextChange();
+  writePlugin('second.js', echoPlugin('plugin_second', 'Changed description'));
+  change = await change;
+  assert.deepStrictEqual(change.errors, []);
+  assert.strictEqual(getToolDefinition('plugin_second').description, 'Changed description');
+
+  change = nextChange();
+  fs.rmSync(path.join(pluginsDir, 'second.js'));
+  change = await change;
+  assert.deepStrictEqual(change.removed, ['plugin_second']);
+  assert.strictEqual(getToolDefinition('plugin_second'), undefined);
+});
+
+test('a call to a tool removed mid-turn gets a recorded error result', async () => {
+  const conversation = await db.createConversation('Removed tool');
+  const message = await db.addMessage(conversation.id, 'assistant', '[Tool use only]');
+
+  await assert.rejects(
+    agent.executeTool('plugin_gone', {}, conversation.id, message.id, 'toolu_gone'),
+    /Unknown tool: plugin_gone/
+  );
+
+  const [dbMessage] = await db.getMessages(conversation.id);
+  assert.strictEqual(dbMessage.tool_executions[0].tool_use_id, 'toolu_gone');
+  assert.strictEqual(dbMessage.tool_executions[0].status, 'error');
+});
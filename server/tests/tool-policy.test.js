@@ -0,0 +1,135 @@
+/**
+ * Tool execution policy tests - timeout, retries, backoff and cancellation
+ *
+ * Run: npm test
+ */
+
+process.env.DB_PATH = ':memory:';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const WebSocket = require('ws');
+const { z } = require('zod');
+const agent = require('../agent-core');
+const db = require('../database/db');
+const executorRegistry = require('../executor-registry');
+const localToolDefinitions = require('../tools-definitions/imports');
+const { getToolPolicy, getBackoffDelay } = require('../tool-policy');
+
+// Test tools executed by the fake executor below
+localToolDefinitions.push(
+  {
+    name: 'flaky_lookup',
+    description: 'Idempotent lookup that may lose its first response',
+    parameters: z.object({}),
+    command: 'flaky_lookup',
+    messageType: 'query',
+    timeoutMs: 50,
+    retries: 2,
+    backoff: { type: 'fixed', delayMs: 1 },
+    idempotent: true
+  },
+  {
+    name: 'slow_write',
+    description: 'Non-idempotent command that never answers in time',
+    parameters: z.object({}),
+    command: 'slow_write',
+    messageType: 'command',
+    timeoutMs: 50,
+    retries: 2
+  }
+);
+
+/**
+ * Fake executor: drops the first `dropFirst` commands, answers the rest
+ */
+function createExecutor({ dropFirst = 0, neverAnswer = false } = {}) {
+  const ws = {
+    readyState: WebSocket.OPEN,
+    received: [],
+    send(raw) {
+      const message = JSON.parse(raw);
+      ws.received.push(message);
+      if ((message.type === 'command' || message.type === 'query') && !neverAnswer) {
+        const commandCount = ws.received.filter(m => m.type === message.type).length;
+        if (commandCount > dropFirst) {
+          setImmediate(() => agent.handleWebSocketResponse({
+            type: 'response',
+            correlationId: message.correlationId,
+            success: true,
+            result: `attempt ${commandCount}`
+          }, ws));
+        }
+      }
+    }
+  };
+
+  executorRegistry.registerExecutor(ws, ['flaky_lookup', 'slow_write']);
+  return ws;
+}
+
+after(async () => {
+  await db.closeDatabase();
+});
+
+test('policy defaults and backoff delays', () => {
+  const policy = getToolPolicy({ name: 'x' });
+  assert.strictEqual(policy.timeoutMs, 10000);
+  assert.strictEqual(policy.retries, 0);
+  assert.strictEqual(policy.idempotent, false);
+
+  const exponential = { type: 'exponential', delayMs: 100, maxDelayMs: 350 };
+  assert.deepStrictEqual([1, 2, 3, 4].map(attempt => getBackoffDelay(exponential, attempt)), [100, 200, 350, 350]);
+  assert.strictEqual(getBackoffDelay({ type: 'fixed', delayMs: 100, maxDelayMs: 1000 }, 3), 100);
+});
+
+test('idempotent tools are retried after a timeout', async () => {
+  const ws = createExecutor({ dropFirst: 1 });
+
+  const result = await agent.executeTool('flaky_lookup', {}, null, null, null, { ws });
+  assert.strictEqual(result, 'attempt 2');
+
+  // The abandoned first attempt was cancelled on the executor
+  const cancels = ws.received.filter(message => message.type === 'command_cancel');
+  assert.strictEqual(cancels.length, 1);
+  assert.strictEqual(cancels[0].reason, 'timeout');
+  assert.strictEqual(cancels[0].correlationId, ws.received[0].correlationId);
+  executorRegistry.unregisterExecutor(ws);
+});
+
+test('non-idempotent tools are not retried after a timeout', async () => {
+  const ws = createExecutor({ neverAnswer: true });
+
+  await assert.rejects(
+    agent.executeTool('slow_write', {}, null, null, null, { ws }),
+    (error) => error.status === 'timeout' && /Timeout waiting for response to slow_write after 50ms/.test(error.message)
+  );
+  assert.strictEqual(ws.received.filter(message => message.type === 'command').length, 1);
+  executorRegistry.unregisterExecutor(ws);
+});
+
+test('aborting cancels the in-flight call and notifies the executor', async () => {
+  const ws = createExecutor({ neverAnswer: true });
+  const abortController = new AbortController();
+
+  const call = agent.executeTool('flaky_lookup', {}, null, null, null, { ws, signal: abortController.signal });
+  setTimeout(() => abortController.abort(), 10);
+
+  await assert.rejects(call, (error) => error.status === 'cancelled');
+  assert.strictEqual(ws.received.filter(message => message.type === 'query').length, 1, 'no retry after cancel');
+  assert.deepStrictEqual(
+    ws.received.filter(message => message.type === 'command_cancel').map(message => message.reason),
+    ['cancelled']
+  );
+  executorRegistry.unregisterExecutor(ws);
+});
+
+test('a disconnected executor fails its pending calls immediately', async () => {
+  const ws = createExecutor({ neverAnswer: true });
+
+  const call = agent.executeTool('slow_write', {}, null, null, null, { ws });
+  setImmediate(() => agent.handleClientDisconnect(ws));
+
+  await assert.rejects(call, /Executor disconnected before responding/);
+  executorRegistry.unregisterExecutor(ws);
+});
@@ -0,0 +1,94 @@
+/**
+ * Zod to JSON Schema conversion tests
+ *
+ * The converted schemas are compared against snapshots in
+ * tests/snapshots/tool-schemas.json. After an intended change, regenerate with:
+ *   UPDATE_SNAPSHOTS=1 npm test
+ *
+ * Run: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { z } = require('zod');
+const { zodToJsonSchema, toNeutralTools } = require('../tool-schema');
+const localToolDefinitions = require('../tools-definitions/imports');
+
+const SNAPSHOT_PATH = path.join(__dirname, 'snapshots', 'tool-schemas.json');
+const snapshots = fs.existsSync(SNAPSHOT_PATH) ? JSON.parse(fs.readFileSync(SNAPSHOT_PATH, 'utf8')) : {};
+const updatedSnapshots = {};
+
+/**
+ * Compare a value with its stored snapshot (or record it when updating)
+ */
+function matchSnapshot(name, value) {
+  const actual = JSON.parse(JSON.stringify(value));
+
+  if (process.env.UPDATE_SNAPSHOTS) {
+    updatedSnapshots[name] = actual;
+    fs.mkdirSync(path.dirname(SNAPSHOT_PATH), { recursive: true });
+    fs.writeFileSync(SNAPSHOT_PATH, JSON.stringify({ ...snapshots, ...updatedSnapshots }, null, 2) + '\n');
+    return;
+  }
+
+  assert.ok(name in snapshots, `Missing snapshot "${name}" (run with UPDATE_SNAPSHOTS=1)`);
+  assert.deepStrictEqual(actual, snapshots[name]);
+}
+
+// A realistic tool with nested, enum and constrained parameters
+const bookingParameters = z.object({
+  guest: z.object({
+    name: z.string().min(1).max(100).describe('Full name'),
+    email: z.string().email(),
+    age: z.number().int().min(18).optional()
+  }).strict().describe('Who is booking'),
+  roomType: z.enum(['single', 'double', 'suite']).describe('Room type'),
+  nights: z.number().int().positive().max(30).default(1),
+  payment: z.discriminatedUnion('method', [
+    z.object({ method: z.literal('card'), last4: z.string().regex(/^\d{4}$/) }),
+    z.object({ method: z.literal('invoice'), company: z.string() })
+  ]),
+  priority: z.union([z.literal(1), z.literal(2), z.literal(3)]),
+  contact: z.union([z.string(), z.number()]),
+  notes: z.string().nullable().optional(),
+  tags: z.array(z.string()).max(5).optional(),
+  dates: z.tuple([z.string().datetime(), z.string().datetime()]),
+  extras: z.record(z.boolean()),
+  discount: z.number().min(0).lt(1).multipleOf(0.05).describe('Fraction off'),
+  confirmed: z.boolean().default(false),
+  reference: z.string().transform(value => value.toUpperCase()).optional(),
+  metadata: z.any()
+});
+
+test('converts every supported Zod construct', () => {
+  matchSnapshot('booking', zodToJsonSchema(bookingParameters));
+});
+
+test('converts every registered local tool', () => {
+  for (const tool of toNeutralTools(localToolDefinitions)) {
+    matchSnapshot(`tool:${tool.name}`, tool.inputSchema);
+  }
+});
+
+test('optional and defaulted fields are not required', () => {
+  const schema = zodToJsonSchema(bookingParameters);
+  assert.deepStrictEqual(schema.required, [
+    'guest', 'roomType', 'payment', 'priority', 'contact', 'dates', 'extras', 'discount'
+  ]);
+  assert.deepStrictEqual(schema.properties.guest.required, ['name', 'email']);
+});
+
+test('enums, literals and integers keep their types', () => {
+  const schema = zodToJsonSchema(bookingParameters);
+  assert.deepStrictEqual(schema.properties.roomType.enum, ['single', 'double', 'suite']);
+  assert.deepStrictEqual(schema.properties.priority, { type: 'number', enum: [1, 2, 3] });
+  assert.strictEqual(schema.properties.nights.type, 'integer');
+  assert.strictEqual(schema.properties.nights.default, 1);
+  assert.strictEqual(schema.properties.payment.anyOf[0].properties.method.const, 'card');
+});
+
+test('a missing schema means no parameters', () => {
+  assert.deepStrictEqual(zodToJsonSchema(undefined), { type: 'object', properties: {} });
+});
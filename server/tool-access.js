@@ -0,0 +1,119 @@
+/**
+ * Per-conversation tool access: which tools are offered and whether one is forced
+ *
+ * Conversation metadata may carry:
+ * - enabledTools: Names of the tools offered to the model (missing = every tool)
+ * - toolChoice: { type: 'auto' } (default) | { type: 'none' } | { type: 'tool', name }
+ *
+ * New conversations take their defaults from DEFAULT_ENABLED_TOOLS (comma-separated
+ * names, unset = every tool) and DEFAULT_TOOL_CHOICE ('auto', 'none' or a tool name).
+ * A forced tool only applies to the first model request of a user turn, so the
+ * model can answer once it has the tool's result.
+ */
+
+// Load environment variables
+require('dotenv').config();
+
+const TOOL_CHOICE_AUTO = { type: 'auto' };
+
+/**
+ * Parse a tool choice given as a string ('auto', 'none' or a tool name) or an object
+ * @throws {Error} - If the value is not a valid tool choice
+ */
+function normalizeToolChoice(toolChoice) {
+  if (toolChoice === undefined || toolChoice === null || toolChoice === '') {
+    return null;
+  }
+
+  if (typeof toolChoice === 'string') {
+    if (toolChoice === 'auto' || toolChoice === 'none') {
+      return { type: toolChoice };
+    }
+    return { type: 'tool', name: toolChoice };
+  }
+
+  if (toolChoice.type === 'auto' || toolChoice.type === 'none') {
+    return { type: toolChoice.type };
+  }
+
+  if (toolChoice.type === 'tool' && typeof toolChoice.name === 'string' && toolChoice.name) {
+    return { type: 'tool', name: toolChoice.name };
+  }
+
+  throw new Error(`Invalid tool choice: ${JSON.stringify(toolChoice)} (expected auto, none or { type: 'tool', name })`);
+}
+
+/**
+ * Parse an enabled-tools list; null means every tool
+ * @throws {Error} - If the value is not an array of tool names
+ */
+function normalizeEnabledTools(enabledTools) {
+  if (enabledTools === undefined || enabledTools === null) {
+    return null;
+  }
+
+  if (!Array.isArray(enabledTools) || !enabledTools.every(name => typeof name === 'string')) {
+    throw new Error('enabledTools must be an array of tool names');
+  }
+
+  return [...new Set(enabledTools)];
+}
+
+/**
+ * Tool settings for new conversations, from server config
+ * @returns {{ enabledTools: Array|null, toolChoice: Object }}
+ */
+function getDefaultToolSettings() {
+  const enabledTools = process.env.DEFAULT_ENABLED_TOOLS
+    ? process.env.DEFAULT_ENABLED_TOOLS.split(',').map(name => name.trim()).filter(Boolean)
+    : null;
+
+  return {
+    enabledTools,
+    toolChoice: normalizeToolChoice(process.env.DEFAULT_TOOL_CHOICE) || TOOL_CHOICE_AUTO
+  };
+}
+
+/**
+ * Whether a conversation may call a tool
+ * @param {Array|null} enabledTools - The conversation's metadata.enabledTools
+ */
+function isToolEnabled(enabledTools, toolName) {
+  return !Array.isArray(enabledTools) || enabledTools.includes(toolName);
+}
+
+/**
+ * Tool definitions offered to the model in a conversation
+ */
+function filterEnabledTools(toolDefinitions, enabledTools) {
+  return toolDefinitions.filter(toolDef => isToolEnabled(enabledTools, toolDef.name));
+}
+
+/**
+ * Tool choice for one model request
+ * A forced tool that is disabled or no longer registered falls back to auto.
+ * @param {Object} metadata - Conversation metadata
+ * @param {Array} tools - Tools offered in this request
+ * @param {boolean} continuation - Whether this request follows tool results
+ */
+function resolveToolChoice(metadata, tools, continuation = false) {
+  const toolChoice = normalizeToolChoice(metadata && metadata.toolChoice) || TOOL_CHOICE_AUTO;
+
+  if (toolChoice.type === 'tool') {
+    if (continuation || !tools.some(tool => tool.name === toolChoice.name)) {
+      return TOOL_CHOICE_AUTO;
+    }
+  }
+
+  return toolChoice;
+}
+
+module.exports = {
+  TOOL_CHOICE_AUTO,
+  normalizeToolChoice,
+  normalizeEnabledTools,
+  getDefaultToolSettings,
+  isToolEnabled,
+  filterEnabledTools,
+  resolveToolChoice
+};
@@ -0,0 +1,164 @@
+/**
+ * Human-in-the-loop approval for tool calls
+ *
+ * Tool definitions declare an approval policy:
+ * - approval: 'never' (default) - run immediately
+ * - approval: 'always' - every call waits for the user
+ * - approval: { when: (input) => boolean } - wait only when the predicate is true
+ *
+ * A call that needs approval sends `llm_tool_approval_request` to the client
+ * that owns the conversation and waits for a `tool_approval` message:
+ * { approvalId, decision: 'approve' | 'edit' | 'deny', input?, reason? }
+ */
+
+const WebSocket = require('ws');
+
+// Load environment variables
+require('dotenv').config();
+
+// How long to wait for the user before treating the call as denied
+const APPROVAL_TIMEOUT_MS = parseInt(process.env.TOOL_APPROVAL_TIMEOUT_MS) || 5 * 60 * 1000;
+
+const DECISIONS = ['approve', 'edit', 'deny'];
+
+// Pending approvals: approvalId -> { ws, resolve, reject, timeout, cleanup }
+const pendingApprovals = new Map();
+
+/**
+ * Whether a call to this tool with this input must be approved
+ */
+function requiresApproval(toolDef, toolInput) {
+  const { approval = 'never' } = toolDef;
+
+  if (approval === 'always') {
+    return true;
+  }
+
+  if (approval && typeof approval.when === 'function') {
+    try {
+      return !!approval.when(toolInput);
+    } catch (error) {
+      // A broken predicate must not let the call through unchecked
+      console.error(`Approval predicate for ${toolDef.name} failed:`, error.message);
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Generate unique approval ID
+ */
+function generateApprovalId() {
+  return `approval_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Ask the client to approve a tool call and wait for the decision
+ * @param {WebSocket} ws - Client that owns the conversation
+ * @param {Object} request - { conversationId, messageId, toolUseId, toolName, toolInput }
+ * @param {Object} options - { signal, timeoutMs }
+ * @returns {Promise<{ decision: string, input?: Object, reason?: string }>}
+ * @throws {Error} - With code TOOL_CANCELLED if the signal fires first
+ */
+function requestApproval(ws, request, { signal = null, timeoutMs = APPROVAL_TIMEOUT_MS } = {}) {
+  const approvalId = generateApprovalId();
+
+  return new Promise((resolve, reject) => {
+    if (!ws || ws.readyState !== WebSocket.OPEN) {
+      resolve({ decision: 'deny', reason: 'No client connected to approve the call' });
+      return;
+    }
+
+    const cleanup = () => {
+      clearTimeout(timeout);
+      pendingApprovals.delete(approvalId);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    };
+
+    const onAbort = () => {
+      cleanup();
+      const error = new Error(`Tool call ${request.toolName} was cancelled`);
+      error.code = 'TOOL_CANCELLED';
+      reject(error);
+    };
+
+    const timeout = setTimeout(() => {
+      cleanup();
+      resolve({ decision: 'deny', reason: `No approval within ${Math.round(timeoutMs / 1000)}s` });
+    }, timeoutMs);
+
+    if (signal) {
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    pendingApprovals.set(approvalId, {
+      ws,
+      resolve: (decision) => { cleanup(); resolve(decision); }
+    });
+
+    ws.send(JSON.stringify({
+      type: 'llm_tool_approval_request',
+      approvalId,
+      conversationId: request.conversationId,
+      messageId: request.messageId,
+      toolUseId: request.toolUseId,
+      toolName: request.toolName,
+      toolInput: request.toolInput,
+      timestamp: new Date().toISOString()
+    }));
+  });
+}
+
+/**
+ * Handle a `tool_approval` message from a client
+ * @returns {boolean} - Whether it matched a pending approval
+ * @throws {Error} - If the decision is not one of approve / edit / deny
+ */
+function handleApprovalResponse(data, ws = null) {
+  const pending = pendingApprovals.get(data.approvalId);
+
+  // Only the client that was asked may answer
+  if (!pending || (ws && pending.ws !== ws)) {
+    return false;
+  }
+
+  if (!DECISIONS.includes(data.decision)) {
+    throw new Error(`Invalid approval decision: ${data.decision} (expected ${DECISIONS.join(', ')})`);
+  }
+
+  if (data.decision === 'edit' && (!data.input || typeof data.input !== 'object')) {
+    throw new Error('An edit decision needs the edited input object');
+  }
+
+  pending.resolve({
+    decision: data.decision,
+    input: data.decision === 'edit' ? data.input : undefined,
+    reason: data.reason
+  });
+  return true;
+}
+
+/**
+ * Deny everything still waiting on a client that went away
+ */
+function denyApprovalsForSocket(ws) {
+  for (const pending of pendingApprovals.values()) {
+    if (pending.ws === ws) {
+      pending.resolve({ decision: 'deny', reason: 'Client disconnected' });
+    }
+  }
+}
+
+module.exports = {
+  APPROVAL_TIMEOUT_MS,
+  requiresApproval,
+  requestApproval,
+  handleApprovalResponse,
+  denyApprovalsForSocket
+};
@@ -0,0 +1,320 @@
+/**
+ * Tool plugins - loads tool definitions from a directory and reloads them on change
+ *
+ * Every `.js` / `.cjs` file in the plugins directory (TOOL_PLUGINS_DIR, default: plugins/)
+ * is a plugin. Files starting with `_` or `.` are helpers and are not loaded.
+ * A plugin exports one tool definition, an array of them, or `{ toolDefinitions: [...] }`
+ * like the built-in files in tools-definitions/. It may also export a function
+ * `({ z }) => definitions`, so plugins outside the server directory can use the server's zod.
+ *
+ * Each definition is validated before it is registered:
+ * - name: Unique among built-in, plugin and external tools (letters, digits, _ and -)
+ * - description: Non-empty string
+ * - parameters: Zod object schema
+ * - Either `function` (runs on the server) or `command` + `messageType` ('command' | 'query')
+ *
+ * Invalid definitions are skipped and reported on /health. If a file fails to load
+ * (e.g. a syntax error while it is being edited), its last good definitions are kept.
+ * The registry is swapped in one assignment, so streams in progress keep running.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { z } = require('zod');
+const { getLocalToolDefinitions, setPluginToolDefinitions } = require('./tools');
+
+// Load environment variables
+require('dotenv').config();
+
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const MESSAGE_TYPES = ['command', 'query'];
+const PLUGIN_EXTENSIONS = ['.js', '.cjs'];
+
+// Editors write files in several steps; wait for them to settle before reloading
+const RELOAD_DEBOUNCE_MS = 200;
+
+let pluginsDir = null;
+let watcher = null;
+let reloadTimer = null;
+let changeListener = null;
+
+// file -> last good definitions from that file
+let lastGoodDefinitions = new Map();
+
+let status = {
+  directory: null,
+  watching: false,
+  loadedAt: null,
+  tools: [],
+  errors: []
+};
+
+/**
+ * Resolve the plugins directory from the environment (relative to the server directory)
+ */
+function getDefaultPluginsDir() {
+  const dir = process.env.TOOL_PLUGINS_DIR || 'plugins';
+  return path.isAbsolute(dir) ? dir : path.join(__dirname, dir);
+}
+
+/**
+ * Whether a value looks like a Zod object schema
+ * Duck-typed so plugins may bring their own copy of zod.
+ */
+function isZodObject(schema) {
+  return !!(schema && schema._def && schema._def.typeName === 'ZodObject' && typeof schema.safeParse === 'function');
+}
+
+/**
+ * Check a tool definition's shape
+ * @param {Object} toolDef - Definition exported by a plugin
+ * @param {Set} takenNames - Names already registered
+ * @returns {Array<string>} - Problems found (empty if valid)
+ */
+function validateToolDefinition(toolDef, takenNames = new Set()) {
+  if (!toolDef || typeof toolDef !== 'object') {
+    return ['definition must be an object'];
+  }
+
+  const problems = [];
+
+  if (typeof toolDef.name !== 'string' || !TOOL_NAME_PATTERN.test(toolDef.name)) {
+    problems.push('name must be 1-64 letters, digits, "_" or "-"');
+  } else if (takenNames.has(toolDef.name)) {
+    problems.push(`name "${toolDef.name}" is already registered`);
+  }
+
+  if (typeof toolDef.description !== 'string' || !toolDef.description.trim()) {
+    problems.push('description must be a non-empty string');
+  }
+
+  if (!isZodObject(toolDef.parameters)) {
+    problems.push('parameters must be a Zod object schema (z.object({...}))');
+  }
+
+  const hasFunction = toolDef.function !== undefined;
+  const hasCommand = toolDef.command !== undefined || toolDef.messageType !== undefined;
+
+  if (hasFunction && hasCommand) {
+    problems.push('define either function or command/messageType, not both');
+  } else if (hasFunction) {
+    if (typeof toolDef.function !== 'function') {
+      problems.push('function must be a function');
+    }
+  } else if (hasCommand) {
+    if (typeof toolDef.command !== 'string' || !toolDef.command) {
+      problems.push('command must be a non-empty string');
+    }
+    if (!MESSAGE_TYPES.includes(toolDef.messageType)) {
+      problems.push(`messageType must be one of ${MESSAGE_TYPES.join(', ')}`);
+    }
+  } else {
+    problems.push('a function or a command/messageType is required');
+  }
+
+  return problems;
+}
+
+/**
+ * List plugin files in load order
+ */
+function listPluginFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isFile())
+    .map(entry => entry.name)
+    .filter(name => PLUGIN_EXTENSIONS.includes(path.extname(name)) && !name.startsWith('_') && !name.startsWith('.'))
+    .sort();
+}
+
+/**
+ * Forget cached modules from the plugins directory so edits are picked up
+ */
+function clearPluginModuleCache(dir) {
+  const prefix = dir + path.sep;
+  for (const modulePath of Object.keys(require.cache)) {
+    if (modulePath.startsWith(prefix)) {
+      delete require.cache[modulePath];
+    }
+  }
+}
+
+/**
+ * Normalize a plugin module's exports to an array of definitions
+ */
+function getExportedDefinitions(exported) {
+  if (typeof exported === 'function') {
+    exported = exported({ z });
+  }
+  if (Array.isArray(exported)) return exported;
+  if (exported && Array.isArray(exported.toolDefinitions)) return exported.toolDefinitions;
+  return [exported];
+}
+
+/**
+ * Load and validate every plugin in the directory
+ * @param {string} dir - Plugins directory
+ * @returns {{ definitions: Array, errors: Array, lastGood: Map }} - errors are { file, tool, error }
+ */
+function loadPluginDefinitions(dir) {
+  const definitions = [];
+  const errors = [];
+  const nextLastGood = new Map();
+
+  // Built-in tools win over plugins; external MCP tools are namespaced
+  const takenNames = new Set(getLocalToolDefinitions().map(toolDef => toolDef.name));
+
+  if (!fs.existsSync(dir)) {
+    return { definitions, errors, lastGood: nextLastGood };
+  }
+
+  clearPluginModuleCache(dir);
+
+  for (const file of listPluginFiles(dir)) {
+    let exported;
+    try {
+      exported = getExportedDefinitions(require(path.join(dir, file)));
+    } catch (error) {
+      errors.push({ file, tool: null, error: `Failed to load: ${error.message}` });
+      // Keep what worked before until the file loads again
+      exported = lastGoodDefinitions.get(file) || [];
+    }
+
+    const accepted = [];
+    for (const toolDef of exported) {
+      const problems = validateToolDefinition(toolDef, takenNames);
+      if (problems.length > 0) {
+        errors.push({ file, tool: (toolDef && toolDef.name) || null, error: problems.join('; ') });
+        continue;
+      }
+      takenNames.add(toolDef.name);
+      accepted.push(toolDef);
+    }
+
+    nextLastGood.set(file, accepted);
+    definitions.push(...accepted);
+  }
+
+  return { definitions, errors, lastGood: nextLastGood };
+}
+
+/**
+ * Reload the plugins directory and swap the registry
+ * @returns {Object} - Change summary { tools, added, removed, errors }
+ */
+function reloadPlugins() {
+  const previous = new Set(status.tools);
+  const { definitions, errors, lastGood } = loadPluginDefinitions(pluginsDir);
+
+  // One assignment: calls look tools up by name, so nothing sees a half-built registry
+  setPluginToolDefinitions(definitions);
+  lastGoodDefinitions = lastGood;
+
+  const tools = definitions.map(toolDef => toolDef.name);
+  status = {
+    ...status,
+    loadedAt: new Date().toISOString(),
+    tools,
+    errors
+  };
+
+  for (const error of errors) {
+    console.warn(`Tool plugin ${error.file}${error.tool ? ` (${error.tool})` : ''}: ${error.error}`);
+  }
+
+  return {
+    tools,
+    added: tools.filter(name => !previous.has(name)),
+    removed: [...previous].filter(name => !tools.includes(name)),
+    errors
+  };
+}
+
+/**
+ * Reload after the directory settles and tell the listener
+ */
+function scheduleReload() {
+  clearTimeout(reloadTimer);
+  reloadTimer = setTimeout(() => {
+    reloadTimer = null;
+    try {
+      const change = reloadPlugins();
+      console.log(`Tool plugins reloaded (${change.tools.length} tools, ${change.errors.length} errors)`);
+      if (changeListener) changeListener(change);
+    } catch (error) {
+      console.error('Error reloading tool plugins:', error);
+    }
+  }, RELOAD_DEBOUNCE_MS);
+}
+
+/**
+ * Load the plugins directory and optionally watch it
+ * @param {Object} options
+ * @param {string} options.directory - Plugins directory (default: TOOL_PLUGINS_DIR or plugins/)
+ * @param {boolean} options.watch - Reload on change (default: true unless TOOL_PLUGINS_WATCH=false)
+ * @param {Function} options.onChange - Called with { tools, added, removed, errors } after a reload
+ * @returns {Object} - Result of the first load
+ */
+function startToolPlugins({
+  directory = getDefaultPluginsDir(),
+  watch = process.env.TOOL_PLUGINS_WATCH !== 'false',
+  onChange = null
+} = {}) {
+  stopToolPlugins();
+
+  pluginsDir = directory;
+  changeListener = onChange;
+  status = { directory, watching: false, loadedAt: null, tools: [], errors: [] };
+
+  const change = reloadPlugins();
+
+  if (watch && fs.existsSync(directory)) {
+    watcher = fs.watch(directory, () => scheduleReload());
+    watcher.on('error', (error) => {
+      console.error('Tool plugins watcher error:', error.message);
+    });
+    status.watching = true;
+  }
+
+  return change;
+}
+
+/**
+ * Stop watching and unregister plugin tools
+ */
+function stopToolPlugins() {
+  clearTimeout(reloadTimer);
+  reloadTimer = null;
+  if (watcher) {
+    watcher.close();
+    watcher = null;
+  }
+  if (pluginsDir) {
+    setPluginToolDefinitions([]);
+  }
+  lastGoodDefinitions = new Map();
+  changeListener = null;
+  status.watching = false;
+}
+
+/**
+ * Get plugin status for /health
+ */
+function getPluginsStatus() {
+  return {
+    directory: status.directory,
+    watching: status.watching,
+    loadedAt: status.loadedAt,
+    toolCount: status.tools.length,
+    tools: status.tools,
+    errors: status.errors
+  };
+}
+
+module.exports = {
+  getDefaultPluginsDir,
+  validateToolDefinition,
+  startToolPlugins,
+  stopToolPlugins,
+  reloadPlugins,
+  getPluginsStatus
+};
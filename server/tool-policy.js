@@ -0,0 +1,150 @@
+/**
+ * Tool execution policy: timeout, retries, backoff and cancellation
+ *
+ * Tool definitions may declare:
+ * - timeoutMs: How long one attempt may take (default: TOOL_TIMEOUT_MS or 10000)
+ * - retries: Extra attempts after a failed one (default: 0)
+ * - backoff: { type: 'fixed' | 'exponential', delayMs, maxDelayMs } between attempts
+ * - idempotent: Safe to run twice (default: false)
+ *
+ * Only idempotent tools are retried after a timeout or transport error, since the
+ * first attempt may already have had its effect. A call that never reached an
+ * executor is retried regardless. Errors reported by the tool itself, validation
+ * errors and cancellations are never retried.
+ */
+
+// Load environment variables
+require('dotenv').config();
+
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.TOOL_TIMEOUT_MS) || 10000;
+
+const DEFAULT_BACKOFF = {
+  type: 'exponential',
+  delayMs: 500,
+  maxDelayMs: 5000
+};
+
+/**
+ * Resolve a tool definition's policy with defaults
+ */
+function getToolPolicy(toolDef) {
+  return {
+    timeoutMs: toolDef.timeoutMs || DEFAULT_TIMEOUT_MS,
+    retries: Math.max(0, toolDef.retries || 0),
+    backoff: { ...DEFAULT_BACKOFF, ...(toolDef.backoff || {}) },
+    idempotent: toolDef.idempotent === true
+  };
+}
+
+/**
+ * Delay before the next attempt (attempt = number of attempts made so far)
+ */
+function getBackoffDelay(backoff, attempt) {
+  const delay = backoff.type === 'fixed'
+    ? backoff.delayMs
+    : backoff.delayMs * Math.pow(2, attempt - 1);
+  return Math.min(delay, backoff.maxDelayMs);
+}
+
+/**
+ * Create a tool error with a machine-readable code
+ * Codes: TOOL_TIMEOUT, TOOL_CANCELLED, NO_EXECUTOR, EXECUTOR_DISCONNECTED, TOOL_FAILED
+ */
+function createToolError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Error for a call cancelled by llm_stop or a disconnect
+ */
+function createCancelledError(toolName) {
+  return createToolError(`Tool call ${toolName} was cancelled`, 'TOOL_CANCELLED');
+}
+
+/**
+ * Whether a failed attempt may be retried
+ */
+function isRetryable(error, policy) {
+  if (error.code === 'TOOL_FAILED' || error.code === 'TOOL_CANCELLED') {
+    return false;
+  }
+
+  // Nothing ran, so running it now can't double any effect
+  if (error.code === 'NO_EXECUTOR') {
+    return true;
+  }
+
+  return policy.idempotent;
+}
+
+/**
+ * Wait between attempts; rejects with a cancellation error if the signal fires
+ */
+function sleep(ms, signal, toolName) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(createCancelledError(toolName));
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createCancelledError(toolName));
+    };
+
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Race a promise against the attempt timeout and the cancellation signal
+ * The underlying work keeps running unless it honours the signal itself.
+ */
+function withTimeout(promise, { timeoutMs, signal, toolName }) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(createCancelledError(toolName));
+      return;
+    }
+
+    const cleanup = () => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    };
+
+    const onAbort = () => {
+      cleanup();
+      reject(createCancelledError(toolName));
+    };
+
+    const timer = setTimeout(() => {
+      cleanup();
+      reject(createToolError(`Timeout waiting for ${toolName} after ${timeoutMs}ms`, 'TOOL_TIMEOUT'));
+    }, timeoutMs);
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    promise.then(
+      value => { cleanup(); resolve(value); },
+      error => { cleanup(); reject(error); }
+    );
+  });
+}
+
+module.exports = {
+  DEFAULT_TIMEOUT_MS,
+  getToolPolicy,
+  getBackoffDelay,
+  createToolError,
+  createCancelledError,
+  isRetryable,
+  sleep,
+  withTimeout
+};
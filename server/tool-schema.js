@@ -0,0 +1,339 @@
+/**
+ * Tool schema conversion shared by every provider and the MCP server
+ *
+ * Converts tool definitions into a provider-neutral shape:
+ * { name, description, inputSchema } where inputSchema is JSON Schema (draft 2020-12).
+ *
+ * Supported Zod types: object (strict/catchall), string (length, pattern, formats),
+ * number (int, min/max, exclusive bounds, multipleOf), bigint, boolean, date, null,
+ * literal, enum, native enum, array, tuple, set, record, map, union, discriminated union,
+ * intersection, optional, nullable, default, effects (refine/transform/preprocess),
+ * pipeline, branded, readonly, catch, lazy, any and unknown.
+ * Anything else becomes `{}` (accepts any value) rather than a wrong type.
+ */
+
+// String checks that map to a JSON Schema `format`
+const STRING_FORMATS = {
+  email: 'email',
+  url: 'uri',
+  uuid: 'uuid',
+  datetime: 'date-time',
+  date: 'date',
+  time: 'time',
+  ip: 'ipv4',
+  duration: 'duration'
+};
+
+/**
+ * JSON Schema type of a literal value
+ */
+function literalType(value) {
+  if (value === null) return 'null';
+  if (typeof value === 'bigint') return 'integer';
+  return typeof value;
+}
+
+/**
+ * Convert Zod string checks
+ */
+function convertString(def) {
+  const schema = { type: 'string' };
+
+  for (const check of def.checks || []) {
+    switch (check.kind) {
+      case 'min':
+        schema.minLength = check.value;
+        break;
+      case 'max':
+        schema.maxLength = check.value;
+        break;
+      case 'length':
+        schema.minLength = check.value;
+        schema.maxLength = check.value;
+        break;
+      case 'regex':
+        schema.pattern = check.regex.source;
+        break;
+      case 'startsWith':
+        schema.pattern = `^${check.value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`;
+        break;
+      default:
+        if (STRING_FORMATS[check.kind]) {
+          schema.format = check.kind === 'ip' && check.version === 'v6' ? 'ipv6' : STRING_FORMATS[check.kind];
+        }
+    }
+  }
+
+  return schema;
+}
+
+/**
+ * Convert Zod number checks
+ */
+function convertNumber(def) {
+  const schema = { type: 'number' };
+
+  for (const check of def.checks || []) {
+    switch (check.kind) {
+      case 'int':
+        schema.type = 'integer';
+        break;
+      case 'min':
+        if (check.inclusive) {
+          schema.minimum = check.value;
+        } else {
+          schema.exclusiveMinimum = check.value;
+        }
+        break;
+      case 'max':
+        if (check.inclusive) {
+          schema.maximum = check.value;
+        } else {
+          schema.exclusiveMaximum = check.value;
+        }
+        break;
+      case 'multipleOf':
+        schema.multipleOf = check.value;
+        break;
+    }
+  }
+
+  return schema;
+}
+
+/**
+ * Convert a Zod object: optional and defaulted fields are not required
+ */
+function convertObject(def) {
+  const shape = typeof def.shape === 'function' ? def.shape() : def.shape;
+  const properties = {};
+  const required = [];
+
+  for (const [key, value] of Object.entries(shape)) {
+    properties[key] = convertZodType(value);
+    if (!value.isOptional()) {
+      required.push(key);
+    }
+  }
+
+  const schema = {
+    type: 'object',
+    properties
+  };
+
+  // Only add required array if it has items
+  if (required.length > 0) {
+    schema.required = required;
+  }
+
+  if (def.catchall && def.catchall._def.typeName !== 'ZodNever') {
+    schema.additionalProperties = convertZodType(def.catchall);
+  } else if (def.unknownKeys === 'strict') {
+    schema.additionalProperties = false;
+  }
+
+  return schema;
+}
+
+/**
+ * Convert a union; unions of literals collapse into an enum
+ */
+function convertUnion(options) {
+  const literals = options.map(option => option._def);
+  if (literals.every(def => def.typeName === 'ZodLiteral')) {
+    const types = [...new Set(literals.map(def => literalType(def.value)))];
+    return {
+      type: types.length === 1 ? types[0] : types,
+      enum: literals.map(def => def.value)
+    };
+  }
+
+  return { anyOf: options.map(convertZodType) };
+}
+
+/**
+ * Convert a nullable type: simple types become `type: [T, 'null']`
+ */
+function convertNullable(innerType) {
+  const inner = convertZodType(innerType);
+
+  if (typeof inner.type === 'string' && Object.keys(inner).every(key => key === 'type' || key === 'description')) {
+    return { ...inner, type: [inner.type, 'null'] };
+  }
+
+  return { anyOf: [inner, { type: 'null' }] };
+}
+
+/**
+ * Convert any Zod type to a JSON Schema fragment (without description)
+ */
+function convertDef(def) {
+  switch (def.typeName) {
+    case 'ZodString':
+      return convertString(def);
+    case 'ZodNumber':
+      return convertNumber(def);
+    case 'ZodBigInt':
+      return { type: 'integer' };
+    case 'ZodBoolean':
+      return { type: 'boolean' };
+    case 'ZodDate':
+      return { type: 'string', format: 'date-time' };
+    case 'ZodNull':
+      return { type: 'null' };
+    case 'ZodLiteral':
+      return { type: literalType(def.value), const: def.value };
+    case 'ZodEnum':
+      return { type: 'string', enum: [...def.values] };
+    case 'ZodNativeEnum': {
+      // Numeric TypeScript enums also map names back from values; keep the values only
+      const values = Object.keys(def.values)
+        .filter(key => typeof def.values[def.values[key]] !== 'number')
+        .map(key => def.values[key]);
+      const types = [...new Set(values.map(literalType))];
+      return { type: types.length === 1 ? types[0] : types, enum: values };
+    }
+    case 'ZodArray': {
+      const schema = { type: 'array', items: convertZodType(def.type) };
+      if (def.exactLength) {
+        schema.minItems = def.exactLength.value;
+        schema.maxItems = def.exactLength.value;
+      }
+      if (def.minLength) schema.minItems = def.minLength.value;
+      if (def.maxLength) schema.maxItems = def.maxLength.value;
+      return schema;
+    }
+    case 'ZodSet': {
+      const schema = { type: 'array', items: convertZodType(def.valueType), uniqueItems: true };
+      if (def.minSize) schema.minItems = def.minSize.value;
+      if (def.maxSize) schema.maxItems = def.maxSize.value;
+      return schema;
+    }
+    case 'ZodTuple': {
+      const schema = {
+        type: 'array',
+        prefixItems: def.items.map(convertZodType),
+        minItems: def.items.length
+      };
+      if (def.rest) {
+        schema.items = convertZodType(def.rest);
+      } else {
+        schema.items = false;
+        schema.maxItems = def.items.length;
+      }
+      return schema;
+    }
+    case 'ZodObject':
+      return convertObject(def);
+    case 'ZodRecord':
+    case 'ZodMap':
+      return { type: 'object', additionalProperties: convertZodType(def.valueType) };
+    case 'ZodUnion':
+      return convertUnion(def.options);
+    case 'ZodDiscriminatedUnion':
+      return { anyOf: Array.from(def.options.values ? def.options.values() : def.options).map(convertZodType) };
+    case 'ZodIntersection':
+      return { allOf: [convertZodType(def.left), convertZodType(def.right)] };
+    case 'ZodOptional':
+      return convertZodType(def.innerType);
+    case 'ZodNullable':
+      return convertNullable(def.innerType);
+    case 'ZodDefault':
+      return { ...convertZodType(def.innerType), default: def.defaultValue() };
+    case 'ZodCatch':
+    case 'ZodReadonly':
+      return convertZodType(def.innerType);
+    case 'ZodBranded':
+      return convertZodType(def.type);
+    case 'ZodEffects':
+      return convertZodType(def.schema);
+    case 'ZodPipeline':
+      return convertZodType(def.in);
+    case 'ZodLazy':
+      // Recursive schemas can't be inlined
+      return {};
+    default:
+      // ZodAny, ZodUnknown and anything unsupported accept any value
+      return {};
+  }
+}
+
+/**
+ * Convert a Zod type to JSON Schema, keeping its description
+ * A description on a wrapper (e.g. `.optional().describe()`) wins over the inner one.
+ */
+function convertZodType(zodType) {
+  const schema = convertDef(zodType._def);
+
+  if (zodType.description) {
+    return { ...schema, description: zodType.description };
+  }
+
+  return schema;
+}
+
+/**
+ * Convert a Zod schema to JSON Schema (draft 2020-12)
+ * Tool parameters are always objects; a missing schema means no parameters.
+ */
+function zodToJsonSchema(zodSchema) {
+  if (!zodSchema) {
+    return { type: 'object', properties: {} };
+  }
+
+  return convertZodType(zodSchema);
+}
+
+/**
+ * Get the JSON Schema for a tool definition
+ * External MCP tools already carry `inputSchema`; local tools have Zod `parameters`.
+ */
+function getToolInputSchema(toolDef) {
+  return toolDef.inputSchema || zodToJsonSchema(toolDef.parameters);
+}
+
+/**
+ * Validate and coerce a tool call's input with the tool's Zod `parameters`
+ * Defaults, transforms and unknown-key stripping are applied to the returned data.
+ * Tools without Zod parameters (external MCP tools) are validated by their own server.
+ * @returns {{ success: true, data: Object } | { success: false, issues: Array, message: string }}
+ */
+function validateToolInput(toolDef, toolInput) {
+  if (!toolDef.parameters) {
+    return { success: true, data: toolInput || {} };
+  }
+
+  const parsed = toolDef.parameters.safeParse(toolInput || {});
+  if (parsed.success) {
+    return { success: true, data: parsed.data };
+  }
+
+  const issues = parsed.error.issues.map(issue => ({
+    path: issue.path.join('.') || '(input)',
+    message: issue.message
+  }));
+
+  return {
+    success: false,
+    issues,
+    message: `Invalid input for ${toolDef.name}:\n` + issues.map(issue => `- ${issue.path}: ${issue.message}`).join('\n')
+  };
+}
+
+/**
+ * Convert tool definitions to the provider-neutral format
+ */
+function toNeutralTools(toolDefinitions) {
+  return toolDefinitions.map(tool => ({
+    name: tool.name,
+    description: tool.description,
+    inputSchema: getToolInputSchema(tool)
+  }));
+}
+
+module.exports = {
+  zodToJsonSchema,
+  getToolInputSchema,
+  validateToolInput,
+  toNeutralTools
+};
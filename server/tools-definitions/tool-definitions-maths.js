@@ -10,6 +10,8 @@ const { z } = require('zod');
  * - parameters: Zod schema for validation
  * - command: WebSocket command name (for client execution)
  * - messageType: 'query' or 'command'
+ * - parallelSafe: Pure functions, so several calls from one turn may run concurrently
+ * - idempotent / retries: Safe to retry once after a timeout or lost executor (see tool-policy.js)
  */
 
 const toolDefinitions = [
@@ -21,7 +23,10 @@ const toolDefinitions = [
       param2: z.number().describe('Second number')
     }),
     command: 'add',
-    messageType: 'command'
+    messageType: 'command',
+    parallelSafe: true,
+    idempotent: true,
+    retries: 1
   },
   {
     name: 'subtract',
@@ -31,7 +36,10 @@ const toolDefinitions = [
       param2: z.number().describe('Second number (subtrahend)')
     }),
     command: 'subtract',
-    messageType: 'command'
+    messageType: 'command',
+    parallelSafe: true,
+    idempotent: true,
+    retries: 1
   },
   {
     name: 'multiply',
@@ -41,7 +49,10 @@ const toolDefinitions = [
       param2: z.number().describe('Second number')
     }),
     command: 'multiply',
-    messageType: 'command'
+    messageType: 'command',
+    parallelSafe: true,
+    idempotent: true,
+    retries: 1
   },
   {
     name: 'divide',
@@ -51,7 +62,10 @@ const toolDefinitions = [
       param2: z.number().describe('Second number (divisor)')
     }),
     command: 'divide',
-    messageType: 'command'
+    messageType: 'command',
+    parallelSafe: true,
+    idempotent: true,
+    retries: 1
   },
   {
     name: 'power',
@@ -61,7 +75,10 @@ const toolDefinitions = [
       param2: z.number().describe('Exponent')
     }),
     command: 'power',
-    messageType: 'command'
+    messageType: 'command',
+    parallelSafe: true,
+    idempotent: true,
+    retries: 1
   },
   {
     name: 'sqrt',
@@ -70,7 +87,10 @@ const toolDefinitions = [
       param1: z.number().min(0).describe('Number to calculate square root of (must be non-negative)')
     }),
     command: 'sqrt',
-    messageType: 'command'
+    messageType: 'command',
+    parallelSafe: true,
+    idempotent: true,
+    retries: 1
   },
   {
     name: 'modulo',
@@ -80,7 +100,10 @@ const toolDefinitions = [
       param2: z.number().describe('Second number (divisor)')
     }),
     command: 'modulo',
-    messageType: 'command'
+    messageType: 'command',
+    parallelSafe: true,
+    idempotent: true,
+    retries: 1
   },
   {
     name: 'absolute',
@@ -89,7 +112,10 @@ const toolDefinitions = [
       param1: z.number().describe('Number to get absolute value of')
     }),
     command: 'absolute',
-    messageType: 'command'
+    messageType: 'command',
+    parallelSafe: true,
+    idempotent: true,
+    retries: 1
   },
   {
     name: 'round',
@@ -99,7 +125,10 @@ const toolDefinitions = [
       decimals: z.number().int().min(0).optional().describe('Number of decimal places (default: 0)')
     }),
     command: 'round',
-    messageType: 'command'
+    messageType: 'command',
+    parallelSafe: true,
+    idempotent: true,
+    retries: 1
   },
   {
     name: 'floor',
@@ -108,7 +137,10 @@ const toolDefinitions = [
       param1: z.number().describe('Number to floor')
     }),
     command: 'floor',
-    messageType: 'command'
+    messageType: 'command',
+    parallelSafe: true,
+    idempotent: true,
+    retries: 1
   },
   {
     name: 'ceil',
@@ -117,7 +149,10 @@ const toolDefinitions = [
       param1: z.number().describe('Number to ceil')
     }),
     command: 'ceil',
-    messageType: 'command'
+    messageType: 'command',
+    parallelSafe: true,
+    idempotent: true,
+    retries: 1
   },
   {
     name: 'min',
@@ -126,7 +161,10 @@ const toolDefinitions = [
       numbers: z.array(z.number()).min(1).describe('Array of numbers')
     }),
     command: 'min',
-    messageType: 'command'
+    messageType: 'command',
+    parallelSafe: true,
+    idempotent: true,
+    retries: 1
   },
   {
     name: 'max',
@@ -135,7 +173,10 @@ const toolDefinitions = [
       numbers: z.array(z.number()).min(1).describe('Array of numbers')
     }),
     command: 'max',
-    messageType: 'command'
+    messageType: 'command',
+    parallelSafe: true,
+    idempotent: true,
+    retries: 1
   },
   {
     name: 'sum',
@@ -144,7 +185,10 @@ const toolDefinitions = [
       numbers: z.array(z.number()).min(1).describe('Array of numbers')
     }),
     command: 'sum',
-    messageType: 'command'
+    messageType: 'command',
+    parallelSafe: true,
+    idempotent: true,
+    retries: 1
   },
   {
     name: 'average',
@@ -153,7 +197,10 @@ const toolDefinitions = [
       numbers: z.array(z.number()).min(1).describe('Array of numbers')
     }),
     command: 'average',
-    messageType: 'command'
+    messageType: 'command',
+    parallelSafe: true,
+    idempotent: true,
+    retries: 1
   }
 ];
 
@@ -1,14 +1,29 @@
 const toolDefinitions = require('./tools-definitions/imports') || [];
+const { getExternalToolDefinitions } = require('./mcp-client');
+
+// Tools loaded from the plugins directory (replaced as a whole on reload, see tool-plugins.js)
+let pluginToolDefinitions = [];
 
 function getToolDefinitions() {
-    return toolDefinitions;
+    // Local tools first, then plugins, then tools mounted from external MCP servers
+    return [...toolDefinitions, ...pluginToolDefinitions, ...getExternalToolDefinitions()];
 };
 
 function getToolDefinition(name) {
-  return toolDefinitions.find(tool => tool.name === name);
+  return getToolDefinitions().find(tool => tool.name === name);
+}
+
+function getLocalToolDefinitions() {
+    return toolDefinitions;
+}
+
+function setPluginToolDefinitions(definitions) {
+    pluginToolDefinitions = definitions;
 }
 
 module.exports = {
     getToolDefinition,
     getToolDefinitions,
+    getLocalToolDefinitions,
+    setPluginToolDefinitions,
 };